@@ -1,63 +1,104 @@
 /**
- * Script tạo tài khoản admin
- * Chạy: node create-admin.js
+ * Script tạo / nâng quyền tài khoản admin
+ * Kết nối trực tiếp MongoDB (MONGODB_URI), không cần server đang chạy.
+ *
+ * Nâng quyền user có sẵn:   node create-admin.js user@example.com
+ * Tạo mới nếu chưa có:       node create-admin.js user@example.com --name "Linh" --password "matkhau123"
+ * Seed qua biến môi trường:  ADMIN_EMAIL=... ADMIN_PASSWORD=... ADMIN_NAME=... node create-admin.js
  */
 
-const http = require('http');
+require('dotenv').config();
 
-const adminUser = {
-    name: 'Linh',
-    email: 'linh@gmail.com',
-    password: 'linh@123'
-};
+const mongoose = require('mongoose');
+const connectDB = require('./src/config/database');
+const { User } = require('./src/models');
 
-const data = JSON.stringify(adminUser);
+function parseArgs(argv) {
+    const options = {
+        email: process.env.ADMIN_EMAIL || '',
+        name: process.env.ADMIN_NAME || '',
+        password: process.env.ADMIN_PASSWORD || ''
+    };
 
-const options = {
-    hostname: 'localhost',
-    port: 5000,
-    path: '/api/auth/register',
-    method: 'POST',
-    headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(data)
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--name') {
+            options.name = argv[++i] || '';
+        } else if (arg === '--password') {
+            options.password = argv[++i] || '';
+        } else if (!arg.startsWith('--')) {
+            options.email = arg;
+        }
     }
-};
 
-console.log('🚀 Đang tạo tài khoản admin...');
-console.log(`   Email: ${adminUser.email}`);
-console.log(`   Password: ${adminUser.password}`);
-
-const req = http.request(options, (res) => {
-    let responseData = '';
-    
-    res.on('data', (chunk) => {
-        responseData += chunk;
-    });
-    
-    res.on('end', () => {
-        try {
-            const result = JSON.parse(responseData);
-            
-            if (result.success) {
-                console.log('\n✅ Tạo tài khoản thành công!');
-                console.log(`   User ID: ${result.data.user.id}`);
-                console.log(`   Role: ${result.data.user.role}`);
-                console.log('\n📌 Bây giờ cần update role thành admin trong database');
-            } else {
-                console.log('\n❌ Lỗi:', result.message);
-            }
-        } catch (e) {
-            console.error('Parse error:', e);
-            console.log('Raw response:', responseData);
+    return options;
+}
+
+/**
+ * Promote a user to admin, creating the account first when a password is given
+ * @param {Object} params - { email, name, password }
+ * @returns {Promise<{user: Object, created: boolean, promoted: boolean}>}
+ */
+async function promoteToAdmin({ email, name, password }) {
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+    if (!normalizedEmail) {
+        throw new Error('Thiếu email. Cách dùng: node create-admin.js <email> [--name <tên> --password <mật khẩu>]');
+    }
+
+    let user = await User.findOne({ email: normalizedEmail });
+
+    if (!user) {
+        if (!password) {
+            throw new Error(`Không tìm thấy user ${normalizedEmail}. Thêm --password (và --name) để tạo mới.`);
+        }
+
+        user = await User.create({
+            email: normalizedEmail,
+            name: name || normalizedEmail.split('@')[0],
+            password,
+            role: 'admin'
+        });
+
+        return { user, created: true, promoted: true };
+    }
+
+    const promoted = user.role !== 'admin' || !user.isActive;
+    if (promoted) {
+        user.role = 'admin';
+        user.isActive = true;
+        await user.save();
+    }
+
+    return { user, created: false, promoted };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    await connectDB();
+
+    try {
+        const { user, created, promoted } = await promoteToAdmin(options);
+
+        if (created) {
+            console.log(`✅ Đã tạo tài khoản admin: ${user.email} (ID: ${user._id})`);
+        } else if (promoted) {
+            console.log(`✅ Đã nâng quyền admin cho: ${user.email} (ID: ${user._id})`);
+        } else {
+            console.log(`ℹ️  ${user.email} đã là admin`);
         }
-    });
-});
+    } catch (error) {
+        console.error(`❌ Lỗi: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
 
-req.on('error', (e) => {
-    console.error(`\n❌ Lỗi kết nối: ${e.message}`);
-    console.log('⚠️  Hãy chắc chắn backend đang chạy trên port 5000');
-});
+if (require.main === module) {
+    main();
+}
 
-req.write(data);
-req.end();
+module.exports = {
+    promoteToAdmin
+};
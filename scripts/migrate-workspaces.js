@@ -0,0 +1,44 @@
+/**
+ * Migration Script: Workspaces
+ *
+ * AI settings used to be unique per user; they now belong to a workspace.
+ * This script rebuilds the AISettings indexes (drops the old unique userId index)
+ * and creates every user's personal workspace, moving their existing settings and
+ * content into it. Users are also migrated lazily on their first request, the
+ * script only makes it happen at once. Safe to run more than once.
+ *
+ * Usage: node scripts/migrate-workspaces.js
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const { User, AISettings } = require('../src/models');
+const { ensurePersonalWorkspace } = require('../src/services/workspace');
+
+async function main() {
+    await connectDB();
+
+    try {
+        const dropped = await AISettings.syncIndexes();
+        if (dropped.length > 0) {
+            console.log(`🧹 Đã xóa index AISettings cũ: ${dropped.join(', ')}`);
+        }
+
+        let count = 0;
+        for await (const user of User.find().cursor()) {
+            await ensurePersonalWorkspace(user);
+            count++;
+        }
+
+        console.log(`✅ Đã chuyển ${count} tài khoản sang workspace cá nhân`);
+    } catch (error) {
+        console.error(`❌ Lỗi: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main();
@@ -2,11 +2,32 @@ require('dotenv').config();
 
 const app = require('./src/app');
 const { connectDB } = require('./src/config');
+const { startJobWorker } = require('./src/services/jobs');
+const { startPlanScheduler } = require('./src/services/scheduler');
+const { getMailerName } = require('./src/services/mail');
 
 const PORT = process.env.PORT || 5000;
 
-// Connect to database
-connectDB();
+// Refuse to start without a mail configuration rather than losing verification/reset mails
+try {
+    console.log(`Mail driver: ${getMailerName()}`);
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
+
+// Connect to database, then start processing queued AI jobs and auto-publishing plan posts
+connectDB().then(async () => {
+    if (process.env.JOB_WORKER_ENABLED !== 'false') {
+        await startJobWorker();
+    }
+    if (process.env.PLAN_SCHEDULER_ENABLED !== 'false') {
+        startPlanScheduler();
+    }
+}).catch((error) => {
+    console.error(`Background workers failed to start: ${error.message}`);
+    process.exit(1);
+});
 
 const server = app.listen(PORT, () => {
     console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
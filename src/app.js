@@ -3,7 +3,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
 const { errorHandler, requestLogger } = require('./middlewares');
-const { authRoutes, userRoutes, aiSettingsRoutes, articleRoutes, uploadRoutes, aiRoutes, videoScriptRoutes, productImageRoutes, marketingPlanRoutes } = require('./routes');
+const { authRoutes, userRoutes, aiSettingsRoutes, articleRoutes, uploadRoutes, aiRoutes, videoScriptRoutes, productImageRoutes, marketingPlanRoutes, jobRoutes, eventRoutes, usageRoutes, adminRoutes, workspaceRoutes, brandProfileRoutes, publishingRoutes, calendarFeedRoutes, marketingEventRoutes } = require('./routes');
 
 const app = express();
 
@@ -49,6 +49,15 @@ app.use('/api/ai', aiRoutes);
 app.use('/api/video-scripts', videoScriptRoutes);
 app.use('/api/product-images', productImageRoutes);
 app.use('/api/marketing-plan', marketingPlanRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/brand-profiles', brandProfileRoutes);
+app.use('/api/publishing', publishingRoutes);
+app.use('/api/calendar-feeds', calendarFeedRoutes);
+app.use('/api/marketing-events', marketingEventRoutes);
 
 // 404 handler
 app.use((req, res, next) => {
@@ -0,0 +1,60 @@
+/**
+ * Plan Tiers Configuration
+ * Monthly generation quotas per tool and model access for each plan.
+ * A quota of null means unlimited. Override limits with PLAN_QUOTAS (JSON), e.g.
+ * PLAN_QUOTAS='{"free":{"image":50},"agency":{"article":null}}'
+ */
+
+// Units: article = 1 article, video = 1 script, image = 1 generated image (per camera angle), marketing = 1 plan
+const QUOTA_TOOLS = ['article', 'video', 'image', 'marketing'];
+
+// Models only available on paid tiers
+const PREMIUM_MODELS = ['gemini-2.5-pro', 'gemini-3-pro-image-preview'];
+
+const PLAN_TIERS = {
+    free: {
+        displayName: 'Miễn phí',
+        quotas: { article: 30, video: 10, image: 20, marketing: 2 },
+        premiumModels: false
+    },
+    pro: {
+        displayName: 'Pro',
+        quotas: { article: 300, video: 100, image: 300, marketing: 20 },
+        premiumModels: true
+    },
+    agency: {
+        displayName: 'Agency',
+        quotas: { article: 2000, video: 600, image: 2000, marketing: 100 },
+        premiumModels: true
+    }
+};
+
+const DEFAULT_PLAN = 'free';
+
+function applyQuotaOverrides(tiers) {
+    if (!process.env.PLAN_QUOTAS) return tiers;
+
+    try {
+        const overrides = JSON.parse(process.env.PLAN_QUOTAS);
+        Object.entries(overrides).forEach(([plan, quotas]) => {
+            if (!tiers[plan] || !quotas || typeof quotas !== 'object') return;
+            Object.entries(quotas).forEach(([tool, limit]) => {
+                if (QUOTA_TOOLS.includes(tool) && (limit === null || Number.isFinite(limit))) {
+                    tiers[plan].quotas[tool] = limit;
+                }
+            });
+        });
+    } catch (error) {
+        console.warn('Warning: PLAN_QUOTAS is not valid JSON, using default quotas');
+    }
+
+    return tiers;
+}
+
+module.exports = {
+    PLAN_TIERS: applyQuotaOverrides(PLAN_TIERS),
+    PLAN_NAMES: Object.keys(PLAN_TIERS),
+    DEFAULT_PLAN,
+    QUOTA_TOOLS,
+    PREMIUM_MODELS
+};
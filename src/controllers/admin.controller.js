@@ -0,0 +1,332 @@
+/**
+ * Admin Controller
+ * User management and cross-user generation monitoring (admin only)
+ */
+
+const mongoose = require('mongoose');
+const { User, Article, MarketingPlan, ProductImage, Job } = require('../models');
+const VideoScript = require('../models/VideoScript');
+const { serializeJob } = require('../services/jobs');
+const { getQuotaStatus } = require('../services/quota');
+const { PLAN_NAMES } = require('../config/plans.config');
+
+const USER_ROLES = ['user', 'admin'];
+
+// Content collections counted per user
+const CONTENT_MODELS = {
+    articles: Article,
+    videoScripts: VideoScript,
+    productImages: ProductImage,
+    marketingPlans: MarketingPlan
+};
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isValidId(id) {
+    return mongoose.Types.ObjectId.isValid(id);
+}
+
+/**
+ * Count documents of every content type for a set of users
+ * @param {Array} userIds
+ * @returns {Promise<Map<string, Object>>} userId -> { articles, videoScripts, productImages, marketingPlans }
+ */
+async function countContentByUser(userIds) {
+    const counts = new Map(userIds.map((id) => [String(id), {
+        articles: 0,
+        videoScripts: 0,
+        productImages: 0,
+        marketingPlans: 0
+    }]));
+
+    await Promise.all(Object.entries(CONTENT_MODELS).map(async ([key, Model]) => {
+        const rows = await Model.aggregate([
+            { $match: { userId: { $in: userIds } } },
+            { $group: { _id: '$userId', count: { $sum: 1 } } }
+        ]);
+        rows.forEach((row) => {
+            counts.get(String(row._id))[key] = row.count;
+        });
+    }));
+
+    return counts;
+}
+
+/**
+ * List/search users
+ * GET /api/admin/users?search=&role=&plan=&isActive=
+ */
+exports.getUsers = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, search = '', role = '', plan = '', isActive = '' } = req.query;
+        const skip = (page - 1) * limit;
+
+        const query = {};
+
+        if (search) {
+            const pattern = new RegExp(escapeRegex(String(search).trim()), 'i');
+            query.$or = [{ name: pattern }, { email: pattern }];
+        }
+
+        if (role) {
+            query.role = role;
+        }
+
+        if (plan) {
+            query.plan = plan;
+        }
+
+        if (isActive === 'true' || isActive === 'false') {
+            query.isActive = isActive === 'true';
+        }
+
+        const [users, total] = await Promise.all([
+            User.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            User.countDocuments(query)
+        ]);
+
+        const counts = await countContentByUser(users.map((user) => user._id));
+
+        res.status(200).json({
+            success: true,
+            data: users.map((user) => ({
+                ...user.toObject(),
+                counts: counts.get(String(user._id))
+            })),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Admin get users error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy danh sách người dùng'
+        });
+    }
+};
+
+/**
+ * Get user detail with content counts, quota and job stats
+ * GET /api/admin/users/:id
+ */
+exports.getUserById = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const user = isValidId(id) ? await User.findById(id) : null;
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy người dùng'
+            });
+        }
+
+        const [counts, quota, jobStats] = await Promise.all([
+            countContentByUser([user._id]),
+            getQuotaStatus(user),
+            Job.aggregate([
+                { $match: { userId: user._id } },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                user,
+                counts: counts.get(String(user._id)),
+                quota,
+                jobs: jobStats.reduce((result, row) => ({ ...result, [row._id]: row.count }), {})
+            }
+        });
+    } catch (error) {
+        console.error('Admin get user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy thông tin người dùng'
+        });
+    }
+};
+
+/**
+ * Update an account field after validating it
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} update - Fields to set
+ * @param {string} successMessage
+ */
+async function updateUser(req, res, update, successMessage) {
+    const { id } = req.params;
+
+    const user = isValidId(id)
+        ? await User.findByIdAndUpdate(id, update, { new: true, runValidators: true })
+        : null;
+
+    if (!user) {
+        return res.status(404).json({
+            success: false,
+            message: 'Không tìm thấy người dùng'
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        message: successMessage,
+        data: user
+    });
+}
+
+/**
+ * Activate/deactivate a user
+ * PATCH /api/admin/users/:id/status
+ */
+exports.updateUserStatus = async (req, res) => {
+    try {
+        const { isActive } = req.body;
+
+        if (typeof isActive !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'isActive phải là true hoặc false'
+            });
+        }
+
+        if (!isActive && String(req.params.id) === String(req.user._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Không thể tự vô hiệu hóa tài khoản của chính mình'
+            });
+        }
+
+        await updateUser(req, res, { isActive }, isActive ? 'Đã kích hoạt tài khoản' : 'Đã vô hiệu hóa tài khoản');
+    } catch (error) {
+        console.error('Admin update user status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi cập nhật trạng thái tài khoản'
+        });
+    }
+};
+
+/**
+ * Change a user's role
+ * PATCH /api/admin/users/:id/role
+ */
+exports.updateUserRole = async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!USER_ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Vai trò không hợp lệ. Chỉ nhận: ${USER_ROLES.join(', ')}`
+            });
+        }
+
+        if (role !== 'admin' && String(req.params.id) === String(req.user._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Không thể tự gỡ quyền admin của chính mình'
+            });
+        }
+
+        await updateUser(req, res, { role }, 'Cập nhật vai trò thành công');
+    } catch (error) {
+        console.error('Admin update user role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi cập nhật vai trò'
+        });
+    }
+};
+
+/**
+ * Change a user's plan tier
+ * PATCH /api/admin/users/:id/plan
+ */
+exports.updateUserPlan = async (req, res) => {
+    try {
+        const { plan } = req.body;
+
+        if (!PLAN_NAMES.includes(plan)) {
+            return res.status(400).json({
+                success: false,
+                message: `Gói không hợp lệ. Chỉ nhận: ${PLAN_NAMES.join(', ')}`
+            });
+        }
+
+        await updateUser(req, res, { plan }, 'Cập nhật gói dịch vụ thành công');
+    } catch (error) {
+        console.error('Admin update user plan error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi cập nhật gói dịch vụ'
+        });
+    }
+};
+
+/**
+ * Failed generations across all users
+ * GET /api/admin/jobs/failed?type=&userId=
+ */
+exports.getFailedJobs = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, type = '', userId = '' } = req.query;
+        const skip = (page - 1) * limit;
+
+        const query = { status: 'failed' };
+
+        if (type) {
+            query.type = type;
+        }
+
+        if (userId) {
+            if (!isValidId(userId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'userId không hợp lệ'
+                });
+            }
+            query.userId = userId;
+        }
+
+        const [jobs, total] = await Promise.all([
+            Job.find(query)
+                .sort({ finishedAt: -1, updatedAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .populate('userId', 'name email'),
+            Job.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: jobs.map((job) => ({
+                ...serializeJob(job),
+                user: job.userId,
+                payload: job.payload
+            })),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Admin get failed jobs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy danh sách tác vụ lỗi'
+        });
+    }
+};
@@ -6,11 +6,12 @@
 const geminiService = require('../services/gemini');
 const { getModelForTask } = require('../services/gemini/modelConfig.service');
 const Article = require('../models/Article');
-const { AISettings } = require('../models');
 const { logPromptDebug } = require('../utils/promptDebug');
+const { enqueueJob, serializeJob } = require('../services/jobs');
 
 /**
- * Generate article with AI
+ * Generate article with AI (preview only).
+ * With `variants` (2-5) returns that many A/B variants, scored and ranked.
  * POST /api/ai/generate-article
  */
 exports.generateArticle = async (req, res) => {
@@ -28,7 +29,8 @@ exports.generateArticle = async (req, res) => {
             storytellingDepth,
             baseTitle,
             baseContent,
-            regenerateInstruction
+            regenerateInstruction,
+            variants
         } = req.body;
 
         logPromptDebug({
@@ -45,7 +47,8 @@ exports.generateArticle = async (req, res) => {
                 hasDescription: !!description,
                 hasBaseContent: !!baseContent,
                 imageUrl,
-                imageUrls
+                imageUrls,
+                variants
             }
         });
 
@@ -57,29 +60,36 @@ exports.generateArticle = async (req, res) => {
             });
         }
 
-        // Fetch brand context if enabled
+        // variants >= 2: A/B mode, several scored text versions instead of one article
+        const variantCount = geminiService.normalizeVariantCount(variants);
+        const hasImages = !!imageUrl || (Array.isArray(imageUrls) && imageUrls.some(Boolean));
+        if (variantCount && mode === 'ai_image' && !hasImages) {
+            return res.status(400).json({
+                success: false,
+                message: 'Chế độ nhiều phiên bản không tự tạo ảnh AI, vui lòng tạo ảnh trước'
+            });
+        }
+
+        // Fetch brand context if enabled (choosing a brand profile enables it)
+        const brandProfileId = req.brandProfile?._id || null;
         let brandContext = null;
-        if (useBrandSettings) {
-            const aiSettings = await AISettings.findOne({ userId: req.user._id });
-            try {
-                brandContext = await geminiService.buildRichBrandContext(aiSettings);
-            } catch (error) {
-                brandContext = geminiService.buildBrandContext(aiSettings);
-            }
+        if (useBrandSettings || brandProfileId) {
+            ({ brandContext } = await geminiService.resolveBrandSettings(req.workspace._id, brandProfileId));
         }
 
         logPromptDebug({
             tool: 'article',
             step: 'brand-context',
             data: {
-                enabled: !!useBrandSettings,
+                enabled: !!(useBrandSettings || brandProfileId),
+                brandProfileId,
                 available: !!brandContext,
                 preview: brandContext
             }
         });
 
         // Get user's selected model
-        const textModel = await getModelForTask('text', req.user._id);
+        const textModel = await getModelForTask('text', req.workspace._id);
 
         let result;
 
@@ -105,6 +115,46 @@ exports.generateArticle = async (req, res) => {
             }
         });
 
+        if (variantCount) {
+            const { variants: rankedVariants, scored } = await geminiService.generateArticleVariants({
+                topic,
+                purpose,
+                description,
+                wordCount,
+                brandContext,
+                storytellingDepth,
+                baseTitle,
+                baseContent,
+                regenerateInstruction,
+                modelName: textModel
+            }, variantCount);
+
+            logPromptDebug({
+                tool: 'article',
+                step: 'ai-response',
+                data: {
+                    ok: true,
+                    variantCount: rankedVariants.length,
+                    scored,
+                    ranking: rankedVariants.map((variant) => `${variant.angle}:${variant.score?.overall ?? '-'}`)
+                }
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: scored
+                    ? `Tạo ${rankedVariants.length} phiên bản bài viết thành công`
+                    : `Tạo ${rankedVariants.length} phiên bản bài viết thành công (chưa chấm điểm được)`,
+                data: {
+                    variants: rankedVariants,
+                    scored,
+                    imageUrl: normalizedImageUrls[0] || null,
+                    imageUrls: normalizedImageUrls,
+                    brandProfileId
+                }
+            });
+        }
+
         if (mode === 'manual' && normalizedImageUrls.length > 0) {
             // Manual mode with uploaded image
             result = await geminiService.generateArticleWithImage({
@@ -184,7 +234,9 @@ exports.generateArticle = async (req, res) => {
                 hashtags: result.hashtags || [],
                 imageUrl: result.imageUrl || null,
                 imageUrls: result.imageUrls || (result.imageUrl ? [result.imageUrl] : []),
-                imagePrompt: result.imagePrompt || null
+                imagePrompt: result.imagePrompt || null,
+                wordCountCheck: result.wordCountCheck || null,
+                brandProfileId
             }
         });
 
@@ -217,11 +269,12 @@ exports.generateArticle = async (req, res) => {
 };
 
 /**
- * Generate and save article
+ * Generate and save article (runs in background job)
  * POST /api/ai/generate-and-save
  */
 exports.generateAndSaveArticle = async (req, res) => {
     let processingArticle = null;
+
     try {
         const {
             mode,
@@ -266,41 +319,19 @@ exports.generateAndSaveArticle = async (req, res) => {
             });
         }
 
-        // Fetch brand context if enabled
-        let brandContext = null;
-        if (useBrandSettings) {
-            const aiSettings = await AISettings.findOne({ userId: req.user._id });
-            try {
-                brandContext = await geminiService.buildRichBrandContext(aiSettings);
-            } catch (error) {
-                brandContext = geminiService.buildBrandContext(aiSettings);
-            }
-        }
-
-        logPromptDebug({
-            tool: 'article',
-            step: 'brand-context',
-            data: {
-                enabled: !!useBrandSettings,
-                available: !!brandContext,
-                preview: brandContext
-            }
-        });
-
-        // Get user's selected model
-        const textModel = await getModelForTask('text', req.user._id);
-
-        let result;
-
         const normalizedImageUrls = Array.isArray(imageUrls) && imageUrls.length > 0
             ? imageUrls.filter(Boolean)
             : imageUrl
                 ? [imageUrl]
                 : [];
 
-        // Create placeholder article before AI generation
+        const brandProfileId = req.brandProfile?._id || null;
+
+        // Create placeholder article, the worker fills it in
         processingArticle = await Article.create({
             userId: req.user._id,
+            workspaceId: req.workspace._id,
+            brandProfileId,
             title: `Đang tạo bài viết: ${topic}`.slice(0, 500),
             content: 'Đang tạo nội dung bằng AI...',
             topic,
@@ -311,127 +342,38 @@ exports.generateAndSaveArticle = async (req, res) => {
             status: 'processing'
         });
 
-        logPromptDebug({
-            tool: 'article',
-            step: 'prompt-built',
-            data: {
+        const job = await enqueueJob({
+            type: 'article',
+            userId: req.user._id,
+            workspaceId: req.workspace._id,
+            refModel: 'Article',
+            refId: processingArticle._id,
+            quotaReservation: req.quotaReservation,
+            payload: {
+                articleId: processingArticle._id,
                 mode,
-                selectedModel: textModel,
-                topic,
-                purpose,
-                wordCount,
-                writingStyle,
-                storytellingDepth,
-                normalizedImageUrls,
-                hasRegenerateInstruction: !!regenerateInstruction,
-                saveMode: true
-            }
-        });
-
-        if (mode === 'manual' && normalizedImageUrls.length > 0) {
-            result = await geminiService.generateArticleWithImage({
-                topic,
-                purpose,
-                description,
-                wordCount,
-                imagePath: normalizedImageUrls[0],
-                brandContext,
-                writingStyle,
-                storytellingDepth,
-                baseTitle,
-                baseContent,
-                regenerateInstruction,
-                modelName: textModel
-            });
-            result.imageUrl = normalizedImageUrls[0];
-            result.imageUrls = normalizedImageUrls;
-        } else if (mode === 'ai_image' && normalizedImageUrls.length > 0) {
-            result = await geminiService.generateArticleWithImage({
                 topic,
                 purpose,
                 description,
                 wordCount,
-                imagePath: normalizedImageUrls[0],
-                brandContext,
-                writingStyle,
-                storytellingDepth,
-                baseTitle,
-                baseContent,
-                regenerateInstruction,
-                modelName: textModel
-            });
-            result.imageUrl = normalizedImageUrls[0];
-            result.imageUrls = normalizedImageUrls;
-        } else if (mode === 'ai_image') {
-            result = await geminiService.generateArticleWithAIImage({
-                topic,
-                purpose,
-                description,
-                wordCount,
-                brandContext,
-                writingStyle,
-                storytellingDepth,
-                baseTitle,
-                baseContent,
-                regenerateInstruction,
-                modelName: textModel
-            });
-        } else {
-            result = await geminiService.generateArticleContent({
-                topic,
-                purpose,
-                description,
-                wordCount,
-                brandContext,
+                normalizedImageUrls,
+                useBrandSettings: !!(useBrandSettings || brandProfileId),
+                brandProfileId,
                 writingStyle,
                 storytellingDepth,
                 baseTitle,
                 baseContent,
-                regenerateInstruction,
-                modelName: textModel
-            });
-        }
-
-        // Update placeholder with generated content
-        const article = await Article.findByIdAndUpdate(processingArticle._id, {
-            title: result.title,
-            content: result.content,
-            topic,
-            purpose,
-            imageUrl: result.imageUrl || null,
-            imageUrls: result.imageUrls || (result.imageUrl ? [result.imageUrl] : []),
-            hashtags: result.hashtags || [],
-            status: 'draft'
-        }, {
-            new: true,
-            runValidators: true
-        });
-
-        res.status(201).json({
-            success: true,
-            message: 'Tạo và lưu bài viết thành công',
-            data: {
-                article,
-                generated: {
-                    title: result.title,
-                    content: result.content,
-                    hashtags: result.hashtags,
-                    imageUrl: result.imageUrl,
-                    imageUrls: result.imageUrls || (result.imageUrl ? [result.imageUrl] : []),
-                    imagePrompt: result.imagePrompt
-                }
+                regenerateInstruction
             }
         });
 
-        logPromptDebug({
-            tool: 'article',
-            step: 'ai-response',
+        res.status(202).json({
+            success: true,
+            message: 'Đã tiếp nhận yêu cầu tạo bài viết',
             data: {
-                ok: true,
-                articleId: article?._id,
-                title: result?.title,
-                hashtagsCount: Array.isArray(result?.hashtags) ? result.hashtags.length : 0,
-                imageUrl: result?.imageUrl || null
+                jobId: job._id,
+                job: serializeJob(job),
+                article: processingArticle
             }
         });
     } catch (error) {
@@ -462,6 +404,152 @@ exports.generateAndSaveArticle = async (req, res) => {
     }
 };
 
+/**
+ * Generate the editable outline of an SEO long-form article (preview only).
+ * Secondary keywords default to the brand keywords (AISettings.language.keywords).
+ * POST /api/ai/seo-outline
+ */
+exports.generateSeoOutline = async (req, res) => {
+    try {
+        const {
+            topic = 'seo_sem',
+            purpose = 'share_knowledge',
+            description,
+            targetKeyword,
+            secondaryKeywords,
+            wordCount,
+            useBrandSettings
+        } = req.body;
+
+        const keyword = typeof targetKeyword === 'string' ? targetKeyword.trim() : '';
+        if (!keyword) {
+            return res.status(400).json({
+                success: false,
+                message: 'Vui lòng nhập từ khóa chính (targetKeyword)'
+            });
+        }
+
+        const brandProfileId = req.brandProfile?._id || null;
+        const brandSetup = await geminiService.loadBrandSetup(req.workspace._id, brandProfileId);
+        const keywords = geminiService.resolveSecondaryKeywords(secondaryKeywords, brandSetup?.language?.keywords || [], keyword);
+
+        let brandContext = null;
+        if (useBrandSettings || brandProfileId) {
+            ({ brandContext } = await geminiService.resolveBrandSettings(req.workspace._id, brandProfileId));
+        }
+
+        const textModel = await getModelForTask('text', req.workspace._id);
+
+        const outline = await geminiService.generateSeoOutline({
+            topic,
+            purpose,
+            description,
+            targetKeyword: keyword,
+            secondaryKeywords: keywords,
+            wordCount: geminiService.normalizeSeoWordCount(wordCount),
+            brandContext,
+            modelName: textModel
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Tạo dàn ý bài viết thành công',
+            data: {
+                outline,
+                topic,
+                purpose,
+                brandProfileId
+            }
+        });
+    } catch (error) {
+        console.error('Generate SEO outline error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Lỗi khi tạo dàn ý bài viết'
+        });
+    }
+};
+
+/**
+ * Write and save an SEO long-form article from its (edited) outline (runs in background job)
+ * POST /api/ai/seo-article
+ */
+exports.generateSeoArticle = async (req, res) => {
+    let processingArticle = null;
+
+    try {
+        const { topic = 'seo_sem', purpose = 'share_knowledge', description, useBrandSettings } = req.body;
+
+        const outline = geminiService.normalizeSeoOutline(req.body.outline);
+        if (!outline) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dàn ý không hợp lệ: cần h1, targetKeyword và ít nhất một mục'
+            });
+        }
+
+        const brandProfileId = req.brandProfile?._id || null;
+
+        // Create placeholder article, the worker fills it in
+        processingArticle = await Article.create({
+            userId: req.user._id,
+            workspaceId: req.workspace._id,
+            brandProfileId,
+            title: `Đang tạo bài viết: ${outline.h1}`.slice(0, 500),
+            content: 'Đang tạo nội dung bằng AI...',
+            topic,
+            purpose,
+            hashtags: [],
+            status: 'processing'
+        });
+
+        const job = await enqueueJob({
+            type: 'article',
+            userId: req.user._id,
+            workspaceId: req.workspace._id,
+            refModel: 'Article',
+            refId: processingArticle._id,
+            quotaReservation: req.quotaReservation,
+            payload: {
+                operation: 'seoArticle',
+                articleId: processingArticle._id,
+                outline,
+                topic,
+                purpose,
+                description,
+                useBrandSettings: !!(useBrandSettings || brandProfileId),
+                brandProfileId
+            }
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Đã tiếp nhận yêu cầu viết bài SEO',
+            data: {
+                jobId: job._id,
+                job: serializeJob(job),
+                article: processingArticle
+            }
+        });
+    } catch (error) {
+        if (processingArticle?._id) {
+            try {
+                await Article.findByIdAndUpdate(processingArticle._id, {
+                    status: 'failed'
+                });
+            } catch (updateError) {
+                console.error('Failed to update article status to failed:', updateError);
+            }
+        }
+
+        console.error('Generate SEO article error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Lỗi khi tạo bài viết SEO'
+        });
+    }
+};
+
 /**
  * Analyze image with AI
  * POST /api/ai/analyze-image
@@ -489,7 +577,7 @@ exports.analyzeImage = async (req, res) => {
             });
         }
         // Get user's selected model for vision
-        const visionModel = await getModelForTask('vision', req.user._id);
+        const visionModel = await getModelForTask('vision', req.workspace._id);
 
         let analysis;
 
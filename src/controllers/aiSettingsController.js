@@ -40,7 +40,8 @@ const defaultSettings = {
         suitableFor: []
     },
     facebook: {
-        facebookToken: ''
+        facebookToken: '',
+        pageId: ''
     },
     aiModels: {
         textModel: 'gemini-2.5-flash',
@@ -49,19 +50,19 @@ const defaultSettings = {
     }
 };
 
-// @desc    Get AI settings for current user
+// @desc    Get AI settings of the current workspace
 // @route   GET /api/ai-settings
-// @access  Private
+// @access  Private (any workspace member)
 const getSettings = async (req, res, next) => {
     try {
-        let settings = await AISettings.findOne({ userId: req.user.id });
+        let settings = await AISettings.findOne({ workspaceId: req.workspace._id });
 
         // If no settings exist, return default
         if (!settings) {
             return res.status(200).json({
                 success: true,
                 data: {
-                    userId: req.user.id,
+                    workspaceId: req.workspace._id,
                     ...defaultSettings
                 }
             });
@@ -78,7 +79,7 @@ const getSettings = async (req, res, next) => {
 
 // @desc    Update AI settings (create if not exist)
 // @route   PUT /api/ai-settings
-// @access  Private
+// @access  Private (workspace owner)
 const updateSettings = async (req, res, next) => {
     try {
         const { logo, colors, language, tone, product, facebook, aiModels } = req.body;
@@ -93,8 +94,8 @@ const updateSettings = async (req, res, next) => {
         if (aiModels !== undefined) updateData.aiModels = sanitizeAiModelsPayload(aiModels);
 
         let settings = await AISettings.findOneAndUpdate(
-            { userId: req.user.id },
-            { $set: updateData },
+            { workspaceId: req.workspace._id },
+            { $set: updateData, $setOnInsert: { userId: req.user._id } },
             { new: true, upsert: true, runValidators: true }
         );
 
@@ -110,7 +111,7 @@ const updateSettings = async (req, res, next) => {
 
 // @desc    Update specific section of AI settings
 // @route   PATCH /api/ai-settings/:section
-// @access  Private
+// @access  Private (workspace owner)
 const updateSection = async (req, res, next) => {
     try {
         const { section } = req.params;
@@ -132,8 +133,8 @@ const updateSection = async (req, res, next) => {
         };
 
         let settings = await AISettings.findOneAndUpdate(
-            { userId: req.user.id },
-            { $set: updateData },
+            { workspaceId: req.workspace._id },
+            { $set: updateData, $setOnInsert: { userId: req.user._id } },
             { new: true, upsert: true, runValidators: true }
         );
 
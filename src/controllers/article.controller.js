@@ -1,17 +1,106 @@
+const mongoose = require('mongoose');
 const Article = require('../models/Article');
+const ArticleRevision = require('../models/ArticleRevision');
 const { deleteFileFromPath } = require('../utils/fileCleanup');
+const { MAX_VARIANTS } = require('../services/gemini/articleVariants.service');
+const { CHANNEL_KEYS, normalizeRepurposeChannels } = require('../services/gemini/articleRepurpose.service');
+const { buildSeoPackage } = require('../services/gemini/seoArticle.service');
+const {
+    recordRevision,
+    ensureBaselineRevision,
+    listRevisions,
+    getRevision,
+    getLatestRevision,
+    diffRevisions,
+    restoreRevision
+} = require('../services/article');
+const { enqueueJob, serializeJob } = require('../services/jobs');
+const { countWords } = require('../utils/wordCount');
+
+// Fields whose changes are kept in the revision history
+const REVISED_FIELDS = ['title', 'content', 'hashtags'];
+
+const MAX_INSTRUCTION_LENGTH = 1000;
 
 function escapeRegex(input = '') {
     return String(input).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
+function textOrEmpty(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Variant info of an A/B variant as returned by /api/ai/generate-article
+ * @param {Object} variant
+ * @returns {{angle: string, writingStyle: string, score: Object|null, rank: number|null}}
+ */
+function toVariantInfo(variant) {
+    const rank = parseInt(variant?.rank, 10);
+    return {
+        angle: textOrEmpty(variant?.angle),
+        writingStyle: textOrEmpty(variant?.writingStyle),
+        score: variant?.score && typeof variant.score === 'object' ? variant.score : null,
+        rank: Number.isFinite(rank) ? rank : null
+    };
+}
+
+/**
+ * Alternates to keep with a saved variant (the other variants of the generation)
+ * @param {Array} alternates
+ * @returns {Array}
+ */
+function toAlternates(alternates) {
+    if (!Array.isArray(alternates)) return [];
+
+    return alternates
+        .filter((alternate) => textOrEmpty(alternate?.title) && textOrEmpty(alternate?.content))
+        .slice(0, MAX_VARIANTS - 1)
+        .map((alternate) => ({
+            ...toVariantInfo(alternate),
+            title: alternate.title,
+            content: alternate.content,
+            hashtags: Array.isArray(alternate.hashtags) ? alternate.hashtags.filter((tag) => typeof tag === 'string') : []
+        }));
+}
+
+/**
+ * Find an article of the current workspace
+ * @param {Object} req
+ * @returns {Promise<Object|null>}
+ */
+async function findWorkspaceArticle(req) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+    return Article.findOne({ _id: req.params.id, workspaceId: req.workspace._id });
+}
+
+function sendArticleNotFound(res) {
+    return res.status(404).json({
+        success: false,
+        message: 'Không tìm thấy bài viết'
+    });
+}
+
+function sendRevisionNotFound(res) {
+    return res.status(404).json({
+        success: false,
+        message: 'Không tìm thấy phiên bản lịch sử'
+    });
+}
+
+function parseRevisionNumber(value) {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : null;
+}
+
 /**
- * Create a new article
+ * Create a new article.
+ * An A/B variant is saved with `variant` (the chosen one) and `alternates` (the others).
  * POST /api/articles
  */
 exports.createArticle = async (req, res) => {
     try {
-        const { title, content, topic, purpose, imageUrl, imageUrls, hashtags, status } = req.body;
+        const { title, content, topic, purpose, imageUrl, imageUrls, hashtags, status, variant, alternates } = req.body;
 
         const normalizedImageUrls = Array.isArray(imageUrls) && imageUrls.length > 0
             ? imageUrls.filter(Boolean)
@@ -21,6 +110,8 @@ exports.createArticle = async (req, res) => {
 
         const article = await Article.create({
             userId: req.user._id,
+            workspaceId: req.workspace._id,
+            brandProfileId: req.brandProfile?._id || null,
             title,
             content,
             topic,
@@ -28,9 +119,13 @@ exports.createArticle = async (req, res) => {
             imageUrl: imageUrl || normalizedImageUrls[0],
             imageUrls: normalizedImageUrls,
             hashtags: hashtags || [],
-            status: status || 'draft'
+            status: status || 'draft',
+            variant: variant ? toVariantInfo(variant) : null,
+            alternates: toAlternates(alternates)
         });
 
+        await recordRevision(article, { userId: req.user._id, source: 'manual' });
+
         res.status(201).json({
             success: true,
             message: 'Tạo bài viết thành công',
@@ -46,7 +141,7 @@ exports.createArticle = async (req, res) => {
 };
 
 /**
- * Get all articles for current user
+ * Get all articles of the current workspace
  * GET /api/articles
  */
 exports.getArticles = async (req, res) => {
@@ -55,8 +150,12 @@ exports.getArticles = async (req, res) => {
         const limit = parseInt(req.query.limit) || 10;
         const skip = (page - 1) * limit;
 
-        // Filter options
-        const filter = { userId: req.user._id };
+        // Filter options (channel rewrites are listed under their article unless asked for)
+        const filter = { workspaceId: req.workspace._id };
+
+        if (req.query.includeChildren !== 'true') {
+            filter.parentArticleId = null;
+        }
         
         if (req.query.topic) {
             filter.topic = req.query.topic;
@@ -79,6 +178,7 @@ exports.getArticles = async (req, res) => {
 
         const [articles, total] = await Promise.all([
             Article.find(filter)
+                .select('-alternates')
                 .sort({ createdAt: -1 })
                 .skip(skip)
                 .limit(limit)
@@ -115,7 +215,7 @@ exports.getArticle = async (req, res) => {
     try {
         const article = await Article.findOne({
             _id: req.params.id,
-            userId: req.user._id
+            workspaceId: req.workspace._id
         });
 
         if (!article) {
@@ -181,8 +281,15 @@ exports.updateArticle = async (req, res) => {
             updateData.imageUrl = imageUrl;
         }
 
+        // Articles from before the revision history keep their current text as revision 1
+        const textChanged = REVISED_FIELDS.some((field) => Object.prototype.hasOwnProperty.call(updateData, field));
+        if (textChanged) {
+            const existing = await Article.findOne({ _id: req.params.id, workspaceId: req.workspace._id });
+            if (existing) await ensureBaselineRevision(existing);
+        }
+
         const article = await Article.findOneAndUpdate(
-            { _id: req.params.id, userId: req.user._id },
+            { _id: req.params.id, workspaceId: req.workspace._id },
             updateData,
             { new: true, runValidators: true }
         );
@@ -194,6 +301,10 @@ exports.updateArticle = async (req, res) => {
             });
         }
 
+        if (textChanged) {
+            await recordRevision(article, { userId: req.user._id, source: 'manual' });
+        }
+
         res.json({
             success: true,
             message: 'Cập nhật bài viết thành công',
@@ -208,6 +319,445 @@ exports.updateArticle = async (req, res) => {
     }
 };
 
+/**
+ * Make an alternate the article's content, the current content becomes an alternate
+ * POST /api/articles/:id/alternates/:alternateId/select
+ */
+exports.selectAlternate = async (req, res) => {
+    try {
+        const article = await Article.findOne({
+            _id: req.params.id,
+            workspaceId: req.workspace._id
+        });
+
+        if (!article) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy bài viết'
+            });
+        }
+
+        const alternate = mongoose.Types.ObjectId.isValid(req.params.alternateId)
+            ? article.alternates.id(req.params.alternateId)
+            : null;
+
+        if (!alternate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy phiên bản'
+            });
+        }
+
+        if (article.status === 'processing' || article.status === 'published') {
+            return res.status(409).json({
+                success: false,
+                message: article.status === 'published'
+                    ? 'Bài viết đã đăng, không thể đổi phiên bản'
+                    : 'Bài viết đang được tạo, vui lòng thử lại sau'
+            });
+        }
+
+        await ensureBaselineRevision(article);
+
+        const current = {
+            ...toVariantInfo(article.variant),
+            title: article.title,
+            content: article.content,
+            hashtags: [...article.hashtags]
+        };
+
+        article.title = alternate.title;
+        article.content = alternate.content;
+        article.hashtags = [...alternate.hashtags];
+        article.variant = toVariantInfo(alternate);
+        article.alternates.pull(alternate._id);
+        article.alternates.push(current);
+        await article.save();
+
+        await recordRevision(article, { userId: req.user._id, source: 'manual' });
+
+        res.json({
+            success: true,
+            message: 'Đã chọn phiên bản bài viết',
+            data: article
+        });
+    } catch (error) {
+        console.error('Select article alternate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Không thể đổi phiên bản bài viết'
+        });
+    }
+};
+
+/**
+ * Rewrite an article with AI in place (runs in background job), the new text becomes a revision
+ * POST /api/articles/:id/regenerate
+ */
+exports.regenerateArticle = async (req, res) => {
+    let rewriteJobId = null;
+
+    try {
+        const article = await findWorkspaceArticle(req);
+        if (!article) return sendArticleNotFound(res);
+
+        if (article.status === 'processing' || article.status === 'published') {
+            return res.status(409).json({
+                success: false,
+                message: article.status === 'published'
+                    ? 'Bài viết đã đăng, không thể viết lại'
+                    : 'Bài viết đang được tạo, vui lòng thử lại sau'
+            });
+        }
+
+        const { regenerateInstruction, description, wordCount, writingStyle, storytellingDepth, useBrandSettings } = req.body;
+        const instruction = textOrEmpty(regenerateInstruction);
+
+        if (instruction.length > MAX_INSTRUCTION_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Yêu cầu chỉnh sửa không được vượt quá ${MAX_INSTRUCTION_LENGTH} ký tự`
+            });
+        }
+
+        // The text being replaced must stay restorable
+        await ensureBaselineRevision(article);
+
+        // The job only applies its result while it is still the article's rewrite
+        // (a later regenerate replaces it) and the text is unchanged
+        rewriteJobId = new mongoose.Types.ObjectId();
+        article.rewriteJobId = rewriteJobId;
+        await article.save();
+
+        const job = await enqueueJob({
+            jobId: rewriteJobId,
+            type: 'article',
+            userId: req.user._id,
+            workspaceId: req.workspace._id,
+            refModel: 'Article',
+            refId: article._id,
+            quotaReservation: req.quotaReservation,
+            payload: {
+                articleId: article._id,
+                regenerate: true,
+                topic: article.topic,
+                purpose: article.purpose,
+                description: textOrEmpty(description),
+                wordCount: parseInt(wordCount, 10) || countWords(article.content) || 250,
+                normalizedImageUrls: [],
+                useBrandSettings: !!(useBrandSettings || article.brandProfileId),
+                brandProfileId: article.brandProfileId || null,
+                writingStyle,
+                storytellingDepth,
+                baseTitle: article.title,
+                baseContent: article.content,
+                regenerateInstruction: instruction || null
+            }
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Đã tiếp nhận yêu cầu viết lại bài viết',
+            data: {
+                jobId: job._id,
+                job: serializeJob(job),
+                article
+            }
+        });
+    } catch (error) {
+        if (rewriteJobId) {
+            try {
+                await Article.updateOne({ _id: req.params.id, rewriteJobId }, { rewriteJobId: null });
+            } catch (updateError) {
+                console.error('Failed to clear article rewrite job:', updateError);
+            }
+        }
+
+        console.error('Regenerate article error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Không thể viết lại bài viết'
+        });
+    }
+};
+
+/**
+ * Rewrite an article for other channels (runs in background job), each channel is saved as a child article
+ * POST /api/articles/:id/repurpose
+ */
+exports.repurposeArticle = async (req, res) => {
+    try {
+        const article = await findWorkspaceArticle(req);
+        if (!article) return sendArticleNotFound(res);
+
+        if (article.parentArticleId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Hãy chuyển thể từ bài viết gốc, không phải từ một bản chuyển thể'
+            });
+        }
+
+        if (article.status === 'processing') {
+            return res.status(409).json({
+                success: false,
+                message: 'Bài viết đang được tạo, vui lòng thử lại sau'
+            });
+        }
+
+        const channels = normalizeRepurposeChannels(req.body.channels);
+        if (!channels) {
+            return res.status(400).json({
+                success: false,
+                message: `Kênh không hợp lệ. Các kênh hỗ trợ: ${CHANNEL_KEYS.join(', ')}`
+            });
+        }
+
+        const instruction = textOrEmpty(req.body.instruction);
+        if (instruction.length > MAX_INSTRUCTION_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Yêu cầu thêm không được vượt quá ${MAX_INSTRUCTION_LENGTH} ký tự`
+            });
+        }
+
+        const job = await enqueueJob({
+            type: 'article',
+            userId: req.user._id,
+            workspaceId: req.workspace._id,
+            refModel: 'Article',
+            refId: article._id,
+            quotaReservation: req.quotaReservation,
+            payload: {
+                operation: 'repurpose',
+                articleId: article._id,
+                channels,
+                instruction: instruction || null,
+                useBrandSettings: !!(req.body.useBrandSettings || article.brandProfileId),
+                brandProfileId: article.brandProfileId || null
+            }
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Đã tiếp nhận yêu cầu chuyển thể bài viết',
+            data: {
+                jobId: job._id,
+                job: serializeJob(job),
+                channels
+            }
+        });
+    } catch (error) {
+        console.error('Repurpose article error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Không thể chuyển thể bài viết'
+        });
+    }
+};
+
+/**
+ * Channel rewrites of an article
+ * GET /api/articles/:id/children
+ */
+exports.getArticleChildren = async (req, res) => {
+    try {
+        const article = await findWorkspaceArticle(req);
+        if (!article) return sendArticleNotFound(res);
+
+        const children = await Article.find({ parentArticleId: article._id, workspaceId: req.workspace._id })
+            .select('-alternates')
+            .lean();
+
+        children.sort((a, b) => CHANNEL_KEYS.indexOf(a.channel) - CHANNEL_KEYS.indexOf(b.channel));
+
+        res.json({
+            success: true,
+            data: children
+        });
+    } catch (error) {
+        console.error('Get article children error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Không thể lấy các bản chuyển thể của bài viết'
+        });
+    }
+};
+
+/**
+ * Publishable package of an SEO long-form article: Markdown, HTML, meta tags, slug,
+ * FAQ JSON-LD and keyword density report of its current text
+ * GET /api/articles/:id/seo
+ */
+exports.getArticleSeo = async (req, res) => {
+    try {
+        const article = await findWorkspaceArticle(req);
+        if (!article) return sendArticleNotFound(res);
+
+        if (!article.seo || article.status === 'processing') {
+            return res.status(404).json({
+                success: false,
+                message: 'Bài viết không phải bài SEO dài hoặc chưa tạo xong'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                title: article.title,
+                targetKeyword: article.seo.targetKeyword,
+                secondaryKeywords: article.seo.secondaryKeywords || [],
+                outline: article.seo.outline || null,
+                ...buildSeoPackage(article)
+            }
+        });
+    } catch (error) {
+        console.error('Get article SEO error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Không thể lấy thông tin SEO của bài viết'
+        });
+    }
+};
+
+/**
+ * Revision history of an article, newest first
+ * GET /api/articles/:id/revisions
+ */
+exports.getArticleRevisions = async (req, res) => {
+    try {
+        const article = await findWorkspaceArticle(req);
+        if (!article) return sendArticleNotFound(res);
+
+        const revisions = await listRevisions(article._id);
+
+        res.json({
+            success: true,
+            data: revisions
+        });
+    } catch (error) {
+        console.error('Get article revisions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Không thể lấy lịch sử bài viết'
+        });
+    }
+};
+
+/**
+ * One revision of an article
+ * GET /api/articles/:id/revisions/:number
+ */
+exports.getArticleRevision = async (req, res) => {
+    try {
+        const article = await findWorkspaceArticle(req);
+        if (!article) return sendArticleNotFound(res);
+
+        const number = parseRevisionNumber(req.params.number);
+        const revision = number && await getRevision(article._id, number);
+        if (!revision) return sendRevisionNotFound(res);
+
+        res.json({
+            success: true,
+            data: revision
+        });
+    } catch (error) {
+        console.error('Get article revision error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Không thể lấy phiên bản lịch sử'
+        });
+    }
+};
+
+/**
+ * Word-level diff between two revisions (to defaults to the latest)
+ * GET /api/articles/:id/revisions/diff?from=1&to=3
+ */
+exports.diffArticleRevisions = async (req, res) => {
+    try {
+        const article = await findWorkspaceArticle(req);
+        if (!article) return sendArticleNotFound(res);
+
+        const fromNumber = parseRevisionNumber(req.query.from);
+        const toNumber = req.query.to === undefined ? undefined : parseRevisionNumber(req.query.to);
+
+        if (!fromNumber || toNumber === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Số phiên bản không hợp lệ (from, to là số nguyên dương)'
+            });
+        }
+
+        const [from, to] = await Promise.all([
+            getRevision(article._id, fromNumber),
+            toNumber ? getRevision(article._id, toNumber) : getLatestRevision(article._id)
+        ]);
+        if (!from || !to) return sendRevisionNotFound(res);
+
+        const summarize = (revision) => ({
+            number: revision.number,
+            source: revision.source,
+            createdAt: revision.createdAt
+        });
+
+        res.json({
+            success: true,
+            data: {
+                from: summarize(from),
+                to: summarize(to),
+                ...diffRevisions(from, to)
+            }
+        });
+    } catch (error) {
+        console.error('Diff article revisions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Không thể so sánh phiên bản bài viết'
+        });
+    }
+};
+
+/**
+ * Put an older revision back as the article's text (recorded as a new revision)
+ * POST /api/articles/:id/revisions/:number/restore
+ */
+exports.restoreArticleRevision = async (req, res) => {
+    try {
+        const article = await findWorkspaceArticle(req);
+        if (!article) return sendArticleNotFound(res);
+
+        if (article.status === 'processing' || article.status === 'published') {
+            return res.status(409).json({
+                success: false,
+                message: article.status === 'published'
+                    ? 'Bài viết đã đăng, không thể khôi phục phiên bản'
+                    : 'Bài viết đang được tạo, vui lòng thử lại sau'
+            });
+        }
+
+        const number = parseRevisionNumber(req.params.number);
+        const revision = number && await getRevision(article._id, number);
+        if (!revision) return sendRevisionNotFound(res);
+
+        const restored = await restoreRevision(article, revision, req.user._id);
+
+        res.json({
+            success: true,
+            message: `Đã khôi phục phiên bản ${revision.number}`,
+            data: {
+                article: restored.article,
+                revision: restored.revision
+            }
+        });
+    } catch (error) {
+        console.error('Restore article revision error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Không thể khôi phục phiên bản bài viết'
+        });
+    }
+};
+
 /**
  * Delete article
  * DELETE /api/articles/:id
@@ -216,7 +766,7 @@ exports.deleteArticle = async (req, res) => {
     try {
         const article = await Article.findOneAndDelete({
             _id: req.params.id,
-            userId: req.user._id
+            workspaceId: req.workspace._id
         });
 
         if (!article) {
@@ -226,6 +776,12 @@ exports.deleteArticle = async (req, res) => {
             });
         }
 
+        // The history goes with the article, its channel rewrites stay as standalone articles
+        await Promise.all([
+            ArticleRevision.deleteMany({ articleId: article._id }),
+            Article.updateMany({ parentArticleId: article._id }, { parentArticleId: null })
+        ]);
+
         // Delete associated image file(s) from disk
         let filesNotFound = [];
         const imagePaths = Array.from(new Set([
@@ -1,4 +1,16 @@
 const { User } = require('../models');
+const {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    getRefreshTokenFromRequest,
+    buildTokenPayload,
+    clearRefreshCookie,
+    consumeUserToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail
+} = require('../services/auth');
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -14,8 +26,15 @@ const register = async (req, res, next) => {
             password
         });
 
+        // Registration succeeds even if the mail server is down, the user can ask for a new link
+        try {
+            await sendVerificationEmail(user);
+        } catch (mailError) {
+            console.error('Send verification email error:', mailError.message);
+        }
+
         // Create token and send response
-        sendTokenResponse(user, 201, res, 'Đăng ký thành công');
+        await sendTokenResponse(user, 201, req, res, 'Đăng ký thành công. Vui lòng kiểm tra email để xác thực tài khoản.');
     } catch (error) {
         next(error);
     }
@@ -65,17 +84,54 @@ const login = async (req, res, next) => {
         }
 
         // Create token and send response
-        sendTokenResponse(user, 200, res, 'Đăng nhập thành công');
+        await sendTokenResponse(user, 200, req, res, 'Đăng nhập thành công');
     } catch (error) {
         next(error);
     }
 };
 
-// @desc    Logout user (clear token client-side)
+// @desc    Get new access token from a refresh token (rotates the refresh token)
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token in body or httpOnly cookie)
+const refresh = async (req, res, next) => {
+    try {
+        const refreshToken = getRefreshTokenFromRequest(req);
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Thiếu refresh token'
+            });
+        }
+
+        const rotated = await rotateRefreshToken(refreshToken, req);
+
+        if (!rotated) {
+            clearRefreshCookie(res);
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token không hợp lệ hoặc đã hết hạn. Vui lòng đăng nhập lại.'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Làm mới phiên đăng nhập thành công',
+            data: buildTokenPayload(res, rotated)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Logout current device (revokes its session and tokens)
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = async (req, res, next) => {
     try {
+        await revokeSession(req.sessionId, 'logout');
+        clearRefreshCookie(res);
+
         res.status(200).json({
             success: true,
             message: 'Đăng xuất thành công',
@@ -86,6 +142,161 @@ const logout = async (req, res, next) => {
     }
 };
 
+// @desc    Logout all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = async (req, res, next) => {
+    try {
+        await revokeAllSessions(req.user._id, 'logout-all');
+        clearRefreshCookie(res);
+
+        res.status(200).json({
+            success: true,
+            message: 'Đã đăng xuất khỏi tất cả thiết bị',
+            data: {}
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Send password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res, next) => {
+    try {
+        const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Vui lòng nhập email'
+            });
+        }
+
+        const user = await User.findOne({ email });
+
+        if (user && user.isActive) {
+            // A mail failure is only logged: a different answer would reveal that the account exists
+            try {
+                await sendPasswordResetEmail(user);
+            } catch (mailError) {
+                console.error('Send password reset email error:', mailError.message);
+            }
+        }
+
+        // Same answer whether or not the email exists, so accounts cannot be enumerated
+        res.status(200).json({
+            success: true,
+            message: 'Nếu email tồn tại trong hệ thống, bạn sẽ nhận được liên kết đặt lại mật khẩu.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Reset password with the emailed token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+
+        if (typeof token !== 'string' || !token || typeof password !== 'string' || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Vui lòng cung cấp token và mật khẩu mới'
+            });
+        }
+
+        if (password.length < 6) {
+            return res.status(400).json({
+                success: false,
+                message: 'Mật khẩu mới phải có ít nhất 6 ký tự'
+            });
+        }
+
+        const userId = await consumeUserToken(token, 'password-reset');
+        const user = userId ? await User.findById(userId) : null;
+
+        if (!user || !user.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'Liên kết đặt lại mật khẩu không hợp lệ hoặc đã hết hạn'
+            });
+        }
+
+        user.password = password;
+        // The link was delivered to the inbox, so the address is proven
+        if (!user.isEmailVerified) {
+            user.isEmailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+        await user.save();
+
+        // Sign out every device that used the old password
+        await revokeAllSessions(user._id, 'password-reset');
+
+        res.status(200).json({
+            success: true,
+            message: 'Đặt lại mật khẩu thành công. Vui lòng đăng nhập lại.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Verify email address with the emailed token
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res, next) => {
+    try {
+        const userId = await consumeUserToken(req.body.token, 'email-verify');
+
+        const user = userId
+            ? await User.findByIdAndUpdate(userId, { isEmailVerified: true, emailVerifiedAt: new Date() }, { new: true })
+            : null;
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Liên kết xác thực không hợp lệ hoặc đã hết hạn'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Xác thực email thành công',
+            data: user
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = async (req, res, next) => {
+    try {
+        if (req.user.isEmailVerified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email đã được xác thực'
+            });
+        }
+
+        await sendVerificationEmail(req.user);
+
+        res.status(200).json({
+            success: true,
+            message: 'Đã gửi lại email xác thực'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
@@ -102,21 +313,23 @@ const getMe = async (req, res, next) => {
     }
 };
 
-// Helper function to get token from model and send response
-const sendTokenResponse = (user, statusCode, res, message) => {
-    const token = user.getSignedJwtToken();
+// Helper function to start a session and send access/refresh tokens
+const sendTokenResponse = async (user, statusCode, req, res, message) => {
+    const tokens = await createSession(user, req);
 
     res.status(statusCode).json({
         success: true,
         message,
         data: {
-            token,
+            ...buildTokenPayload(res, tokens),
             user: {
                 id: user._id,
                 name: user.name,
                 email: user.email,
                 avatar: user.avatar,
-                role: user.role
+                role: user.role,
+                plan: user.plan,
+                isEmailVerified: user.isEmailVerified
             }
         }
     });
@@ -125,6 +338,12 @@ const sendTokenResponse = (user, statusCode, res, message) => {
 module.exports = {
     register,
     login,
+    refresh,
     logout,
+    logoutAll,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
     getMe
 };
@@ -0,0 +1,249 @@
+/**
+ * Brand Profile Controller
+ * Named brand setups of a workspace: create, clone, archive and restore
+ */
+
+const mongoose = require('mongoose');
+const { BrandProfile } = require('../models');
+
+const CLONE_NAME_SUFFIX = ' (bản sao)';
+
+function normalizeName(name) {
+    return typeof name === 'string' ? name.trim() : '';
+}
+
+// Brand sections present in the request body
+function pickBrandSections(body) {
+    const data = {};
+    BrandProfile.BRAND_SECTIONS.forEach((section) => {
+        if (body[section] !== undefined) data[section] = body[section];
+    });
+    return data;
+}
+
+/**
+ * Find a profile of the current workspace (archived ones included)
+ * @param {Object} req
+ * @returns {Promise<Object|null>}
+ */
+async function findWorkspaceProfile(req) {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return BrandProfile.findOne({ _id: id, workspaceId: req.workspace._id });
+}
+
+function sendNotFound(res) {
+    return res.status(404).json({
+        success: false,
+        message: 'Không tìm thấy hồ sơ thương hiệu'
+    });
+}
+
+function sendValidationError(res, error) {
+    return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((e) => e.message).join(', ')
+    });
+}
+
+/**
+ * List brand profiles of the workspace
+ * GET /api/brand-profiles?includeArchived=true
+ */
+exports.getBrandProfiles = async (req, res) => {
+    try {
+        const query = { workspaceId: req.workspace._id };
+
+        if (req.query.includeArchived !== 'true') {
+            query.archivedAt = null;
+        }
+
+        const profiles = await BrandProfile.find(query).sort({ name: 1 });
+
+        res.status(200).json({
+            success: true,
+            data: profiles
+        });
+    } catch (error) {
+        console.error('Get brand profiles error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy danh sách hồ sơ thương hiệu'
+        });
+    }
+};
+
+/**
+ * Get a brand profile
+ * GET /api/brand-profiles/:id
+ */
+exports.getBrandProfile = async (req, res) => {
+    try {
+        const profile = await findWorkspaceProfile(req);
+        if (!profile) return sendNotFound(res);
+
+        res.status(200).json({
+            success: true,
+            data: profile
+        });
+    } catch (error) {
+        console.error('Get brand profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy hồ sơ thương hiệu'
+        });
+    }
+};
+
+/**
+ * Create a brand profile
+ * POST /api/brand-profiles
+ */
+exports.createBrandProfile = async (req, res) => {
+    try {
+        const profile = await BrandProfile.create({
+            ...pickBrandSections(req.body),
+            name: normalizeName(req.body.name),
+            workspaceId: req.workspace._id,
+            userId: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Tạo hồ sơ thương hiệu thành công',
+            data: profile
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') return sendValidationError(res, error);
+
+        console.error('Create brand profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi tạo hồ sơ thương hiệu'
+        });
+    }
+};
+
+/**
+ * Update name and/or brand sections of a profile
+ * PUT /api/brand-profiles/:id
+ */
+exports.updateBrandProfile = async (req, res) => {
+    try {
+        const profile = await findWorkspaceProfile(req);
+        if (!profile) return sendNotFound(res);
+
+        if (req.body.name !== undefined) {
+            profile.name = normalizeName(req.body.name);
+        }
+        profile.set(pickBrandSections(req.body));
+        await profile.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Cập nhật hồ sơ thương hiệu thành công',
+            data: profile
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') return sendValidationError(res, error);
+
+        console.error('Update brand profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi cập nhật hồ sơ thương hiệu'
+        });
+    }
+};
+
+/**
+ * Copy a profile (e.g. to start a new client from an existing one)
+ * POST /api/brand-profiles/:id/clone
+ */
+exports.cloneBrandProfile = async (req, res) => {
+    try {
+        const source = await findWorkspaceProfile(req);
+        if (!source) return sendNotFound(res);
+
+        const name = normalizeName(req.body.name)
+            || `${source.name}${CLONE_NAME_SUFFIX}`.slice(0, 100);
+
+        const sections = {};
+        BrandProfile.BRAND_SECTIONS.forEach((section) => {
+            sections[section] = source.toObject()[section];
+        });
+
+        const profile = await BrandProfile.create({
+            ...sections,
+            name,
+            workspaceId: req.workspace._id,
+            userId: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Nhân bản hồ sơ thương hiệu thành công',
+            data: profile
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') return sendValidationError(res, error);
+
+        console.error('Clone brand profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi nhân bản hồ sơ thương hiệu'
+        });
+    }
+};
+
+/**
+ * Archive or restore a profile
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Date|null} archivedAt
+ * @param {string} successMessage
+ */
+async function setArchived(req, res, archivedAt, successMessage) {
+    const profile = await findWorkspaceProfile(req);
+    if (!profile) return sendNotFound(res);
+
+    profile.archivedAt = archivedAt;
+    await profile.save();
+
+    res.status(200).json({
+        success: true,
+        message: successMessage,
+        data: profile
+    });
+}
+
+/**
+ * Archive a profile (hidden and no longer selectable for generations)
+ * POST /api/brand-profiles/:id/archive
+ */
+exports.archiveBrandProfile = async (req, res) => {
+    try {
+        await setArchived(req, res, new Date(), 'Đã lưu trữ hồ sơ thương hiệu');
+    } catch (error) {
+        console.error('Archive brand profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lưu trữ hồ sơ thương hiệu'
+        });
+    }
+};
+
+/**
+ * Restore an archived profile
+ * POST /api/brand-profiles/:id/restore
+ */
+exports.restoreBrandProfile = async (req, res) => {
+    try {
+        await setArchived(req, res, null, 'Đã khôi phục hồ sơ thương hiệu');
+    } catch (error) {
+        console.error('Restore brand profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi khôi phục hồ sơ thương hiệu'
+        });
+    }
+};
@@ -0,0 +1,43 @@
+/**
+ * Calendar Feed Controller
+ * Serves the ICS subscription feed of a marketing plan to calendar clients
+ */
+
+const { findPlanByFeedToken, buildCalendarFeed } = require('../services/calendar');
+
+/**
+ * Current posts of the plan as an iCalendar feed (no JWT: the token in the URL is the credential)
+ * GET /api/calendar-feeds/:token.ics
+ * Answers 304 when If-None-Match / If-Modified-Since still match
+ */
+exports.getCalendarFeed = async (req, res) => {
+    try {
+        const plan = await findPlanByFeedToken(req.params.token);
+
+        if (!plan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy lịch hoặc đường dẫn đã bị thu hồi'
+            });
+        }
+
+        const { body, etag, lastModified } = buildCalendarFeed(plan);
+
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Cache-Control', 'private, no-cache');
+        res.setHeader('ETag', etag);
+        res.setHeader('Last-Modified', new Date(lastModified).toUTCString());
+
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+
+        res.send(body);
+    } catch (error) {
+        console.error('Get calendar feed error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi tải lịch'
+        });
+    }
+};
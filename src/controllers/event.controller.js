@@ -0,0 +1,76 @@
+/**
+ * Event Controller
+ * Streams per-user job progress over Server-Sent Events
+ */
+
+const { Job } = require('../models');
+const { subscribeUserEvents } = require('../services/events');
+const { serializeJob } = require('../services/jobs');
+
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.SSE_HEARTBEAT_MS, 10) || 25000;
+
+function writeEvent(res, { id, type, data }) {
+    if (id !== undefined) {
+        res.write(`id: ${id}\n`);
+    }
+    res.write(`event: ${type}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Open an SSE stream for current user
+ * GET /api/events?jobId=&token=
+ *
+ * Events: connected, job.snapshot, job.queued, job.started, job.progress,
+ * job.retrying, job.completed, job.failed
+ */
+exports.streamEvents = async (req, res) => {
+    const userId = String(req.user._id);
+    const jobId = typeof req.query.jobId === 'string' ? req.query.jobId : '';
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Disable proxy buffering (nginx)
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    res.write('retry: 3000\n\n');
+    writeEvent(res, { type: 'connected', data: { userId, jobId: jobId || null } });
+
+    const unsubscribe = subscribeUserEvents(userId, (event) => {
+        if (jobId && String(event.data?.jobId) !== jobId) return;
+        writeEvent(res, event);
+    });
+
+    const heartbeat = setInterval(() => {
+        res.write(': ping\n\n');
+    }, HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+
+    // Let (re)connecting clients catch up with jobs still in progress
+    try {
+        const query = { userId: req.user._id, status: { $in: ['queued', 'running'] } };
+        if (jobId) {
+            query._id = jobId;
+        }
+
+        const activeJobs = await Job.find(query).sort({ createdAt: -1 }).limit(50);
+        writeEvent(res, {
+            type: 'job.snapshot',
+            data: { jobs: activeJobs.map(serializeJob) }
+        });
+    } catch (error) {
+        console.error('Stream events snapshot error:', error);
+        writeEvent(res, {
+            type: 'error',
+            data: { message: 'Không thể tải danh sách tác vụ đang chạy' }
+        });
+    }
+};
@@ -0,0 +1,84 @@
+/**
+ * Job Controller
+ * Status polling for background AI generations
+ */
+
+const { Job } = require('../models');
+const { serializeJob } = require('../services/jobs');
+
+/**
+ * Get jobs for current user
+ * GET /api/jobs
+ */
+exports.getJobs = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status = '', type = '' } = req.query;
+        const skip = (page - 1) * limit;
+
+        const query = { userId: req.user._id };
+
+        if (status) {
+            query.status = status;
+        }
+
+        if (type) {
+            query.type = type;
+        }
+
+        const [jobs, total] = await Promise.all([
+            Job.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            Job.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: jobs.map(serializeJob),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Get jobs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy danh sách tác vụ'
+        });
+    }
+};
+
+/**
+ * Get job status by ID
+ * GET /api/jobs/:id
+ */
+exports.getJobById = async (req, res) => {
+    try {
+        const job = await Job.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy tác vụ'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: serializeJob(job)
+        });
+    } catch (error) {
+        console.error('Get job error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy trạng thái tác vụ'
+        });
+    }
+};
@@ -0,0 +1,189 @@
+/**
+ * Marketing Event Controller
+ * Custom events of a workspace and the seasonal calendar the marketing planner uses
+ */
+
+const mongoose = require('mongoose');
+const { MarketingEvent } = require('../models');
+const { isDateKey, resolveCampaignEvents } = require('../services/calendar');
+
+// Longest window the calendar endpoint expands
+const MAX_CALENDAR_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EDITABLE_FIELDS = ['name', 'description', 'calendar', 'month', 'day', 'year', 'durationDays', 'leadDays', 'isActive'];
+
+function pickEventFields(body) {
+    const data = {};
+    EDITABLE_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) data[field] = body[field];
+    });
+    return data;
+}
+
+/**
+ * Find a custom event of the current workspace
+ * @param {Object} req
+ * @returns {Promise<Object|null>}
+ */
+async function findWorkspaceEvent(req) {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return MarketingEvent.findOne({ _id: id, workspaceId: req.workspace._id });
+}
+
+function sendNotFound(res) {
+    return res.status(404).json({
+        success: false,
+        message: 'Không tìm thấy sự kiện'
+    });
+}
+
+function sendValidationError(res, error) {
+    return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map((e) => e.message).join(', ')
+    });
+}
+
+/**
+ * List custom events of the workspace
+ * GET /api/marketing-events
+ */
+exports.getMarketingEvents = async (req, res) => {
+    try {
+        const events = await MarketingEvent.find({ workspaceId: req.workspace._id })
+            .sort({ month: 1, day: 1, name: 1 });
+
+        res.status(200).json({
+            success: true,
+            data: events
+        });
+    } catch (error) {
+        console.error('Get marketing events error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy danh sách sự kiện'
+        });
+    }
+};
+
+/**
+ * Holidays and active custom events between two dates, as the planner sees them
+ * GET /api/marketing-events/calendar?from=YYYY-MM-DD&to=YYYY-MM-DD&includeHolidays=false
+ */
+exports.getEventCalendar = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+
+        if (!isDateKey(from) || !isDateKey(to) || from > to) {
+            return res.status(400).json({
+                success: false,
+                message: 'Khoảng ngày không hợp lệ (from, to dạng YYYY-MM-DD)'
+            });
+        }
+
+        if ((Date.parse(to) - Date.parse(from)) / DAY_MS + 1 > MAX_CALENDAR_DAYS) {
+            return res.status(400).json({
+                success: false,
+                message: `Chỉ xem được tối đa ${MAX_CALENDAR_DAYS} ngày`
+            });
+        }
+
+        const { version, events } = await resolveCampaignEvents(req.workspace._id, from, to, {
+            includeHolidays: req.query.includeHolidays !== 'false'
+        });
+
+        res.status(200).json({
+            success: true,
+            data: { version, from, to, events }
+        });
+    } catch (error) {
+        console.error('Get event calendar error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy lịch sự kiện'
+        });
+    }
+};
+
+/**
+ * Create a custom event
+ * POST /api/marketing-events
+ */
+exports.createMarketingEvent = async (req, res) => {
+    try {
+        const event = await MarketingEvent.create({
+            ...pickEventFields(req.body),
+            workspaceId: req.workspace._id,
+            userId: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Tạo sự kiện thành công',
+            data: event
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') return sendValidationError(res, error);
+
+        console.error('Create marketing event error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi tạo sự kiện'
+        });
+    }
+};
+
+/**
+ * Update a custom event
+ * PUT /api/marketing-events/:id
+ */
+exports.updateMarketingEvent = async (req, res) => {
+    try {
+        const event = await findWorkspaceEvent(req);
+        if (!event) return sendNotFound(res);
+
+        event.set(pickEventFields(req.body));
+        await event.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Cập nhật sự kiện thành công',
+            data: event
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') return sendValidationError(res, error);
+
+        console.error('Update marketing event error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi cập nhật sự kiện'
+        });
+    }
+};
+
+/**
+ * Delete a custom event (plans already generated keep their copy of it)
+ * DELETE /api/marketing-events/:id
+ */
+exports.deleteMarketingEvent = async (req, res) => {
+    try {
+        const event = await findWorkspaceEvent(req);
+        if (!event) return sendNotFound(res);
+
+        await event.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: 'Xóa sự kiện thành công'
+        });
+    } catch (error) {
+        console.error('Delete marketing event error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi xóa sự kiện'
+        });
+    }
+};
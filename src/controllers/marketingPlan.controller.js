@@ -5,8 +5,66 @@
 
 const geminiService = require('../services/gemini');
 const { getModelForTask } = require('../services/gemini/modelConfig.service');
-const { MarketingPlan, AISettings } = require('../models');
+const { MarketingPlan } = require('../models');
 const { logPromptDebug } = require('../utils/promptDebug');
+const { DEFAULT_TIMEZONE, isValidTimezone, toDateKey } = require('../utils/timezone');
+const { enqueueJob, serializeJob } = require('../services/jobs');
+const { refundQuota } = require('../services/quota');
+const { reserveRequestQuota } = require('../middlewares/quota.middleware');
+const {
+    buildPlanIcs,
+    buildPlanCsv,
+    createCalendarFeed,
+    revokeCalendarFeed,
+    resolveCampaignEvents
+} = require('../services/calendar');
+const { exportMarketingPlanToExcel } = require('../services/excel');
+const {
+    MAX_BULK_POSTS,
+    hasLinkedArticle,
+    hasProcessingArticle,
+    selectPostsForArticles,
+    queuePostArticle,
+    normalizePostInput,
+    isPostLocked,
+    addPlanPost,
+    updatePlanPost,
+    deletePlanPost,
+    selectPostsForSlice
+} = require('../services/marketingPlan');
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MAX_INSTRUCTION_LENGTH = 1000;
+
+// ?format= of the plan export -> file extension, content type and builder
+const EXPORT_FORMATS = {
+    ics: { contentType: 'text/calendar; charset=utf-8', build: buildPlanIcs },
+    csv: { contentType: 'text/csv; charset=utf-8', build: buildPlanCsv },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', build: exportMarketingPlanToExcel }
+};
+
+function isValidDate(value) {
+    return !!value && !Number.isNaN(new Date(value).getTime());
+}
+
+/**
+ * Holidays and custom events around a campaign window, none when a date is missing or invalid
+ * @param {Object} req
+ * @param {string} startDate
+ * @param {string} endDate
+ * @param {boolean} useHolidayCalendar - false leaves out the built-in calendar (custom events stay)
+ * @returns {Promise<{version: string|null, events: Array}>}
+ */
+async function resolveWindowEvents(req, startDate, endDate, useHolidayCalendar) {
+    if (!isValidDate(startDate) || !isValidDate(endDate)) {
+        return { version: null, events: [] };
+    }
+
+    return resolveCampaignEvents(req.workspace._id, toDateKey(startDate), toDateKey(endDate), {
+        includeHolidays: useHolidayCalendar !== false
+    });
+}
 
 function hasMeaningfulValue(value) {
     if (typeof value === 'string') {
@@ -45,11 +103,12 @@ function normalizeStrategySuggestionInput(strategySuggestion) {
 }
 
 /**
- * Generate marketing plan with AI
+ * Generate marketing plan with AI (runs in background job)
  * POST /api/marketing-plan/generate
  */
 exports.generateMarketingPlan = async (req, res) => {
     let processingPlan = null;
+
     try {
         const {
             campaignName,
@@ -67,7 +126,11 @@ exports.generateMarketingPlan = async (req, res) => {
             customerJourneyStage,
             targetSegment,
             strategySuggestion,
-            useBrandSettings
+            useBrandSettings,
+            useHolidayCalendar,
+            autoPublish,
+            timezone,
+            pageId
         } = req.body;
 
         logPromptDebug({
@@ -89,7 +152,8 @@ exports.generateMarketingPlan = async (req, res) => {
                 customerJourneyStage,
                 targetSegment,
                 strategySuggestion,
-                useBrandSettings
+                useBrandSettings,
+                useHolidayCalendar
             }
         });
 
@@ -108,6 +172,13 @@ exports.generateMarketingPlan = async (req, res) => {
             });
         }
 
+        if (!isValidDate(startDate) || !isValidDate(endDate)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ngày bắt đầu hoặc kết thúc không hợp lệ'
+            });
+        }
+
         if (!topics || topics.length === 0) {
             return res.status(400).json({
                 success: false,
@@ -122,32 +193,13 @@ exports.generateMarketingPlan = async (req, res) => {
             });
         }
 
-        // Fetch brand context if enabled
-        let brandContext = null;
-        if (useBrandSettings) {
-            const aiSettings = await AISettings.findOne({ userId: req.user._id });
-            if (aiSettings) {
-                try {
-                    brandContext = await geminiService.buildRichBrandContext(aiSettings);
-                } catch (error) {
-                    brandContext = geminiService.buildBrandContext(aiSettings);
-                }
-            }
+        if (timezone && !isValidTimezone(timezone)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Múi giờ không hợp lệ'
+            });
         }
 
-        logPromptDebug({
-            tool: 'marketing',
-            step: 'brand-context',
-            data: {
-                enabled: !!useBrandSettings,
-                available: !!brandContext,
-                preview: brandContext
-            }
-        });
-
-        // Get user's selected model for text generation
-        const textModel = await getModelForTask('text', req.user._id);
-
         // Prepare input for AI
         const normalizedStrategySuggestion = normalizeStrategySuggestionInput(strategySuggestion);
 
@@ -169,9 +221,19 @@ exports.generateMarketingPlan = async (req, res) => {
             strategySuggestion: normalizedStrategySuggestion
         };
 
-        // Create placeholder before AI generation
-        processingPlan = await MarketingPlan.create({
+        const { version: holidayCalendarVersion, events: seasonalEvents } = await resolveWindowEvents(
+            req, startDate, endDate, useHolidayCalendar
+        );
+        input.seasonalEvents = seasonalEvents;
+
+        // Choosing a brand profile enables brand settings
+        const brandProfileId = req.brandProfile?._id || null;
+
+        // Create placeholder, the worker fills in the posts
+        const plan = await MarketingPlan.create({
             userId: req.user._id,
+            workspaceId: req.workspace._id,
+            brandProfileId,
             campaignName,
             startDate: new Date(startDate),
             endDate: new Date(endDate),
@@ -187,44 +249,47 @@ exports.generateMarketingPlan = async (req, res) => {
             customerJourneyStage: input.customerJourneyStage,
             targetSegment: input.targetSegment,
             strategySuggestion: input.strategySuggestion,
-            useBrandSettings: !!useBrandSettings,
+            useBrandSettings: !!(useBrandSettings || brandProfileId),
+            autoPublish: autoPublish === true,
+            timezone: timezone || DEFAULT_TIMEZONE,
+            pageId: typeof pageId === 'string' ? pageId.trim() : '',
+            seasonalEvents,
+            holidayCalendarVersion,
             posts: [],
             totalPosts: 0,
             status: 'processing'
         });
+        processingPlan = plan;
 
-        // Generate plan with AI
-        const posts = await geminiService.generateMarketingPlan(input, brandContext, textModel);
-
-        logPromptDebug({
-            tool: 'marketing',
-            step: 'ai-response',
-            data: {
-                modelName: textModel,
-                totalPosts: posts?.length || 0
+        const job = await enqueueJob({
+            type: 'marketing',
+            userId: req.user._id,
+            workspaceId: req.workspace._id,
+            refModel: 'MarketingPlan',
+            refId: plan._id,
+            quotaReservation: req.quotaReservation,
+            payload: {
+                planId: plan._id,
+                input,
+                useBrandSettings: !!(useBrandSettings || brandProfileId),
+                brandProfileId
             }
         });
 
-        // Update placeholder with generated output
-        const plan = await MarketingPlan.findByIdAndUpdate(processingPlan._id, {
-            posts,
-            totalPosts: posts.length,
-            status: 'active'
-        }, {
-            new: true,
-            runValidators: true
-        });
-
-        res.status(201).json({
+        res.status(202).json({
             success: true,
-            message: 'Tạo kế hoạch marketing thành công',
+            message: 'Đã tiếp nhận yêu cầu tạo kế hoạch marketing',
             data: {
+                jobId: job._id,
+                job: serializeJob(job),
                 id: plan._id,
                 campaignName: plan.campaignName,
                 startDate: plan.startDate,
                 endDate: plan.endDate,
                 posts: plan.posts,
                 totalPosts: plan.totalPosts,
+                seasonalEvents: plan.seasonalEvents,
+                status: plan.status,
                 createdAt: plan.createdAt
             }
         });
@@ -256,14 +321,14 @@ exports.generateMarketingPlan = async (req, res) => {
 };
 
 /**
- * Get all marketing plans for current user
+ * Get all marketing plans of the current workspace
  * GET /api/marketing-plan
  */
 exports.getAllPlans = async (req, res) => {
     try {
         const { page = 1, limit = 10, status } = req.query;
         
-        const query = { userId: req.user._id };
+        const query = { workspaceId: req.workspace._id };
         if (status) {
             query.status = status;
         }
@@ -272,7 +337,7 @@ exports.getAllPlans = async (req, res) => {
             .sort({ createdAt: -1 })
             .skip((page - 1) * limit)
             .limit(parseInt(limit))
-            .select('-posts'); // Exclude posts for list view
+            .select('-posts -validationReport -seasonalEvents'); // Exclude posts for list view
 
         const total = await MarketingPlan.countDocuments(query);
 
@@ -307,7 +372,7 @@ exports.getPlanById = async (req, res) => {
 
         const plan = await MarketingPlan.findOne({
             _id: id,
-            userId: req.user._id
+            workspaceId: req.workspace._id
         });
 
         if (!plan) {
@@ -340,7 +405,7 @@ exports.deletePlan = async (req, res) => {
 
         const plan = await MarketingPlan.findOneAndDelete({
             _id: id,
-            userId: req.user._id
+            workspaceId: req.workspace._id
         });
 
         if (!plan) {
@@ -380,7 +445,7 @@ exports.updatePlanStatus = async (req, res) => {
         }
 
         const plan = await MarketingPlan.findOneAndUpdate(
-            { _id: id, userId: req.user._id },
+            { _id: id, workspaceId: req.workspace._id },
             { status },
             { new: true }
         );
@@ -406,6 +471,596 @@ exports.updatePlanStatus = async (req, res) => {
     }
 };
 
+/**
+ * Turn auto-publishing of scheduled posts on/off
+ * PATCH /api/marketing-plan/:id/auto-publish
+ * Body: { enabled, timezone?, pageId? }
+ */
+exports.updateAutoPublish = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { enabled, timezone, pageId } = req.body;
+
+        if (typeof enabled !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'enabled phải là true hoặc false'
+            });
+        }
+
+        if (timezone !== undefined && !isValidTimezone(timezone)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Múi giờ không hợp lệ'
+            });
+        }
+
+        const update = { autoPublish: enabled };
+        if (timezone !== undefined) update.timezone = timezone;
+        if (typeof pageId === 'string') update.pageId = pageId.trim();
+
+        const plan = await MarketingPlan.findOneAndUpdate(
+            { _id: id, workspaceId: req.workspace._id },
+            update,
+            { new: true }
+        );
+
+        if (!plan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy kế hoạch marketing'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: enabled ? 'Đã bật đăng bài tự động' : 'Đã tắt đăng bài tự động',
+            data: plan
+        });
+    } catch (error) {
+        console.error('Update auto publish error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi cập nhật đăng bài tự động'
+        });
+    }
+};
+
+/**
+ * Load a plan of the current workspace whose posts are ready (not still generating or failed)
+ * @param {string} notReadyMessage - Error shown while the plan has no posts yet
+ * @returns {Promise<Object|null>} Plan, or null after sending the error response
+ */
+async function findPlanWithPosts(req, res, notReadyMessage) {
+    const plan = await MarketingPlan.findOne({
+        _id: req.params.id,
+        workspaceId: req.workspace._id
+    });
+
+    if (!plan) {
+        res.status(404).json({
+            success: false,
+            message: 'Không tìm thấy kế hoạch marketing'
+        });
+        return null;
+    }
+
+    if (plan.status === 'processing' || plan.status === 'failed') {
+        res.status(409).json({
+            success: false,
+            message: notReadyMessage
+        });
+        return null;
+    }
+
+    return plan;
+}
+
+/**
+ * Add a manual post to a plan
+ * POST /api/marketing-plan/:id/posts
+ * Body: { date, time, topic, channel, contentIdea?, purpose?, postType?, suggestedHashtags?, status? }
+ */
+exports.addPlanPost = async (req, res) => {
+    try {
+        const plan = await findPlanWithPosts(req, res, 'Kế hoạch đang được tạo, chưa thể chỉnh sửa lịch đăng');
+        if (!plan) return;
+
+        const { fields, error } = normalizePostInput(plan, req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const { plan: updatedPlan, postId } = await addPlanPost(plan, fields);
+
+        res.status(201).json({
+            success: true,
+            message: 'Đã thêm bài đăng vào kế hoạch',
+            data: {
+                postId,
+                plan: updatedPlan
+            }
+        });
+    } catch (error) {
+        console.error('Add plan post error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi thêm bài đăng'
+        });
+    }
+};
+
+/**
+ * Edit a post of a plan; changing its date moves it to another day
+ * PATCH /api/marketing-plan/:id/posts/:postId
+ * Body: any of { date, time, topic, channel, contentIdea, purpose, postType, suggestedHashtags, status }
+ */
+exports.updatePlanPost = async (req, res) => {
+    try {
+        const plan = await findPlanWithPosts(req, res, 'Kế hoạch đang được tạo, chưa thể chỉnh sửa lịch đăng');
+        if (!plan) return;
+
+        const post = plan.posts.id(req.params.postId);
+        if (!post) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy bài đăng trong kế hoạch'
+            });
+        }
+
+        const { fields, error } = normalizePostInput(plan, req.body, { partial: true });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const updatedPlan = isPostLocked(post) ? null : await updatePlanPost(plan, post._id, fields);
+        if (!updatedPlan) {
+            return res.status(409).json({
+                success: false,
+                message: 'Bài đăng đã được đăng hoặc đang được đăng tự động, không thể chỉnh sửa'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Cập nhật bài đăng thành công',
+            data: updatedPlan
+        });
+    } catch (error) {
+        console.error('Update plan post error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi cập nhật bài đăng'
+        });
+    }
+};
+
+/**
+ * Remove a post from a plan
+ * DELETE /api/marketing-plan/:id/posts/:postId
+ */
+exports.deletePlanPost = async (req, res) => {
+    try {
+        const plan = await findPlanWithPosts(req, res, 'Kế hoạch đang được tạo, chưa thể chỉnh sửa lịch đăng');
+        if (!plan) return;
+
+        const post = plan.posts.id(req.params.postId);
+        if (!post) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy bài đăng trong kế hoạch'
+            });
+        }
+
+        const updatedPlan = await deletePlanPost(plan, post._id);
+        if (!updatedPlan) {
+            return res.status(409).json({
+                success: false,
+                message: 'Bài đăng đang được đăng tự động, không thể xóa'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Đã xóa bài đăng khỏi kế hoạch',
+            data: updatedPlan
+        });
+    } catch (error) {
+        console.error('Delete plan post error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi xóa bài đăng'
+        });
+    }
+};
+
+/**
+ * Regenerate some posts of a plan and keep the rest (runs in background job)
+ * POST /api/marketing-plan/:id/regenerate-posts
+ * Body: { postIds } or { from, to } as YYYY-MM-DD (inclusive), instruction
+ */
+exports.regeneratePlanPosts = async (req, res) => {
+    try {
+        const { postIds, from, to, instruction = '' } = req.body;
+
+        if (postIds !== undefined && (!Array.isArray(postIds) || postIds.length === 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'postIds phải là danh sách bài đăng'
+            });
+        }
+
+        if (!postIds && !from && !to) {
+            return res.status(400).json({
+                success: false,
+                message: 'Vui lòng chọn bài đăng hoặc khoảng ngày cần làm lại'
+            });
+        }
+
+        for (const value of [from, to]) {
+            if (value !== undefined && !DATE_KEY_PATTERN.test(String(value))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ngày không hợp lệ (dùng định dạng YYYY-MM-DD)'
+                });
+            }
+        }
+
+        if (typeof instruction !== 'string' || instruction.length > MAX_INSTRUCTION_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Yêu cầu chỉnh sửa tối đa ${MAX_INSTRUCTION_LENGTH} ký tự`
+            });
+        }
+
+        const plan = await findPlanWithPosts(req, res, 'Kế hoạch chưa có lịch đăng để làm lại');
+        if (!plan) return;
+
+        const { posts, missing, locked } = selectPostsForSlice(plan, { postIds, from, to });
+
+        if (missing.length > 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy bài đăng trong kế hoạch',
+                data: { postIds: missing }
+            });
+        }
+
+        if (locked.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Không thể làm lại bài đăng đã được đăng hoặc đang được đăng tự động',
+                data: { postIds: locked }
+            });
+        }
+
+        if (posts.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Không có bài đăng nào để làm lại trong khoảng ngày đã chọn'
+            });
+        }
+
+        if (posts.length > MAX_BULK_POSTS) {
+            return res.status(400).json({
+                success: false,
+                message: `Mỗi lần chỉ làm lại tối đa ${MAX_BULK_POSTS} bài đăng. Vui lòng chọn khoảng ngày ngắn hơn.`
+            });
+        }
+
+        const job = await enqueueJob({
+            type: 'marketing',
+            userId: req.user._id,
+            workspaceId: req.workspace._id,
+            refModel: 'MarketingPlan',
+            refId: plan._id,
+            quotaReservation: req.quotaReservation,
+            payload: {
+                planId: plan._id,
+                operation: 'regenerateSlice',
+                postIds: posts.map((post) => post._id),
+                instruction: instruction.trim(),
+                useBrandSettings: plan.useBrandSettings,
+                brandProfileId: plan.brandProfileId || null
+            }
+        });
+
+        res.status(202).json({
+            success: true,
+            message: `Đã tiếp nhận yêu cầu làm lại ${posts.length} bài đăng`,
+            data: {
+                jobId: job._id,
+                job: serializeJob(job),
+                postIds: posts.map((post) => post._id)
+            }
+        });
+    } catch (error) {
+        console.error('Regenerate plan posts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi làm lại bài đăng của kế hoạch'
+        });
+    }
+};
+
+/**
+ * Generate the article of one plan post (runs in background job)
+ * POST /api/marketing-plan/:id/posts/:postId/generate-article
+ * Body: { regenerate } - replace the article already linked to the post
+ */
+exports.generatePostArticle = async (req, res) => {
+    try {
+        const plan = await findPlanWithPosts(req, res, 'Kế hoạch chưa có lịch đăng để tạo bài viết');
+        if (!plan) return;
+
+        const post = plan.posts.id(req.params.postId);
+        if (!post) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy bài đăng trong kế hoạch'
+            });
+        }
+
+        if (post.status === 'published') {
+            return res.status(409).json({
+                success: false,
+                message: 'Bài đăng đã được đăng'
+            });
+        }
+
+        if (await hasProcessingArticle(post)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Bài viết của bài đăng đang được tạo, vui lòng thử lại sau',
+                data: { articleId: post.articleId }
+            });
+        }
+
+        if (req.body.regenerate !== true && await hasLinkedArticle(post)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Bài đăng đã có bài viết. Gửi regenerate: true để tạo lại.',
+                data: { articleId: post.articleId }
+            });
+        }
+
+        const { article, job } = await queuePostArticle({
+            plan,
+            post,
+            userId: req.user._id,
+            quotaReservation: req.quotaReservation
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Đã tiếp nhận yêu cầu tạo bài viết',
+            data: {
+                jobId: job._id,
+                job: serializeJob(job),
+                postId: post._id,
+                article
+            }
+        });
+    } catch (error) {
+        console.error('Generate post article error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi tạo bài viết cho bài đăng'
+        });
+    }
+};
+
+/**
+ * Generate articles for every plan post in a date range (one background job per post)
+ * POST /api/marketing-plan/:id/posts/generate-articles
+ * Body: { from, to } as YYYY-MM-DD (inclusive, optional), regenerate
+ */
+exports.generatePostArticles = async (req, res) => {
+    try {
+        const { from, to } = req.body;
+
+        for (const value of [from, to]) {
+            if (value !== undefined && !DATE_KEY_PATTERN.test(String(value))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ngày không hợp lệ (dùng định dạng YYYY-MM-DD)'
+                });
+            }
+        }
+
+        if (from && to && from > to) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ngày bắt đầu phải trước ngày kết thúc'
+            });
+        }
+
+        const plan = await findPlanWithPosts(req, res, 'Kế hoạch chưa có lịch đăng để tạo bài viết');
+        if (!plan) return;
+
+        const posts = await selectPostsForArticles(plan, { from, to }, req.body.regenerate === true);
+
+        if (posts.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Không có bài đăng nào cần tạo bài viết trong khoảng ngày đã chọn'
+            });
+        }
+
+        if (posts.length > MAX_BULK_POSTS) {
+            return res.status(400).json({
+                success: false,
+                message: `Mỗi lần chỉ tạo tối đa ${MAX_BULK_POSTS} bài viết. Vui lòng chọn khoảng ngày ngắn hơn.`
+            });
+        }
+
+        // One article unit per selected post, reserved here so the count matches what gets queued
+        const reservation = await reserveRequestQuota(req, res, 'article', posts.length);
+        if (!reservation) return;
+
+        // Each job carries (and may give back) one unit; stop at the first post that cannot be queued
+        const items = [];
+        let queueError = null;
+        for (const post of posts) {
+            try {
+                const { article, job } = await queuePostArticle({
+                    plan,
+                    post,
+                    userId: req.user._id,
+                    quotaReservation: { ...reservation, amount: 1 }
+                });
+                items.push({ postId: post._id, articleId: article._id, jobId: job._id });
+            } catch (error) {
+                queueError = error;
+                break;
+            }
+        }
+
+        // Nothing queued: the error response gives the whole reservation back
+        if (items.length === 0) throw queueError;
+
+        if (queueError) {
+            console.error('Generate post articles error:', queueError);
+            await refundQuota({ ...reservation, amount: posts.length - items.length });
+
+            const queued = new Set(items.map((item) => String(item.postId)));
+            return res.status(207).json({
+                success: false,
+                message: `Chỉ tiếp nhận được ${items.length}/${posts.length} bài viết, vui lòng thử lại các bài đăng còn lại`,
+                data: {
+                    total: items.length,
+                    items,
+                    failedPostIds: posts.filter((post) => !queued.has(String(post._id))).map((post) => post._id)
+                }
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            message: `Đã tiếp nhận yêu cầu tạo ${items.length} bài viết`,
+            data: {
+                total: items.length,
+                items
+            }
+        });
+    } catch (error) {
+        console.error('Generate post articles error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi tạo bài viết cho kế hoạch'
+        });
+    }
+};
+
+/**
+ * Export plan posts as a file
+ * GET /api/marketing-plan/:id/export?format=ics|csv|xlsx
+ */
+exports.exportPlan = async (req, res) => {
+    try {
+        const format = String(req.query.format || 'xlsx').toLowerCase();
+        const exporter = EXPORT_FORMATS[format];
+
+        if (!exporter) {
+            return res.status(400).json({
+                success: false,
+                message: `Định dạng không hợp lệ (hỗ trợ: ${Object.keys(EXPORT_FORMATS).join(', ')})`
+            });
+        }
+
+        const plan = await findPlanWithPosts(req, res, 'Kế hoạch chưa có lịch đăng để xuất');
+        if (!plan) return;
+
+        const content = await exporter.build(plan);
+
+        const filename = `ke-hoach-${plan.campaignName.replace(/[^a-zA-Z0-9]/g, '-').substring(0, 30)}-${Date.now()}.${format}`;
+
+        res.setHeader('Content-Type', exporter.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(filename)}"`);
+
+        res.send(content);
+    } catch (error) {
+        console.error('Export plan error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi xuất kế hoạch marketing'
+        });
+    }
+};
+
+/**
+ * Create the secret calendar subscription URL of a plan (replaces the previous one)
+ * POST /api/marketing-plan/:id/calendar-feed
+ */
+exports.createCalendarFeed = async (req, res) => {
+    try {
+        const plan = await MarketingPlan.findOne({
+            _id: req.params.id,
+            workspaceId: req.workspace._id
+        });
+
+        if (!plan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy kế hoạch marketing'
+            });
+        }
+
+        const feed = await createCalendarFeed(plan);
+
+        res.status(201).json({
+            success: true,
+            message: 'Đã tạo đường dẫn đăng ký lịch. Đường dẫn chỉ hiển thị một lần.',
+            data: feed
+        });
+    } catch (error) {
+        console.error('Create calendar feed error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi tạo đường dẫn đăng ký lịch'
+        });
+    }
+};
+
+/**
+ * Revoke the calendar subscription URL of a plan
+ * DELETE /api/marketing-plan/:id/calendar-feed
+ */
+exports.revokeCalendarFeed = async (req, res) => {
+    try {
+        const plan = await MarketingPlan.findOne({
+            _id: req.params.id,
+            workspaceId: req.workspace._id
+        });
+
+        if (!plan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy kế hoạch marketing'
+            });
+        }
+
+        await revokeCalendarFeed(plan);
+
+        res.status(200).json({
+            success: true,
+            message: 'Đã thu hồi đường dẫn đăng ký lịch'
+        });
+    } catch (error) {
+        console.error('Revoke calendar feed error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi thu hồi đường dẫn đăng ký lịch'
+        });
+    }
+};
+
 /**
  * Suggest monthly strategy using AI
  * POST /api/marketing-plan/suggest-strategy
@@ -426,7 +1081,8 @@ exports.suggestMonthlyStrategy = async (req, res) => {
             customerJourneyStage,
             targetSegment,
             strategySuggestion,
-            useBrandSettings
+            useBrandSettings,
+            useHolidayCalendar
         } = req.body;
 
         logPromptDebug({
@@ -447,7 +1103,8 @@ exports.suggestMonthlyStrategy = async (req, res) => {
                 customerJourneyStage,
                 targetSegment,
                 strategySuggestion,
-                useBrandSettings
+                useBrandSettings,
+                useHolidayCalendar
             }
         });
 
@@ -472,32 +1129,30 @@ exports.suggestMonthlyStrategy = async (req, res) => {
             });
         }
 
+        // Choosing a brand profile enables brand settings
+        const brandProfileId = req.brandProfile?._id || null;
         let brandContext = null;
-        if (useBrandSettings) {
-            const aiSettings = await AISettings.findOne({ userId: req.user._id });
-            if (aiSettings) {
-                try {
-                    brandContext = await geminiService.buildRichBrandContext(aiSettings);
-                } catch (error) {
-                    brandContext = geminiService.buildBrandContext(aiSettings);
-                }
-            }
+        if (useBrandSettings || brandProfileId) {
+            ({ brandContext } = await geminiService.resolveBrandSettings(req.workspace._id, brandProfileId));
         }
 
         logPromptDebug({
             tool: 'marketing',
             step: 'brand-context',
             data: {
-                enabled: !!useBrandSettings,
+                enabled: !!(useBrandSettings || brandProfileId),
+                brandProfileId,
                 available: !!brandContext,
                 preview: brandContext
             }
         });
 
-        const textModel = await getModelForTask('text', req.user._id);
+        const textModel = await getModelForTask('text', req.workspace._id);
 
         const normalizedStrategySuggestion = normalizeStrategySuggestionInput(strategySuggestion);
 
+        const { events: seasonalEvents } = await resolveWindowEvents(req, startDate, endDate, useHolidayCalendar);
+
         const strategy = await geminiService.generateMonthlyStrategy({
             campaignName: campaignName || '',
             startDate,
@@ -511,7 +1166,8 @@ exports.suggestMonthlyStrategy = async (req, res) => {
             promotions: promotions || '',
             customerJourneyStage: customerJourneyStage || '',
             targetSegment: targetSegment || '',
-            strategySuggestion: normalizedStrategySuggestion
+            strategySuggestion: normalizedStrategySuggestion,
+            seasonalEvents
         }, brandContext, textModel);
 
         logPromptDebug({
@@ -527,7 +1183,10 @@ exports.suggestMonthlyStrategy = async (req, res) => {
         res.status(200).json({
             success: true,
             message: 'Gợi ý chiến lược thành công',
-            data: strategy
+            data: {
+                ...strategy,
+                seasonalEvents
+            }
         });
     } catch (error) {
         logPromptDebug({
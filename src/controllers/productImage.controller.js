@@ -4,11 +4,10 @@
  */
 
 const ProductImage = require('../models/ProductImage');
-const AISettings = require('../models/AISettings');
-const geminiService = require('../services/gemini');
 const { getModelForTask } = require('../services/gemini/modelConfig.service');
 const { deleteFilesFromPaths } = require('../utils/fileCleanup');
 const { logPromptDebug } = require('../utils/promptDebug');
+const { enqueueJob, serializeJob } = require('../services/jobs');
 
 function normalizeCameraAngles(cameraAngles) {
     const supportedAngles = ['wide', 'medium', 'closeup', 'topdown', 'detail'];
@@ -27,20 +26,32 @@ function normalizeCameraAngles(cameraAngles) {
     return normalized.length > 0 ? normalized : ['wide'];
 }
 
-function mapStatusFromGeneratedImages(generatedImages) {
-    const hasSuccess = generatedImages.some(item => item.status === 'completed' && item.imageUrl);
-    const hasFailure = generatedImages.some(item => item.status === 'failed');
-
-    if (!hasSuccess) return 'failed';
-    if (hasFailure) return 'failed';
-    return 'completed';
+/**
+ * Mark a product image failed when its job could not be queued
+ * @param {string} productImageId
+ * @param {Error} error
+ */
+async function markProductImageFailed(productImageId, error) {
+    try {
+        await ProductImage.findByIdAndUpdate(productImageId, {
+            status: 'failed',
+            errorMessage: error?.message || 'Lỗi khi tạo ảnh AI',
+            'generatedImages.$[item].status': 'failed'
+        }, {
+            arrayFilters: [{ 'item.status': 'processing' }]
+        });
+    } catch (updateError) {
+        console.error('Failed to update product image status to failed:', updateError);
+    }
 }
 
 /**
- * Generate product image with AI
+ * Generate product image with AI (runs in background job)
  * POST /api/product-images/generate
  */
 exports.generateProductImage = async (req, res) => {
+    let processingImage = null;
+
     try {
         const {
             originalImageUrl,
@@ -114,11 +125,16 @@ exports.generateProductImage = async (req, res) => {
         const normalizedAngles = normalizeCameraAngles(cameraAngles);
 
         // Get user's selected model for image generation
-        const imageGenModel = await getModelForTask('imageGen', req.user._id);
+        const imageGenModel = await getModelForTask('imageGen', req.workspace._id);
+
+        // Choosing a brand profile enables brand settings
+        const brandProfileId = req.brandProfile?._id || null;
 
         // Create initial record with processing status
-        const productImage = await ProductImage.create({
+        processingImage = await ProductImage.create({
             userId: req.user._id,
+            workspaceId: req.workspace._id,
+            brandProfileId,
             title: title || 'Ảnh sản phẩm ' + new Date().toLocaleDateString('vi-VN'),
             originalImageUrl: normalizedOriginalImageUrl,
             backgroundType: normalizedBackgroundType,
@@ -142,105 +158,37 @@ exports.generateProductImage = async (req, res) => {
             logoPosition: logoPosition || 'bottom-right',
             outputSize: outputSize || '1:1',
             additionalNotes: additionalNotes || '',
-            usedBrandSettings: !!useBrandSettings,
+            usedBrandSettings: !!(useBrandSettings || brandProfileId),
             status: 'processing'
         });
 
-        // Fetch brand context and logo if enabled
-        let brandContext = null;
-        let logoUrl = null;
-        
-        if (useBrandSettings) {
-            const aiSettings = await AISettings.findOne({ userId: req.user._id });
-            if (aiSettings) {
-                try {
-                    brandContext = await geminiService.buildRichBrandContext(aiSettings);
-                } catch (error) {
-                    brandContext = geminiService.buildBrandContext(aiSettings);
-                }
-                logoUrl = aiSettings.logo?.logoUrl;
+        const job = await enqueueJob({
+            type: 'image',
+            userId: req.user._id,
+            workspaceId: req.workspace._id,
+            refModel: 'ProductImage',
+            refId: processingImage._id,
+            quotaReservation: req.quotaReservation,
+            payload: {
+                productImageId: processingImage._id,
+                operation: 'generateProductImage'
             }
-        }
+        });
 
-        logPromptDebug({
-            tool: 'image',
-            step: 'brand-context',
+        res.status(202).json({
+            success: true,
+            message: 'Đã tiếp nhận yêu cầu tạo ảnh AI',
             data: {
-                enabled: !!useBrandSettings,
-                available: !!brandContext,
-                preview: brandContext,
-                hasLogoUrl: !!logoUrl
+                jobId: job._id,
+                job: serializeJob(job),
+                productImage: processingImage
             }
         });
-
-        // Get full path to original image
-        const originalImagePath = geminiService.productImageService.getFilePathFromUrl(normalizedOriginalImageUrl);
-
-        try {
-            // Generate the image
-            const generatedImages = await geminiService.productImageService.generateProductWithBackground({
-                originalImagePath,
-                backgroundType: normalizedBackgroundType,
-                cameraAngles: normalizedAngles,
-                customBackground: normalizedCustomBackground,
-                usagePurpose,
-                displayInfo,
-                adIntensity,
-                typographyGuidance,
-                targetAudience,
-                visualStyle,
-                realismPriority,
-                useLogo: useLogo !== false,
-                logoPosition: logoPosition || 'bottom-right',
-                logoUrl,
-                outputSize: outputSize || '1:1',
-                additionalNotes,
-                brandContext,
-                modelName: imageGenModel
-            });
-
-            logPromptDebug({
-                tool: 'image',
-                step: 'ai-response',
-                data: {
-                    ok: true,
-                    total: generatedImages.length,
-                    successCount: generatedImages.filter((item) => item.status === 'completed').length,
-                    generatedImages
-                }
-            });
-
-            // Update record with result
-            productImage.generatedImages = generatedImages;
-            productImage.generatedImageUrl = generatedImages.find(item => item.status === 'completed' && item.imageUrl)?.imageUrl || '';
-            productImage.status = mapStatusFromGeneratedImages(generatedImages);
-            const firstError = generatedImages.find(item => item.status === 'failed' && item.errorMessage)?.errorMessage;
-            productImage.errorMessage = firstError || '';
-            await productImage.save();
-
-            res.status(201).json({
-                success: true,
-                message: 'Tạo ảnh AI thành công',
-                data: productImage
-            });
-        } catch (genError) {
-            logPromptDebug({
-                tool: 'image',
-                step: 'ai-response-error',
-                data: {
-                    message: genError?.message,
-                    stack: genError?.stack,
-                    phase: 'generateProductImage'
-                }
-            });
-            // Update record with error
-            productImage.status = 'failed';
-            productImage.errorMessage = genError.message;
-            await productImage.save();
-
-            throw genError;
-        }
     } catch (error) {
+        if (processingImage?._id) {
+            await markProductImageFailed(processingImage._id, error);
+        }
+
         logPromptDebug({
             tool: 'image',
             step: 'ai-response-error',
@@ -259,10 +207,12 @@ exports.generateProductImage = async (req, res) => {
 };
 
 /**
- * Regenerate product image with same input
+ * Regenerate product image with same input (runs in background job)
  * POST /api/product-images/:id/regenerate
  */
 exports.regenerateProductImage = async (req, res) => {
+    let processingImage = null;
+
     try {
         const { id } = req.params;
 
@@ -275,10 +225,10 @@ exports.regenerateProductImage = async (req, res) => {
             }
         });
 
-        // Find the original record (must be owned by user)
+        // Find the original record (must belong to the current workspace)
         const originalImage = await ProductImage.findOne({
             _id: id,
-            userId: req.user._id
+            workspaceId: req.workspace._id
         });
 
         if (!originalImage) {
@@ -288,34 +238,6 @@ exports.regenerateProductImage = async (req, res) => {
             });
         }
 
-        // Fetch brand context and logo if original used brand settings
-        let brandContext = null;
-        let logoUrl = null;
-        
-        if (originalImage.usedBrandSettings) {
-            const aiSettings = await AISettings.findOne({ userId: req.user._id });
-            if (aiSettings) {
-                try {
-                    brandContext = await geminiService.buildRichBrandContext(aiSettings);
-                } catch (error) {
-                    brandContext = geminiService.buildBrandContext(aiSettings);
-                }
-                logoUrl = aiSettings.logo?.logoUrl;
-            }
-        }
-
-        logPromptDebug({
-            tool: 'image',
-            step: 'brand-context',
-            data: {
-                enabled: !!originalImage.usedBrandSettings,
-                available: !!brandContext,
-                preview: brandContext,
-                hasLogoUrl: !!logoUrl
-            }
-        });
-
-        // Get full path to original image
         const normalizedOriginalImageUrl = typeof originalImage.originalImageUrl === 'string'
             ? originalImage.originalImageUrl.trim()
             : '';
@@ -337,9 +259,7 @@ exports.regenerateProductImage = async (req, res) => {
             });
         }
 
-        const originalImagePath = geminiService.productImageService.getFilePathFromUrl(normalizedOriginalImageUrl);
-
-        const imageGenModel = originalImage.modelUsed || await getModelForTask('imageGen', req.user._id);
+        const imageGenModel = originalImage.modelUsed || await getModelForTask('imageGen', req.workspace._id);
         if (!originalImage.modelUsed && imageGenModel) {
             originalImage.modelUsed = imageGenModel;
         }
@@ -353,13 +273,14 @@ exports.regenerateProductImage = async (req, res) => {
         ].filter(Boolean);
 
         if (oldGeneratedUrls.length > 0) {
-            const { deleteFilesFromPaths } = require('../utils/fileCleanup');
             await deleteFilesFromPaths(oldGeneratedUrls);
         }
 
         // Update status to processing
         originalImage.status = 'processing';
         originalImage.errorMessage = '';
+        originalImage.generatedImageUrl = '';
+        originalImage.customBackground = normalizedCustomBackground;
         const normalizedAngles = normalizeCameraAngles(originalImage.cameraAngles);
         originalImage.cameraAngles = normalizedAngles;
         originalImage.generatedImages = normalizedAngles.map((angle) => ({
@@ -369,72 +290,35 @@ exports.regenerateProductImage = async (req, res) => {
             errorMessage: ''
         }));
         await originalImage.save();
+        processingImage = originalImage;
 
-        try {
-            // Regenerate the image
-            const generatedImages = await geminiService.productImageService.generateProductWithBackground({
-                originalImagePath,
-                backgroundType: originalImage.backgroundType,
-                cameraAngles: normalizedAngles,
-                customBackground: normalizedCustomBackground,
-                usagePurpose: originalImage.usagePurpose,
-                displayInfo: originalImage.displayInfo,
-                adIntensity: originalImage.adIntensity,
-                typographyGuidance: originalImage.typographyGuidance,
-                targetAudience: originalImage.targetAudience,
-                visualStyle: originalImage.visualStyle,
-                realismPriority: originalImage.realismPriority,
-                useLogo: originalImage.useLogo,
-                logoPosition: originalImage.logoPosition,
-                logoUrl,
-                outputSize: originalImage.outputSize,
-                additionalNotes: originalImage.additionalNotes,
-                brandContext,
-                modelName: imageGenModel
-            });
-
-            logPromptDebug({
-                tool: 'image',
-                step: 'ai-response',
-                data: {
-                    ok: true,
-                    operation: 'regenerateProductImage',
-                    total: generatedImages.length,
-                    successCount: generatedImages.filter((item) => item.status === 'completed').length,
-                    generatedImages
-                }
-            });
-
-            // Update record with new result
-            originalImage.generatedImages = generatedImages;
-            originalImage.generatedImageUrl = generatedImages.find(item => item.status === 'completed' && item.imageUrl)?.imageUrl || '';
-            originalImage.status = mapStatusFromGeneratedImages(generatedImages);
-            const firstError = generatedImages.find(item => item.status === 'failed' && item.errorMessage)?.errorMessage;
-            originalImage.errorMessage = firstError || '';
-            await originalImage.save();
-
-            res.status(200).json({
-                success: true,
-                message: 'Tạo lại ảnh AI thành công',
-                data: originalImage
-            });
-        } catch (genError) {
-            logPromptDebug({
-                tool: 'image',
-                step: 'ai-response-error',
-                data: {
-                    operation: 'regenerateProductImage',
-                    message: genError?.message,
-                    stack: genError?.stack
-                }
-            });
-            originalImage.status = 'failed';
-            originalImage.errorMessage = genError.message;
-            await originalImage.save();
+        const job = await enqueueJob({
+            type: 'image',
+            userId: req.user._id,
+            workspaceId: req.workspace._id,
+            refModel: 'ProductImage',
+            refId: originalImage._id,
+            quotaReservation: req.quotaReservation,
+            payload: {
+                productImageId: originalImage._id,
+                operation: 'regenerateProductImage'
+            }
+        });
 
-            throw genError;
-        }
+        res.status(202).json({
+            success: true,
+            message: 'Đã tiếp nhận yêu cầu tạo lại ảnh AI',
+            data: {
+                jobId: job._id,
+                job: serializeJob(job),
+                productImage: originalImage
+            }
+        });
     } catch (error) {
+        if (processingImage?._id) {
+            await markProductImageFailed(processingImage._id, error);
+        }
+
         logPromptDebug({
             tool: 'image',
             step: 'ai-response-error',
@@ -453,7 +337,7 @@ exports.regenerateProductImage = async (req, res) => {
 };
 
 /**
- * Get all product images for current user
+ * Get all product images of the current workspace
  * GET /api/product-images
  */
 exports.getAllProductImages = async (req, res) => {
@@ -461,8 +345,8 @@ exports.getAllProductImages = async (req, res) => {
         const { page = 1, limit = 12, search = '', backgroundType = '', status = '' } = req.query;
         const skip = (page - 1) * limit;
 
-        // Build query - only user's own images
-        const query = { userId: req.user._id };
+        // Build query - only images of the current workspace
+        const query = { workspaceId: req.workspace._id };
         
         if (search) {
             query.title = { $regex: search, $options: 'i' };
@@ -512,10 +396,10 @@ exports.getProductImageById = async (req, res) => {
     try {
         const { id } = req.params;
 
-        // Only get image if owned by current user
+        // Only get image of the current workspace
         const image = await ProductImage.findOne({
             _id: id,
-            userId: req.user._id
+            workspaceId: req.workspace._id
         });
 
         if (!image) {
@@ -546,10 +430,10 @@ exports.deleteProductImage = async (req, res) => {
     try {
         const { id } = req.params;
 
-        // Only delete if owned by current user
+        // Only delete images of the current workspace
         const image = await ProductImage.findOneAndDelete({
             _id: id,
-            userId: req.user._id
+            workspaceId: req.workspace._id
         });
 
         if (!image) {
@@ -0,0 +1,80 @@
+/**
+ * Publishing Controller
+ * Publish workspace articles to social channels (Facebook Pages)
+ */
+
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const { listFacebookPages, publishArticle } = require('../services/publishing');
+
+/**
+ * Facebook Pages the workspace token can publish to
+ * GET /api/publishing/facebook/pages
+ */
+exports.getFacebookPages = async (req, res) => {
+    try {
+        const pages = await listFacebookPages(req.workspace._id);
+
+        res.status(200).json({
+            success: true,
+            data: pages
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Get Facebook pages error:', error);
+        res.status(502).json({
+            success: false,
+            message: `Không lấy được danh sách Facebook Page: ${error.message}`
+        });
+    }
+};
+
+/**
+ * Publish an article
+ * POST /api/publishing/articles/:id
+ * Body: { channel = 'facebook', pageId } - pageId defaults to the page saved in AI settings
+ */
+exports.publishArticle = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { channel = 'facebook', pageId = '' } = req.body;
+
+        const article = mongoose.Types.ObjectId.isValid(id)
+            ? await Article.findOne({ _id: id, workspaceId: req.workspace._id })
+            : null;
+
+        if (!article) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy bài viết'
+            });
+        }
+
+        const published = await publishArticle(article, { channel, pageId });
+
+        res.status(200).json({
+            success: true,
+            message: 'Đăng bài thành công',
+            data: published
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Publish article error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi đăng bài viết'
+        });
+    }
+};
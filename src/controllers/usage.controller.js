@@ -0,0 +1,171 @@
+/**
+ * Usage Controller
+ * Token usage, estimated AI cost and plan quota of the current user
+ */
+
+const mongoose = require('mongoose');
+const { UsageRecord } = require('../models');
+const {
+    getUsageSummary,
+    PERIOD_FORMATS,
+    DEFAULT_RANGE_DAYS,
+    DEFAULT_TIMEZONE
+} = require('../services/usage');
+const { getQuotaStatus } = require('../services/quota');
+const { isValidTimezone } = require('../utils/timezone');
+
+function parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Get usage aggregates (daily or monthly)
+ * GET /api/usage?groupBy=day|month&from=&to=&tool=&model=&timezone=
+ */
+exports.getUsage = async (req, res) => {
+    try {
+        const {
+            groupBy = 'day',
+            tool = '',
+            model = '',
+            timezone = DEFAULT_TIMEZONE
+        } = req.query;
+
+        if (!PERIOD_FORMATS[groupBy]) {
+            return res.status(400).json({
+                success: false,
+                message: 'groupBy chỉ nhận day hoặc month'
+            });
+        }
+
+        if (tool && !UsageRecord.USAGE_TOOLS.includes(tool)) {
+            return res.status(400).json({
+                success: false,
+                message: `tool không hợp lệ. Chỉ nhận: ${UsageRecord.USAGE_TOOLS.join(', ')}`
+            });
+        }
+
+        if (!isValidTimezone(timezone)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Múi giờ không hợp lệ'
+            });
+        }
+
+        const to = parseDate(req.query.to);
+        const from = parseDate(req.query.from);
+
+        if (to === undefined || from === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ngày không hợp lệ (dùng định dạng YYYY-MM-DD hoặc ISO 8601)'
+            });
+        }
+
+        const rangeEnd = to || new Date();
+        const rangeStart = from || new Date(rangeEnd.getTime() - DEFAULT_RANGE_DAYS[groupBy] * 24 * 60 * 60 * 1000);
+
+        if (rangeStart > rangeEnd) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ngày bắt đầu phải trước ngày kết thúc'
+            });
+        }
+
+        const summary = await getUsageSummary(req.user._id, {
+            from: rangeStart,
+            to: rangeEnd,
+            groupBy,
+            timezone,
+            tool,
+            modelName: model
+        });
+
+        res.status(200).json({
+            success: true,
+            data: summary
+        });
+    } catch (error) {
+        console.error('Get usage error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy thống kê sử dụng AI'
+        });
+    }
+};
+
+/**
+ * Get individual usage records (e.g. all calls of one generation)
+ * GET /api/usage/records?refId=&jobId=&tool=
+ */
+exports.getUsageRecords = async (req, res) => {
+    try {
+        const { page = 1, limit = 50, tool = '', refId = '', jobId = '' } = req.query;
+        const skip = (page - 1) * limit;
+
+        const query = { userId: req.user._id };
+
+        if (tool) {
+            query.tool = tool;
+        }
+
+        for (const [field, value] of [['refId', refId], ['jobId', jobId]]) {
+            if (!value) continue;
+            if (!mongoose.Types.ObjectId.isValid(value)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${field} không hợp lệ`
+                });
+            }
+            query[field] = value;
+        }
+
+        const [records, total] = await Promise.all([
+            UsageRecord.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            UsageRecord.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: records,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Get usage records error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy lịch sử sử dụng AI'
+        });
+    }
+};
+
+/**
+ * Get plan tier and remaining monthly quota
+ * GET /api/usage/quota
+ */
+exports.getQuota = async (req, res) => {
+    try {
+        const quota = await getQuotaStatus(req.user);
+
+        res.status(200).json({
+            success: true,
+            data: quota
+        });
+    } catch (error) {
+        console.error('Get quota error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy hạn mức sử dụng'
+        });
+    }
+};
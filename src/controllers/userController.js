@@ -1,5 +1,6 @@
 const { User } = require('../models');
 const bcrypt = require('bcryptjs');
+const { revokeAllSessions, createSession, buildTokenPayload } = require('../services/auth');
 
 // @desc    Get user profile
 // @route   GET /api/users/profile
@@ -83,9 +84,14 @@ const changePassword = async (req, res, next) => {
         user.password = newPassword;
         await user.save();
 
+        // Sign out every device, then keep this one signed in with a fresh session
+        const updatedUser = await revokeAllSessions(user._id, 'password-changed');
+        const tokens = await createSession(updatedUser, req);
+
         res.status(200).json({
             success: true,
-            message: 'Đổi mật khẩu thành công'
+            message: 'Đổi mật khẩu thành công',
+            data: buildTokenPayload(res, tokens)
         });
     } catch (error) {
         next(error);
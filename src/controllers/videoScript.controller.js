@@ -4,11 +4,11 @@
  */
 
 const VideoScript = require('../models/VideoScript');
-const AISettings = require('../models/AISettings');
 const geminiService = require('../services/gemini');
 const { exportVideoScriptToExcel } = require('../services/excel');
 const { getModelForTask } = require('../services/gemini/modelConfig.service');
 const { logPromptDebug } = require('../utils/promptDebug');
+const { enqueueJob, serializeJob } = require('../services/jobs');
 
 function clampNumber(value, fallback, min, max) {
     const parsed = Number(value);
@@ -18,25 +18,21 @@ function clampNumber(value, fallback, min, max) {
     return parsed;
 }
 
-async function resolveBrandContext(userId, useBrandSettings) {
-    if (!useBrandSettings) return null;
+// Choosing a brand profile enables brand settings
+async function resolveBrandContext(workspaceId, brandProfileId, useBrandSettings) {
+    if (!useBrandSettings && !brandProfileId) return null;
 
-    const aiSettings = await AISettings.findOne({ userId });
-    if (!aiSettings) return null;
-
-    try {
-        return await geminiService.buildRichBrandContext(aiSettings);
-    } catch (error) {
-        return geminiService.buildBrandContext(aiSettings);
-    }
+    const { brandContext } = await geminiService.resolveBrandSettings(workspaceId, brandProfileId);
+    return brandContext;
 }
 
 /**
- * Generate video script with AI
+ * Generate video script with AI (runs in background job)
  * POST /api/video-scripts/generate
  */
 exports.generateScript = async (req, res) => {
     let processingScript = null;
+
     try {
         const { 
             title, 
@@ -82,24 +78,13 @@ exports.generateScript = async (req, res) => {
             });
         }
 
-        // Fetch brand context if enabled
-        const brandContext = await resolveBrandContext(req.user._id, useBrandSettings);
-
-        logPromptDebug({
-            tool: 'video',
-            step: 'brand-context',
-            data: {
-                enabled: !!useBrandSettings,
-                available: !!brandContext,
-                preview: brandContext
-            }
-        });
-
-        const textModel = await getModelForTask('text', req.user._id);
+        const brandProfileId = req.brandProfile?._id || null;
 
-        // Create placeholder before AI generation
+        // Create placeholder, the worker fills in the scenes
         processingScript = await VideoScript.create({
             userId: req.user._id,
+            workspaceId: req.workspace._id,
+            brandProfileId,
             title,
             duration,
             requestedSceneCount: sceneCount || 6,
@@ -116,50 +101,42 @@ exports.generateScript = async (req, res) => {
             status: 'processing'
         });
 
-        // Generate script with AI
-        const result = await geminiService.generateVideoScript({
-            input: {
-                title,
-                duration,
-                sceneCount: sceneCount || 6,
-                size,
-                hasVoiceOver,
-                otherRequirements,
-                ideaMode,
-                customIdea,
-                videoGoal,
-                targetAudience,
-                featuredProductService,
-                selectedConceptTitle
-            },
-            brandContext,
-            modelName: textModel
-        });
-
-        logPromptDebug({
-            tool: 'video',
-            step: 'ai-response',
-            data: {
-                modelName: textModel,
-                summary: result?.summary,
-                sceneCount: Array.isArray(result?.scenes) ? result.scenes.length : 0
+        const job = await enqueueJob({
+            type: 'video',
+            userId: req.user._id,
+            workspaceId: req.workspace._id,
+            refModel: 'VideoScript',
+            refId: processingScript._id,
+            quotaReservation: req.quotaReservation,
+            payload: {
+                videoScriptId: processingScript._id,
+                input: {
+                    title,
+                    duration,
+                    sceneCount: sceneCount || 6,
+                    size,
+                    hasVoiceOver,
+                    otherRequirements,
+                    ideaMode,
+                    customIdea,
+                    videoGoal,
+                    targetAudience,
+                    featuredProductService,
+                    selectedConceptTitle
+                },
+                useBrandSettings: !!(useBrandSettings || brandProfileId),
+                brandProfileId
             }
         });
 
-        // Update placeholder with generated content
-        const videoScript = await VideoScript.findByIdAndUpdate(processingScript._id, {
-            summary: result.summary,
-            scenes: result.scenes,
-            status: 'completed'
-        }, {
-            new: true,
-            runValidators: true
-        });
-
-        res.status(201).json({
+        res.status(202).json({
             success: true,
-            message: 'Tạo kịch bản thành công',
-            data: videoScript
+            message: 'Đã tiếp nhận yêu cầu tạo kịch bản',
+            data: {
+                jobId: job._id,
+                job: serializeJob(job),
+                videoScript: processingScript
+            }
         });
     } catch (error) {
         if (processingScript?._id) {
@@ -230,8 +207,9 @@ exports.generateIdea = async (req, res) => {
             });
         }
 
-        // Brand settings is required for idea generation
-        if (!useBrandSettings) {
+        // Brand settings (or a brand profile) is required for idea generation
+        const brandProfileId = req.brandProfile?._id || null;
+        if (!useBrandSettings && !brandProfileId) {
             return res.status(400).json({
                 success: false,
                 message: 'Vui lòng bật "Sử dụng thông tin thương hiệu" để sử dụng tính năng AI tạo ý tưởng'
@@ -239,19 +217,20 @@ exports.generateIdea = async (req, res) => {
         }
 
         // Fetch brand context
-        const brandContext = await resolveBrandContext(req.user._id, useBrandSettings);
+        const brandContext = await resolveBrandContext(req.workspace._id, brandProfileId, useBrandSettings);
 
         logPromptDebug({
             tool: 'video',
             step: 'brand-context',
             data: {
-                enabled: !!useBrandSettings,
+                enabled: !!(useBrandSettings || brandProfileId),
+                brandProfileId,
                 available: !!brandContext,
                 preview: brandContext
             }
         });
 
-        const textModel = await getModelForTask('text', req.user._id);
+        const textModel = await getModelForTask('text', req.workspace._id);
 
         // Generate idea with parameters
         const idea = await geminiService.generateRandomIdea({
@@ -340,19 +319,21 @@ exports.suggestConcepts = async (req, res) => {
 
         const safeConceptCount = clampNumber(conceptCount, 5, 3, 5);
         const safeSceneCount = clampNumber(sceneCount, 6, 2, 30);
-        const brandContext = await resolveBrandContext(req.user._id, useBrandSettings);
+        const brandProfileId = req.brandProfile?._id || null;
+        const brandContext = await resolveBrandContext(req.workspace._id, brandProfileId, useBrandSettings);
 
         logPromptDebug({
             tool: 'video',
             step: 'brand-context',
             data: {
-                enabled: !!useBrandSettings,
+                enabled: !!(useBrandSettings || brandProfileId),
+                brandProfileId,
                 available: !!brandContext,
                 preview: brandContext
             }
         });
 
-        const textModel = await getModelForTask('text', req.user._id);
+        const textModel = await getModelForTask('text', req.workspace._id);
 
         const result = await geminiService.suggestVideoConcepts({
             title,
@@ -402,7 +383,7 @@ exports.suggestConcepts = async (req, res) => {
 };
 
 /**
- * Get all scripts for current user
+ * Get all scripts of the current workspace
  * GET /api/video-scripts
  */
 exports.getAllScripts = async (req, res) => {
@@ -410,8 +391,8 @@ exports.getAllScripts = async (req, res) => {
         const { page = 1, limit = 10, search = '', duration = '', size = '' } = req.query;
         const skip = (page - 1) * limit;
 
-        // Build query - only user's own scripts
-        const query = { userId: req.user._id };
+        // Build query - only scripts of the current workspace
+        const query = { workspaceId: req.workspace._id };
         
         if (search) {
             query.title = { $regex: search, $options: 'i' };
@@ -461,10 +442,10 @@ exports.getScriptById = async (req, res) => {
     try {
         const { id } = req.params;
 
-        // Only get script if owned by current user
+        // Only get script of the current workspace
         const script = await VideoScript.findOne({
             _id: id,
-            userId: req.user._id
+            workspaceId: req.workspace._id
         });
 
         if (!script) {
@@ -494,11 +475,15 @@ exports.getScriptById = async (req, res) => {
 exports.updateScript = async (req, res) => {
     try {
         const { id } = req.params;
-        const updates = req.body;
 
-        // Only update if owned by current user
+        // Author and workspace cannot be changed through the API
+        const updates = { ...req.body };
+        delete updates.userId;
+        delete updates.workspaceId;
+
+        // Only update scripts of the current workspace
         const script = await VideoScript.findOneAndUpdate(
-            { _id: id, userId: req.user._id },
+            { _id: id, workspaceId: req.workspace._id },
             { $set: updates },
             { new: true, runValidators: true }
         );
@@ -532,10 +517,10 @@ exports.deleteScript = async (req, res) => {
     try {
         const { id } = req.params;
 
-        // Only delete if owned by current user
+        // Only delete scripts of the current workspace
         const script = await VideoScript.findOneAndDelete({
             _id: id,
-            userId: req.user._id
+            workspaceId: req.workspace._id
         });
 
         if (!script) {
@@ -566,10 +551,10 @@ exports.exportToExcel = async (req, res) => {
     try {
         const { id } = req.params;
 
-        // Only export if owned by current user
+        // Only export scripts of the current workspace
         const script = await VideoScript.findOne({
             _id: id,
-            userId: req.user._id
+            workspaceId: req.workspace._id
         });
 
         if (!script) {
@@ -0,0 +1,423 @@
+/**
+ * Workspace Controller
+ * Team workspaces: members, roles and email invitations
+ */
+
+const mongoose = require('mongoose');
+const { User, Workspace, WorkspaceInvitation } = require('../models');
+const {
+    ensurePersonalWorkspace,
+    listUserWorkspaces,
+    createWorkspace,
+    countOwners,
+    inviteToWorkspace,
+    findPendingInvitation,
+    acceptInvitation
+} = require('../services/workspace');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function serializeWorkspace(workspace, userId) {
+    return {
+        id: workspace._id,
+        name: workspace.name,
+        isPersonal: workspace.isPersonal,
+        ownerId: workspace.ownerId,
+        role: workspace.getMemberRole(userId),
+        memberCount: workspace.members.length,
+        createdAt: workspace.createdAt,
+        updatedAt: workspace.updatedAt
+    };
+}
+
+function serializeInvitation(invitation) {
+    return {
+        id: invitation._id,
+        workspaceId: invitation.workspaceId,
+        email: invitation.email,
+        role: invitation.role,
+        invitedBy: invitation.invitedBy,
+        expiresAt: invitation.expiresAt,
+        createdAt: invitation.createdAt
+    };
+}
+
+function normalizeName(name) {
+    return typeof name === 'string' ? name.trim() : '';
+}
+
+// The user a personal workspace belongs to always stays its owner
+function isPersonalOwner(workspace, userId) {
+    return workspace.isPersonal && String(workspace.ownerId) === String(userId);
+}
+
+/**
+ * List workspaces of the current user
+ * GET /api/workspaces
+ */
+exports.getWorkspaces = async (req, res) => {
+    try {
+        await ensurePersonalWorkspace(req.user);
+        const workspaces = await listUserWorkspaces(req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: workspaces.map((workspace) => serializeWorkspace(workspace, req.user._id))
+        });
+    } catch (error) {
+        console.error('Get workspaces error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy danh sách workspace'
+        });
+    }
+};
+
+/**
+ * Create a team workspace
+ * POST /api/workspaces
+ */
+exports.createWorkspace = async (req, res) => {
+    try {
+        const name = normalizeName(req.body.name);
+
+        if (!name) {
+            return res.status(400).json({
+                success: false,
+                message: 'Vui lòng nhập tên workspace'
+            });
+        }
+
+        const workspace = await createWorkspace(req.user, name);
+
+        res.status(201).json({
+            success: true,
+            message: 'Tạo workspace thành công',
+            data: serializeWorkspace(workspace, req.user._id)
+        });
+    } catch (error) {
+        console.error('Create workspace error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi tạo workspace'
+        });
+    }
+};
+
+/**
+ * Get workspace detail with members
+ * GET /api/workspaces/:id
+ */
+exports.getWorkspace = async (req, res) => {
+    try {
+        const workspace = await req.workspace.populate('members.userId', 'name email avatar');
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...serializeWorkspace(workspace, req.user._id),
+                members: workspace.members.map((member) => ({
+                    userId: member.userId?._id || member.userId,
+                    name: member.userId?.name || '',
+                    email: member.userId?.email || '',
+                    avatar: member.userId?.avatar || '',
+                    role: member.role,
+                    joinedAt: member.joinedAt
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Get workspace error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy thông tin workspace'
+        });
+    }
+};
+
+/**
+ * Rename a workspace
+ * PATCH /api/workspaces/:id
+ */
+exports.updateWorkspace = async (req, res) => {
+    try {
+        const name = normalizeName(req.body.name);
+
+        if (!name) {
+            return res.status(400).json({
+                success: false,
+                message: 'Vui lòng nhập tên workspace'
+            });
+        }
+
+        req.workspace.name = name;
+        await req.workspace.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Cập nhật workspace thành công',
+            data: serializeWorkspace(req.workspace, req.user._id)
+        });
+    } catch (error) {
+        console.error('Update workspace error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi cập nhật workspace'
+        });
+    }
+};
+
+/**
+ * Invite a member by email
+ * POST /api/workspaces/:id/invitations
+ */
+exports.inviteMember = async (req, res) => {
+    try {
+        const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+        const { role = 'editor' } = req.body;
+
+        if (!EMAIL_PATTERN.test(email)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Vui lòng nhập email hợp lệ'
+            });
+        }
+
+        if (!WorkspaceInvitation.INVITATION_ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Vai trò không hợp lệ. Chỉ nhận: ${WorkspaceInvitation.INVITATION_ROLES.join(', ')}`
+            });
+        }
+
+        const existingUser = await User.findOne({ email }).select('_id');
+        if (existingUser && req.workspace.getMemberRole(existingUser._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Người dùng đã là thành viên của workspace'
+            });
+        }
+
+        const invitation = await inviteToWorkspace(req.workspace, { email, role }, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: `Đã gửi lời mời tới ${email}`,
+            data: serializeInvitation(invitation)
+        });
+    } catch (error) {
+        console.error('Invite member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi gửi lời mời'
+        });
+    }
+};
+
+/**
+ * List pending invitations
+ * GET /api/workspaces/:id/invitations
+ */
+exports.getInvitations = async (req, res) => {
+    try {
+        const invitations = await WorkspaceInvitation.find({
+            workspaceId: req.workspace._id,
+            acceptedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            data: invitations.map(serializeInvitation)
+        });
+    } catch (error) {
+        console.error('Get invitations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy danh sách lời mời'
+        });
+    }
+};
+
+/**
+ * Cancel a pending invitation
+ * DELETE /api/workspaces/:id/invitations/:invitationId
+ */
+exports.revokeInvitation = async (req, res) => {
+    try {
+        const { invitationId } = req.params;
+
+        const invitation = mongoose.Types.ObjectId.isValid(invitationId)
+            ? await WorkspaceInvitation.findOneAndDelete({
+                _id: invitationId,
+                workspaceId: req.workspace._id,
+                acceptedAt: null
+            })
+            : null;
+
+        if (!invitation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy lời mời'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Đã hủy lời mời'
+        });
+    } catch (error) {
+        console.error('Revoke invitation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi hủy lời mời'
+        });
+    }
+};
+
+/**
+ * Accept an invitation with the emailed token
+ * POST /api/workspaces/invitations/accept
+ */
+exports.acceptInvitation = async (req, res) => {
+    try {
+        const invitation = await findPendingInvitation(req.body.token);
+
+        if (!invitation) {
+            return res.status(400).json({
+                success: false,
+                message: 'Lời mời không hợp lệ hoặc đã hết hạn'
+            });
+        }
+
+        if (invitation.email !== req.user.email) {
+            return res.status(403).json({
+                success: false,
+                message: 'Lời mời này dành cho một địa chỉ email khác'
+            });
+        }
+
+        const workspace = await acceptInvitation(invitation, req.user);
+
+        if (!workspace) {
+            return res.status(400).json({
+                success: false,
+                message: 'Lời mời không hợp lệ hoặc đã hết hạn'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Đã tham gia workspace ${workspace.name}`,
+            data: serializeWorkspace(workspace, req.user._id)
+        });
+    } catch (error) {
+        console.error('Accept invitation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi chấp nhận lời mời'
+        });
+    }
+};
+
+/**
+ * Change a member's role
+ * PATCH /api/workspaces/:id/members/:userId
+ */
+exports.updateMemberRole = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { role } = req.body;
+
+        if (!Workspace.WORKSPACE_ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Vai trò không hợp lệ. Chỉ nhận: ${Workspace.WORKSPACE_ROLES.join(', ')}`
+            });
+        }
+
+        const currentRole = req.workspace.getMemberRole(userId);
+        if (!currentRole) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy thành viên'
+            });
+        }
+
+        if (currentRole === 'owner' && role !== 'owner'
+            && (countOwners(req.workspace) <= 1 || isPersonalOwner(req.workspace, userId))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Workspace phải giữ lại chủ sở hữu hiện tại'
+            });
+        }
+
+        const workspace = await Workspace.findOneAndUpdate(
+            { _id: req.workspace._id, 'members.userId': userId },
+            { $set: { 'members.$.role': role } },
+            { new: true }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Cập nhật vai trò thành công',
+            data: serializeWorkspace(workspace, req.user._id)
+        });
+    } catch (error) {
+        console.error('Update member role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi cập nhật vai trò thành viên'
+        });
+    }
+};
+
+/**
+ * Remove a member (owners), or leave the workspace (any member removing themselves)
+ * DELETE /api/workspaces/:id/members/:userId
+ */
+exports.removeMember = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const isSelf = String(userId) === String(req.user._id);
+
+        if (!isSelf && req.workspaceRole !== 'owner') {
+            return res.status(403).json({
+                success: false,
+                message: 'Chỉ chủ sở hữu mới được xóa thành viên'
+            });
+        }
+
+        const currentRole = req.workspace.getMemberRole(userId);
+        if (!currentRole) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy thành viên'
+            });
+        }
+
+        if (currentRole === 'owner'
+            && (countOwners(req.workspace) <= 1 || isPersonalOwner(req.workspace, userId))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Workspace phải giữ lại chủ sở hữu hiện tại'
+            });
+        }
+
+        await Workspace.updateOne(
+            { _id: req.workspace._id },
+            { $pull: { members: { userId } } }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: isSelf ? 'Đã rời khỏi workspace' : 'Đã xóa thành viên khỏi workspace'
+        });
+    } catch (error) {
+        console.error('Remove member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi xóa thành viên'
+        });
+    }
+};
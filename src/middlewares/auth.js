@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const { isAccessTokenActive } = require('../services/auth');
 
 // Protect routes - Verify JWT token
 const protect = async (req, res, next) => {
@@ -39,6 +40,16 @@ const protect = async (req, res, next) => {
             });
         }
 
+        // Reject tokens of logged-out sessions / revoked by logout-all or password change
+        if (!(await isAccessTokenActive(decoded, req.user))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Phiên đăng nhập đã kết thúc. Vui lòng đăng nhập lại.'
+            });
+        }
+
+        req.sessionId = decoded.sid;
+
         next();
     } catch (error) {
         return res.status(401).json({
@@ -48,6 +59,14 @@ const protect = async (req, res, next) => {
     }
 };
 
+// Accept ?token= for streaming routes (EventSource cannot send an Authorization header)
+const allowQueryToken = (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.token === 'string' && req.query.token) {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+};
+
 // Grant access to specific roles
 const authorize = (...roles) => {
     return (req, res, next) => {
@@ -63,5 +82,6 @@ const authorize = (...roles) => {
 
 module.exports = {
     protect,
+    allowQueryToken,
     authorize
 };
@@ -0,0 +1,51 @@
+/**
+ * Brand Profile Middleware
+ * Validates the brandProfileId of generate requests (use after resolveWorkspace)
+ */
+
+const mongoose = require('mongoose');
+const { BrandProfile } = require('../models');
+
+/**
+ * Load req.body.brandProfileId into req.brandProfile.
+ * The profile must belong to the current workspace and not be archived.
+ */
+const resolveBrandProfile = async (req, res, next) => {
+    const brandProfileId = req.body?.brandProfileId;
+    if (!brandProfileId) return next();
+
+    try {
+        if (!mongoose.Types.ObjectId.isValid(brandProfileId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'brandProfileId không hợp lệ'
+            });
+        }
+
+        const brandProfile = await BrandProfile.findOne({
+            _id: brandProfileId,
+            workspaceId: req.workspace._id,
+            archivedAt: null
+        });
+
+        if (!brandProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy hồ sơ thương hiệu hoặc hồ sơ đã được lưu trữ'
+            });
+        }
+
+        req.brandProfile = brandProfile;
+        next();
+    } catch (error) {
+        console.error('Resolve brand profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi tải hồ sơ thương hiệu'
+        });
+    }
+};
+
+module.exports = {
+    resolveBrandProfile
+};
@@ -1,10 +1,21 @@
-const { protect, authorize } = require('./auth');
+const { protect, allowQueryToken, authorize } = require('./auth');
 const errorHandler = require('./errorHandler');
 const requestLogger = require('./requestLogger');
+const { trackUsage } = require('./usage.middleware');
+const { checkQuota } = require('./quota.middleware');
+const { resolveWorkspace, resolveWorkspaceParam, requireWorkspaceRole } = require('./workspace.middleware');
+const { resolveBrandProfile } = require('./brandProfile.middleware');
 
 module.exports = {
     protect,
+    allowQueryToken,
     authorize,
     errorHandler,
-    requestLogger
+    requestLogger,
+    trackUsage,
+    checkQuota,
+    resolveWorkspace,
+    resolveWorkspaceParam,
+    requireWorkspaceRole,
+    resolveBrandProfile
 };
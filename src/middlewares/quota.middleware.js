@@ -0,0 +1,96 @@
+/**
+ * Quota Middleware
+ * Enforces plan tier quotas and premium model access in front of generate routes
+ */
+
+const { getModelForTask } = require('../services/gemini/modelConfig.service');
+const { getUserPlan, isModelAllowed, reserveQuota, refundQuota } = require('../services/quota');
+
+// Model setting each tool generates with
+const TOOL_MODEL_TASKS = {
+    article: 'text',
+    video: 'text',
+    image: 'imageGen',
+    marketing: 'text'
+};
+
+function setQuotaHeaders(res, quota) {
+    res.set('X-Quota-Limit', quota.limit === null ? 'unlimited' : String(quota.limit));
+    res.set('X-Quota-Remaining', quota.remaining === null ? 'unlimited' : String(quota.remaining));
+    res.set('X-Quota-Reset', quota.resetAt.toISOString());
+}
+
+/**
+ * Reserve quota for a request, sending the 403/429 response when it cannot be taken.
+ * The quota is given back if the response is an error,
+ * background jobs carry the reservation and give it back when they finally fail.
+ * @param {Object} req - Authenticated request
+ * @param {Object} res
+ * @param {string} tool - 'article' | 'video' | 'image' | 'marketing'
+ * @param {number} units - Units consumed
+ * @returns {Promise<Object|null>} Reservation (also set as req.quotaReservation), null when a response was sent
+ */
+async function reserveRequestQuota(req, res, tool, units = 1) {
+    const plan = getUserPlan(req.user);
+    const modelName = await getModelForTask(TOOL_MODEL_TASKS[tool], req.workspace?._id);
+
+    if (!isModelAllowed(plan, modelName)) {
+        res.status(403).json({
+            success: false,
+            message: `Model ${modelName} chỉ dành cho gói trả phí. Vui lòng nâng cấp gói hoặc chọn model khác trong Cài đặt AI.`,
+            data: { plan, modelName }
+        });
+        return null;
+    }
+
+    const amount = Math.max(1, parseInt(units, 10) || 1);
+    const { reserved, quota, reservation } = await reserveQuota(req.user, tool, amount);
+
+    setQuotaHeaders(res, quota);
+
+    if (!reserved) {
+        res.status(429).json({
+            success: false,
+            message: quota.remaining > 0
+                ? `Yêu cầu cần ${amount} lượt nhưng bạn chỉ còn ${quota.remaining} lượt trong tháng này`
+                : 'Bạn đã dùng hết hạn mức tạo nội dung của tháng này. Vui lòng nâng cấp gói hoặc chờ sang tháng mới.',
+            data: { quota }
+        });
+        return null;
+    }
+
+    req.quotaReservation = reservation;
+    res.on('finish', () => {
+        if (res.statusCode < 400) return;
+        refundQuota(reservation).catch((error) => {
+            console.error('Quota refund error:', error.message);
+        });
+    });
+
+    return reservation;
+}
+
+/**
+ * Reserve quota for the request (use after protect), see reserveRequestQuota
+ * @param {string} tool - 'article' | 'video' | 'image' | 'marketing'
+ * @param {Function} getUnits - Optional (req) => number|Promise<number>, units consumed (default 1)
+ */
+const checkQuota = (tool, getUnits) => async (req, res, next) => {
+    try {
+        const reservation = await reserveRequestQuota(req, res, tool, getUnits ? await getUnits(req) : 1);
+        if (!reservation) return;
+
+        next();
+    } catch (error) {
+        console.error('Check quota error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi kiểm tra hạn mức sử dụng'
+        });
+    }
+};
+
+module.exports = {
+    reserveRequestQuota,
+    checkQuota
+};
@@ -0,0 +1,18 @@
+/**
+ * Usage Middleware
+ * Attributes AI calls made while handling the request to the signed-in user and a tool
+ */
+
+const { runWithUsageContext } = require('../services/usage');
+
+/**
+ * Track AI usage for the rest of the request (use after protect)
+ * @param {string} tool - 'article' | 'video' | 'image' | 'marketing'
+ */
+const trackUsage = (tool) => (req, res, next) => {
+    runWithUsageContext({ userId: req.user._id, tool }, next);
+};
+
+module.exports = {
+    trackUsage
+};
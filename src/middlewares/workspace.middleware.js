@@ -0,0 +1,74 @@
+/**
+ * Workspace Middleware
+ * Resolves the workspace a request works in and checks the member's role
+ */
+
+const mongoose = require('mongoose');
+const { ensurePersonalWorkspace, findMemberWorkspace } = require('../services/workspace');
+
+async function attachWorkspace(req, res, next, workspaceId) {
+    try {
+        let workspace;
+
+        if (workspaceId) {
+            if (!mongoose.Types.ObjectId.isValid(workspaceId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Workspace ID không hợp lệ'
+                });
+            }
+
+            workspace = await findMemberWorkspace(req.user._id, workspaceId);
+            if (!workspace) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Không tìm thấy workspace hoặc bạn không phải thành viên'
+                });
+            }
+        } else {
+            workspace = await ensurePersonalWorkspace(req.user);
+        }
+
+        req.workspace = workspace;
+        req.workspaceRole = workspace.getMemberRole(req.user._id);
+
+        next();
+    } catch (error) {
+        console.error('Resolve workspace error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi xác định workspace'
+        });
+    }
+}
+
+/**
+ * Workspace from the X-Workspace-Id header, the user's personal workspace when omitted
+ * (use after protect). Sets req.workspace and req.workspaceRole.
+ */
+const resolveWorkspace = (req, res, next) => attachWorkspace(req, res, next, req.get('X-Workspace-Id'));
+
+/**
+ * Workspace from the :id route param (workspace management routes)
+ */
+const resolveWorkspaceParam = (req, res, next) => attachWorkspace(req, res, next, req.params.id);
+
+/**
+ * Allow only some workspace roles (use after resolveWorkspace)
+ * @param {...string} roles - 'owner' | 'editor' | 'viewer'
+ */
+const requireWorkspaceRole = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.workspaceRole)) {
+        return res.status(403).json({
+            success: false,
+            message: 'Vai trò của bạn trong workspace không được phép thực hiện thao tác này'
+        });
+    }
+    next();
+};
+
+module.exports = {
+    resolveWorkspace,
+    resolveWorkspaceParam,
+    requireWorkspaceRole
+};
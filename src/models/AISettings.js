@@ -1,114 +1,30 @@
 const mongoose = require('mongoose');
+const { brandSetupFields } = require('./brandSetup.fields');
 
-// Sub-schema cho Resource Links
-const ResourceLinkSchema = new mongoose.Schema({
-    label: {
-        type: String,
-        trim: true
-    },
-    url: {
-        type: String,
-        trim: true
-    }
-}, { _id: false });
-
-// Sub-schema cho Context Descriptions
-const ContextDescriptionSchema = new mongoose.Schema({
-    context: {
-        type: String,
-        trim: true
-    },
-    description: {
-        type: String,
-        trim: true
-    }
-}, { _id: false });
-
-// Main AI Settings Schema
+// Main AI Settings Schema (workspace default brand + integrations + AI models)
 const AISettingsSchema = new mongoose.Schema({
+    // Mỗi workspace chỉ có 1 settings, dùng chung cho mọi thành viên
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        unique: true,
+        sparse: true
+    },
+    // Người tạo settings
     userId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true,
-        unique: true // Mỗi user chỉ có 1 settings
-    },
-    logo: {
-        brandName: {
-            type: String,
-            trim: true,
-            default: ''
-        },
-        logoUrl: {
-            type: String,
-            default: ''
-        },
-        brandIdentity: {
-            type: String,
-            trim: true,
-            default: ''
-        },
-        resourceLinks: {
-            type: [ResourceLinkSchema],
-            default: []
-        }
-    },
-    colors: {
-        primaryColor: {
-            type: String,
-            default: '#F59E0B'
-        },
-        backgroundColor: {
-            type: String,
-            default: '#1a1a1a'
-        },
-        accentColor: {
-            type: String,
-            default: '#0891b2'
-        }
-    },
-    language: {
-        keywords: {
-            type: [String],
-            default: []
-        },
-        customerTerm: {
-            type: String,
-            trim: true,
-            default: ''
-        },
-        brandPronoun: {
-            type: String,
-            trim: true,
-            default: ''
-        }
-    },
-    tone: {
-        overallTone: {
-            type: [String],
-            default: []
-        },
-        contextDescriptions: {
-            type: [ContextDescriptionSchema],
-            default: []
-        }
+        required: true
     },
-    product: {
-        productGroups: {
-            type: [String],
-            default: []
-        },
-        strengths: {
+    ...brandSetupFields(),
+    facebook: {
+        facebookToken: {
             type: String,
             trim: true,
             default: ''
         },
-        suitableFor: {
-            type: [String],
-            default: []
-        }
-    },
-    facebook: {
-        facebookToken: {
+        // Default Facebook Page for publishing
+        pageId: {
             type: String,
             trim: true,
             default: ''
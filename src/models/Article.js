@@ -1,5 +1,45 @@
 const mongoose = require('mongoose');
 
+// Channels an article can be repurposed for (see services/gemini/articleRepurpose.service.js)
+const REPURPOSE_CHANNELS = ['instagram', 'tiktok', 'zalo', 'blog', 'email'];
+
+// A/B variant kept next to the article as an alternate (the chosen variant is the article itself)
+const articleVariantSchema = new mongoose.Schema({
+    angle: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    writingStyle: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    title: {
+        type: String,
+        required: [true, 'Tiêu đề phiên bản là bắt buộc'],
+        trim: true,
+        maxlength: [500, 'Tiêu đề không được quá 500 ký tự']
+    },
+    content: {
+        type: String,
+        required: [true, 'Nội dung phiên bản là bắt buộc']
+    },
+    hashtags: [{
+        type: String,
+        trim: true
+    }],
+    // AI rubric result: { overall, criteria: { hookStrength, brandVoiceFit, ctaClarity, readability }, feedback }
+    score: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    rank: {
+        type: Number,
+        default: null
+    }
+});
+
 const articleSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -7,6 +47,17 @@ const articleSchema = new mongoose.Schema({
         required: true,
         index: true
     },
+    // Workspace the document belongs to (userId stays the author)
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace'
+    },
+    // Brand profile the content was generated with (null = workspace AI settings or no brand)
+    brandProfileId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BrandProfile',
+        default: null
+    },
     title: {
         type: String,
         required: [true, 'Tiêu đề bài viết là bắt buộc'],
@@ -45,6 +96,91 @@ const articleSchema = new mongoose.Schema({
         type: String,
         enum: ['processing', 'failed', 'draft', 'published'],
         default: 'draft'
+    },
+    // A/B variant the article was saved from: { angle, writingStyle, score, rank } (null = single generation)
+    variant: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // The other variants of the same generation
+    alternates: {
+        type: [articleVariantSchema],
+        default: []
+    },
+    // Channel-native rewrite of another article (null = original article)
+    parentArticleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Article',
+        default: null,
+        index: true
+    },
+    // Channel the rewrite targets: instagram | tiktok | zalo | blog | email
+    channel: {
+        type: String,
+        enum: [...REPURPOSE_CHANNELS, null],
+        default: null
+    },
+    // Extra channel fields: { metaDescription } for blog, { subject, preheader } for email
+    channelFields: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // SEO long-form article (content is Markdown): { targetKeyword, secondaryKeywords, metaTitle,
+    // metaDescription, slug, outline, faq: [{ question, answer }] } (null = social post)
+    seo: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // AI rewrite queued on the text (POST /:id/regenerate), cleared when it is applied or dropped
+    rewriteJobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+        default: null
+    },
+    // Number of the latest ArticleRevision (0 = no history yet)
+    revisionCount: {
+        type: Number,
+        default: 0
+    },
+    // Last publication to a social channel (remote post, or the error of the last failed attempt)
+    publication: {
+        channel: {
+            type: String,
+            default: null
+        },
+        pageId: {
+            type: String,
+            default: null
+        },
+        postId: {
+            type: String,
+            default: null
+        },
+        permalink: {
+            type: String,
+            default: null
+        },
+        publishedAt: {
+            type: Date,
+            default: null
+        },
+        lastAttemptAt: {
+            type: Date,
+            default: null
+        },
+        lastError: {
+            type: String,
+            default: null
+        },
+        // Start of the attempt currently talking to the channel (null = none), claimed atomically
+        inFlightAt: {
+            type: Date,
+            default: null
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        }
     }
 }, {
     timestamps: true
@@ -52,6 +188,7 @@ const articleSchema = new mongoose.Schema({
 
 // Index for faster queries by user
 articleSchema.index({ userId: 1, createdAt: -1 });
+articleSchema.index({ workspaceId: 1, createdAt: -1 });
 
 // Virtual for formatted date
 articleSchema.virtual('formattedDate').get(function() {
@@ -62,6 +199,8 @@ articleSchema.virtual('formattedDate').get(function() {
 articleSchema.set('toJSON', { virtuals: true });
 articleSchema.set('toObject', { virtuals: true });
 
+articleSchema.statics.REPURPOSE_CHANNELS = REPURPOSE_CHANNELS;
+
 const Article = mongoose.model('Article', articleSchema);
 
 module.exports = Article;
@@ -0,0 +1,82 @@
+/**
+ * ArticleRevision Model
+ * Immutable snapshot of an article's title, content and hashtags, appended on every
+ * manual save and every AI generation. Revisions are numbered per article from 1.
+ */
+
+const mongoose = require('mongoose');
+
+const REVISION_SOURCES = ['manual', 'ai'];
+
+const ArticleRevisionSchema = new mongoose.Schema({
+    articleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Article',
+        required: true,
+        immutable: true
+    },
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        immutable: true
+    },
+    number: {
+        type: Number,
+        required: true,
+        min: 1,
+        immutable: true
+    },
+    // Author of the save, or the user who ran the AI generation
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        immutable: true
+    },
+    source: {
+        type: String,
+        enum: REVISION_SOURCES,
+        required: true,
+        immutable: true
+    },
+    // AI revisions: instruction and model used
+    instruction: {
+        type: String,
+        default: '',
+        immutable: true
+    },
+    modelName: {
+        type: String,
+        default: null,
+        immutable: true
+    },
+    // Revision number this one restored (null = not a restore)
+    restoredFrom: {
+        type: Number,
+        default: null,
+        immutable: true
+    },
+    title: {
+        type: String,
+        required: true,
+        immutable: true
+    },
+    content: {
+        type: String,
+        required: true,
+        immutable: true
+    },
+    hashtags: {
+        type: [String],
+        default: [],
+        immutable: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+ArticleRevisionSchema.index({ articleId: 1, number: -1 }, { unique: true });
+
+ArticleRevisionSchema.statics.REVISION_SOURCES = REVISION_SOURCES;
+
+module.exports = mongoose.model('ArticleRevision', ArticleRevisionSchema);
@@ -0,0 +1,62 @@
+/**
+ * AuthSession Model
+ * One signed-in device: holds the (hashed) rotating refresh token.
+ * Access tokens carry the session id (sid) so revoking the session revokes them too.
+ */
+
+const mongoose = require('mongoose');
+
+const AuthSessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // sha256 of the current refresh token (the token itself is never stored)
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    // Token rotated out by the last refresh; presenting it again means it was stolen
+    previousTokenHash: {
+        type: String,
+        default: null
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        default: ''
+    },
+
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+AuthSessionSchema.index({ refreshTokenHash: 1 });
+AuthSessionSchema.index({ previousTokenHash: 1 });
+AuthSessionSchema.index({ userId: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthSession', AuthSessionSchema);
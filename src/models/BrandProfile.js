@@ -0,0 +1,43 @@
+/**
+ * BrandProfile Model
+ * Named brand setup of a workspace (e.g. one per agency client).
+ * Generate routes pick one with brandProfileId; without it the workspace AI settings are used.
+ */
+
+const mongoose = require('mongoose');
+const { brandSetupFields, BRAND_SECTIONS } = require('./brandSetup.fields');
+
+const BrandProfileSchema = new mongoose.Schema({
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true
+    },
+    // Creator
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Vui lòng nhập tên hồ sơ thương hiệu'],
+        trim: true,
+        maxlength: [100, 'Tên hồ sơ thương hiệu không được vượt quá 100 ký tự']
+    },
+    ...brandSetupFields(),
+    // Archived profiles are hidden and cannot be used for new generations,
+    // content already generated with them keeps the reference
+    archivedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+BrandProfileSchema.index({ workspaceId: 1, archivedAt: 1, name: 1 });
+
+BrandProfileSchema.statics.BRAND_SECTIONS = BRAND_SECTIONS;
+
+module.exports = mongoose.model('BrandProfile', BrandProfileSchema);
@@ -0,0 +1,146 @@
+/**
+ * Job Model
+ * Persistent queue entry for long-running AI generations
+ */
+
+const mongoose = require('mongoose');
+
+const JOB_TYPES = ['article', 'video', 'image', 'marketing', 'publish'];
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+const JobProgressSchema = new mongoose.Schema({
+    percent: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100
+    },
+    step: {
+        type: String,
+        default: ''
+    },
+    message: {
+        type: String,
+        default: ''
+    },
+    current: {
+        type: Number,
+        default: 0
+    },
+    total: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+const JobSchema = new mongoose.Schema({
+    // Owner - only this user can see the job
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // Workspace whose brand settings and AI models the handler uses
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        default: null
+    },
+
+    // Handler key, matches the tool names used by logPromptDebug ('publish' = scheduled plan post)
+    type: {
+        type: String,
+        enum: JOB_TYPES,
+        required: true
+    },
+
+    status: {
+        type: String,
+        enum: JOB_STATUSES,
+        default: 'queued'
+    },
+
+    // Handler input (everything needed to run without the original request)
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    // Document driven by this job (Article, VideoScript, ProductImage, MarketingPlan)
+    refModel: {
+        type: String,
+        default: ''
+    },
+    refId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+
+    // Quota taken by the request ({ userId, tool, amount, period }), given back if the job finally fails
+    quotaReservation: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+
+    progress: {
+        type: JobProgressSchema,
+        default: () => ({})
+    },
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+
+    // Retry bookkeeping
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 3,
+        min: 1
+    },
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastError: {
+        type: String,
+        default: ''
+    },
+
+    // Worker lock, refreshed by heartbeat while running
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    lockedBy: {
+        type: String,
+        default: ''
+    },
+
+    startedAt: {
+        type: Date,
+        default: null
+    },
+    finishedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Worker polling: next runnable job
+JobSchema.index({ status: 1, runAt: 1 });
+// Listing jobs by user
+JobSchema.index({ userId: 1, createdAt: -1 });
+// Lookup job by the document it drives
+JobSchema.index({ refModel: 1, refId: 1 });
+
+JobSchema.statics.JOB_TYPES = JOB_TYPES;
+JobSchema.statics.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = mongoose.model('Job', JobSchema);
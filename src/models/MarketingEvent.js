@@ -0,0 +1,99 @@
+/**
+ * MarketingEvent Model
+ * Custom event of a workspace (store anniversary, menu launch, local festival...)
+ * that the marketing planner takes into account next to the built-in holiday calendar.
+ */
+
+const mongoose = require('mongoose');
+
+const EVENT_CALENDARS = ['solar', 'lunar'];
+
+// Days of each solar month (29 for February: the event is skipped in non-leap years)
+const SOLAR_MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const MarketingEventSchema = new mongoose.Schema({
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true
+    },
+    // Creator
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Vui lòng nhập tên sự kiện'],
+        trim: true,
+        maxlength: [100, 'Tên sự kiện không được vượt quá 100 ký tự']
+    },
+    // What to communicate around the event, given to the AI
+    description: {
+        type: String,
+        trim: true,
+        default: '',
+        maxlength: [500, 'Mô tả sự kiện không được vượt quá 500 ký tự']
+    },
+    calendar: {
+        type: String,
+        enum: {
+            values: EVENT_CALENDARS,
+            message: 'Loại lịch không hợp lệ (solar hoặc lunar)'
+        },
+        default: 'solar'
+    },
+    month: {
+        type: Number,
+        required: [true, 'Vui lòng chọn tháng của sự kiện'],
+        min: [1, 'Tháng không hợp lệ'],
+        max: [12, 'Tháng không hợp lệ']
+    },
+    day: {
+        type: Number,
+        required: [true, 'Vui lòng chọn ngày của sự kiện'],
+        min: [1, 'Ngày không hợp lệ'],
+        max: [31, 'Ngày không hợp lệ'],
+        validate: {
+            validator: function (day) {
+                if (this.calendar === 'lunar') return day <= 30;
+                return day <= (SOLAR_MONTH_DAYS[this.month - 1] || 31);
+            },
+            message: 'Ngày không tồn tại trong tháng đã chọn'
+        }
+    },
+    // null = every year, otherwise only that (solar or lunar) year
+    year: {
+        type: Number,
+        default: null,
+        min: [1900, 'Năm không hợp lệ'],
+        max: [2100, 'Năm không hợp lệ']
+    },
+    durationDays: {
+        type: Number,
+        default: 1,
+        min: [1, 'Số ngày diễn ra phải từ 1 đến 31'],
+        max: [31, 'Số ngày diễn ra phải từ 1 đến 31']
+    },
+    // How many days before the event the planner may start warming it up
+    leadDays: {
+        type: Number,
+        default: 7,
+        min: [0, 'Số ngày chuẩn bị phải từ 0 đến 60'],
+        max: [60, 'Số ngày chuẩn bị phải từ 0 đến 60']
+    },
+    // Inactive events are kept but ignored by the planner
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+MarketingEventSchema.index({ workspaceId: 1, isActive: 1, month: 1, day: 1 });
+
+MarketingEventSchema.statics.EVENT_CALENDARS = EVENT_CALENDARS;
+
+module.exports = mongoose.model('MarketingEvent', MarketingEventSchema);
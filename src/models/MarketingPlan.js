@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE } = require('../utils/timezone');
+
+// queued: job created, published: posted, failed: job gave up, missed: due too long ago when auto-publish ran
+const PUBLISHING_STATES = ['queued', 'published', 'failed', 'missed'];
 
 // Sub-schema cho từng bài đăng trong marketing plan
 const MarketingPostSchema = new mongoose.Schema({
@@ -43,6 +47,42 @@ const MarketingPostSchema = new mongoose.Schema({
     suggestedHashtags: { 
         type: [String], 
         default: [] 
+    },
+    // Article written for this post
+    articleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Article',
+        default: null
+    },
+    // Auto-publishing bookkeeping (jobId is set once, when the scheduler claims the post)
+    publishing: {
+        jobId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Job',
+            default: null
+        },
+        state: {
+            type: String,
+            enum: [null, ...PUBLISHING_STATES],
+            default: null
+        },
+        queuedAt: {
+            type: Date,
+            default: null
+        },
+        // Article quota taken for the claim, handed to the publish job (also when it is re-queued)
+        quotaReservation: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null
+        },
+        publishedAt: {
+            type: Date,
+            default: null
+        },
+        lastError: {
+            type: String,
+            default: null
+        }
     }
 }, { _id: true });
 
@@ -54,6 +94,17 @@ const MarketingPlanSchema = new mongoose.Schema({
         required: true,
         index: true
     },
+    // Workspace the document belongs to (userId stays the author)
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace'
+    },
+    // Brand profile the content was generated with (null = workspace AI settings or no brand)
+    brandProfileId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BrandProfile',
+        default: null
+    },
     
     // Input fields (stored for reference)
     campaignName: { 
@@ -133,6 +184,46 @@ const MarketingPlanSchema = new mongoose.Schema({
         type: Boolean, 
         default: false 
     },
+
+    // Auto-publishing: scheduled posts are written and published at their date/time in this timezone
+    autoPublish: {
+        type: Boolean,
+        default: false
+    },
+    timezone: {
+        type: String,
+        default: DEFAULT_TIMEZONE,
+        trim: true
+    },
+    // Facebook Page to publish to (empty = page saved in AI settings)
+    pageId: {
+        type: String,
+        default: '',
+        trim: true
+    },
+    
+    // Secret ICS subscription URL (only the token hash is stored, the URL is shown once)
+    calendarFeed: {
+        tokenHash: {
+            type: String,
+            default: null,
+            select: false
+        },
+        createdAt: {
+            type: Date,
+            default: null
+        }
+    },
+    
+    // Holidays and custom events given to the AI, and the built-in calendar version they came from
+    seasonalEvents: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    holidayCalendarVersion: {
+        type: String,
+        default: null
+    },
     
     // Output - AI generated posts
     posts: { 
@@ -143,6 +234,11 @@ const MarketingPlanSchema = new mongoose.Schema({
         type: Number, 
         default: 0 
     },
+    // What the generation repaired, removed or had to ask the AI again for
+    validationReport: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
     
     // Plan status
     status: { 
@@ -156,6 +252,17 @@ const MarketingPlanSchema = new mongoose.Schema({
 
 // Index để tìm kiếm nhanh
 MarketingPlanSchema.index({ userId: 1, createdAt: -1 });
+MarketingPlanSchema.index({ workspaceId: 1, createdAt: -1 });
 MarketingPlanSchema.index({ status: 1 });
+// Scheduler: active auto-publishing plans with scheduled posts
+MarketingPlanSchema.index({ autoPublish: 1, status: 1, 'posts.date': 1 });
+
+// Calendar feed lookup by token
+MarketingPlanSchema.index(
+    { 'calendarFeed.tokenHash': 1 },
+    { unique: true, partialFilterExpression: { 'calendarFeed.tokenHash': { $type: 'string' } } }
+);
+
+MarketingPlanSchema.statics.PUBLISHING_STATES = PUBLISHING_STATES;
 
 module.exports = mongoose.model('MarketingPlan', MarketingPlanSchema);
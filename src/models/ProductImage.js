@@ -36,6 +36,17 @@ const ProductImageSchema = new mongoose.Schema({
         required: true,
         index: true
     },
+    // Workspace the document belongs to (userId stays the author)
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace'
+    },
+    // Brand profile the content was generated with (null = workspace AI settings or no brand)
+    brandProfileId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BrandProfile',
+        default: null
+    },
     
     // Title for the image
     title: {
@@ -174,9 +185,12 @@ const ProductImageSchema = new mongoose.Schema({
 
 // Compound index for efficient querying by user and date
 ProductImageSchema.index({ userId: 1, createdAt: -1 });
+ProductImageSchema.index({ workspaceId: 1, createdAt: -1 });
 
 // Ensure virtuals are included in JSON
 ProductImageSchema.set('toJSON', { virtuals: true });
 ProductImageSchema.set('toObject', { virtuals: true });
 
+ProductImageSchema.statics.CAMERA_ANGLES = CAMERA_ANGLES;
+
 module.exports = mongoose.model('ProductImage', ProductImageSchema);
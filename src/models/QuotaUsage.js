@@ -0,0 +1,37 @@
+/**
+ * QuotaUsage Model
+ * Generation counters of a user for one billing month (YYYY-MM, Vietnam time)
+ */
+
+const mongoose = require('mongoose');
+
+const QuotaCountsSchema = new mongoose.Schema({
+    article: { type: Number, default: 0 },
+    video: { type: Number, default: 0 },
+    image: { type: Number, default: 0 },
+    marketing: { type: Number, default: 0 }
+}, { _id: false });
+
+const QuotaUsageSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    period: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}$/
+    },
+    counts: {
+        type: QuotaCountsSchema,
+        default: () => ({})
+    }
+}, {
+    timestamps: true
+});
+
+// One counter document per user per month
+QuotaUsageSchema.index({ userId: 1, period: 1 }, { unique: true });
+
+module.exports = mongoose.model('QuotaUsage', QuotaUsageSchema);
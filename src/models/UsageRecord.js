@@ -0,0 +1,101 @@
+/**
+ * UsageRecord Model
+ * Ledger of AI provider calls: tokens consumed and estimated cost (USD) per user, tool and model
+ */
+
+const mongoose = require('mongoose');
+
+const USAGE_TOOLS = ['article', 'video', 'image', 'marketing', 'other'];
+
+const UsageRecordSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // Same tool names as jobs and logPromptDebug
+    tool: {
+        type: String,
+        enum: USAGE_TOOLS,
+        required: true
+    },
+
+    // Provider call site, e.g. 'article.text', 'productImage.angle'
+    operation: {
+        type: String,
+        default: ''
+    },
+
+    provider: {
+        type: String,
+        default: ''
+    },
+
+    modelName: {
+        type: String,
+        required: true
+    },
+
+    inputTokens: {
+        type: Number,
+        default: 0
+    },
+    outputTokens: {
+        type: Number,
+        default: 0
+    },
+    // Image tokens (input or output) already included in input/output counts
+    imageTokens: {
+        type: Number,
+        default: 0
+    },
+    totalTokens: {
+        type: Number,
+        default: 0
+    },
+
+    // Estimated from MODEL_RECOMMENDATIONS, 0 when the model has no listed price
+    inputCost: {
+        type: Number,
+        default: 0
+    },
+    outputCost: {
+        type: Number,
+        default: 0
+    },
+    totalCost: {
+        type: Number,
+        default: 0
+    },
+    priced: {
+        type: Boolean,
+        default: false
+    },
+
+    // Generation that caused the call (when run through the job queue)
+    jobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+        default: null
+    },
+    refModel: {
+        type: String,
+        default: null
+    },
+    refId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Reports by user and date range
+UsageRecordSchema.index({ userId: 1, createdAt: -1 });
+// Usage of a single generation
+UsageRecordSchema.index({ userId: 1, refId: 1 });
+
+UsageRecordSchema.statics.USAGE_TOOLS = USAGE_TOOLS;
+
+module.exports = mongoose.model('UsageRecord', UsageRecordSchema);
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { PLAN_NAMES, DEFAULT_PLAN } = require('../config/plans.config');
 
 const UserSchema = new mongoose.Schema({
     email: {
@@ -35,9 +36,28 @@ const UserSchema = new mongoose.Schema({
         enum: ['user', 'admin'],
         default: 'user'
     },
+    // Gói dịch vụ, quyết định hạn mức tạo nội dung hàng tháng (src/config/plans.config.js)
+    plan: {
+        type: String,
+        enum: PLAN_NAMES,
+        default: DEFAULT_PLAN
+    },
     isActive: {
         type: Boolean,
         default: true
+    },
+    isEmailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: {
+        type: Date,
+        default: null
+    },
+    // Tăng lên để thu hồi toàn bộ access token đã cấp (đăng xuất mọi thiết bị, đổi mật khẩu)
+    tokenVersion: {
+        type: Number,
+        default: 0
     }
 }, {
     timestamps: true
@@ -46,7 +66,7 @@ const UserSchema = new mongoose.Schema({
 // Hash password trước khi save
 UserSchema.pre('save', async function (next) {
     if (!this.isModified('password')) {
-        next();
+        return next();
     }
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
@@ -57,12 +77,12 @@ UserSchema.methods.matchPassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Tạo JWT token
-UserSchema.methods.getSignedJwtToken = function () {
+// Tạo JWT access token (ngắn hạn) gắn với một phiên đăng nhập
+UserSchema.methods.getSignedJwtToken = function (sessionId) {
     return jwt.sign(
-        { id: this._id },
+        { id: this._id, sid: sessionId, tv: this.tokenVersion || 0 },
         process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE }
+        { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
     );
 };
 
@@ -0,0 +1,40 @@
+/**
+ * UserToken Model
+ * Single-use account action tokens (password reset, email verification).
+ * The signed token carries the id (jti) of its record; usedAt makes it single-use.
+ */
+
+const mongoose = require('mongoose');
+
+const USER_TOKEN_PURPOSES = ['password-reset', 'email-verify'];
+
+const UserTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: USER_TOKEN_PURPOSES,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+UserTokenSchema.index({ userId: 1, purpose: 1 });
+// Expired tokens are removed by MongoDB
+UserTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+UserTokenSchema.statics.USER_TOKEN_PURPOSES = USER_TOKEN_PURPOSES;
+
+module.exports = mongoose.model('UserToken', UserTokenSchema);
@@ -47,6 +47,17 @@ const VideoScriptSchema = new mongoose.Schema({
         required: true,
         index: true
     },
+    // Workspace the document belongs to (userId stays the author)
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace'
+    },
+    // Brand profile the content was generated with (null = workspace AI settings or no brand)
+    brandProfileId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BrandProfile',
+        default: null
+    },
     
     // Basic info
     title: {
@@ -118,6 +129,7 @@ const VideoScriptSchema = new mongoose.Schema({
 
 // Index for efficient querying by user
 VideoScriptSchema.index({ userId: 1, createdAt: -1 });
+VideoScriptSchema.index({ workspaceId: 1, createdAt: -1 });
 
 // Virtual for scene count
 VideoScriptSchema.virtual('sceneCount').get(function() {
@@ -0,0 +1,73 @@
+/**
+ * Workspace Model
+ * A team sharing one brand setup (AISettings) and one content library.
+ * Every user has a personal workspace, created on first use; content created
+ * before workspaces existed is moved into it.
+ */
+
+const mongoose = require('mongoose');
+
+const WORKSPACE_ROLES = ['owner', 'editor', 'viewer'];
+
+const WorkspaceMemberSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        enum: WORKSPACE_ROLES,
+        default: 'editor'
+    },
+    joinedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const WorkspaceSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Vui lòng nhập tên workspace'],
+        trim: true,
+        maxlength: [100, 'Tên workspace không được vượt quá 100 ký tự']
+    },
+    // Creator; for personal workspaces also the user it belongs to
+    ownerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    isPersonal: {
+        type: Boolean,
+        default: false
+    },
+    members: {
+        type: [WorkspaceMemberSchema],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+WorkspaceSchema.index({ 'members.userId': 1 });
+// One personal workspace per user
+WorkspaceSchema.index(
+    { ownerId: 1 },
+    { unique: true, partialFilterExpression: { isPersonal: true } }
+);
+
+/**
+ * Role of a user in this workspace
+ * @param {string} userId
+ * @returns {string|null} 'owner' | 'editor' | 'viewer', null when not a member
+ */
+WorkspaceSchema.methods.getMemberRole = function (userId) {
+    const member = this.members.find((item) => String(item.userId?._id || item.userId) === String(userId));
+    return member ? member.role : null;
+};
+
+WorkspaceSchema.statics.WORKSPACE_ROLES = WORKSPACE_ROLES;
+
+module.exports = mongoose.model('Workspace', WorkspaceSchema);
@@ -0,0 +1,62 @@
+/**
+ * WorkspaceInvitation Model
+ * Pending invitation of an email address into a workspace.
+ * Only the sha256 of the emailed token is stored.
+ */
+
+const mongoose = require('mongoose');
+
+// Owners are promoted from existing members, never invited directly
+const INVITATION_ROLES = ['editor', 'viewer'];
+
+const WorkspaceInvitationSchema = new mongoose.Schema({
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        required: true
+    },
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    role: {
+        type: String,
+        enum: INVITATION_ROLES,
+        default: 'editor'
+    },
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    acceptedAt: {
+        type: Date,
+        default: null
+    },
+    acceptedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+WorkspaceInvitationSchema.index({ tokenHash: 1 }, { unique: true });
+WorkspaceInvitationSchema.index({ workspaceId: 1, email: 1 });
+// Expired invitations are removed by MongoDB
+WorkspaceInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+WorkspaceInvitationSchema.statics.INVITATION_ROLES = INVITATION_ROLES;
+
+module.exports = mongoose.model('WorkspaceInvitation', WorkspaceInvitationSchema);
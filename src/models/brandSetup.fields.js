@@ -0,0 +1,123 @@
+/**
+ * Brand setup fields
+ * Logo, colors, language, tone and product definitions shared by the workspace
+ * AI settings and named brand profiles, so both feed the same brand context builder.
+ */
+
+const mongoose = require('mongoose');
+
+// Sub-schema cho Resource Links
+const ResourceLinkSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        trim: true
+    },
+    url: {
+        type: String,
+        trim: true
+    }
+}, { _id: false });
+
+// Sub-schema cho Context Descriptions
+const ContextDescriptionSchema = new mongoose.Schema({
+    context: {
+        type: String,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    }
+}, { _id: false });
+
+// Top-level sections of a brand setup
+const BRAND_SECTIONS = ['logo', 'colors', 'language', 'tone', 'product'];
+
+/**
+ * Fresh field definitions (a schema definition object must not be shared between schemas)
+ * @returns {Object}
+ */
+function brandSetupFields() {
+    return {
+        logo: {
+            brandName: {
+                type: String,
+                trim: true,
+                default: ''
+            },
+            logoUrl: {
+                type: String,
+                default: ''
+            },
+            brandIdentity: {
+                type: String,
+                trim: true,
+                default: ''
+            },
+            resourceLinks: {
+                type: [ResourceLinkSchema],
+                default: []
+            }
+        },
+        colors: {
+            primaryColor: {
+                type: String,
+                default: '#F59E0B'
+            },
+            backgroundColor: {
+                type: String,
+                default: '#1a1a1a'
+            },
+            accentColor: {
+                type: String,
+                default: '#0891b2'
+            }
+        },
+        language: {
+            keywords: {
+                type: [String],
+                default: []
+            },
+            customerTerm: {
+                type: String,
+                trim: true,
+                default: ''
+            },
+            brandPronoun: {
+                type: String,
+                trim: true,
+                default: ''
+            }
+        },
+        tone: {
+            overallTone: {
+                type: [String],
+                default: []
+            },
+            contextDescriptions: {
+                type: [ContextDescriptionSchema],
+                default: []
+            }
+        },
+        product: {
+            productGroups: {
+                type: [String],
+                default: []
+            },
+            strengths: {
+                type: String,
+                trim: true,
+                default: ''
+            },
+            suitableFor: {
+                type: [String],
+                default: []
+            }
+        }
+    };
+}
+
+module.exports = {
+    brandSetupFields,
+    BRAND_SECTIONS
+};
@@ -1,13 +1,33 @@
 const User = require('./User');
 const AISettings = require('./AISettings');
+const BrandProfile = require('./BrandProfile');
 const MarketingPlan = require('./MarketingPlan');
+const MarketingEvent = require('./MarketingEvent');
 const Article = require('./Article');
+const ArticleRevision = require('./ArticleRevision');
 const ProductImage = require('./ProductImage');
+const Job = require('./Job');
+const UsageRecord = require('./UsageRecord');
+const QuotaUsage = require('./QuotaUsage');
+const AuthSession = require('./AuthSession');
+const UserToken = require('./UserToken');
+const Workspace = require('./Workspace');
+const WorkspaceInvitation = require('./WorkspaceInvitation');
 
 module.exports = {
     User,
     AISettings,
+    BrandProfile,
     MarketingPlan,
+    MarketingEvent,
     Article,
-    ProductImage
+    ArticleRevision,
+    ProductImage,
+    Job,
+    UsageRecord,
+    QuotaUsage,
+    AuthSession,
+    UserToken,
+    Workspace,
+    WorkspaceInvitation
 };
@@ -0,0 +1,24 @@
+/**
+ * Admin Routes
+ * User management and generation monitoring, admin role only
+ */
+
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/admin.controller');
+const { protect, authorize } = require('../middlewares');
+
+// All routes require an admin account
+router.use(protect, authorize('admin'));
+
+// Users
+router.get('/users', adminController.getUsers);
+router.get('/users/:id', adminController.getUserById);
+router.patch('/users/:id/status', adminController.updateUserStatus);
+router.patch('/users/:id/role', adminController.updateUserRole);
+router.patch('/users/:id/plan', adminController.updateUserPlan);
+
+// Generations
+router.get('/jobs/failed', adminController.getFailedJobs);
+
+module.exports = router;
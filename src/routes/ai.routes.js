@@ -6,16 +6,31 @@
 const express = require('express');
 const router = express.Router();
 const aiController = require('../controllers/ai.controller');
-const { protect } = require('../middlewares');
+const { protect, trackUsage, checkQuota, resolveWorkspace, requireWorkspaceRole, resolveBrandProfile } = require('../middlewares');
+const { normalizeVariantCount } = require('../services/gemini');
 
-// All routes require authentication
-router.use(protect);
+// Each A/B variant counts as one article
+const countVariants = (req) => normalizeVariantCount(req.body.variants) || 1;
 
-// Generate article with AI (preview only)
-router.post('/generate-article', aiController.generateArticle);
+// All routes require authentication and generate for the workspace's brand
+router.use(protect, resolveWorkspace);
+
+// Viewers cannot generate
+router.use(requireWorkspaceRole('owner', 'editor'));
+
+// Attribute AI token usage to the user
+router.use(trackUsage('article'));
+
+// Generate article with AI (preview only, optionally as A/B variants)
+router.post('/generate-article', resolveBrandProfile, checkQuota('article', countVariants), aiController.generateArticle);
 
 // Generate and save article to database
-router.post('/generate-and-save', aiController.generateAndSaveArticle);
+router.post('/generate-and-save', resolveBrandProfile, checkQuota('article'), aiController.generateAndSaveArticle);
+
+// SEO long-form: editable outline first (preview), then the article written section by section
+// (the outline is an AI call of its own and counts as one article)
+router.post('/seo-outline', resolveBrandProfile, checkQuota('article'), aiController.generateSeoOutline);
+router.post('/seo-article', resolveBrandProfile, checkQuota('article'), aiController.generateSeoArticle);
 
 // Analyze image with AI
 router.post('/analyze-image', aiController.analyzeImage);
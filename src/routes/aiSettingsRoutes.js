@@ -1,13 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const { aiSettingsController } = require('../controllers');
-const { protect } = require('../middlewares');
+const { protect, resolveWorkspace, requireWorkspaceRole } = require('../middlewares');
 
-// All routes are protected
-router.use(protect);
+// All routes are protected, settings belong to the workspace
+router.use(protect, resolveWorkspace);
+
+// Every member generates with the brand setup, only owners change it
+const canManage = requireWorkspaceRole('owner');
 
 router.get('/', aiSettingsController.getSettings);
-router.put('/', aiSettingsController.updateSettings);
-router.patch('/:section', aiSettingsController.updateSection);
+router.put('/', canManage, aiSettingsController.updateSettings);
+router.patch('/:section', canManage, aiSettingsController.updateSection);
 
 module.exports = router;
@@ -1,19 +1,45 @@
 const express = require('express');
 const router = express.Router();
 const articleController = require('../controllers/article.controller');
-const { protect } = require('../middlewares');
+const { normalizeRepurposeChannels } = require('../services/gemini');
+const { protect, trackUsage, checkQuota, resolveWorkspace, requireWorkspaceRole, resolveBrandProfile } = require('../middlewares');
 
-// All routes require authentication
-router.use(protect);
+// One article quota unit per channel
+const countChannels = (req) => (normalizeRepurposeChannels(req.body.channels) || []).length || 1;
+
+// All routes require authentication, articles belong to the workspace
+router.use(protect, resolveWorkspace);
+
+// Viewers can only read
+const canEdit = requireWorkspaceRole('owner', 'editor');
 
 // CRUD routes
 router.route('/')
-    .post(articleController.createArticle)
+    .post(canEdit, resolveBrandProfile, articleController.createArticle)
     .get(articleController.getArticles);
 
 router.route('/:id')
     .get(articleController.getArticle)
-    .put(articleController.updateArticle)
-    .delete(articleController.deleteArticle);
+    .put(canEdit, articleController.updateArticle)
+    .delete(canEdit, articleController.deleteArticle);
+
+// A/B variants saved with the article
+router.post('/:id/alternates/:alternateId/select', canEdit, articleController.selectAlternate);
+
+// AI rewrite in place
+router.post('/:id/regenerate', canEdit, trackUsage('article'), checkQuota('article'), articleController.regenerateArticle);
+
+// Channel-native rewrites saved as child articles
+router.post('/:id/repurpose', canEdit, trackUsage('article'), checkQuota('article', countChannels), articleController.repurposeArticle);
+router.get('/:id/children', articleController.getArticleChildren);
+
+// SEO long-form package (HTML, meta tags, FAQ schema, keyword report)
+router.get('/:id/seo', articleController.getArticleSeo);
+
+// Revision history (diff before /:number)
+router.get('/:id/revisions', articleController.getArticleRevisions);
+router.get('/:id/revisions/diff', articleController.diffArticleRevisions);
+router.get('/:id/revisions/:number', articleController.getArticleRevision);
+router.post('/:id/revisions/:number/restore', canEdit, articleController.restoreArticleRevision);
 
 module.exports = router;
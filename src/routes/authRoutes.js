@@ -6,9 +6,15 @@ const { protect } = require('../middlewares');
 // Public routes
 router.post('/register', authController.register);
 router.post('/login', authController.login);
+router.post('/refresh', authController.refresh);
+router.post('/forgot-password', authController.forgotPassword);
+router.post('/reset-password', authController.resetPassword);
+router.post('/verify-email', authController.verifyEmail);
 
 // Protected routes
 router.post('/logout', protect, authController.logout);
+router.post('/logout-all', protect, authController.logoutAll);
+router.post('/resend-verification', protect, authController.resendVerification);
 router.get('/me', protect, authController.getMe);
 
 module.exports = router;
@@ -0,0 +1,29 @@
+/**
+ * Brand Profile Routes
+ * Named brand setups of the current workspace
+ */
+
+const express = require('express');
+const router = express.Router();
+const brandProfileController = require('../controllers/brandProfile.controller');
+const { protect, resolveWorkspace, requireWorkspaceRole } = require('../middlewares');
+
+// All routes require authentication and act on the current workspace
+router.use(protect, resolveWorkspace);
+
+// Brand setup is managed by workspace owners, like the AI settings
+const isOwner = requireWorkspaceRole('owner');
+
+router.route('/')
+    .get(brandProfileController.getBrandProfiles)
+    .post(isOwner, brandProfileController.createBrandProfile);
+
+router.route('/:id')
+    .get(brandProfileController.getBrandProfile)
+    .put(isOwner, brandProfileController.updateBrandProfile);
+
+router.post('/:id/clone', isOwner, brandProfileController.cloneBrandProfile);
+router.post('/:id/archive', isOwner, brandProfileController.archiveBrandProfile);
+router.post('/:id/restore', isOwner, brandProfileController.restoreBrandProfile);
+
+module.exports = router;
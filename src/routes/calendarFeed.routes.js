@@ -0,0 +1,12 @@
+/**
+ * Calendar Feed Routes
+ * Public ICS subscription URLs of marketing plans (the secret token is the credential)
+ */
+
+const express = require('express');
+const router = express.Router();
+const calendarFeedController = require('../controllers/calendarFeed.controller');
+
+router.get('/:token.ics', calendarFeedController.getCalendarFeed);
+
+module.exports = router;
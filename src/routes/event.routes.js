@@ -0,0 +1,13 @@
+/**
+ * Event Routes
+ * Server-Sent Events stream of generation progress
+ */
+
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/event.controller');
+const { protect, allowQueryToken } = require('../middlewares');
+
+router.get('/', allowQueryToken, protect, eventController.streamEvents);
+
+module.exports = router;
@@ -7,6 +7,15 @@ const aiRoutes = require('./ai.routes');
 const videoScriptRoutes = require('./videoScript.routes');
 const productImageRoutes = require('./productImage.routes');
 const marketingPlanRoutes = require('./marketingPlan.routes');
+const jobRoutes = require('./job.routes');
+const eventRoutes = require('./event.routes');
+const usageRoutes = require('./usage.routes');
+const adminRoutes = require('./admin.routes');
+const workspaceRoutes = require('./workspace.routes');
+const brandProfileRoutes = require('./brandProfile.routes');
+const publishingRoutes = require('./publishing.routes');
+const calendarFeedRoutes = require('./calendarFeed.routes');
+const marketingEventRoutes = require('./marketingEvent.routes');
 
 module.exports = {
     authRoutes,
@@ -17,5 +26,14 @@ module.exports = {
     aiRoutes,
     videoScriptRoutes,
     productImageRoutes,
-    marketingPlanRoutes
+    marketingPlanRoutes,
+    jobRoutes,
+    eventRoutes,
+    usageRoutes,
+    adminRoutes,
+    workspaceRoutes,
+    brandProfileRoutes,
+    publishingRoutes,
+    calendarFeedRoutes,
+    marketingEventRoutes
 };
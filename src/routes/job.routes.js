@@ -0,0 +1,17 @@
+/**
+ * Job Routes
+ * Status of background AI generations
+ */
+
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/job.controller');
+const { protect } = require('../middlewares');
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/', jobController.getJobs);
+router.get('/:id', jobController.getJobById);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+/**
+ * Marketing Event Routes
+ * Custom events of the current workspace and the seasonal calendar
+ */
+
+const express = require('express');
+const router = express.Router();
+const marketingEventController = require('../controllers/marketingEvent.controller');
+const { protect, resolveWorkspace, requireWorkspaceRole } = require('../middlewares');
+
+// All routes require authentication and act on the current workspace
+router.use(protect, resolveWorkspace);
+
+// Viewers can only read
+const canEdit = requireWorkspaceRole('owner', 'editor');
+
+router.get('/calendar', marketingEventController.getEventCalendar);
+
+router.route('/')
+    .get(marketingEventController.getMarketingEvents)
+    .post(canEdit, marketingEventController.createMarketingEvent);
+
+router.route('/:id')
+    .put(canEdit, marketingEventController.updateMarketingEvent)
+    .delete(canEdit, marketingEventController.deleteMarketingEvent);
+
+module.exports = router;
@@ -5,17 +5,22 @@
 
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middlewares');
+const { protect, trackUsage, checkQuota, resolveWorkspace, requireWorkspaceRole, resolveBrandProfile } = require('../middlewares');
 const marketingPlanController = require('../controllers/marketingPlan.controller');
+// All routes require authentication, plans belong to the workspace
+router.use(protect, resolveWorkspace);
 
-// All routes require authentication
-router.use(protect);
+// Viewers can only read
+const canEdit = requireWorkspaceRole('owner', 'editor');
+
+// Attribute AI token usage to the user
+router.use(trackUsage('marketing'));
 
 // Generate marketing plan with AI
-router.post('/generate', marketingPlanController.generateMarketingPlan);
+router.post('/generate', canEdit, resolveBrandProfile, checkQuota('marketing'), marketingPlanController.generateMarketingPlan);
 
 // Suggest monthly strategy with AI
-router.post('/suggest-strategy', marketingPlanController.suggestMonthlyStrategy);
+router.post('/suggest-strategy', canEdit, resolveBrandProfile, marketingPlanController.suggestMonthlyStrategy);
 
 // Get all plans
 router.get('/', marketingPlanController.getAllPlans);
@@ -23,10 +28,33 @@ router.get('/', marketingPlanController.getAllPlans);
 // Get plan by ID
 router.get('/:id', marketingPlanController.getPlanById);
 
+// Export posts as ics, csv or xlsx (viewers can export)
+router.get('/:id/export', marketingPlanController.exportPlan);
+
+// Secret calendar subscription URL (create/rotate, revoke)
+router.post('/:id/calendar-feed', canEdit, marketingPlanController.createCalendarFeed);
+router.delete('/:id/calendar-feed', canEdit, marketingPlanController.revokeCalendarFeed);
+
 // Delete plan
-router.delete('/:id', marketingPlanController.deletePlan);
+router.delete('/:id', canEdit, marketingPlanController.deletePlan);
 
 // Update plan status
-router.patch('/:id/status', marketingPlanController.updatePlanStatus);
+router.patch('/:id/status', canEdit, marketingPlanController.updatePlanStatus);
+
+// Turn auto-publishing of scheduled posts on/off
+router.patch('/:id/auto-publish', canEdit, marketingPlanController.updateAutoPublish);
+
+// Edit the calendar post by post (add, edit/move to another day, delete)
+router.post('/:id/posts', canEdit, marketingPlanController.addPlanPost);
+router.patch('/:id/posts/:postId', canEdit, marketingPlanController.updatePlanPost);
+router.delete('/:id/posts/:postId', canEdit, marketingPlanController.deletePlanPost);
+
+// Regenerate some posts (by id or date range), keeping the rest of the calendar
+router.post('/:id/regenerate-posts', canEdit, checkQuota('marketing'), marketingPlanController.regeneratePlanPosts);
+
+// Generate articles from plan posts (single post or every post in a date range)
+// (the bulk endpoint reserves one article unit per selected post itself)
+router.post('/:id/posts/generate-articles', canEdit, marketingPlanController.generatePostArticles);
+router.post('/:id/posts/:postId/generate-article', canEdit, checkQuota('article'), marketingPlanController.generatePostArticle);
 
 module.exports = router;
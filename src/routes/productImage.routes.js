@@ -6,18 +6,38 @@
 const express = require('express');
 const router = express.Router();
 const productImageController = require('../controllers/productImage.controller');
-const { protect } = require('../middlewares');
+const { protect, trackUsage, checkQuota, resolveWorkspace, requireWorkspaceRole, resolveBrandProfile } = require('../middlewares');
+const ProductImage = require('../models/ProductImage');
 
-// All routes require authentication
-router.use(protect);
+// Image quota is counted per generated image (one per camera angle)
+const countRequestedAngles = (req) => {
+    const angles = Array.isArray(req.body.cameraAngles) ? req.body.cameraAngles : [];
+    return new Set(angles.filter((angle) => ProductImage.CAMERA_ANGLES.includes(angle))).size || 1;
+};
+
+const countStoredAngles = async (req) => {
+    const image = await ProductImage.findOne({ _id: req.params.id, workspaceId: req.workspace._id })
+        .select('cameraAngles')
+        .catch(() => null);
+    return image?.cameraAngles?.length || 1;
+};
+
+// All routes require authentication, images belong to the workspace
+router.use(protect, resolveWorkspace);
+
+// Viewers can only read
+const canEdit = requireWorkspaceRole('owner', 'editor');
+
+// Attribute AI token usage to the user
+router.use(trackUsage('image'));
 
 // Generate routes
-router.post('/generate', productImageController.generateProductImage);
-router.post('/:id/regenerate', productImageController.regenerateProductImage);
+router.post('/generate', canEdit, resolveBrandProfile, checkQuota('image', countRequestedAngles), productImageController.generateProductImage);
+router.post('/:id/regenerate', canEdit, checkQuota('image', countStoredAngles), productImageController.regenerateProductImage);
 
 // CRUD routes
 router.get('/', productImageController.getAllProductImages);
 router.get('/:id', productImageController.getProductImageById);
-router.delete('/:id', productImageController.deleteProductImage);
+router.delete('/:id', canEdit, productImageController.deleteProductImage);
 
 module.exports = router;
@@ -0,0 +1,17 @@
+/**
+ * Publishing Routes
+ * Publish articles of the current workspace to social channels
+ */
+
+const express = require('express');
+const router = express.Router();
+const publishingController = require('../controllers/publishing.controller');
+const { protect, resolveWorkspace, requireWorkspaceRole } = require('../middlewares');
+
+// All routes require authentication, viewers cannot publish
+router.use(protect, resolveWorkspace, requireWorkspaceRole('owner', 'editor'));
+
+router.get('/facebook/pages', publishingController.getFacebookPages);
+router.post('/articles/:id', publishingController.publishArticle);
+
+module.exports = router;
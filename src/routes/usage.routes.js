@@ -0,0 +1,18 @@
+/**
+ * Usage Routes
+ * Token usage, estimated AI cost and plan quota reports
+ */
+
+const express = require('express');
+const router = express.Router();
+const usageController = require('../controllers/usage.controller');
+const { protect } = require('../middlewares');
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/', usageController.getUsage);
+router.get('/records', usageController.getUsageRecords);
+router.get('/quota', usageController.getQuota);
+
+module.exports = router;
@@ -6,21 +6,27 @@
 const express = require('express');
 const router = express.Router();
 const videoScriptController = require('../controllers/videoScript.controller');
-const { protect } = require('../middlewares');
+const { protect, trackUsage, checkQuota, resolveWorkspace, requireWorkspaceRole, resolveBrandProfile } = require('../middlewares');
 
-// All routes require authentication
-router.use(protect);
+// All routes require authentication, scripts belong to the workspace
+router.use(protect, resolveWorkspace);
+
+// Viewers can only read and export
+const canEdit = requireWorkspaceRole('owner', 'editor');
+
+// Attribute AI token usage to the user
+router.use(trackUsage('video'));
 
 // Generate routes
-router.post('/generate', videoScriptController.generateScript);
-router.post('/generate-idea', videoScriptController.generateIdea);
-router.post('/suggest-concepts', videoScriptController.suggestConcepts);
+router.post('/generate', canEdit, resolveBrandProfile, checkQuota('video'), videoScriptController.generateScript);
+router.post('/generate-idea', canEdit, resolveBrandProfile, videoScriptController.generateIdea);
+router.post('/suggest-concepts', canEdit, resolveBrandProfile, videoScriptController.suggestConcepts);
 
 // CRUD routes
 router.get('/', videoScriptController.getAllScripts);
 router.get('/:id', videoScriptController.getScriptById);
 router.get('/:id/export-excel', videoScriptController.exportToExcel);
-router.put('/:id', videoScriptController.updateScript);
-router.delete('/:id', videoScriptController.deleteScript);
+router.put('/:id', canEdit, videoScriptController.updateScript);
+router.delete('/:id', canEdit, videoScriptController.deleteScript);
 
 module.exports = router;
@@ -0,0 +1,35 @@
+/**
+ * Workspace Routes
+ * Team workspaces, members and invitations
+ */
+
+const express = require('express');
+const router = express.Router();
+const workspaceController = require('../controllers/workspace.controller');
+const { protect, resolveWorkspaceParam, requireWorkspaceRole } = require('../middlewares');
+
+// All routes require authentication
+router.use(protect);
+
+const isOwner = requireWorkspaceRole('owner');
+
+router.get('/', workspaceController.getWorkspaces);
+router.post('/', workspaceController.createWorkspace);
+
+// Invitations addressed to the current user
+router.post('/invitations/accept', workspaceController.acceptInvitation);
+
+// Single workspace (members only)
+router.get('/:id', resolveWorkspaceParam, workspaceController.getWorkspace);
+router.patch('/:id', resolveWorkspaceParam, isOwner, workspaceController.updateWorkspace);
+
+// Invitations
+router.get('/:id/invitations', resolveWorkspaceParam, isOwner, workspaceController.getInvitations);
+router.post('/:id/invitations', resolveWorkspaceParam, isOwner, workspaceController.inviteMember);
+router.delete('/:id/invitations/:invitationId', resolveWorkspaceParam, isOwner, workspaceController.revokeInvitation);
+
+// Members
+router.patch('/:id/members/:userId', resolveWorkspaceParam, isOwner, workspaceController.updateMemberRole);
+router.delete('/:id/members/:userId', resolveWorkspaceParam, workspaceController.removeMember);
+
+module.exports = router;
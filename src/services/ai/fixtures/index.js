@@ -0,0 +1,258 @@
+/**
+ * Mock AI Fixtures
+ * Deterministic responses for the mock provider, keyed by meta.operation.
+ * Each builder receives (meta, prompt) and returns a string or a JSON-serializable object.
+ */
+
+const SENTENCES = [
+    'Sản phẩm được chăm chút từ nguyên liệu đến khâu hoàn thiện',
+    'Khách hàng luôn nhận được trải nghiệm nhất quán và đáng tin cậy',
+    'Đội ngũ của chúng tôi sẵn sàng tư vấn để bạn chọn đúng nhu cầu',
+    'Ưu đãi dành riêng cho những ai đặt hàng sớm trong tuần này',
+    'Hãy để lại bình luận hoặc nhắn tin để được hỗ trợ nhanh nhất'
+];
+
+const SHOT_TYPES = ['goc_trung', 'can_canh', 'goc_rong', 'overlay'];
+const PURPOSES = ['engagement', 'sales', 'awareness', 'traffic', 'leads'];
+const POST_TYPES = ['image', 'video', 'story', 'blog', 'reel'];
+
+/**
+ * Build text of exactly `wordCount` words from the fixed sentence pool
+ */
+function buildWords(wordCount, lead = '') {
+    const words = lead ? lead.split(/\s+/).filter(Boolean) : [];
+    let sentenceIndex = 0;
+
+    while (words.length < wordCount) {
+        words.push(...SENTENCES[sentenceIndex % SENTENCES.length].split(' '));
+        sentenceIndex++;
+    }
+
+    return words.slice(0, wordCount).join(' ') + '.';
+}
+
+function toPositiveInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function buildArticle(meta) {
+    const topic = meta.topic || 'sản phẩm mới';
+    const wordCount = toPositiveInt(meta.wordCount, 250);
+
+    return {
+        title: meta.angle ? `✨ ${topic} (${meta.angle})` : `✨ ${topic}`,
+        content: buildWords(wordCount, `${topic}:`),
+        hashtags: ['#marketing', '#thuonghieu', '#sanpham', '#uudai', '#khachhang']
+    };
+}
+
+const FIXTURES = {
+    'article.text': buildArticle,
+    'article.vision': buildArticle,
+    'article.aiImage': (meta) => ({
+        ...buildArticle(meta),
+        imagePrompt: `A clean professional product photo about ${meta.topic || 'a new product'}, soft studio lighting`
+    }),
+
+    'article.wordCount': (meta) => ({
+        content: buildWords(toPositiveInt(meta.wordCount, 250))
+    }),
+
+    // Later variants score higher, so ranking reverses the generation order
+    'article.variantScore': (meta) => ({
+        scores: Array.from({ length: toPositiveInt(meta.variantCount, 2) }, (_, index) => ({
+            index: index + 1,
+            hookStrength: Math.min(10, 5 + index),
+            brandVoiceFit: 7,
+            ctaClarity: Math.min(10, 6 + index),
+            readability: 8,
+            feedback: `Nhận xét phiên bản ${index + 1}`
+        }))
+    }),
+
+    // Over the channel limits on purpose: too many hashtags, long meta description
+    'article.repurpose': (meta) => ({
+        title: `${meta.channel}: ${meta.topic || 'sản phẩm mới'}`,
+        content: buildWords(meta.channel === 'tiktok' ? 30 : 120, `${meta.topic || 'Sản phẩm mới'}:`),
+        hashtags: Array.from({ length: 40 }, (_, index) => `#tag${index % 35}`),
+        metaDescription: buildWords(60),
+        subject: `Tin mới về ${meta.topic || 'sản phẩm'}`,
+        preheader: buildWords(12)
+    }),
+
+    'article.seoOutline': (meta) => {
+        const keyword = meta.targetKeyword || 'sản phẩm mới';
+        return {
+            h1: `${keyword}: hướng dẫn đầy đủ từ A đến Z`,
+            secondaryKeywords: ['mẹo chọn', 'giá tốt'],
+            sections: [
+                { heading: `${keyword} là gì?`, subheadings: ['Nguồn gốc', 'Đặc điểm'], keyPoints: ['Định nghĩa'], wordCount: 300 },
+                { heading: 'Lợi ích nổi bật', subheadings: [], keyPoints: ['Lợi ích chính'], wordCount: 300 },
+                { heading: `Cách chọn ${keyword}`, subheadings: ['Tiêu chí'], keyPoints: ['Mẹo chọn'], wordCount: 300 },
+                { heading: 'Kết luận', subheadings: [], keyPoints: ['CTA'], wordCount: 150 }
+            ],
+            faq: [`${keyword} giá bao nhiêu?`, `Mua ${keyword} ở đâu?`]
+        };
+    },
+
+    // About the requested length: 30 words per H3, the rest before them
+    'article.seoSection': (meta) => ({
+        content: [
+            buildWords(
+                Math.max(30, toPositiveInt(meta.wordCount, 200) - 30 * (meta.subheadings || []).length),
+                `${meta.targetKeyword || 'Sản phẩm'}:`
+            ),
+            ...(meta.subheadings || []).map((subheading) => `### ${subheading}\n\n${buildWords(30)}`)
+        ].join('\n\n')
+    }),
+
+    // Meta tags over their limits on purpose
+    'article.seoMeta': (meta) => ({
+        introduction: buildWords(60, `${meta.targetKeyword || 'Sản phẩm'} là lựa chọn đáng cân nhắc.`),
+        metaTitle: `${meta.h1 || 'Bài viết'} - hướng dẫn chi tiết và cập nhật mới nhất`,
+        metaDescription: buildWords(50, `${meta.targetKeyword || 'Sản phẩm'}:`),
+        faq: (meta.questions || []).map((question) => ({ question, answer: buildWords(25) }))
+    }),
+
+    'image.analyze': () => [
+        '- **Nội dung chính**: Sản phẩm đặt ở trung tâm khung hình',
+        '- **Màu sắc**: Tông trắng và xanh dịu',
+        '- **Phong cách**: Tối giản, hiện đại',
+        '- **Bố cục**: Cân đối, nhiều khoảng trống',
+        '- **Cảm xúc/Mood**: Nhẹ nhàng, tin cậy',
+        '- **Đề xuất sử dụng**: Bài đăng mạng xã hội, banner quảng cáo'
+    ].join('\n'),
+
+    'productImage.analysis': () => ({
+        productType: 'Sample product',
+        category: 'consumer goods',
+        subcategory: 'general',
+        industry: 'retail',
+        state: 'new',
+        material: 'plastic',
+        features: ['clean silhouette', 'matte finish', 'rounded edges', 'printed label', 'compact size'],
+        colors: ['matte white', 'soft blue accent'],
+        texture: 'Smooth matte surface with subtle grain.',
+        shape: 'Cylindrical body with rounded cap.',
+        patterns: 'Minimal printed label.',
+        qualityIndicators: ['even finish', 'precise edges'],
+        brandElements: 'none',
+        currentBackground: 'plain white backdrop',
+        props: [],
+        lightingStyle: 'soft studio light',
+        photographyAngle: 'eye-level front view',
+        targetMarket: 'mass consumer',
+        mood: 'clean and minimal',
+        summary: 'A compact matte white cylindrical product with a soft blue accent and a minimal printed label, photographed on a plain white backdrop.'
+    }),
+
+    'video.script': (meta) => {
+        const sceneCount = toPositiveInt(meta.sceneCount, 6);
+        return {
+            summary: `Kịch bản mẫu "${meta.title || 'video'}" gồm ${sceneCount} cảnh.`,
+            scenes: Array.from({ length: sceneCount }, (_, index) => ({
+                sceneNumber: index + 1,
+                location: `Bối cảnh ${index + 1}`,
+                shotType: SHOT_TYPES[index % SHOT_TYPES.length],
+                description: `Mô tả cảnh ${index + 1}`,
+                voiceOver: SENTENCES[index % SENTENCES.length],
+                source: 'Quay mới',
+                note: ''
+            }))
+        };
+    },
+
+    'video.idea': (meta) => ({
+        hook: `Câu mở đầu gây chú ý về ${meta.title || 'sản phẩm'}`,
+        mainContent: 'Giới thiệu vấn đề, trình bày giải pháp và minh chứng thực tế.',
+        callToAction: 'Nhắn tin ngay để nhận ưu đãi.',
+        mood: 'Tươi sáng, nhạc nền nhẹ nhàng',
+        summary: `Ý tưởng video mẫu cho ${meta.title || 'sản phẩm'}.`
+    }),
+
+    'video.concepts': (meta) => {
+        const conceptCount = toPositiveInt(meta.conceptCount, 5);
+        return {
+            summary: 'Các concept mẫu bám sát mục tiêu video.',
+            recommendedApproach: 'Ưu tiên concept 1 vì dễ sản xuất.',
+            concepts: Array.from({ length: conceptCount }, (_, index) => ({
+                title: `Concept ${index + 1}`,
+                hook: `Hook ${index + 1}`,
+                coreMessage: `Thông điệp ${index + 1}`,
+                visualDirection: 'Quay cận sản phẩm, ánh sáng tự nhiên',
+                cta: 'Đặt hàng ngay',
+                mood: 'Năng động'
+            }))
+        };
+    },
+
+    'marketing.plan': (meta) => {
+        const input = meta.input || {};
+        const start = new Date(input.startDate || Date.now());
+        const end = new Date(input.endDate || start);
+        const totalDays = Math.max(1, Math.round((end - start) / 86400000) + 1);
+        const postsPerWeek = toPositiveInt(input.postsPerWeek, 5);
+        const totalPosts = Math.max(1, Math.round((totalDays / 7) * postsPerWeek));
+        const topics = Array.isArray(input.topics) && input.topics.length > 0 ? input.topics : ['Giới thiệu sản phẩm'];
+        const channels = Array.isArray(input.channels) && input.channels.length > 0 ? input.channels : ['facebook'];
+        const postTimes = Array.isArray(input.postTimes) && input.postTimes.length > 0 ? input.postTimes : ['18:00'];
+        const goals = Array.isArray(input.goals) ? input.goals.filter((goal) => PURPOSES.includes(goal)) : [];
+
+        return Array.from({ length: totalPosts }, (_, index) => {
+            const date = new Date(start.getTime() + Math.floor((index * totalDays) / totalPosts) * 86400000);
+            const topic = topics[index % topics.length];
+            return {
+                date: formatDate(date),
+                time: postTimes[index % postTimes.length],
+                topic,
+                channel: channels[index % channels.length],
+                contentIdea: `Ý tưởng bài đăng ${index + 1} về ${topic}`,
+                purpose: goals.length > 0 ? goals[index % goals.length] : PURPOSES[index % PURPOSES.length],
+                postType: POST_TYPES[index % POST_TYPES.length],
+                suggestedHashtags: ['#marketing', `#post${index + 1}`]
+            };
+        });
+    },
+
+    'marketing.planSlice': (meta) => {
+        const slots = Array.isArray(meta.slots) ? meta.slots : [];
+        return slots.map((slot, index) => ({
+            date: slot.date,
+            time: slot.time,
+            topic: `Chủ đề làm lại ${index + 1}`,
+            channel: slot.channel,
+            contentIdea: `Ý tưởng mới ${index + 1}${meta.instruction ? ` theo yêu cầu: ${meta.instruction}` : ''}`,
+            purpose: PURPOSES[index % PURPOSES.length],
+            postType: POST_TYPES[index % POST_TYPES.length],
+            suggestedHashtags: ['#marketing', `#lamlai${index + 1}`]
+        }));
+    },
+
+    'marketing.strategy': (meta) => {
+        const input = meta.input || {};
+        return {
+            concept: `Chiến lược tháng cho ${input.campaignName || 'doanh nghiệp'}`,
+            contentPillars: ['Giá trị sản phẩm', 'Niềm tin thương hiệu', 'Chuyển đổi'],
+            topicMix: { educational: '40%', engagement: '35%', conversion: '25%' },
+            recommendedChannels: ['facebook'],
+            recommendedGoals: ['engagement'],
+            weeklyFramework: [
+                { week: 'week 1', focus: 'Thu hút chú ý', sampleExecution: ['Nội dung hook'] },
+                { week: 'week 2', focus: 'Giáo dục thị trường', sampleExecution: ['Mini guide'] },
+                { week: 'week 3', focus: 'Gia tăng tin tưởng', sampleExecution: ['Chứng thực khách hàng'] },
+                { week: 'week 4', focus: 'Chuyển đổi', sampleExecution: ['Ưu đãi + CTA'] }
+            ],
+            rationale: 'Chiến lược mẫu cân bằng giữa nhận diện, tương tác và chuyển đổi.'
+        };
+    }
+};
+
+module.exports = {
+    FIXTURES,
+    buildWords
+};
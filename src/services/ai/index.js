@@ -0,0 +1,112 @@
+/**
+ * AI Provider Services Index
+ * Single entry point for text, vision and image generation.
+ * The active adapter is chosen by AI_PROVIDER ('gemini' by default, 'mock' for offline runs).
+ *
+ * Every call takes { prompt, modelName, meta } where meta.operation names the call site
+ * (e.g. 'article.text', 'productImage.angle') so adapters can pick fixtures or tag usage.
+ * Usage of every successful call is written to the usage ledger for the user in the current usage context.
+ */
+
+const { recordUsage } = require('../usage');
+
+const PROVIDERS = {
+    gemini: () => require('./providers/gemini.provider'),
+    mock: () => require('./providers/mock.provider')
+};
+
+let activeProvider = null;
+
+function getProviderName() {
+    const name = String(process.env.AI_PROVIDER || 'gemini').trim().toLowerCase();
+    return PROVIDERS[name] ? name : 'gemini';
+}
+
+/**
+ * Resolve the configured provider (cached)
+ * @returns {Object} Provider implementing generateText, streamText, generateVision, generateImage
+ */
+function getAIProvider() {
+    if (!activeProvider) {
+        activeProvider = PROVIDERS[getProviderName()]();
+    }
+    return activeProvider;
+}
+
+/**
+ * Override the provider (tests) or reset to the env-selected one when called without argument
+ * @param {Object|null} provider
+ */
+function setAIProvider(provider = null) {
+    activeProvider = provider;
+}
+
+/**
+ * Call a provider method and record its token usage (ledger errors never fail the generation)
+ */
+async function callProvider(method, params) {
+    const provider = getAIProvider();
+    const result = await provider[method](params);
+
+    try {
+        await recordUsage({
+            operation: params.meta?.operation,
+            provider: provider.name,
+            modelName: result?.modelName,
+            usage: result?.usage
+        });
+    } catch (error) {
+        console.error(`Usage record error (${params.meta?.operation || method}):`, error.message);
+    }
+
+    return result;
+}
+
+/**
+ * Generate text
+ * @param {Object} params
+ * @param {string} params.prompt
+ * @param {string|null} params.modelName
+ * @param {Object} params.meta - { operation, ...fixture hints }
+ * @returns {Promise<{text: string, modelName: string, usage: Object}>}
+ */
+async function generateText(params) {
+    return callProvider('generateText', { meta: {}, ...params });
+}
+
+/**
+ * Generate text as a stream
+ * @param {Object} params - Same as generateText plus onChunk(chunkText, fullText)
+ * @returns {Promise<{text: string, modelName: string, usage: Object}>}
+ */
+async function streamText(params) {
+    return callProvider('streamText', { meta: {}, ...params });
+}
+
+/**
+ * Generate text from a prompt and images
+ * @param {Object} params
+ * @param {Array<{data: string|Buffer, mimeType: string}>} params.images - Base64 or Buffer
+ * @returns {Promise<{text: string, modelName: string, usage: Object}>}
+ */
+async function generateVision(params) {
+    return callProvider('generateVision', { meta: {}, images: [], ...params });
+}
+
+/**
+ * Generate images from a prompt and optional reference images
+ * @returns {Promise<{images: Array<{data: string, mimeType: string}>, text: string, modelName: string, usage: Object}>}
+ */
+async function generateImage(params) {
+    return callProvider('generateImage', { meta: {}, images: [], ...params });
+}
+
+module.exports = {
+    getAIProvider,
+    getProviderName,
+    setAIProvider,
+    generateText,
+    streamText,
+    generateVision,
+    generateImage
+};
@@ -0,0 +1,143 @@
+/**
+ * Gemini AI Provider
+ * Adapter over @google/generative-ai implementing the AI provider interface
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { MODELS, resolveModelName } = require('../../gemini/gemini.config');
+
+let client = null;
+
+function getClient() {
+    if (!client) {
+        if (!process.env.API_KEY_GEMINI) {
+            console.warn('Warning: API_KEY_GEMINI not found in environment variables');
+        }
+        client = new GoogleGenerativeAI(process.env.API_KEY_GEMINI);
+    }
+    return client;
+}
+
+function getGenerativeModel(type, modelName, generationConfig) {
+    const resolvedModelName = resolveModelName(type, modelName);
+    const params = generationConfig
+        ? { model: resolvedModelName, generationConfig }
+        : { model: resolvedModelName };
+
+    try {
+        return { model: getClient().getGenerativeModel(params), modelName: resolvedModelName };
+    } catch (error) {
+        const fallbackModelName = MODELS[type] || MODELS.TEXT;
+        console.error('Gemini model init failed, fallback to default model:', error);
+        return {
+            model: getClient().getGenerativeModel({ ...params, model: fallbackModelName }),
+            modelName: fallbackModelName
+        };
+    }
+}
+
+function toInlineParts(images = []) {
+    return images
+        .filter((image) => image && image.data)
+        .map((image) => ({
+            inlineData: {
+                mimeType: image.mimeType || 'image/jpeg',
+                data: Buffer.isBuffer(image.data) ? image.data.toString('base64') : image.data
+            }
+        }));
+}
+
+function countImageTokens(details = []) {
+    return details
+        .filter((detail) => detail?.modality === 'IMAGE')
+        .reduce((sum, detail) => sum + (detail.tokenCount || 0), 0);
+}
+
+function toUsage(response) {
+    const metadata = response?.usageMetadata || {};
+    return {
+        inputTokens: metadata.promptTokenCount || 0,
+        outputTokens: metadata.candidatesTokenCount || 0,
+        imageTokens: countImageTokens(metadata.promptTokensDetails) + countImageTokens(metadata.candidatesTokensDetails),
+        totalTokens: metadata.totalTokenCount || 0
+    };
+}
+
+async function generateText({ prompt, modelName = null }) {
+    const { model, modelName: usedModel } = getGenerativeModel('TEXT', modelName);
+    const result = await model.generateContent(prompt);
+
+    return {
+        text: result.response.text(),
+        modelName: usedModel,
+        usage: toUsage(result.response)
+    };
+}
+
+async function streamText({ prompt, modelName = null, onChunk }) {
+    const { model, modelName: usedModel } = getGenerativeModel('TEXT', modelName);
+    const result = await model.generateContentStream(prompt);
+    let text = '';
+
+    for await (const chunk of result.stream) {
+        const chunkText = chunk.text();
+        text += chunkText;
+        if (onChunk) {
+            await onChunk(chunkText, text);
+        }
+    }
+
+    const response = await result.response;
+    return {
+        text,
+        modelName: usedModel,
+        usage: toUsage(response)
+    };
+}
+
+async function generateVision({ prompt, images = [], modelName = null }) {
+    const { model, modelName: usedModel } = getGenerativeModel('VISION', modelName);
+    const result = await model.generateContent([prompt, ...toInlineParts(images)]);
+
+    return {
+        text: result.response.text(),
+        modelName: usedModel,
+        usage: toUsage(result.response)
+    };
+}
+
+async function generateImage({ prompt, images = [], modelName = null }) {
+    // Image models are user-selectable beyond the recommendation list, keep the name as-is
+    const usedModel = modelName || MODELS.IMAGE_GEN;
+    const model = getClient().getGenerativeModel({
+        model: usedModel,
+        generationConfig: {
+            responseModalities: ['TEXT', 'IMAGE']
+        }
+    });
+
+    // Reference images first, prompt last (same order the product image pipeline relies on)
+    const result = await model.generateContent([...toInlineParts(images), prompt]);
+    const response = result.response;
+    const parts = response.candidates?.[0]?.content?.parts || [];
+
+    return {
+        images: parts
+            .filter((part) => part.inlineData && part.inlineData.mimeType?.startsWith('image/'))
+            .map((part) => ({
+                data: part.inlineData.data,
+                mimeType: part.inlineData.mimeType
+            })),
+        text: parts.filter((part) => part.text).map((part) => part.text).join('\n'),
+        modelName: usedModel,
+        usage: toUsage(response)
+    };
+}
+
+module.exports = {
+    name: 'gemini',
+    generateText,
+    streamText,
+    generateVision,
+    generateImage
+};
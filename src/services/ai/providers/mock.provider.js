@@ -0,0 +1,124 @@
+/**
+ * Mock AI Provider
+ * Deterministic, network-free adapter driven by fixtures (AI_PROVIDER=mock).
+ * Set AI_MOCK_FIXTURES_DIR to a folder of <operation>.json / <operation>.txt files to override the built-in fixtures.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { FIXTURES } = require('../fixtures');
+
+const MOCK_MODEL_NAME = 'mock-model';
+const STREAM_CHUNK_SIZE = 80;
+const IMAGE_SIZE = 512;
+// Flat per-image token counts in line with what Gemini reports
+const INPUT_IMAGE_TOKENS = 258;
+const OUTPUT_IMAGE_TOKENS = 1290;
+
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+function toUsage(prompt, text, { inputImages = 0, outputImages = 0 } = {}) {
+    const inputImageTokens = inputImages * INPUT_IMAGE_TOKENS;
+    const outputImageTokens = outputImages * OUTPUT_IMAGE_TOKENS;
+    const inputTokens = estimateTokens(prompt) + inputImageTokens;
+    const outputTokens = estimateTokens(text) + outputImageTokens;
+    return {
+        inputTokens,
+        outputTokens,
+        imageTokens: inputImageTokens + outputImageTokens,
+        totalTokens: inputTokens + outputTokens
+    };
+}
+
+function readOverrideFixture(operation) {
+    const dir = process.env.AI_MOCK_FIXTURES_DIR;
+    if (!dir || !operation) return null;
+
+    for (const ext of ['.json', '.txt']) {
+        const filePath = path.join(dir, `${operation}${ext}`);
+        if (fs.existsSync(filePath)) {
+            return fs.readFileSync(filePath, 'utf8');
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Resolve the fixture text for an operation
+ * @param {Object} meta - { operation, ...hints }
+ * @param {string|Array} prompt
+ * @returns {string}
+ */
+function resolveFixtureText(meta = {}, prompt = '') {
+    const override = readOverrideFixture(meta.operation);
+    if (override !== null) return override;
+
+    const builder = FIXTURES[meta.operation];
+    if (!builder) {
+        return `Phản hồi mẫu cho ${meta.operation || 'yêu cầu'}`;
+    }
+
+    const value = builder(meta, prompt);
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+async function generateText({ prompt, meta = {} }) {
+    const text = resolveFixtureText(meta, prompt);
+    return { text, modelName: MOCK_MODEL_NAME, usage: toUsage(prompt, text) };
+}
+
+async function streamText({ prompt, meta = {}, onChunk }) {
+    const text = resolveFixtureText(meta, prompt);
+    let received = '';
+
+    for (let i = 0; i < text.length; i += STREAM_CHUNK_SIZE) {
+        const chunkText = text.slice(i, i + STREAM_CHUNK_SIZE);
+        received += chunkText;
+        if (onChunk) {
+            await onChunk(chunkText, received);
+        }
+    }
+
+    return { text, modelName: MOCK_MODEL_NAME, usage: toUsage(prompt, text) };
+}
+
+async function generateVision({ prompt, images = [], meta = {} }) {
+    const text = resolveFixtureText(meta, prompt);
+    return { text, modelName: MOCK_MODEL_NAME, usage: toUsage(prompt, text, { inputImages: images.length }) };
+}
+
+/**
+ * Solid-color PNG whose color is derived from the prompt, so the same input always yields the same image
+ */
+async function generateImage({ prompt, images = [], meta = {} }) {
+    const digest = crypto.createHash('md5').update(`${meta.operation || ''}:${prompt}`).digest();
+    const buffer = await sharp({
+        create: {
+            width: IMAGE_SIZE,
+            height: IMAGE_SIZE,
+            channels: 3,
+            background: { r: digest[0], g: digest[1], b: digest[2] }
+        }
+    }).png().toBuffer();
+
+    return {
+        images: [{ data: buffer.toString('base64'), mimeType: 'image/png' }],
+        text: '',
+        modelName: MOCK_MODEL_NAME,
+        usage: toUsage(prompt, '', { inputImages: images.length, outputImages: 1 })
+    };
+}
+
+module.exports = {
+    name: 'mock',
+    generateText,
+    streamText,
+    generateVision,
+    generateImage,
+    resolveFixtureText
+};
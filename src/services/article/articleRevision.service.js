@@ -0,0 +1,143 @@
+/**
+ * Article Revision Service
+ * Appends immutable snapshots of an article on every save and AI generation, compares and restores them
+ */
+
+const { Article, ArticleRevision } = require('../../models');
+const { diffWords } = require('../../utils/wordDiff');
+
+function isSameSnapshot(revision, article) {
+    return revision.title === article.title
+        && revision.content === article.content
+        && (revision.hashtags || []).join('\n') === (article.hashtags || []).join('\n');
+}
+
+/**
+ * Latest revision of an article
+ * @param {string} articleId
+ * @returns {Promise<Object|null>}
+ */
+function getLatestRevision(articleId) {
+    return ArticleRevision.findOne({ articleId }).sort({ number: -1 });
+}
+
+/**
+ * Append a revision with the article's current title, content and hashtags.
+ * Manual saves that change none of them are not recorded; AI generations always are.
+ * @param {Object} article - Article (saved state)
+ * @param {Object} options
+ * @param {string} options.userId - Author
+ * @param {string} options.source - 'manual' | 'ai'
+ * @param {string} options.instruction - AI instruction used
+ * @param {string} options.modelName - AI model used
+ * @param {number} options.restoredFrom - Number of the restored revision
+ * @returns {Promise<Object|null>} Revision, null when nothing changed
+ */
+async function recordRevision(article, { userId, source = 'manual', instruction = '', modelName = null, restoredFrom = null }) {
+    if (source === 'manual') {
+        const latest = await getLatestRevision(article._id);
+        if (latest && isSameSnapshot(latest, article)) return null;
+    }
+
+    const counter = await Article.findByIdAndUpdate(
+        article._id,
+        { $inc: { revisionCount: 1 } },
+        { new: true, projection: { revisionCount: 1 } }
+    );
+    if (!counter) return null;
+
+    return ArticleRevision.create({
+        articleId: article._id,
+        workspaceId: article.workspaceId,
+        number: counter.revisionCount,
+        userId,
+        source,
+        instruction: instruction || '',
+        modelName: modelName || null,
+        restoredFrom,
+        title: article.title,
+        content: article.content,
+        hashtags: article.hashtags || []
+    });
+}
+
+/**
+ * Keep the current text of an article created before revisions existed, before it is overwritten
+ * @param {Object} article
+ * @returns {Promise<Object|null>} Baseline revision, null when the article already has history
+ */
+async function ensureBaselineRevision(article) {
+    if (article.revisionCount > 0 || article.status === 'processing') return null;
+    return recordRevision(article, { userId: article.userId, source: 'manual' });
+}
+
+/**
+ * Revisions of an article, newest first, without their content
+ * @param {string} articleId
+ * @returns {Promise<Array>}
+ */
+function listRevisions(articleId) {
+    return ArticleRevision.find({ articleId })
+        .select('-content')
+        .sort({ number: -1 })
+        .populate('userId', 'name email');
+}
+
+/**
+ * One revision of an article
+ * @param {string} articleId
+ * @param {number} number
+ * @returns {Promise<Object|null>}
+ */
+function getRevision(articleId, number) {
+    return ArticleRevision.findOne({ articleId, number }).populate('userId', 'name email');
+}
+
+/**
+ * Word-level diff between two revisions
+ * @param {Object} from - Older revision
+ * @param {Object} to - Newer revision
+ * @returns {{title: Object, content: Object, hashtags: {added: string[], removed: string[]}}}
+ */
+function diffRevisions(from, to) {
+    const fromTags = new Set(from.hashtags || []);
+    const toTags = new Set(to.hashtags || []);
+
+    return {
+        title: diffWords(from.title, to.title),
+        content: diffWords(from.content, to.content),
+        hashtags: {
+            added: [...toTags].filter((tag) => !fromTags.has(tag)),
+            removed: [...fromTags].filter((tag) => !toTags.has(tag))
+        }
+    };
+}
+
+/**
+ * Put a revision's text back on the article and record the restore as a new revision
+ * @param {Object} article - Article document
+ * @param {Object} revision - Revision to restore
+ * @param {string} userId - User restoring
+ * @returns {Promise<{article: Object, revision: Object|null}>}
+ */
+async function restoreRevision(article, revision, userId) {
+    await ensureBaselineRevision(article);
+
+    article.title = revision.title;
+    article.content = revision.content;
+    article.hashtags = [...revision.hashtags];
+    await article.save();
+
+    const restored = await recordRevision(article, { userId, source: 'manual', restoredFrom: revision.number });
+    return { article, revision: restored };
+}
+
+module.exports = {
+    getLatestRevision,
+    recordRevision,
+    ensureBaselineRevision,
+    listRevisions,
+    getRevision,
+    diffRevisions,
+    restoreRevision
+};
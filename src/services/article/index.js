@@ -0,0 +1,16 @@
+/**
+ * Article Services Index
+ * Re-exports the article revision helpers
+ */
+
+const articleRevisionService = require('./articleRevision.service');
+
+module.exports = {
+    getLatestRevision: articleRevisionService.getLatestRevision,
+    recordRevision: articleRevisionService.recordRevision,
+    ensureBaselineRevision: articleRevisionService.ensureBaselineRevision,
+    listRevisions: articleRevisionService.listRevisions,
+    getRevision: articleRevisionService.getRevision,
+    diffRevisions: articleRevisionService.diffRevisions,
+    restoreRevision: articleRevisionService.restoreRevision
+};
@@ -0,0 +1,46 @@
+/**
+ * Account Mail Service
+ * Emails with verification / password reset links pointing at the frontend (FRONTEND_URL)
+ */
+
+const { sendMail, buildFrontendUrl, verifyEmailTemplate, resetPasswordTemplate } = require('../mail');
+const { issueUserToken } = require('./userToken.service');
+
+/**
+ * Send the email verification link
+ * @param {Object} user
+ */
+async function sendVerificationEmail(user) {
+    const { token, ttlSeconds } = await issueUserToken(user._id, 'email-verify');
+
+    return sendMail({
+        to: user.email,
+        ...verifyEmailTemplate({
+            name: user.name,
+            url: buildFrontendUrl('/verify-email', token),
+            expiresInHours: Math.round(ttlSeconds / 3600)
+        })
+    });
+}
+
+/**
+ * Send the password reset link
+ * @param {Object} user
+ */
+async function sendPasswordResetEmail(user) {
+    const { token, ttlSeconds } = await issueUserToken(user._id, 'password-reset');
+
+    return sendMail({
+        to: user.email,
+        ...resetPasswordTemplate({
+            name: user.name,
+            url: buildFrontendUrl('/reset-password', token),
+            expiresInMinutes: Math.round(ttlSeconds / 60)
+        })
+    });
+}
+
+module.exports = {
+    sendVerificationEmail,
+    sendPasswordResetEmail
+};
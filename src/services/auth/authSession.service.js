@@ -0,0 +1,233 @@
+/**
+ * Auth Session Service
+ * Short-lived access tokens + rotating refresh tokens stored server-side
+ */
+
+const crypto = require('crypto');
+const { AuthSession, User } = require('../../models');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const REFRESH_COOKIE_NAME = 'refreshToken';
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+}
+
+function getRefreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function getClientInfo(req) {
+    return {
+        userAgent: String(req?.headers?.['user-agent'] || '').slice(0, 500),
+        ip: req?.ip || ''
+    };
+}
+
+/**
+ * Whether refresh tokens are sent as an httpOnly cookie instead of in the response body
+ * @returns {boolean}
+ */
+function useRefreshCookie() {
+    return String(process.env.AUTH_REFRESH_COOKIE).toLowerCase() === 'true';
+}
+
+/**
+ * Read a cookie from the raw Cookie header
+ * @param {Object} req
+ * @param {string} name
+ * @returns {string|null}
+ */
+function readCookie(req, name) {
+    const header = req.headers?.cookie;
+    if (!header) return null;
+
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        if (part.slice(0, index).trim() === name) {
+            return decodeURIComponent(part.slice(index + 1).trim());
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Refresh token from the request body or the httpOnly cookie
+ * @param {Object} req
+ * @returns {string|null}
+ */
+function getRefreshTokenFromRequest(req) {
+    const fromBody = req.body?.refreshToken;
+    if (typeof fromBody === 'string' && fromBody) return fromBody;
+    return readCookie(req, REFRESH_COOKIE_NAME);
+}
+
+/**
+ * Start a new session for a signed-in device
+ * @param {Object} user
+ * @param {Object} req - Used for user agent / ip
+ * @returns {Promise<{session: Object, accessToken: string, refreshToken: string}>}
+ */
+async function createSession(user, req) {
+    const refreshToken = generateRefreshToken();
+
+    const session = await AuthSession.create({
+        userId: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: getRefreshExpiry(),
+        ...getClientInfo(req)
+    });
+
+    return {
+        session,
+        accessToken: user.getSignedJwtToken(session._id),
+        refreshToken
+    };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * Reusing a refresh token that was already rotated revokes the whole session.
+ * @param {string} refreshToken
+ * @param {Object} req
+ * @returns {Promise<{user: Object, session: Object, accessToken: string, refreshToken: string}|null>} null when invalid
+ */
+async function rotateRefreshToken(refreshToken, req) {
+    if (!refreshToken) return null;
+
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+    const nextToken = generateRefreshToken();
+
+    const session = await AuthSession.findOneAndUpdate(
+        { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: {
+                refreshTokenHash: hashToken(nextToken),
+                previousTokenHash: tokenHash,
+                expiresAt: getRefreshExpiry(),
+                lastUsedAt: now,
+                ...getClientInfo(req)
+            }
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        await AuthSession.updateOne(
+            { previousTokenHash: tokenHash, revokedAt: null },
+            { $set: { revokedAt: now, revokedReason: 'refresh-token-reuse' } }
+        );
+        return null;
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive) {
+        await revokeSession(session._id, 'user-inactive');
+        return null;
+    }
+
+    return {
+        user,
+        session,
+        accessToken: user.getSignedJwtToken(session._id),
+        refreshToken: nextToken
+    };
+}
+
+/**
+ * Revoke one session (logout of a device)
+ * @param {string} sessionId
+ * @param {string} reason
+ */
+async function revokeSession(sessionId, reason = 'logout') {
+    if (!sessionId) return;
+
+    await AuthSession.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+}
+
+/**
+ * Revoke every session and every access token of a user
+ * @param {string} userId
+ * @param {string} reason - e.g. 'logout-all', 'password-changed'
+ * @returns {Promise<Object|null>} User with the bumped tokenVersion
+ */
+async function revokeAllSessions(userId, reason = 'logout-all') {
+    await AuthSession.updateMany(
+        { userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    return User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }, { new: true });
+}
+
+/**
+ * Whether an access token's session is still usable
+ * @param {Object} decoded - Verified JWT payload
+ * @param {Object} user - Token owner
+ * @returns {Promise<boolean>}
+ */
+async function isAccessTokenActive(decoded, user) {
+    if (!decoded.sid || (decoded.tv || 0) !== (user.tokenVersion || 0)) {
+        return false;
+    }
+
+    return !!(await AuthSession.exists({ _id: decoded.sid, userId: user._id, revokedAt: null }));
+}
+
+function setRefreshCookie(res, refreshToken) {
+    res.cookie(REFRESH_COOKIE_NAME, refreshToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        path: REFRESH_COOKIE_PATH,
+        maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+    });
+}
+
+function clearRefreshCookie(res) {
+    res.clearCookie(REFRESH_COOKIE_NAME, { path: REFRESH_COOKIE_PATH });
+}
+
+/**
+ * Build the token part of an auth response (sets the refresh cookie when enabled)
+ * @param {Object} res
+ * @param {Object} tokens - { accessToken, refreshToken, session }
+ * @returns {Object} { token, refreshToken?, sessionId, expiresIn }
+ */
+function buildTokenPayload(res, { accessToken, refreshToken, session }) {
+    const payload = {
+        token: accessToken,
+        sessionId: session._id,
+        expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
+    };
+
+    if (useRefreshCookie()) {
+        setRefreshCookie(res, refreshToken);
+    } else {
+        payload.refreshToken = refreshToken;
+    }
+
+    return payload;
+}
+
+module.exports = {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    isAccessTokenActive,
+    getRefreshTokenFromRequest,
+    buildTokenPayload,
+    clearRefreshCookie
+};
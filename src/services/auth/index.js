@@ -0,0 +1,37 @@
+/**
+ * Auth Services Index
+ * Re-exports session (refresh token), account token and account mail helpers
+ */
+
+const {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    isAccessTokenActive,
+    getRefreshTokenFromRequest,
+    buildTokenPayload,
+    clearRefreshCookie
+} = require('./authSession.service');
+const { issueUserToken, consumeUserToken } = require('./userToken.service');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('./accountMail.service');
+
+module.exports = {
+    // Sessions
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    isAccessTokenActive,
+    getRefreshTokenFromRequest,
+    buildTokenPayload,
+    clearRefreshCookie,
+
+    // Account tokens
+    issueUserToken,
+    consumeUserToken,
+
+    // Account mail
+    sendVerificationEmail,
+    sendPasswordResetEmail
+};
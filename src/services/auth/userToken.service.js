@@ -0,0 +1,76 @@
+/**
+ * User Token Service
+ * Signed, expiring, single-use tokens for password reset and email verification
+ */
+
+const jwt = require('jsonwebtoken');
+const { UserToken } = require('../../models');
+
+const TOKEN_TTL_SECONDS = {
+    'password-reset': (parseInt(process.env.RESET_PASSWORD_TOKEN_TTL_MINUTES, 10) || 60) * 60,
+    'email-verify': (parseInt(process.env.EMAIL_VERIFY_TOKEN_TTL_HOURS, 10) || 48) * 60 * 60
+};
+
+// Purpose-specific key so these tokens can never pass as access tokens (or each other)
+function getSecret(purpose) {
+    return `${process.env.JWT_SECRET}:${purpose}`;
+}
+
+/**
+ * Issue a token; earlier unused tokens of the same purpose stop working
+ * @param {string} userId
+ * @param {string} purpose - 'password-reset' | 'email-verify'
+ * @returns {Promise<{token: string, expiresAt: Date, ttlSeconds: number}>}
+ */
+async function issueUserToken(userId, purpose) {
+    const ttlSeconds = TOKEN_TTL_SECONDS[purpose];
+    if (!ttlSeconds) {
+        throw new Error(`Unknown user token purpose: ${purpose}`);
+    }
+
+    await UserToken.deleteMany({ userId, purpose, usedAt: null });
+
+    const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+    const record = await UserToken.create({ userId, purpose, expiresAt });
+
+    const token = jwt.sign(
+        { sub: String(userId), purpose, jti: String(record._id) },
+        getSecret(purpose),
+        { expiresIn: ttlSeconds }
+    );
+
+    return { token, expiresAt, ttlSeconds };
+}
+
+/**
+ * Verify and use up a token
+ * @param {string} token
+ * @param {string} purpose
+ * @returns {Promise<string|null>} userId, or null when invalid, expired or already used
+ */
+async function consumeUserToken(token, purpose) {
+    if (typeof token !== 'string' || !token) return null;
+
+    let payload;
+    try {
+        payload = jwt.verify(token, getSecret(purpose));
+    } catch (error) {
+        return null;
+    }
+
+    if (payload.purpose !== purpose || !payload.jti) return null;
+
+    const now = new Date();
+    const record = await UserToken.findOneAndUpdate(
+        { _id: payload.jti, userId: payload.sub, purpose, usedAt: null, expiresAt: { $gt: now } },
+        { $set: { usedAt: now } }
+    ).catch(() => null);
+
+    return record ? String(record.userId) : null;
+}
+
+module.exports = {
+    issueUserToken,
+    consumeUserToken,
+    TOKEN_TTL_SECONDS
+};
@@ -0,0 +1,85 @@
+/**
+ * Calendar Feed Service
+ * Secret, revocable ICS subscription URLs for marketing plans
+ */
+
+const crypto = require('crypto');
+const { MarketingPlan } = require('../../models');
+const { toPublicUrl } = require('../publishing');
+const { buildPlanIcs } = require('./ics.service');
+
+// How often calendar clients are asked to refresh the feed
+const FEED_REFRESH_INTERVAL = 'PT1H';
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Subscription URL of a feed token
+ * @param {string} token
+ * @returns {string}
+ */
+function buildFeedUrl(token) {
+    return toPublicUrl(`/api/calendar-feeds/${token}.ics`);
+}
+
+/**
+ * Create the feed of a plan; an existing feed URL stops working
+ * @param {Object} plan
+ * @returns {Promise<{url: string, createdAt: Date}>}
+ */
+async function createCalendarFeed(plan) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const createdAt = new Date();
+
+    await MarketingPlan.updateOne(
+        { _id: plan._id },
+        { $set: { 'calendarFeed.tokenHash': hashToken(token), 'calendarFeed.createdAt': createdAt } }
+    );
+
+    return { url: buildFeedUrl(token), createdAt };
+}
+
+/**
+ * Revoke the feed of a plan
+ * @param {Object} plan
+ */
+async function revokeCalendarFeed(plan) {
+    await MarketingPlan.updateOne(
+        { _id: plan._id },
+        { $set: { 'calendarFeed.tokenHash': null, 'calendarFeed.createdAt': null } }
+    );
+}
+
+/**
+ * Plan subscribed to by a feed token
+ * @param {string} token
+ * @returns {Promise<Object|null>}
+ */
+function findPlanByFeedToken(token) {
+    if (!token) return null;
+    return MarketingPlan.findOne({ 'calendarFeed.tokenHash': hashToken(token) });
+}
+
+/**
+ * Feed content with its validators
+ * @param {Object} plan
+ * @returns {{body: string, etag: string, lastModified: Date}}
+ */
+function buildCalendarFeed(plan) {
+    const body = buildPlanIcs(plan, { refreshInterval: FEED_REFRESH_INTERVAL });
+
+    return {
+        body,
+        etag: `"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+        lastModified: plan.updatedAt || new Date()
+    };
+}
+
+module.exports = {
+    createCalendarFeed,
+    revokeCalendarFeed,
+    findPlanByFeedToken,
+    buildCalendarFeed
+};
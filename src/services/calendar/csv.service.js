@@ -0,0 +1,53 @@
+/**
+ * CSV Service
+ * Builds RFC 4180 CSV exports of marketing plans
+ */
+
+const { toDateKey } = require('../../utils/timezone');
+const { getChannelLabel, getPurposeLabel, getPostTypeLabel, getPostStatusLabel } = require('./planLabels');
+
+const PLAN_CSV_HEADERS = ['Ngày', 'Giờ', 'Kênh', 'Chủ đề', 'Ý tưởng nội dung', 'Mục đích', 'Loại bài', 'Hashtag', 'Trạng thái'];
+
+// Lets Excel detect UTF-8 (Vietnamese text)
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * Quote a CSV field; values that a spreadsheet would run as a formula are prefixed with '
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeCsvField(value) {
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the CSV of a plan, one row per post
+ * @param {Object} plan - MarketingPlan document
+ * @returns {string} text/csv content (UTF-8 with BOM, CRLF line endings)
+ */
+function buildPlanCsv(plan) {
+    const rows = (plan.posts || []).map((post) => [
+        toDateKey(post.date),
+        post.time,
+        getChannelLabel(post.channel),
+        post.topic,
+        post.contentIdea,
+        getPurposeLabel(post.purpose),
+        getPostTypeLabel(post.postType),
+        (post.suggestedHashtags || []).join(' '),
+        getPostStatusLabel(post.status)
+    ]);
+
+    return UTF8_BOM + [PLAN_CSV_HEADERS, ...rows]
+        .map((row) => row.map(escapeCsvField).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    escapeCsvField,
+    buildPlanCsv
+};
@@ -0,0 +1,336 @@
+/**
+ * Vietnamese Holiday Calendar
+ * Built-in holidays and retail moments the marketing planner knows about.
+ * Bump HOLIDAY_CALENDAR_VERSION whenever an entry is added, removed or changed:
+ * plans store the version they were generated with.
+ *
+ * Date kinds:
+ * - solar: same day every year ({ month, day })
+ * - lunar: Vietnamese lunar date ({ month, day }), converted locally
+ * - weekday: n-th weekday of a month ({ month, weekday: 0 = Sunday, nth, offsetDays })
+ * - monthly: every month from { day } until the end of the month
+ */
+
+const HOLIDAY_CALENDAR_VERSION = '2026.1';
+
+const EVENT_TYPES = ['public_holiday', 'cultural', 'retail', 'custom'];
+
+const EVENT_TYPE_LABELS = {
+    public_holiday: 'Nghỉ lễ',
+    cultural: 'Văn hóa',
+    retail: 'Mua sắm',
+    custom: 'Sự kiện riêng'
+};
+
+const HOLIDAY_DEFINITIONS = [
+    // Lunar
+    {
+        key: 'tet_nguyen_dan',
+        name: 'Tết Nguyên Đán',
+        type: 'public_holiday',
+        calendar: 'lunar',
+        month: 1,
+        day: 1,
+        durationDays: 3,
+        leadDays: 30,
+        hint: 'Mùa mua sắm lớn nhất năm: quà biếu, combo sum vầy, đặt trước và lịch mở cửa dịp Tết'
+    },
+    {
+        key: 'ram_thang_gieng',
+        name: 'Rằm tháng Giêng',
+        type: 'cultural',
+        calendar: 'lunar',
+        month: 1,
+        day: 15,
+        durationDays: 1,
+        leadDays: 5,
+        hint: 'Cúng rằm, món chay, mâm cỗ gia đình'
+    },
+    {
+        key: 'gio_to_hung_vuong',
+        name: 'Giỗ Tổ Hùng Vương',
+        type: 'public_holiday',
+        calendar: 'lunar',
+        month: 3,
+        day: 10,
+        durationDays: 1,
+        leadDays: 7,
+        hint: 'Ngày nghỉ lễ: du lịch ngắn ngày, tụ tập, nội dung về cội nguồn'
+    },
+    {
+        key: 'phat_dan',
+        name: 'Lễ Phật Đản',
+        type: 'cultural',
+        calendar: 'lunar',
+        month: 4,
+        day: 15,
+        durationDays: 1,
+        leadDays: 5,
+        hint: 'Món chay, nội dung nhẹ nhàng, hướng thiện'
+    },
+    {
+        key: 'tet_doan_ngo',
+        name: 'Tết Đoan Ngọ',
+        type: 'cultural',
+        calendar: 'lunar',
+        month: 5,
+        day: 5,
+        durationDays: 1,
+        leadDays: 5,
+        hint: 'Bánh tro, trái cây, rượu nếp: món truyền thống ngày "diệt sâu bọ"'
+    },
+    {
+        key: 'vu_lan',
+        name: 'Lễ Vu Lan',
+        type: 'cultural',
+        calendar: 'lunar',
+        month: 7,
+        day: 15,
+        durationDays: 1,
+        leadDays: 10,
+        hint: 'Báo hiếu cha mẹ: quà tặng, bữa cơm gia đình, món chay'
+    },
+    {
+        key: 'trung_thu',
+        name: 'Tết Trung Thu',
+        type: 'cultural',
+        calendar: 'lunar',
+        month: 8,
+        day: 15,
+        durationDays: 1,
+        leadDays: 30,
+        hint: 'Bánh trung thu, hộp quà biếu doanh nghiệp, hoạt động cho trẻ em'
+    },
+    {
+        key: 'ong_cong_ong_tao',
+        name: 'Ông Công Ông Táo',
+        type: 'cultural',
+        calendar: 'lunar',
+        month: 12,
+        day: 23,
+        durationDays: 1,
+        leadDays: 5,
+        hint: 'Mở màn mùa Tết: mâm cúng, cá chép, đặt hàng Tết sớm'
+    },
+
+    // Solar
+    {
+        key: 'tet_duong_lich',
+        name: 'Tết Dương lịch',
+        type: 'public_holiday',
+        calendar: 'solar',
+        month: 1,
+        day: 1,
+        durationDays: 1,
+        leadDays: 7,
+        hint: 'Countdown, tiệc tất niên, khuyến mãi năm mới'
+    },
+    {
+        key: 'valentine',
+        name: 'Lễ Tình nhân (Valentine)',
+        type: 'retail',
+        calendar: 'solar',
+        month: 2,
+        day: 14,
+        durationDays: 1,
+        leadDays: 10,
+        hint: 'Combo cho cặp đôi, quà tặng, đặt bàn hẹn hò'
+    },
+    {
+        key: 'quoc_te_phu_nu',
+        name: 'Quốc tế Phụ nữ 8/3',
+        type: 'retail',
+        calendar: 'solar',
+        month: 3,
+        day: 8,
+        durationDays: 1,
+        leadDays: 10,
+        hint: 'Quà tặng và ưu đãi dành cho phái nữ, tri ân khách hàng nữ'
+    },
+    {
+        key: 'le_30_4_1_5',
+        name: 'Lễ 30/4 - 1/5',
+        type: 'public_holiday',
+        calendar: 'solar',
+        month: 4,
+        day: 30,
+        durationDays: 2,
+        leadDays: 14,
+        hint: 'Kỳ nghỉ dài: du lịch, tụ tập bạn bè, ưu đãi nhóm'
+    },
+    {
+        key: 'quoc_te_thieu_nhi',
+        name: 'Quốc tế Thiếu nhi 1/6',
+        type: 'retail',
+        calendar: 'solar',
+        month: 6,
+        day: 1,
+        durationDays: 1,
+        leadDays: 7,
+        hint: 'Gia đình có trẻ nhỏ: quà tặng, menu và hoạt động cho bé'
+    },
+    {
+        key: 'quoc_khanh',
+        name: 'Quốc khánh 2/9',
+        type: 'public_holiday',
+        calendar: 'solar',
+        month: 9,
+        day: 2,
+        durationDays: 1,
+        leadDays: 10,
+        hint: 'Kỳ nghỉ lễ: du lịch, tự hào dân tộc, ưu đãi dịp lễ'
+    },
+    {
+        key: 'sale_9_9',
+        name: 'Sale 9.9',
+        type: 'retail',
+        calendar: 'solar',
+        month: 9,
+        day: 9,
+        durationDays: 1,
+        leadDays: 3,
+        hint: 'Ngày hội mua sắm online: flash sale, mã giảm giá'
+    },
+    {
+        key: 'sale_10_10',
+        name: 'Sale 10.10',
+        type: 'retail',
+        calendar: 'solar',
+        month: 10,
+        day: 10,
+        durationDays: 1,
+        leadDays: 3,
+        hint: 'Ngày hội mua sắm online: flash sale, mã giảm giá'
+    },
+    {
+        key: 'phu_nu_viet_nam',
+        name: 'Phụ nữ Việt Nam 20/10',
+        type: 'retail',
+        calendar: 'solar',
+        month: 10,
+        day: 20,
+        durationDays: 1,
+        leadDays: 10,
+        hint: 'Quà tặng và ưu đãi dành cho phái nữ, tri ân khách hàng nữ'
+    },
+    {
+        key: 'halloween',
+        name: 'Halloween',
+        type: 'retail',
+        calendar: 'solar',
+        month: 10,
+        day: 31,
+        durationDays: 1,
+        leadDays: 7,
+        hint: 'Trang trí, menu và minigame theo chủ đề hóa trang'
+    },
+    {
+        key: 'sale_11_11',
+        name: 'Sale 11.11',
+        type: 'retail',
+        calendar: 'solar',
+        month: 11,
+        day: 11,
+        durationDays: 1,
+        leadDays: 3,
+        hint: 'Ngày hội mua sắm online lớn nhất năm: flash sale, mã giảm giá'
+    },
+    {
+        key: 'nha_giao_viet_nam',
+        name: 'Nhà giáo Việt Nam 20/11',
+        type: 'retail',
+        calendar: 'solar',
+        month: 11,
+        day: 20,
+        durationDays: 1,
+        leadDays: 10,
+        hint: 'Tri ân thầy cô: quà tặng, đặt tiệc họp lớp'
+    },
+    {
+        key: 'sale_12_12',
+        name: 'Sale 12.12',
+        type: 'retail',
+        calendar: 'solar',
+        month: 12,
+        day: 12,
+        durationDays: 1,
+        leadDays: 3,
+        hint: 'Ngày hội mua sắm online cuối năm: flash sale, mã giảm giá'
+    },
+    {
+        key: 'giang_sinh',
+        name: 'Giáng sinh',
+        type: 'retail',
+        calendar: 'solar',
+        month: 12,
+        day: 24,
+        durationDays: 2,
+        leadDays: 14,
+        hint: 'Không khí Noel: trang trí, set quà, tiệc cuối năm'
+    },
+
+    // Weekday rules
+    {
+        key: 'ngay_cua_me',
+        name: 'Ngày của Mẹ',
+        type: 'retail',
+        calendar: 'weekday',
+        month: 5,
+        weekday: 0,
+        nth: 2,
+        offsetDays: 0,
+        durationDays: 1,
+        leadDays: 7,
+        hint: 'Quà tặng và bữa ăn gia đình dành cho mẹ'
+    },
+    {
+        key: 'ngay_cua_cha',
+        name: 'Ngày của Cha',
+        type: 'retail',
+        calendar: 'weekday',
+        month: 6,
+        weekday: 0,
+        nth: 3,
+        offsetDays: 0,
+        durationDays: 1,
+        leadDays: 7,
+        hint: 'Quà tặng và bữa ăn gia đình dành cho cha'
+    },
+    {
+        // Day after the 4th Thursday of November, through Cyber Monday
+        key: 'black_friday',
+        name: 'Black Friday',
+        type: 'retail',
+        calendar: 'weekday',
+        month: 11,
+        weekday: 4,
+        nth: 4,
+        offsetDays: 1,
+        durationDays: 4,
+        leadDays: 7,
+        hint: 'Giảm giá sâu trong thời gian ngắn, đếm ngược, số lượng có hạn'
+    },
+
+    // Monthly
+    {
+        key: 'tuan_nhan_luong',
+        name: 'Tuần nhận lương',
+        type: 'retail',
+        calendar: 'monthly',
+        day: 25,
+        leadDays: 0,
+        hint: 'Khách vừa nhận lương: combo, ưu đãi chốt đơn, "tự thưởng" cuối tháng'
+    }
+];
+
+function getEventTypeLabel(type) {
+    return EVENT_TYPE_LABELS[type] || type;
+}
+
+module.exports = {
+    HOLIDAY_CALENDAR_VERSION,
+    EVENT_TYPES,
+    EVENT_TYPE_LABELS,
+    HOLIDAY_DEFINITIONS,
+    getEventTypeLabel
+};
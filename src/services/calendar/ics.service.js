@@ -0,0 +1,140 @@
+/**
+ * iCalendar Service
+ * Builds RFC 5545 calendars from marketing plans (one VEVENT per post)
+ */
+
+const { zonedTimeToUtc, toDateKey, isValidTimezone, DEFAULT_TIMEZONE } = require('../../utils/timezone');
+const { getChannelLabel, getPurposeLabel, getPostTypeLabel } = require('./planLabels');
+
+const PRODUCT_ID = '-//AI Marketing API//Marketing Plan//VI';
+const UID_DOMAIN = 'ai-marketing-api';
+
+// Length of the calendar event of a post
+const EVENT_DURATION = 'PT30M';
+
+// Lines are folded at 75 octets (continuation lines start with a space)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line without splitting multi-byte characters
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Format an instant as a UTC DATE-TIME ('20260310T020000Z')
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatUtc(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Event description of a post: channel, purpose, post type, idea and hashtags
+ * @param {Object} post
+ * @returns {string}
+ */
+function buildPostDescription(post) {
+    return [
+        `Kênh: ${getChannelLabel(post.channel)}`,
+        `Mục đích: ${getPurposeLabel(post.purpose)}`,
+        `Loại bài: ${getPostTypeLabel(post.postType)}`,
+        post.contentIdea ? `\n${post.contentIdea}` : '',
+        post.suggestedHashtags?.length ? `\nHashtag: ${post.suggestedHashtags.join(' ')}` : ''
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * VEVENT lines of a post; posts without a valid time become all-day events
+ * @param {Object} post
+ * @param {string} timezone
+ * @param {Date} stamp - DTSTAMP
+ * @returns {Array<string>}
+ */
+function buildPostEvent(post, timezone, stamp) {
+    const dateKey = toDateKey(post.date);
+    const startsAt = zonedTimeToUtc(dateKey, post.time, timezone);
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${post._id}@${UID_DOMAIN}`,
+        `DTSTAMP:${formatUtc(stamp)}`,
+        ...(startsAt
+            ? [`DTSTART:${formatUtc(startsAt)}`, `DURATION:${EVENT_DURATION}`]
+            : [`DTSTART;VALUE=DATE:${dateKey.replace(/-/g, '')}`]),
+        `SUMMARY:${escapeText(`[${getChannelLabel(post.channel)}] ${post.topic}`)}`,
+        `DESCRIPTION:${escapeText(buildPostDescription(post))}`,
+        `CATEGORIES:${escapeText(getChannelLabel(post.channel))}`,
+        `STATUS:${post.status === 'draft' ? 'TENTATIVE' : 'CONFIRMED'}`,
+        'END:VEVENT'
+    ];
+}
+
+/**
+ * Build the iCalendar document of a plan
+ * @param {Object} plan - MarketingPlan document
+ * @param {Object} options
+ * @param {string} options.refreshInterval - Polling hint for subscribed clients (duration, e.g. 'PT1H')
+ * @returns {string} text/calendar content (CRLF line endings)
+ */
+function buildPlanIcs(plan, { refreshInterval = null } = {}) {
+    const timezone = isValidTimezone(plan.timezone) ? plan.timezone : DEFAULT_TIMEZONE;
+    const stamp = plan.updatedAt || new Date();
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(plan.campaignName)}`,
+        `X-WR-TIMEZONE:${timezone}`,
+        ...(refreshInterval
+            ? [`REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`, `X-PUBLISHED-TTL:${refreshInterval}`]
+            : []),
+        ...(plan.posts || []).flatMap((post) => buildPostEvent(post, timezone, stamp)),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    escapeText,
+    foldLine,
+    buildPlanIcs
+};
@@ -0,0 +1,62 @@
+/**
+ * Calendar Services Index
+ * Re-exports the marketing plan calendar exports and feeds, and the seasonal event calendar
+ */
+
+const { buildPlanIcs } = require('./ics.service');
+const { buildPlanCsv } = require('./csv.service');
+const {
+    createCalendarFeed,
+    revokeCalendarFeed,
+    findPlanByFeedToken,
+    buildCalendarFeed
+} = require('./calendarFeed.service');
+const {
+    CHANNEL_LABELS,
+    PURPOSE_LABELS,
+    POST_TYPE_LABELS,
+    POST_STATUS_LABELS,
+    getChannelLabel,
+    getPurposeLabel,
+    getPostTypeLabel,
+    getPostStatusLabel
+} = require('./planLabels');
+const {
+    HOLIDAY_CALENDAR_VERSION,
+    EVENT_TYPES,
+    EVENT_TYPE_LABELS,
+    HOLIDAY_DEFINITIONS,
+    getEventTypeLabel
+} = require('./holidayCalendar');
+const {
+    isDateKey,
+    expandEventDefinition,
+    getSeasonalEvents,
+    resolveCampaignEvents
+} = require('./seasonalEvents.service');
+
+module.exports = {
+    buildPlanIcs,
+    buildPlanCsv,
+    createCalendarFeed,
+    revokeCalendarFeed,
+    findPlanByFeedToken,
+    buildCalendarFeed,
+    CHANNEL_LABELS,
+    PURPOSE_LABELS,
+    POST_TYPE_LABELS,
+    POST_STATUS_LABELS,
+    getChannelLabel,
+    getPurposeLabel,
+    getPostTypeLabel,
+    getPostStatusLabel,
+    HOLIDAY_CALENDAR_VERSION,
+    EVENT_TYPES,
+    EVENT_TYPE_LABELS,
+    HOLIDAY_DEFINITIONS,
+    getEventTypeLabel,
+    isDateKey,
+    expandEventDefinition,
+    getSeasonalEvents,
+    resolveCampaignEvents
+};
@@ -0,0 +1,47 @@
+/**
+ * Marketing Plan Labels
+ * Vietnamese labels of plan post values, shared by the plan exports
+ */
+
+const CHANNEL_LABELS = {
+    facebook: 'Facebook',
+    instagram: 'Instagram',
+    tiktok: 'TikTok',
+    website: 'Website/Blog',
+    zalo: 'Zalo'
+};
+
+const PURPOSE_LABELS = {
+    engagement: 'Tăng tương tác',
+    sales: 'Bán hàng',
+    awareness: 'Nhận diện thương hiệu',
+    traffic: 'Tăng traffic website',
+    leads: 'Thu thập leads'
+};
+
+const POST_TYPE_LABELS = {
+    image: 'Hình ảnh',
+    video: 'Video',
+    story: 'Story',
+    blog: 'Blog',
+    reel: 'Reel'
+};
+
+const POST_STATUS_LABELS = {
+    scheduled: 'Đã lên lịch',
+    draft: 'Nháp',
+    published: 'Đã đăng'
+};
+
+const label = (labels, value) => labels[value] || value || '';
+
+module.exports = {
+    CHANNEL_LABELS,
+    PURPOSE_LABELS,
+    POST_TYPE_LABELS,
+    POST_STATUS_LABELS,
+    getChannelLabel: (channel) => label(CHANNEL_LABELS, channel),
+    getPurposeLabel: (purpose) => label(PURPOSE_LABELS, purpose),
+    getPostTypeLabel: (postType) => label(POST_TYPE_LABELS, postType),
+    getPostStatusLabel: (status) => label(POST_STATUS_LABELS, status)
+};
@@ -0,0 +1,191 @@
+/**
+ * Seasonal Events Service
+ * Expands the built-in holiday calendar and the workspace custom events into the dated
+ * occurrences that matter for a campaign window.
+ */
+
+const { MarketingEvent } = require('../../models');
+const { lunarToSolar } = require('../../utils/lunarCalendar');
+const { HOLIDAY_CALENDAR_VERSION, HOLIDAY_DEFINITIONS } = require('./holidayCalendar');
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function toKey(year, month, day) {
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Whether a value is a real 'YYYY-MM-DD' calendar date
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isDateKey(value) {
+    if (typeof value !== 'string' || !DATE_KEY_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function addDays(dateKey, days) {
+    return new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Solar date of an event definition in a year
+ * @param {Object} definition
+ * @param {number} year - Solar year (lunar year for lunar events)
+ * @returns {string|null} 'YYYY-MM-DD', null when the date does not exist that year
+ */
+function resolveDate(definition, year) {
+    switch (definition.calendar) {
+        case 'lunar':
+            return lunarToSolar(definition.day, definition.month, year);
+        case 'weekday': {
+            const firstWeekday = new Date(Date.UTC(year, definition.month - 1, 1)).getUTCDay();
+            const day = 1 + ((definition.weekday - firstWeekday + 7) % 7) + (definition.nth - 1) * 7;
+            return addDays(toKey(year, definition.month, day), definition.offsetDays || 0);
+        }
+        case 'solar':
+        default:
+            if (definition.day > daysInMonth(year, definition.month)) return null;
+            return toKey(year, definition.month, definition.day);
+    }
+}
+
+/**
+ * Start dates and durations of an event definition around a window
+ * @returns {Array<{date: string, durationDays: number}>}
+ */
+function listOccurrenceDates(definition, startKey, endKey) {
+    const firstYear = Number(startKey.slice(0, 4));
+    const lastYear = Number(endKey.slice(0, 4));
+    const dates = [];
+
+    if (definition.calendar === 'monthly') {
+        // Previous month too: its payday week may run into the window
+        for (let year = firstYear - 1; year <= lastYear; year++) {
+            for (let month = 1; month <= 12; month++) {
+                const lastDay = daysInMonth(year, month);
+                const day = Math.min(definition.day, lastDay);
+                dates.push({ date: toKey(year, month, day), durationDays: lastDay - day + 1 });
+            }
+        }
+        return dates;
+    }
+
+    // Lead days can reach into next year, lunar dates of a lunar year spill into the next solar year
+    for (let year = firstYear - 1; year <= lastYear + 1; year++) {
+        if (definition.year && definition.year !== year) continue;
+
+        const date = resolveDate(definition, year);
+        if (date) dates.push({ date, durationDays: definition.durationDays || 1 });
+    }
+    return dates;
+}
+
+/**
+ * Dated occurrences of an event definition for a window.
+ * Occurrences whose lead-up period overlaps the window are included too (inWindow: false),
+ * so a campaign can warm up an event that happens right after it.
+ * @param {Object} definition - HOLIDAY_DEFINITIONS entry or custom event definition
+ * @param {string} startKey - 'YYYY-MM-DD'
+ * @param {string} endKey - 'YYYY-MM-DD'
+ * @returns {Array<Object>} Occurrences
+ */
+function expandEventDefinition(definition, startKey, endKey) {
+    const leadDays = definition.leadDays || 0;
+
+    return listOccurrenceDates(definition, startKey, endKey)
+        .map(({ date, durationDays }) => ({
+            key: definition.key,
+            name: definition.name,
+            type: definition.type,
+            source: definition.source || 'builtin',
+            date,
+            endDate: addDays(date, durationDays - 1),
+            leadStartDate: addDays(date, -leadDays),
+            hint: definition.hint || ''
+        }))
+        .filter((occurrence) => occurrence.leadStartDate <= endKey && occurrence.endDate >= startKey)
+        .map((occurrence) => ({
+            ...occurrence,
+            inWindow: occurrence.date <= endKey && occurrence.endDate >= startKey
+        }));
+}
+
+/**
+ * Event definition of a workspace custom event
+ * @param {Object} event - MarketingEvent document
+ * @returns {Object}
+ */
+function toEventDefinition(event) {
+    return {
+        key: `custom:${event._id}`,
+        name: event.name,
+        type: 'custom',
+        source: 'custom',
+        calendar: event.calendar,
+        month: event.month,
+        day: event.day,
+        year: event.year || null,
+        durationDays: event.durationDays,
+        leadDays: event.leadDays,
+        hint: event.description
+    };
+}
+
+/**
+ * Built-in holidays and custom events around a campaign window, sorted by date
+ * @param {string} startKey - 'YYYY-MM-DD'
+ * @param {string} endKey - 'YYYY-MM-DD'
+ * @param {Object} options
+ * @param {Array} options.customEvents - MarketingEvent documents
+ * @param {boolean} options.includeHolidays - Include the built-in calendar
+ * @returns {Array<Object>} Occurrences
+ */
+function getSeasonalEvents(startKey, endKey, { customEvents = [], includeHolidays = true } = {}) {
+    if (!isDateKey(startKey) || !isDateKey(endKey) || startKey > endKey) return [];
+
+    const definitions = [
+        ...(includeHolidays ? HOLIDAY_DEFINITIONS : []),
+        ...customEvents.map(toEventDefinition)
+    ];
+
+    return definitions
+        .flatMap((definition) => expandEventDefinition(definition, startKey, endKey))
+        .sort((a, b) => a.date.localeCompare(b.date) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Seasonal events of a workspace campaign window (built-in calendar + active custom events)
+ * @param {string} workspaceId
+ * @param {string} startKey - 'YYYY-MM-DD'
+ * @param {string} endKey - 'YYYY-MM-DD'
+ * @param {Object} options
+ * @param {boolean} options.includeHolidays - Include the built-in calendar
+ * @returns {Promise<{version: string, events: Array}>}
+ */
+async function resolveCampaignEvents(workspaceId, startKey, endKey, { includeHolidays = true } = {}) {
+    const customEvents = await MarketingEvent.find({ workspaceId, isActive: true }).lean();
+
+    return {
+        version: HOLIDAY_CALENDAR_VERSION,
+        events: getSeasonalEvents(startKey, endKey, { customEvents, includeHolidays })
+    };
+}
+
+module.exports = {
+    isDateKey,
+    expandEventDefinition,
+    getSeasonalEvents,
+    resolveCampaignEvents
+};
@@ -0,0 +1,64 @@
+/**
+ * Event Bus Service
+ * In-process pub/sub of per-user events, consumed by the SSE stream (GET /api/events)
+ */
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+// One listener per open SSE connection
+emitter.setMaxListeners(0);
+
+let sequence = 0;
+
+function channelOf(userId) {
+    return `user:${String(userId)}`;
+}
+
+/**
+ * Publish an event to every open stream of a user
+ * @param {string} userId - Recipient
+ * @param {string} type - Event name, e.g. 'job.progress'
+ * @param {Object} data - JSON-serializable payload
+ * @returns {Object} Published event ({ id, type, data, ts })
+ */
+function publishUserEvent(userId, type, data = {}) {
+    if (!userId || !type) return null;
+
+    sequence++;
+    const event = {
+        id: sequence,
+        type,
+        data,
+        ts: new Date().toISOString()
+    };
+
+    emitter.emit(channelOf(userId), event);
+    return event;
+}
+
+/**
+ * Listen to events of a user
+ * @param {string} userId
+ * @param {Function} listener - (event) => void
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeUserEvents(userId, listener) {
+    const channel = channelOf(userId);
+    emitter.on(channel, listener);
+
+    return () => emitter.off(channel, listener);
+}
+
+/**
+ * Number of open subscriptions of a user (used in tests/diagnostics)
+ */
+function countUserSubscribers(userId) {
+    return emitter.listenerCount(channelOf(userId));
+}
+
+module.exports = {
+    publishUserEvent,
+    subscribeUserEvents,
+    countUserSubscribers
+};
@@ -0,0 +1,12 @@
+/**
+ * Event Services Index
+ * Re-exports the per-user event bus
+ */
+
+const { publishUserEvent, subscribeUserEvents, countUserSubscribers } = require('./eventBus.service');
+
+module.exports = {
+    publishUserEvent,
+    subscribeUserEvents,
+    countUserSubscribers
+};
@@ -4,6 +4,14 @@
  */
 
 const ExcelJS = require('exceljs');
+const { toDateKey } = require('../../utils/timezone');
+const {
+    CHANNEL_LABELS,
+    getChannelLabel,
+    getPurposeLabel,
+    getPostTypeLabel,
+    getPostStatusLabel
+} = require('../calendar/planLabels');
 
 // Shot type labels in Vietnamese
 const SHOT_TYPE_LABELS = {
@@ -144,6 +152,209 @@ async function exportVideoScriptToExcel(script) {
     return buffer;
 }
 
+const THIN_BORDER = {
+    top: { style: 'thin' },
+    left: { style: 'thin' },
+    bottom: { style: 'thin' },
+    right: { style: 'thin' }
+};
+
+const WEEKDAY_LABELS = ['Thứ 2', 'Thứ 3', 'Thứ 4', 'Thứ 5', 'Thứ 6', 'Thứ 7', 'Chủ nhật'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Title bar and info rows shared by the marketing plan sheets
+ * @returns {number} Next free row
+ */
+function addPlanSheetHeader(worksheet, plan, title, lastColumn) {
+    worksheet.mergeCells(`A1:${lastColumn}1`);
+    const titleCell = worksheet.getCell('A1');
+    titleCell.value = `${title}: ${plan.campaignName}`;
+    titleCell.font = { bold: true, size: 16, color: { argb: 'FFFFFFFF' } };
+    titleCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF9B59B6' } };
+    titleCell.alignment = { horizontal: 'center', vertical: 'middle' };
+    worksheet.getRow(1).height = 30;
+
+    const infoData = [
+        ['Thời gian:', `${new Date(plan.startDate).toLocaleDateString('vi-VN', { timeZone: 'UTC' })} - ${new Date(plan.endDate).toLocaleDateString('vi-VN', { timeZone: 'UTC' })}`],
+        ['Số bài đăng:', `${plan.posts?.length || 0} bài`],
+        ['Kênh:', (plan.channels || []).map(getChannelLabel).join(', ')]
+    ];
+
+    let rowIndex = 3;
+    infoData.forEach(([label, value]) => {
+        worksheet.getCell(`A${rowIndex}`).value = label;
+        worksheet.getCell(`A${rowIndex}`).font = { bold: true };
+        worksheet.mergeCells(`B${rowIndex}:${lastColumn}${rowIndex}`);
+        worksheet.getCell(`B${rowIndex}`).value = value;
+        rowIndex++;
+    });
+
+    return rowIndex + 1;
+}
+
+/**
+ * Style a table header row
+ */
+function styleHeaderRow(row, headers) {
+    headers.forEach((header, colIndex) => {
+        const cell = row.getCell(colIndex + 1);
+        cell.value = header;
+        cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF2ECC71' } };
+        cell.alignment = { horizontal: 'center', vertical: 'middle' };
+        cell.border = THIN_BORDER;
+    });
+    row.height = 25;
+}
+
+/**
+ * Calendar grid sheet: one row per week (Monday to Sunday), posts listed in their day
+ */
+function addPlanCalendarSheet(workbook, plan) {
+    const worksheet = workbook.addWorksheet('Lịch đăng', {
+        properties: { tabColor: { argb: 'FF9B59B6' } }
+    });
+    worksheet.columns = WEEKDAY_LABELS.map(() => ({ width: 28 }));
+
+    let rowIndex = addPlanSheetHeader(worksheet, plan, 'LỊCH ĐĂNG', 'G');
+
+    styleHeaderRow(worksheet.getRow(rowIndex), WEEKDAY_LABELS);
+    rowIndex++;
+
+    const postsByDay = new Map();
+    (plan.posts || []).forEach((post) => {
+        const dateKey = toDateKey(post.date);
+        if (!postsByDay.has(dateKey)) postsByDay.set(dateKey, []);
+        postsByDay.get(dateKey).push(post);
+    });
+
+    // Dates are calendar days stored as UTC midnight
+    const start = new Date(`${toDateKey(plan.startDate)}T00:00:00Z`);
+    const end = new Date(`${toDateKey(plan.endDate)}T00:00:00Z`);
+    const firstMonday = new Date(start.getTime() - ((start.getUTCDay() + 6) % 7) * DAY_MS);
+
+    for (let weekStart = firstMonday; weekStart <= end; weekStart = new Date(weekStart.getTime() + 7 * DAY_MS)) {
+        const weekRow = worksheet.getRow(rowIndex);
+        let maxPosts = 0;
+
+        WEEKDAY_LABELS.forEach((_, dayIndex) => {
+            const day = new Date(weekStart.getTime() + dayIndex * DAY_MS);
+            const dateKey = toDateKey(day);
+            const posts = postsByDay.get(dateKey) || [];
+            maxPosts = Math.max(maxPosts, posts.length);
+
+            const cell = weekRow.getCell(dayIndex + 1);
+            cell.value = [
+                `${dateKey.slice(8, 10)}/${dateKey.slice(5, 7)}`,
+                ...posts.map((post) => `${post.time} · ${getChannelLabel(post.channel)}\n${post.topic}`)
+            ].join('\n');
+            cell.alignment = { wrapText: true, vertical: 'top' };
+            cell.border = THIN_BORDER;
+
+            if (day < start || day > end) {
+                cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF5F5F5' } };
+                cell.font = { color: { argb: 'FF999999' } };
+            }
+        });
+
+        weekRow.height = Math.max(40, 20 + maxPosts * 30);
+        rowIndex++;
+    }
+
+    return worksheet;
+}
+
+/**
+ * Per-channel sheet: one table of posts for each channel of the plan
+ */
+function addPlanChannelSheet(workbook, plan) {
+    const worksheet = workbook.addWorksheet('Theo kênh', {
+        properties: { tabColor: { argb: 'FF3498DB' } }
+    });
+    worksheet.columns = [
+        { key: 'date', width: 12 },
+        { key: 'time', width: 8 },
+        { key: 'topic', width: 30 },
+        { key: 'contentIdea', width: 45 },
+        { key: 'purpose', width: 20 },
+        { key: 'postType', width: 12 },
+        { key: 'hashtags', width: 30 },
+        { key: 'status', width: 14 }
+    ];
+
+    let rowIndex = addPlanSheetHeader(worksheet, plan, 'BÀI ĐĂNG THEO KÊNH', 'H');
+
+    const channels = Object.keys(CHANNEL_LABELS).filter((channel) => (plan.posts || []).some((post) => post.channel === channel));
+
+    channels.forEach((channel) => {
+        const posts = plan.posts.filter((post) => post.channel === channel);
+
+        worksheet.mergeCells(`A${rowIndex}:H${rowIndex}`);
+        const channelCell = worksheet.getCell(`A${rowIndex}`);
+        channelCell.value = `${getChannelLabel(channel).toUpperCase()} (${posts.length} bài)`;
+        channelCell.font = { bold: true, size: 12, color: { argb: 'FFFFFFFF' } };
+        channelCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF3498DB' } };
+        rowIndex++;
+
+        styleHeaderRow(worksheet.getRow(rowIndex), ['Ngày', 'Giờ', 'Chủ đề', 'Ý tưởng nội dung', 'Mục đích', 'Loại bài', 'Hashtag', 'Trạng thái']);
+        rowIndex++;
+
+        posts.forEach((post, index) => {
+            const dataRow = worksheet.getRow(rowIndex);
+            const rowData = [
+                new Date(post.date).toLocaleDateString('vi-VN', { timeZone: 'UTC' }),
+                post.time,
+                post.topic,
+                post.contentIdea || '',
+                getPurposeLabel(post.purpose),
+                getPostTypeLabel(post.postType),
+                (post.suggestedHashtags || []).join(' '),
+                getPostStatusLabel(post.status)
+            ];
+
+            rowData.forEach((value, colIndex) => {
+                const cell = dataRow.getCell(colIndex + 1);
+                cell.value = value;
+                cell.alignment = { wrapText: true, vertical: 'top' };
+                cell.border = THIN_BORDER;
+            });
+
+            // Alternate row colors
+            if (index % 2 === 1) {
+                dataRow.eachCell((cell) => {
+                    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF5F5F5' } };
+                });
+            }
+
+            dataRow.height = 40;
+            rowIndex++;
+        });
+
+        rowIndex++;
+    });
+
+    return worksheet;
+}
+
+/**
+ * Export marketing plan to Excel buffer (calendar grid + per-channel sheets)
+ * @param {Object} plan - Marketing plan document
+ * @returns {Promise<Buffer>} Excel file buffer
+ */
+async function exportMarketingPlanToExcel(plan) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'AI Content Generator';
+    workbook.created = new Date();
+
+    addPlanCalendarSheet(workbook, plan);
+    addPlanChannelSheet(workbook, plan);
+
+    const buffer = await workbook.xlsx.writeBuffer();
+    return buffer;
+}
+
 /**
  * Create a simple data export to Excel
  * @param {Array} data - Array of objects to export
@@ -178,6 +389,7 @@ async function exportDataToExcel(data, columns, sheetName = 'Data') {
 
 module.exports = {
     exportVideoScriptToExcel,
+    exportMarketingPlanToExcel,
     exportDataToExcel,
     SHOT_TYPE_LABELS
 };
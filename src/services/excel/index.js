@@ -3,10 +3,11 @@
  * Re-exports all Excel-related services
  */
 
-const { exportVideoScriptToExcel, exportDataToExcel, SHOT_TYPE_LABELS } = require('./excelExport.service');
+const { exportVideoScriptToExcel, exportMarketingPlanToExcel, exportDataToExcel, SHOT_TYPE_LABELS } = require('./excelExport.service');
 
 module.exports = {
     exportVideoScriptToExcel,
+    exportMarketingPlanToExcel,
     exportDataToExcel,
     SHOT_TYPE_LABELS
 };
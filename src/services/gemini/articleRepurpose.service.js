@@ -0,0 +1,269 @@
+/**
+ * Article Repurpose Service
+ * Rewrites a saved article into channel-native versions (Instagram, TikTok, Zalo OA, website blog, email newsletter).
+ * Length and hashtag limits are given to the AI and enforced again on its output.
+ */
+
+const { parseJsonResponse } = require('./gemini.config');
+const aiProvider = require('../ai');
+const { logPromptDebug } = require('../../utils/promptDebug');
+
+// Per channel: format guidance, content length limit (characters), hashtag limit and extra fields
+const REPURPOSE_CHANNELS = {
+    instagram: {
+        label: 'Instagram caption',
+        maxChars: 2200,
+        maxHashtags: 30,
+        recommendedHashtags: '8-15',
+        guidance: [
+            'Dòng đầu tiên là câu móc thật cuốn hút (chỉ ~125 ký tự đầu hiển thị trước "xem thêm")',
+            'Câu ngắn, xuống dòng thoáng, emoji vừa phải',
+            'Không chèn link (Instagram không cho bấm link trong caption), CTA hướng về "link ở bio" hoặc nhắn tin',
+            'Hashtag để riêng ở cuối caption, không đặt trong nội dung'
+        ]
+    },
+    tiktok: {
+        label: 'TikTok caption',
+        maxChars: 2200,
+        maxHashtags: 5,
+        recommendedHashtags: '3-5',
+        guidance: [
+            'Thật ngắn gọn (1-3 câu), câu móc ngay từ chữ đầu tiên',
+            'Giọng trẻ trung, bắt trend, gợi tò mò để xem hết video',
+            'CTA ngắn: bình luận, lưu video hoặc theo dõi'
+        ]
+    },
+    zalo: {
+        label: 'Tin nhắn Zalo OA',
+        maxChars: 2000,
+        maxHashtags: 0,
+        guidance: [
+            'Giọng thân mật như nhắn tin trực tiếp cho khách quen, có lời chào',
+            'Ngắn gọn, nêu rõ ưu đãi/thông tin chính ngay đoạn đầu',
+            'Kết thúc bằng CTA rõ ràng (trả lời tin nhắn, gọi hotline, bấm nút đặt hàng)',
+            'Không dùng hashtag'
+        ]
+    },
+    blog: {
+        label: 'Bài blog website (chuẩn SEO)',
+        maxChars: 20000,
+        maxHashtags: 0,
+        fields: ['metaDescription'],
+        guidance: [
+            'Tiêu đề SEO tối đa 60 ký tự, chứa từ khóa chính',
+            'Nội dung dạng Markdown: mở bài, các mục có heading ## và ###, kết bài có CTA',
+            'Triển khai sâu hơn bài gốc (ví dụ, hướng dẫn, câu hỏi thường gặp) nếu phù hợp',
+            'metaDescription 120-160 ký tự, tóm tắt hấp dẫn, chứa từ khóa chính',
+            'Không dùng hashtag'
+        ]
+    },
+    email: {
+        label: 'Email newsletter',
+        maxChars: 5000,
+        maxHashtags: 0,
+        fields: ['subject', 'preheader'],
+        guidance: [
+            'subject tối đa 60 ký tự, gợi tò mò hoặc nêu lợi ích, không viết hoa toàn bộ',
+            'preheader tối đa 100 ký tự, bổ sung cho subject',
+            'Thân email: lời chào, 2-4 đoạn ngắn, một CTA chính rõ ràng, lời chào cuối thư',
+            'Không dùng hashtag'
+        ]
+    }
+};
+
+const CHANNEL_KEYS = Object.keys(REPURPOSE_CHANNELS);
+
+// Length limits of the extra fields
+const FIELD_LIMITS = {
+    metaDescription: 160,
+    subject: 60,
+    preheader: 100
+};
+
+const TITLE_LIMITS = {
+    blog: 60,
+    email: 60
+};
+
+/**
+ * Channels requested for a repurpose (all channels when none is given)
+ * @param {*} value - Array or comma-separated list of channel keys
+ * @returns {string[]|null} Unique channel keys, null when a channel is unknown
+ */
+function normalizeRepurposeChannels(value) {
+    if (value === undefined || value === null || value === '') return [...CHANNEL_KEYS];
+
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const channels = [...new Set(list.map((channel) => String(channel).trim().toLowerCase()).filter(Boolean))];
+
+    if (channels.length === 0 || channels.some((channel) => !REPURPOSE_CHANNELS[channel])) return null;
+    return channels;
+}
+
+/**
+ * Cut text to a length limit at a word boundary
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {string}
+ */
+function truncateText(text, maxChars) {
+    const value = typeof text === 'string' ? text.trim() : '';
+    if (value.length <= maxChars) return value;
+
+    const cut = value.slice(0, maxChars - 1);
+    const lastSpace = cut.search(/\s\S*$/);
+    return `${(lastSpace > maxChars * 0.6 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
+
+/**
+ * Hashtags with a single leading '#', no spaces, no duplicates, within the channel limit
+ * @param {Array} hashtags
+ * @param {number} maxHashtags
+ * @returns {string[]}
+ */
+function normalizeHashtags(hashtags, maxHashtags) {
+    if (!Array.isArray(hashtags) || maxHashtags <= 0) return [];
+
+    const seen = new Set();
+    const result = [];
+    for (const raw of hashtags) {
+        if (typeof raw !== 'string') continue;
+        const tag = raw.trim().replace(/^#+/, '').replace(/\s+/g, '');
+        if (!tag || seen.has(tag.toLowerCase())) continue;
+        seen.add(tag.toLowerCase());
+        result.push(`#${tag}`);
+    }
+    return result.slice(0, maxHashtags);
+}
+
+/**
+ * Build the prompt rewriting an article for one channel
+ * @param {Object} article - { title, content, hashtags }
+ * @param {string} channel - REPURPOSE_CHANNELS key
+ * @param {Object} options
+ * @param {string|null} options.brandContext
+ * @param {string} options.instruction - Extra user instruction
+ * @returns {string}
+ */
+function buildRepurposePrompt(article, channel, { brandContext = null, instruction = '' } = {}) {
+    const spec = REPURPOSE_CHANNELS[channel];
+    const fields = spec.fields || [];
+
+    const outputFields = [
+        '    "title": "Tiêu đề"',
+        `    "content": "Nội dung cho ${spec.label}"`,
+        spec.maxHashtags > 0 ? '    "hashtags": ["#hashtag1", "#hashtag2"]' : '    "hashtags": []',
+        ...fields.map((field) => `    "${field}": "..."`)
+    ];
+
+    return `Bạn là chuyên gia content đa kênh, chuyên chuyển thể một bài viết thành nội dung "bản địa" cho từng nền tảng.
+
+## BÀI VIẾT GỐC
+Tiêu đề: ${article.title}
+${article.content}
+${article.hashtags?.length ? `Hashtag gốc: ${article.hashtags.join(' ')}` : ''}
+
+## KÊNH ĐÍCH: ${spec.label}
+- Độ dài nội dung: TỐI ĐA ${spec.maxChars} ký tự
+- Hashtag: ${spec.maxHashtags > 0 ? `${spec.recommendedHashtags} hashtag, tối đa ${spec.maxHashtags}` : 'không dùng'}
+${spec.guidance.map((line) => `- ${line}`).join('\n')}
+${brandContext ? `
+## THÔNG TIN THƯƠNG HIỆU (Bắt buộc tuân thủ)
+${brandContext}
+- Giữ tone giọng điệu, cách xưng hô customerTerm/brandPronoun của thương hiệu` : ''}
+${instruction ? `
+## YÊU CẦU THÊM
+${instruction}` : ''}
+
+## QUY TẮC
+1. Giữ nguyên thông điệp chính, dữ kiện, giá và ưu đãi của bài gốc; không bịa thêm thông tin
+2. Viết lại theo đúng văn phong của kênh đích, không sao chép nguyên văn bài gốc
+3. Tuân thủ giới hạn độ dài và hashtag ở trên
+
+## FORMAT JSON TRẢ VỀ
+{
+${outputFields.join(',\n')}
+}
+
+Chỉ trả về JSON, không có text thêm.`;
+}
+
+/**
+ * Apply the channel limits to the AI output
+ * @param {Object} parsed - AI JSON
+ * @param {string} channel
+ * @param {Object} article - Source article (fallback title)
+ * @returns {{title: string, content: string, hashtags: string[], channelFields: Object}}
+ */
+function normalizeRepurposeResult(parsed, channel, article) {
+    const spec = REPURPOSE_CHANNELS[channel];
+
+    const content = truncateText(parsed?.content, spec.maxChars);
+    if (!content) {
+        throw new Error(`AI không trả về nội dung cho kênh ${channel}`);
+    }
+
+    const channelFields = {};
+    (spec.fields || []).forEach((field) => {
+        channelFields[field] = truncateText(parsed?.[field], FIELD_LIMITS[field]);
+    });
+
+    // Subject line doubles as the title of an email
+    const rawTitle = (typeof parsed?.title === 'string' && parsed.title.trim()) || channelFields.subject || article.title;
+
+    return {
+        title: truncateText(rawTitle, TITLE_LIMITS[channel] || 500),
+        content,
+        hashtags: normalizeHashtags(parsed?.hashtags, spec.maxHashtags),
+        channelFields
+    };
+}
+
+/**
+ * Rewrite an article for one channel
+ * @param {Object} article - { title, content, hashtags }
+ * @param {string} channel - REPURPOSE_CHANNELS key
+ * @param {Object} options
+ * @param {string|null} options.brandContext
+ * @param {string} options.instruction
+ * @param {string} options.modelName
+ * @returns {Promise<{title: string, content: string, hashtags: string[], channelFields: Object}>}
+ */
+async function repurposeArticle(article, channel, { brandContext = null, instruction = '', modelName = null } = {}) {
+    if (!REPURPOSE_CHANNELS[channel]) {
+        throw new Error(`Kênh không hỗ trợ: ${channel}`);
+    }
+
+    const prompt = buildRepurposePrompt(article, channel, { brandContext, instruction });
+
+    logPromptDebug({
+        tool: 'article',
+        step: 'prompt-built',
+        data: { modelName, channel, operation: 'repurpose', promptPreview: prompt }
+    });
+
+    const { text } = await aiProvider.generateText({
+        prompt,
+        modelName,
+        meta: { operation: 'article.repurpose', channel, topic: article.topic }
+    });
+
+    const parsed = parseJsonResponse(text);
+    if (!parsed || typeof parsed !== 'object') {
+        throw new Error('Invalid response format from AI provider');
+    }
+
+    return normalizeRepurposeResult(parsed, channel, article);
+}
+
+module.exports = {
+    REPURPOSE_CHANNELS,
+    CHANNEL_KEYS,
+    FIELD_LIMITS,
+    normalizeRepurposeChannels,
+    truncateText,
+    normalizeHashtags,
+    buildRepurposePrompt,
+    normalizeRepurposeResult,
+    repurposeArticle
+};
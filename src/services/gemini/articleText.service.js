@@ -3,8 +3,10 @@
  * Generates article content from text prompts with dynamic prompt system
  */
 
-const { getModel, parseJsonResponse } = require('./gemini.config');
+const { parseJsonResponse } = require('./gemini.config');
+const aiProvider = require('../ai');
 const { logPromptDebug } = require('../../utils/promptDebug');
+const { enforceWordCount } = require('./wordCount.service');
 
 // Topic-specific expert roles for dynamic prompts
 const TOPIC_ROLES = {
@@ -86,7 +88,8 @@ function buildDynamicPrompt({
     storytellingDepth = 'medium',
     baseTitle = null,
     baseContent = null,
-    regenerateInstruction = null
+    regenerateInstruction = null,
+    variantAngle = null
 }) {
     const normalizedWritingStyle = WRITING_STYLE_DIRECTIVES[writingStyle] ? writingStyle : 'balanced';
     const normalizedStorytellingDepth = STORYTELLING_DEPTH_GUIDANCE[storytellingDepth] ? storytellingDepth : 'medium';
@@ -114,6 +117,15 @@ function buildDynamicPrompt({
 - **Storytelling depth:** ${normalizedStorytellingDepth}
 - **Hướng dẫn chiều sâu kể chuyện:** ${storytellingGuide}`;
 
+    if (variantAngle) {
+        prompt += `
+
+## HƯỚNG TIẾP CẬN CỦA PHIÊN BẢN NÀY (A/B test)
+- **Cách mở bài (hook):** ${variantAngle.hook}
+- **Lời kêu gọi hành động (CTA):** ${variantAngle.cta}
+- Bài viết sẽ được so sánh với các phiên bản khác cùng chủ đề: hãy bám sát hướng tiếp cận trên để tạo khác biệt rõ ràng.`;
+    }
+
     if (baseContent) {
         prompt += `
 
@@ -180,8 +192,9 @@ Chỉ trả về JSON, không có text thêm.`;
  * @param {string|null} params.baseTitle - Optional base article title for regeneration
  * @param {string|null} params.baseContent - Optional base article content for regeneration
  * @param {string|null} params.regenerateInstruction - Optional regenerate instruction
+ * @param {Object|null} params.variantAngle - Optional A/B variant angle { key, hook, cta }
  * @param {string} params.modelName - Optional model name from user settings
- * @returns {Promise<Object>} Generated article
+ * @returns {Promise<Object>} Generated article, with wordCountCheck after the length correction passes
  */
 async function generateArticleContent({
     topic,
@@ -194,10 +207,9 @@ async function generateArticleContent({
     baseTitle = null,
     baseContent = null,
     regenerateInstruction = null,
+    variantAngle = null,
     modelName = null
 }) {
-    const model = getModel('TEXT', modelName);
-    
     const prompt = buildDynamicPrompt({
         topic,
         purpose,
@@ -208,7 +220,8 @@ async function generateArticleContent({
         storytellingDepth,
         baseTitle,
         baseContent,
-        regenerateInstruction
+        regenerateInstruction,
+        variantAngle
     });
 
     logPromptDebug({
@@ -226,9 +239,11 @@ async function generateArticleContent({
     });
 
     try {
-        const result = await model.generateContent(prompt);
-        const response = result.response;
-        const text = response.text();
+        const { text } = await aiProvider.generateText({
+            prompt,
+            modelName,
+            meta: { operation: 'article.text', topic, wordCount, angle: variantAngle?.key }
+        });
 
         logPromptDebug({
             tool: 'article',
@@ -241,10 +256,10 @@ async function generateArticleContent({
         
         const parsed = parseJsonResponse(text);
         if (parsed) {
-            return parsed;
+            return enforceWordCount(parsed, { wordCount, modelName });
         }
         
-        throw new Error('Invalid response format from Gemini');
+        throw new Error('Invalid response format from AI provider');
     } catch (error) {
         logPromptDebug({
             tool: 'article',
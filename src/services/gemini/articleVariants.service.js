@@ -0,0 +1,260 @@
+/**
+ * Article Variants Service
+ * A/B variants of an article: one generation per angle (writing style, hook, CTA),
+ * then a single AI pass scores every variant against a fixed rubric and ranks them.
+ */
+
+const { parseJsonResponse } = require('./gemini.config');
+const aiProvider = require('../ai');
+const { generateArticleContent } = require('./articleText.service');
+const { logPromptDebug } = require('../../utils/promptDebug');
+
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 5;
+
+// Variant i uses angle i: each one changes the writing style, the hook and the CTA
+const VARIANT_ANGLES = [
+    {
+        key: 'benefit',
+        writingStyle: 'sales',
+        hook: 'Mở bằng lợi ích nổi bật nhất hoặc một con số cụ thể khách hàng nhận được',
+        cta: 'Kêu gọi đặt hàng/mua ngay, nêu rõ cách đặt'
+    },
+    {
+        key: 'story',
+        writingStyle: 'lifestyle',
+        hook: 'Mở bằng một khoảnh khắc đời thường hoặc câu chuyện ngắn khách hàng dễ đồng cảm',
+        cta: 'Mời ghé trải nghiệm trực tiếp'
+    },
+    {
+        key: 'question',
+        writingStyle: 'balanced',
+        hook: 'Mở bằng một câu hỏi chạm đúng nỗi băn khoăn của khách hàng',
+        cta: 'Mời bình luận hoặc nhắn tin để được tư vấn'
+    },
+    {
+        key: 'insight',
+        writingStyle: 'technical',
+        hook: 'Mở bằng một sự thật/insight bất ngờ liên quan đến chủ đề',
+        cta: 'Mời lưu bài và tìm hiểu thêm'
+    },
+    {
+        key: 'urgency',
+        writingStyle: 'sales',
+        hook: 'Mở bằng ưu đãi hoặc cơ hội có thời hạn',
+        cta: 'Thúc giục chốt đơn trước khi hết hạn, nhấn mạnh số lượng/thời gian có hạn'
+    }
+];
+
+// Rubric criteria (0-10 each) and their weight in the overall score
+const SCORE_CRITERIA = {
+    hookStrength: { weight: 0.3, label: 'Độ hấp dẫn của câu mở đầu (hook): người đọc có muốn đọc tiếp không' },
+    brandVoiceFit: { weight: 0.25, label: 'Độ phù hợp với giọng thương hiệu (tone, cách xưng hô, thông điệp)' },
+    ctaClarity: { weight: 0.25, label: 'Độ rõ ràng của lời kêu gọi hành động: người đọc biết phải làm gì tiếp theo' },
+    readability: { weight: 0.2, label: 'Độ dễ đọc: câu ngắn gọn, bố cục thoáng, không lan man' }
+};
+
+/**
+ * Number of variants requested, null when the request is not in variants mode
+ * @param {*} value - Request `variants` value
+ * @returns {number|null} Clamped to MIN_VARIANTS..MAX_VARIANTS
+ */
+function normalizeVariantCount(value) {
+    const count = parseInt(value, 10);
+    if (!Number.isFinite(count) || count < MIN_VARIANTS) return null;
+    return Math.min(count, MAX_VARIANTS);
+}
+
+/**
+ * Build the rubric prompt scoring all variants at once
+ * @param {Array} variants - { title, content }
+ * @param {Object} context
+ * @param {string|null} context.brandContext
+ * @param {string} context.purpose
+ * @returns {string}
+ */
+function buildVariantScorePrompt(variants, { brandContext = null, purpose = '' } = {}) {
+    const criteriaLines = Object.entries(SCORE_CRITERIA)
+        .map(([key, { label }]) => `- **${key}** (0-10): ${label}`)
+        .join('\n');
+
+    const variantBlocks = variants
+        .map((variant, index) => `### PHIÊN BẢN ${index + 1}
+Tiêu đề: ${variant.title}
+${variant.content}`)
+        .join('\n\n');
+
+    return `Bạn là biên tập viên content marketing khó tính, chuyên chấm điểm bài đăng trước khi chạy A/B test.
+
+## MỤC ĐÍCH BÀI VIẾT
+${purpose || '(không nêu)'}
+
+## GIỌNG THƯƠNG HIỆU
+${brandContext || 'Không có brand setup: chấm brandVoiceFit theo độ nhất quán giọng văn và sự phù hợp với mục đích bài viết.'}
+
+## TIÊU CHÍ CHẤM
+${criteriaLines}
+
+## CÁC PHIÊN BẢN
+${variantBlocks}
+
+## YÊU CẦU
+Chấm từng phiên bản độc lập, dùng cả thang điểm (không cho mọi bản cùng điểm), nhận xét ngắn gọn điểm mạnh/yếu.
+
+## FORMAT JSON TRẢ VỀ
+{
+    "scores": [
+        { "index": 1, "hookStrength": 0, "brandVoiceFit": 0, "ctaClarity": 0, "readability": 0, "feedback": "Nhận xét 1-2 câu" }
+    ]
+}
+
+Chỉ trả về JSON, không có text thêm.`;
+}
+
+function clampScore(value) {
+    const score = Number(value);
+    if (!Number.isFinite(score)) return null;
+    return Math.min(10, Math.max(0, Math.round(score * 10) / 10));
+}
+
+/**
+ * Read the rubric scores of each variant from the AI response
+ * @param {string} responseText
+ * @param {number} variantCount
+ * @returns {Array<Object|null>} One { criteria, overall, feedback } per variant, null when missing
+ */
+function parseVariantScoreResponse(responseText, variantCount) {
+    const parsed = parseJsonResponse(responseText);
+    const entries = Array.isArray(parsed) ? parsed : parsed?.scores;
+    if (!Array.isArray(entries)) {
+        throw new Error('Invalid variant score response from AI provider');
+    }
+
+    const results = Array.from({ length: variantCount }, () => null);
+
+    entries.forEach((entry, position) => {
+        if (!entry || typeof entry !== 'object') return;
+
+        const index = Number.isInteger(Number(entry.index)) ? Number(entry.index) - 1 : position;
+        if (index < 0 || index >= variantCount || results[index]) return;
+
+        const criteria = {};
+        let overall = 0;
+        for (const [key, { weight }] of Object.entries(SCORE_CRITERIA)) {
+            criteria[key] = clampScore(entry[key]);
+            if (criteria[key] === null) return;
+            overall += criteria[key] * weight;
+        }
+
+        results[index] = {
+            criteria,
+            overall: Math.round(overall * 10) / 10,
+            feedback: typeof entry.feedback === 'string' ? entry.feedback.trim() : ''
+        };
+    });
+
+    return results;
+}
+
+/**
+ * Score variants with the AI rubric
+ * @param {Array} variants - { title, content }
+ * @param {Object} options
+ * @param {string|null} options.brandContext
+ * @param {string} options.purpose
+ * @param {string} options.modelName
+ * @returns {Promise<Array<Object|null>>}
+ */
+async function scoreArticleVariants(variants, { brandContext = null, purpose = '', modelName = null } = {}) {
+    const prompt = buildVariantScorePrompt(variants, { brandContext, purpose });
+
+    const { text } = await aiProvider.generateText({
+        prompt,
+        modelName,
+        meta: { operation: 'article.variantScore', variantCount: variants.length }
+    });
+
+    logPromptDebug({
+        tool: 'article',
+        step: 'variant-scores',
+        data: { modelName, responsePreview: text }
+    });
+
+    return parseVariantScoreResponse(text, variants.length);
+}
+
+/**
+ * Order variants by overall score (unscored last, generation order on ties) and number them
+ * @param {Array} variants - Variants with score ({ overall }) or null
+ * @returns {Array} New array with `rank` set
+ */
+function rankArticleVariants(variants) {
+    return variants
+        .map((variant, index) => ({ variant, index }))
+        .sort((a, b) => (b.variant.score?.overall ?? -1) - (a.variant.score?.overall ?? -1) || a.index - b.index)
+        .map(({ variant }, position) => ({ ...variant, rank: position + 1 }));
+}
+
+/**
+ * Generate, score and rank article variants
+ * @param {Object} params - generateArticleContent parameters (writingStyle is set per variant)
+ * @param {number} count - Number of variants
+ * @returns {Promise<{variants: Array, scored: boolean}>} Ranked variants
+ */
+async function generateArticleVariants(params, count) {
+    const angles = VARIANT_ANGLES.slice(0, Math.min(Math.max(count, MIN_VARIANTS), MAX_VARIANTS));
+
+    // One at a time: providers rate-limit bursts of parallel calls
+    const variants = [];
+    for (const angle of angles) {
+        const result = await generateArticleContent({
+            ...params,
+            writingStyle: angle.writingStyle,
+            variantAngle: angle
+        });
+
+        variants.push({
+            angle: angle.key,
+            writingStyle: angle.writingStyle,
+            hook: angle.hook,
+            cta: angle.cta,
+            title: result.title,
+            content: result.content,
+            hashtags: result.hashtags || [],
+            wordCountCheck: result.wordCountCheck || null,
+            score: null
+        });
+    }
+
+    // The variants stay usable when scoring fails, just unranked
+    let scores = [];
+    try {
+        scores = await scoreArticleVariants(variants, {
+            brandContext: params.brandContext,
+            purpose: params.purpose,
+            modelName: params.modelName
+        });
+    } catch (error) {
+        console.error('Score article variants error:', error.message);
+    }
+
+    const scored = variants.map((variant, index) => ({ ...variant, score: scores[index] || null }));
+
+    return {
+        variants: rankArticleVariants(scored),
+        scored: scored.some((variant) => variant.score)
+    };
+}
+
+module.exports = {
+    MIN_VARIANTS,
+    MAX_VARIANTS,
+    VARIANT_ANGLES,
+    SCORE_CRITERIA,
+    normalizeVariantCount,
+    buildVariantScorePrompt,
+    parseVariantScoreResponse,
+    scoreArticleVariants,
+    rankArticleVariants,
+    generateArticleVariants
+};
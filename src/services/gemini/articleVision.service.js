@@ -5,10 +5,12 @@
 
 const fs = require('fs');
 const path = require('path');
-const { getModel, PURPOSE_LABELS, parseJsonResponse } = require('./gemini.config');
+const { PURPOSE_LABELS, parseJsonResponse } = require('./gemini.config');
+const aiProvider = require('../ai');
 const { generateArticleContent } = require('./articleText.service');
 const { injectBrandContextToPrompt } = require('./brandContext.service');
 const { logPromptDebug } = require('../../utils/promptDebug');
+const { enforceWordCount } = require('./wordCount.service');
 
 const WRITING_STYLE_DIRECTIVES = {
     sales: 'Nhịp nhanh, rõ ý, CTA mạnh.',
@@ -47,7 +49,7 @@ const MIME_TYPES = {
  * @param {string|null} params.baseContent - Optional base content for regeneration
  * @param {string|null} params.regenerateInstruction - Optional regenerate instruction
  * @param {string|null} params.modelName - Optional model name override
- * @returns {Promise<Object>} Generated article
+ * @returns {Promise<Object>} Generated article, with wordCountCheck after the length correction passes
  */
 async function generateArticleWithImage({
     topic,
@@ -63,7 +65,6 @@ async function generateArticleWithImage({
     regenerateInstruction = null,
     modelName = null
 }) {
-    const model = getModel('VISION', modelName);
     const normalizedWritingStyle = WRITING_STYLE_DIRECTIVES[writingStyle] ? writingStyle : 'balanced';
     const normalizedStorytellingDepth = STORYTELLING_DEPTH_GUIDANCE[storytellingDepth] ? storytellingDepth : 'medium';
 
@@ -172,18 +173,12 @@ Chỉ trả về JSON, không có text thêm.`;
     });
 
     try {
-        const result = await model.generateContent([
-            finalPrompt,
-            {
-                inlineData: {
-                    data: base64Image,
-                    mimeType: mimeType
-                }
-            }
-        ]);
-        
-        const response = result.response;
-        const text = response.text();
+        const { text } = await aiProvider.generateVision({
+            prompt: finalPrompt,
+            images: [{ data: base64Image, mimeType }],
+            modelName,
+            meta: { operation: 'article.vision', topic, wordCount }
+        });
 
         logPromptDebug({
             tool: 'article',
@@ -196,10 +191,10 @@ Chỉ trả về JSON, không có text thêm.`;
         
         const parsed = parseJsonResponse(text);
         if (parsed) {
-            return parsed;
+            return enforceWordCount(parsed, { wordCount, modelName });
         }
         
-        throw new Error('Invalid response format from Gemini');
+        throw new Error('Invalid response format from AI provider');
     } catch (error) {
         logPromptDebug({
             tool: 'article',
@@ -6,6 +6,7 @@
  * Import and use injectBrandContextToPrompt() to add brand context to any prompt.
  */
 
+const { AISettings, BrandProfile } = require('../../models');
 const { normalizeBrandSetup } = require('./prompt-modules/brand/normalizeBrandSetup.module');
 const { buildBrandPromptBlock } = require('./prompt-modules/brand/brandPromptBlock.module');
 
@@ -105,6 +106,48 @@ async function buildRichBrandContext(aiSettings) {
     }
 }
 
+/**
+ * Load the brand setup to generate with: the chosen brand profile, or the workspace AI Settings
+ * @param {string} workspaceId - Workspace's ObjectId
+ * @param {string|null} brandProfileId - Optional brand profile of the workspace
+ * @returns {Promise<Object|null>} AISettings or BrandProfile document
+ */
+async function loadBrandSetup(workspaceId, brandProfileId = null) {
+    if (!workspaceId) return null;
+
+    if (brandProfileId) {
+        return BrandProfile.findOne({ _id: brandProfileId, workspaceId });
+    }
+
+    return AISettings.findOne({ workspaceId });
+}
+
+/**
+ * Load a brand setup and build the brand context used by generation
+ * @param {string} workspaceId - Workspace's ObjectId
+ * @param {string|null} brandProfileId - Optional brand profile, defaults to the workspace AI Settings
+ * @returns {Promise<{aiSettings: Object|null, brandContext: string|null, logoUrl: string|null}>}
+ */
+async function resolveBrandSettings(workspaceId, brandProfileId = null) {
+    const aiSettings = await loadBrandSetup(workspaceId, brandProfileId);
+    if (!aiSettings) {
+        return { aiSettings: null, brandContext: null, logoUrl: null };
+    }
+
+    let brandContext;
+    try {
+        brandContext = await buildRichBrandContext(aiSettings);
+    } catch (error) {
+        brandContext = buildBrandContext(aiSettings);
+    }
+
+    return {
+        aiSettings,
+        brandContext,
+        logoUrl: aiSettings.logo?.logoUrl || null
+    };
+}
+
 /**
  * Check if AI Settings has meaningful brand data
  * @param {Object} aiSettings - AI Settings object
@@ -166,6 +209,8 @@ ${brandContext}
 module.exports = {
     buildBrandContext,
     buildRichBrandContext,
+    loadBrandSetup,
+    resolveBrandSettings,
     hasBrandData,
     injectBrandContextToPrompt
 };
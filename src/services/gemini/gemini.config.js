@@ -1,19 +1,11 @@
 /**
  * Gemini AI Configuration
- * Centralized configuration for all Gemini AI services
+ * Centralized model names, prompt labels and response parsing for all AI services.
+ * The API client itself lives in the AI provider adapters (src/services/ai).
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { MODEL_RECOMMENDATIONS, DEFAULT_MODELS } = require('./modelConfig.service');
 
-// Validate API key
-if (!process.env.API_KEY_GEMINI) {
-    console.warn('Warning: API_KEY_GEMINI not found in environment variables');
-}
-
-// Initialize Gemini client
-const genAI = new GoogleGenerativeAI(process.env.API_KEY_GEMINI);
-
 // Model configurations
 const MODELS = {
     TEXT: DEFAULT_MODELS.text || 'gemini-2.0-flash',
@@ -34,24 +26,6 @@ const PURPOSE_LABELS = {
     brand_positioning: 'định vị thương hiệu'
 };
 
-/**
- * Get model instance by type
- * @param {string} type - Model type (TEXT, VISION, IMAGE_GEN)
- * @param {string} customModelName - Optional custom model name override from user settings
- * @returns {Object} Model instance
- */
-function getModel(type, customModelName = null) {
-    const modelName = resolveModelName(type, customModelName);
-
-    try {
-        return genAI.getGenerativeModel({ model: modelName });
-    } catch (error) {
-        const fallbackModelName = MODELS[normalizeModelType(type)] || MODELS.TEXT;
-        console.error('Gemini model init failed, fallback to default model:', error);
-        return genAI.getGenerativeModel({ model: fallbackModelName });
-    }
-}
-
 function normalizeModelType(type) {
     if (!type) return 'TEXT';
     const normalized = String(type).trim().toUpperCase();
@@ -122,10 +96,8 @@ function parseJsonResponse(text) {
 }
 
 module.exports = {
-    genAI,
     MODELS,
     PURPOSE_LABELS,
-    getModel,
     resolveModelName,
     parseJsonResponse
 };
@@ -7,7 +7,7 @@ const fs = require('fs');
 const path = require('path');
 const https = require('https');
 const http = require('http');
-const { getModel } = require('./gemini.config');
+const aiProvider = require('../ai');
 
 // MIME types mapping
 const MIME_TYPES = {
@@ -62,8 +62,6 @@ async function downloadImageAsBase64(imageUrl) {
  * @returns {Promise<string>} Detailed image description
  */
 async function analyzeImage(imagePath, customPrompt = null, modelName = null) {
-    const model = getModel('VISION', modelName);
-    
     // Clean and normalize input path
     // 1. URL decode in case of encoded characters
     // 2. Trim whitespace
@@ -143,18 +141,14 @@ trả lời luôn cho user 6 chi tiết trên
 Trả lời bằng tiếng Việt, chi tiết và chuyên nghiệp.`;
 
     try {
-        const result = await model.generateContent([
+        const { text } = await aiProvider.generateVision({
             prompt,
-            {
-                inlineData: {
-                    data: base64Image,
-                    mimeType: mimeType
-                }
-            }
-        ]);
-        
-        const response = result.response;
-        return response.text();
+            images: [{ data: base64Image, mimeType }],
+            modelName,
+            meta: { operation: 'image.analyze' }
+        });
+
+        return text;
     } catch (error) {
         console.error('analyzeImage error:', error);
         throw error;
@@ -169,8 +163,6 @@ Trả lời bằng tiếng Việt, chi tiết và chuyên nghiệp.`;
  * @returns {Promise<string>} Detailed image description
  */
 async function analyzeImageUrl(imageUrl, customPrompt = null, modelName = null) {
-    const model = getModel('VISION', modelName);
-    
     // Download image as base64
     const { data: base64Image, mimeType } = await downloadImageAsBase64(imageUrl);
     
@@ -186,18 +178,14 @@ async function analyzeImageUrl(imageUrl, customPrompt = null, modelName = null)
 Trả lời bằng tiếng Việt, chi tiết và chuyên nghiệp.`;
 
     try {
-        const result = await model.generateContent([
+        const { text } = await aiProvider.generateVision({
             prompt,
-            {
-                inlineData: {
-                    data: base64Image,
-                    mimeType: mimeType
-                }
-            }
-        ]);
-        
-        const response = result.response;
-        return response.text();
+            images: [{ data: base64Image, mimeType }],
+            modelName,
+            meta: { operation: 'image.analyze' }
+        });
+
+        return text;
     } catch (error) {
         console.error('analyzeImageUrl error:', error);
         throw error;
@@ -6,9 +6,11 @@
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const { genAI, getModel, PURPOSE_LABELS, parseJsonResponse } = require('./gemini.config');
+const { PURPOSE_LABELS, parseJsonResponse } = require('./gemini.config');
+const aiProvider = require('../ai');
 const { injectBrandContextToPrompt } = require('./brandContext.service');
 const { logPromptDebug } = require('../../utils/promptDebug');
+const { enforceWordCount } = require('./wordCount.service');
 
 const WRITING_STYLE_DIRECTIVES = {
     sales: 'Nhịp nhanh, rõ ý, CTA mạnh.',
@@ -39,15 +41,6 @@ if (!fs.existsSync(AI_IMAGES_DIR)) {
  */
 async function generateImage(prompt, options = {}) {
     try {
-        // Use Gemini 2.0 Flash experimental for native image generation
-        const { MODELS } = require('./gemini.config');
-        const imageModel = genAI.getGenerativeModel({ 
-            model: MODELS.IMAGE_GEN,
-            generationConfig: {
-                responseModalities: ['TEXT', 'IMAGE']
-            }
-        });
-        
         // Enhanced prompt for better image generation
         const enhancedPrompt = `Create a high-quality, professional marketing image: ${prompt}. The image should be visually appealing, suitable for social media marketing, with vibrant colors and clean composition.`;
 
@@ -61,44 +54,41 @@ async function generateImage(prompt, options = {}) {
             }
         });
         
-        const result = await imageModel.generateContent(enhancedPrompt);
-        const response = result.response;
-        
-        // Check for image parts in response
-        if (response.candidates && response.candidates[0]?.content?.parts) {
-            for (const part of response.candidates[0].content.parts) {
-                if (part.inlineData && part.inlineData.mimeType?.startsWith('image/')) {
-                    // Get base64 image data
-                    const imageData = part.inlineData.data;
-                    const mimeType = part.inlineData.mimeType;
-                    
-                    // Determine file extension
-                    const ext = mimeType === 'image/png' ? 'png' : 
-                               mimeType === 'image/webp' ? 'webp' : 'jpg';
-                    
-                    // Save image to disk
-                    const filename = `${uuidv4()}.${ext}`;
-                    const filePath = path.join(AI_IMAGES_DIR, filename);
-                    
-                    // Decode base64 and save
-                    const imageBuffer = Buffer.from(imageData, 'base64');
-                    fs.writeFileSync(filePath, imageBuffer);
-
-                    logPromptDebug({
-                        tool: 'article',
-                        step: 'ai-response',
-                        data: {
-                            mode: 'image-generation',
-                            success: true,
-                            imagePath: filePath,
-                            mimeType
-                        }
-                    });
-                    
-                    // Return URL path
-                    return `/uploads/images/ai-images/${filename}`;
+        const { images } = await aiProvider.generateImage({
+            prompt: enhancedPrompt,
+            modelName: options.modelName || null,
+            meta: { operation: 'image.generate' }
+        });
+
+        const image = images[0];
+        if (image) {
+            const mimeType = image.mimeType;
+
+            // Determine file extension
+            const ext = mimeType === 'image/png' ? 'png' : 
+                       mimeType === 'image/webp' ? 'webp' : 'jpg';
+
+            // Save image to disk
+            const filename = `${uuidv4()}.${ext}`;
+            const filePath = path.join(AI_IMAGES_DIR, filename);
+
+            // Decode base64 and save
+            const imageBuffer = Buffer.from(image.data, 'base64');
+            fs.writeFileSync(filePath, imageBuffer);
+
+            logPromptDebug({
+                tool: 'article',
+                step: 'ai-response',
+                data: {
+                    mode: 'image-generation',
+                    success: true,
+                    imagePath: filePath,
+                    mimeType
                 }
-            }
+            });
+
+            // Return URL path
+            return `/uploads/images/ai-images/${filename}`;
         }
 
         throw new Error('No image generated in response');
@@ -134,7 +124,8 @@ async function generateImage(prompt, options = {}) {
  * @param {string|null} params.baseContent - Optional base content for regeneration
  * @param {string|null} params.regenerateInstruction - Optional regenerate instruction
  * @param {string|null} params.modelName - Optional model name override
- * @returns {Promise<Object>} Article with generated image URL
+ * @param {Function} params.onProgress - Optional async progress callback, called before the image pass
+ * @returns {Promise<Object>} Article with generated image URL and wordCountCheck
  */
 async function generateArticleWithAIImage({
     topic,
@@ -147,9 +138,9 @@ async function generateArticleWithAIImage({
     baseTitle = null,
     baseContent = null,
     regenerateInstruction = null,
-    modelName = null
+    modelName = null,
+    onProgress = null
 }) {
-    const model = getModel('TEXT', modelName);
     const normalizedWritingStyle = WRITING_STYLE_DIRECTIVES[writingStyle] ? writingStyle : 'balanced';
     const normalizedStorytellingDepth = STORYTELLING_DEPTH_GUIDANCE[storytellingDepth] ? storytellingDepth : 'medium';
     const styleDirective = WRITING_STYLE_DIRECTIVES[normalizedWritingStyle];
@@ -224,9 +215,11 @@ Chỉ trả về JSON, không có text thêm.`;
 
     try {
         // Step 1: Generate article content with image prompt
-        const result = await model.generateContent(finalPrompt);
-        const response = result.response;
-        const text = response.text();
+        const { text } = await aiProvider.generateText({
+            prompt: finalPrompt,
+            modelName,
+            meta: { operation: 'article.aiImage', topic, wordCount }
+        });
 
         logPromptDebug({
             tool: 'article',
@@ -238,13 +231,24 @@ Chỉ trả về JSON, không có text thêm.`;
             }
         });
         
-        const parsed = parseJsonResponse(text);
-        if (!parsed) {
-            throw new Error('Invalid response format from Gemini');
+        const generated = parseJsonResponse(text);
+        if (!generated) {
+            throw new Error('Invalid response format from AI provider');
         }
 
+        // Settle the length before spending time on the image
+        const parsed = await enforceWordCount(generated, { wordCount, modelName });
+
         // Step 2: Generate actual image using the imagePrompt
         if (parsed.imagePrompt) {
+            if (typeof onProgress === 'function') {
+                await onProgress({
+                    percent: 60,
+                    step: 'image-generating',
+                    message: 'Đã viết xong nội dung, AI đang tạo ảnh',
+                    detail: { title: parsed.title }
+                });
+            }
             parsed.imageUrl = await generateImage(parsed.imagePrompt);
             logPromptDebug({
                 tool: 'article',
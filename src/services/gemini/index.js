@@ -4,18 +4,35 @@
  */
 
 const { generateArticleContent } = require('./articleText.service');
+const { generateArticleVariants, normalizeVariantCount } = require('./articleVariants.service');
+const { repurposeArticle, normalizeRepurposeChannels } = require('./articleRepurpose.service');
+const { generateSeoOutline, generateSeoArticle, normalizeSeoOutline, normalizeSeoWordCount, resolveSecondaryKeywords, buildSeoPackage } = require('./seoArticle.service');
 const { generateArticleWithImage } = require('./articleVision.service');
 const { generateImage, generateArticleWithAIImage } = require('./imageGen.service');
 const { analyzeImage, analyzeImageUrl } = require('./imageAnalysis.service');
-const { buildBrandContext, buildRichBrandContext, hasBrandData, injectBrandContextToPrompt } = require('./brandContext.service');
+const { buildBrandContext, buildRichBrandContext, loadBrandSetup, resolveBrandSettings, hasBrandData, injectBrandContextToPrompt } = require('./brandContext.service');
 const { generateVideoScript, generateRandomIdea, suggestVideoConcepts } = require('./videoScript.service');
-const { generateMarketingPlan, generateMonthlyStrategy } = require('./marketingPlan.service');
+const { generateMarketingPlan, regenerateMarketingPlanSlice, generateMonthlyStrategy } = require('./marketingPlan.service');
 const productImageService = require('./productImage.service');
 const modelConfigService = require('./modelConfig.service');
 
 module.exports = {
     // Text generation
     generateArticleContent,
+    generateArticleVariants,
+    normalizeVariantCount,
+    
+    // Channel repurpose
+    repurposeArticle,
+    normalizeRepurposeChannels,
+    
+    // SEO long-form
+    generateSeoOutline,
+    generateSeoArticle,
+    normalizeSeoOutline,
+    normalizeSeoWordCount,
+    resolveSecondaryKeywords,
+    buildSeoPackage,
     
     // Vision (image analysis)
     generateArticleWithImage,
@@ -31,6 +48,8 @@ module.exports = {
     // Brand context
     buildBrandContext,
     buildRichBrandContext,
+    loadBrandSetup,
+    resolveBrandSettings,
     hasBrandData,
     injectBrandContextToPrompt,
     
@@ -41,6 +60,7 @@ module.exports = {
     
     // Marketing plan
     generateMarketingPlan,
+    regenerateMarketingPlanSlice,
     generateMonthlyStrategy,
     
     // Product image
@@ -3,15 +3,20 @@
  * AI-powered content calendar generation using Gemini
  */
 
-const { getModel, parseJsonResponse } = require('./gemini.config');
+const { parseJsonResponse } = require('./gemini.config');
+const aiProvider = require('../ai');
 const { injectBrandContextToPrompt } = require('./brandContext.service');
 const { composePromptBlocks } = require('./prompt-modules/shared/composer');
 const { buildCampaignThinkingBlock, normalizeCampaignThinking } = require('./prompt-modules/marketing/campaignThinking.module');
+const { buildSeasonalEventsBlock } = require('./prompt-modules/marketing/seasonalEvents.module');
 const { logPromptDebug } = require('../../utils/promptDebug');
-
-const VALID_CHANNELS = ['facebook', 'instagram', 'tiktok', 'website', 'zalo'];
-const VALID_PURPOSES = ['engagement', 'sales', 'awareness', 'traffic', 'leads'];
-const VALID_POST_TYPES = ['image', 'video', 'story', 'blog', 'reel'];
+const {
+    VALID_CHANNELS,
+    VALID_PURPOSES,
+    VALID_POST_TYPES,
+    validatePlanPosts,
+    buildSlotPosts
+} = require('./marketingPlanValidator.service');
 
 function getGoalLabel(goal) {
     switch (goal) {
@@ -47,6 +52,7 @@ function buildMarketingPlanPrompt(input) {
 
     const channelsText = input.channels?.map(getChannelLabel).join(', ') || 'Facebook';
     const { block: campaignThinkingBlock } = buildCampaignThinkingBlock(input);
+    const { block: seasonalEventsBlock } = buildSeasonalEventsBlock(input);
 
     return composePromptBlocks([
         'Bạn là chuyên gia Marketing với 10+ năm kinh nghiệm lên kế hoạch content cho social media.',
@@ -60,6 +66,7 @@ function buildMarketingPlanPrompt(input) {
 - **Kênh đăng:** ${channelsText}
 ${input.notes ? `- **Yêu cầu đặc biệt:** ${input.notes}` : ''}`,
         campaignThinkingBlock,
+        seasonalEventsBlock,
         `## NHIỆM VỤ
 Tạo content calendar chi tiết với từng bài đăng. Mỗi bài cần có:
 1. Ngày và giờ đăng cụ thể
@@ -75,6 +82,7 @@ Tạo content calendar chi tiết với từng bài đăng. Mỗi bài cần có
 4. Mỗi bài có mục đích rõ ràng (engagement, sales, awareness, traffic, leads)
 5. Hashtags liên quan đến chủ đề, xu hướng và ngành
 6. Nếu có brand setup: bắt buộc áp dụng customerTerm + brandPronoun, phản ánh product strengths/product groups, tone/contextDescriptions, và resource insights khi lên ý tưởng nội dung
+7. Nếu có danh sách ngày lễ & sự kiện: lên bài khởi động và bài đúng ngày cho các dịp phù hợp nhất
 
 ## OUTPUT FORMAT
 Trả về CHÍNH XÁC một JSON array (không có markdown, không có giải thích):
@@ -103,6 +111,7 @@ function buildMonthlyStrategyPrompt(input) {
         ? input.channels.map(getChannelLabel).join(', ')
         : 'Facebook, Instagram';
     const { block: campaignThinkingBlock } = buildCampaignThinkingBlock(input);
+    const { block: seasonalEventsBlock } = buildSeasonalEventsBlock(input);
 
     return composePromptBlocks([
         'Bạn là chiến lược gia marketing tăng trưởng theo tháng.',
@@ -114,8 +123,10 @@ function buildMonthlyStrategyPrompt(input) {
 - Kênh hiện có: ${channelsText}
 ${input.notes ? `- Ghi chú: ${input.notes}` : ''}`,
         campaignThinkingBlock,
+        seasonalEventsBlock,
         `## NHIỆM VỤ
 Đề xuất chiến lược nội dung/thực thi cho 1 tháng theo hướng khả thi, rõ ưu tiên và dễ triển khai.
+Nếu có danh sách ngày lễ & sự kiện: chọn các dịp đáng khai thác nhất và đưa vào weeklyFramework của tuần tương ứng.
 
 ## OUTPUT FORMAT
 Trả về CHÍNH XÁC một JSON object (không markdown, không giải thích):
@@ -140,45 +151,124 @@ CHỈ TRẢ VỀ JSON OBJECT, KHÔNG CÓ GÌ KHÁC.`
 }
 
 /**
- * Parse AI response to extract posts array
+ * Build prompt for regenerating part of a marketing plan
+ * @param {Object} input - Original plan input
+ * @param {Object} slice
+ * @param {Array} slice.slots - Posts being replaced: { date: 'YYYY-MM-DD', time, channel, topic }
+ * @param {Array} slice.contextPosts - Posts kept in the plan: { date: 'YYYY-MM-DD', time, channel, topic }
+ * @param {string} slice.instruction - What the new posts should change
+ * @returns {string} Formatted prompt
+ */
+function buildPlanSlicePrompt(input, { slots, contextPosts = [], instruction = '' }) {
+    const formatPost = (post, index) => `${index + 1}. ${post.date} ${post.time} - ${getChannelLabel(post.channel)}: ${post.topic}`;
+    const { block: campaignThinkingBlock } = buildCampaignThinkingBlock(input);
+    const { block: seasonalEventsBlock } = buildSeasonalEventsBlock(input);
+
+    return composePromptBlocks([
+        'Bạn là chuyên gia Marketing với 10+ năm kinh nghiệm lên kế hoạch content cho social media.',
+        `## THÔNG TIN CHIẾN DỊCH
+- **Tên chiến dịch:** ${input.campaignName}
+- **Thời gian:** từ ${input.startDate} đến ${input.endDate}
+- **Chủ đề nội dung:** ${input.topics?.join(', ') || 'Nội dung chung'}
+- **Mục tiêu:** ${input.goals?.length > 0 ? input.goals.map(getGoalLabel).join(', ') : 'Tăng tương tác'}
+${input.notes ? `- **Yêu cầu đặc biệt:** ${input.notes}` : ''}`,
+        campaignThinkingBlock,
+        seasonalEventsBlock,
+        contextPosts.length > 0
+            ? `## CÁC BÀI ĐĂNG GIỮ NGUYÊN (KHÔNG LẶP LẠI CHỦ ĐỀ)
+${contextPosts.map(formatPost).join('\n')}`
+            : '',
+        `## CÁC BÀI ĐĂNG CẦN LÀM LẠI
+${slots.map(formatPost).join('\n')}`,
+        instruction ? `## YÊU CẦU CHỈNH SỬA\n${instruction}` : '',
+        `## NHIỆM VỤ
+Viết lại đúng ${slots.length} bài đăng thay thế cho các bài cần làm lại, theo đúng thứ tự trên.
+
+## QUY TẮC QUAN TRỌNG
+1. Giữ nguyên ngày và giờ đăng của từng bài
+2. Chủ đề và ý tưởng MỚI, không trùng với các bài giữ nguyên và các bài cũ cần làm lại
+3. Nội dung liền mạch với các bài trước và sau trong lịch
+4. Ý tưởng nội dung phải CỤ THỂ, SÁNG TẠO, có thể thực hiện được ngay
+5. Nếu có brand setup: bắt buộc áp dụng customerTerm + brandPronoun và tone của thương hiệu
+
+## OUTPUT FORMAT
+Trả về CHÍNH XÁC một JSON array gồm ${slots.length} phần tử (không có markdown, không có giải thích):
+[
+    {
+        "date": "YYYY-MM-DD",
+        "time": "HH:mm",
+        "topic": "Tiêu đề chủ đề ngắn gọn",
+        "channel": "facebook|instagram|tiktok|website|zalo",
+        "contentIdea": "Mô tả chi tiết ý tưởng nội dung (2-3 câu)",
+        "purpose": "engagement|sales|awareness|traffic|leads",
+        "postType": "image|video|story|blog|reel",
+        "suggestedHashtags": ["hashtag1", "hashtag2", "hashtag3"]
+    }
+]
+
+CHỈ TRẢ VỀ JSON ARRAY, KHÔNG CÓ GÌ KHÁC.`
+    ]);
+}
+
+/**
+ * Extract the JSON array of posts from an AI response
  * @param {string} responseText - Raw AI response
- * @param {Object} input - Original input for fallback
- * @returns {Array} Parsed posts array
+ * @returns {Array} Raw posts as returned by the AI
  */
-function parseMarketingPlanResponse(responseText, input) {
-    try {
-        // Clean response - remove any markdown code blocks
-        let cleanText = responseText
-            .replace(/```json\n?/gi, '')
-            .replace(/```\n?/gi, '')
-            .trim();
-
-        // Try to find JSON array
-        const arrayMatch = cleanText.match(/\[[\s\S]*\]/);
-        if (arrayMatch) {
-            const posts = JSON.parse(arrayMatch[0]);
-            
-            // Validate and clean each post
-            return posts.map((post, index) => ({
-                date: new Date(post.date),
-                time: post.time || '18:00',
-                topic: post.topic || `Bài đăng ${index + 1}`,
-                channel: validateChannel(post.channel) || input.channels[0] || 'facebook',
-                status: 'scheduled',
-                contentIdea: post.contentIdea || '',
-                purpose: validatePurpose(post.purpose) || 'engagement',
-                postType: validatePostType(post.postType) || 'image',
-                suggestedHashtags: Array.isArray(post.suggestedHashtags) 
-                    ? post.suggestedHashtags.slice(0, 10) 
-                    : []
-            }));
-        }
+function extractPostsArray(responseText) {
+    // Clean response - remove any markdown code blocks
+    const cleanText = String(responseText || '')
+        .replace(/```json\n?/gi, '')
+        .replace(/```\n?/gi, '')
+        .trim();
 
+    // Try to find JSON array
+    const arrayMatch = cleanText.match(/\[[\s\S]*\]/);
+    if (!arrayMatch) {
         throw new Error('Không tìm thấy JSON array trong response');
+    }
+
+    const posts = JSON.parse(arrayMatch[0]);
+    if (!Array.isArray(posts)) {
+        throw new Error('Response không phải JSON array');
+    }
+
+    return posts;
+}
+
+/**
+ * Parse AI response of a partial regeneration: one new post per slot, in slot order
+ * @param {string} responseText - Raw AI response
+ * @param {Array} slots - Posts being replaced (their date and time are kept)
+ * @param {string[]} channels - Channels of the plan: the slot's channel is kept unless the AI picked one of them
+ * @returns {Array} Replacement posts (without date/time)
+ */
+function parsePlanSliceResponse(responseText, slots, channels = []) {
+    let posts;
+    try {
+        posts = extractPostsArray(responseText);
     } catch (error) {
-        console.error('Parse marketing plan error:', error);
+        console.error('Parse marketing plan slice error:', error);
         throw new Error('Lỗi parse response từ AI: ' + error.message);
     }
+
+    if (posts.length < slots.length) {
+        throw new Error(`AI chỉ trả về ${posts.length}/${slots.length} bài đăng`);
+    }
+
+    return slots.map((slot, index) => {
+        const post = posts[index] || {};
+        return {
+            topic: post.topic || slot.topic,
+            channel: channels.includes(post.channel) ? post.channel : slot.channel,
+            contentIdea: post.contentIdea || '',
+            purpose: validatePurpose(post.purpose) || 'engagement',
+            postType: validatePostType(post.postType) || 'image',
+            suggestedHashtags: Array.isArray(post.suggestedHashtags)
+                ? post.suggestedHashtags.slice(0, 10)
+                : []
+        };
+    });
 }
 
 /**
@@ -267,10 +357,12 @@ function parseMonthlyStrategyResponse(responseText, input) {
 
 /**
  * Generate marketing plan with AI
+ * The posts are validated against the campaign input: repairable fields are fixed,
+ * missing or unusable posts are asked for again.
  * @param {Object} input - Marketing plan input
  * @param {string|null} brandContext - Brand context from AI Settings
  * @param {string} modelName - Gemini model name
- * @returns {Promise<Array>} Generated posts array
+ * @returns {Promise<{posts: Array, report: Object}>} Generated posts and the validation report
  */
 async function generateMarketingPlan(input, brandContext = null, modelName = 'gemini-2.0-flash') {
     try {
@@ -288,10 +380,11 @@ async function generateMarketingPlan(input, brandContext = null, modelName = 'ge
             }
         });
 
-        // Get model and generate
-        const model = getModel('TEXT', modelName);
-        const result = await model.generateContent(finalPrompt);
-        const responseText = result.response.text();
+        const { text: responseText } = await aiProvider.generateText({
+            prompt: finalPrompt,
+            modelName,
+            meta: { operation: 'marketing.plan', input }
+        });
 
         logPromptDebug({
             tool: 'marketing',
@@ -302,10 +395,57 @@ async function generateMarketingPlan(input, brandContext = null, modelName = 'ge
             }
         });
 
-        // Parse response
-        const posts = parseMarketingPlanResponse(responseText, input);
+        let rawPosts;
+        try {
+            rawPosts = extractPostsArray(responseText);
+        } catch (error) {
+            throw new Error('Lỗi parse response từ AI: ' + error.message);
+        }
+
+        // Check the posts against the campaign, then ask again for the missing or invalid slots
+        const { posts, slots, report } = validatePlanPosts(rawPosts, input);
+
+        let slotPosts = [];
+        if (slots.length > 0) {
+            try {
+                const replacements = await regenerateMarketingPlanSlice(input, {
+                    slots,
+                    contextPosts: posts.map((post) => ({
+                        date: post.date.toISOString().slice(0, 10),
+                        time: post.time,
+                        channel: post.channel,
+                        topic: post.topic
+                    })),
+                    instruction: 'Bổ sung các bài đăng còn thiếu hoặc không hợp lệ của lịch, chủ đề khác với các bài đã có.'
+                }, brandContext, modelName);
+                slotPosts = buildSlotPosts(slots, replacements);
+            } catch (error) {
+                // Keep the valid posts, the report lists the slots left empty
+                console.error('Refill marketing plan slots error:', error.message);
+            }
+        }
+
+        const allPosts = [...posts, ...slotPosts]
+            .sort((a, b) => a.date - b.date || a.time.localeCompare(b.time));
+
+        const validationReport = {
+            ...report,
+            regeneratedSlots: slotPosts.length,
+            unfilledSlots: slots.length - slotPosts.length,
+            savedPosts: allPosts.length,
+            valid: report.repairs.length === 0 && report.removed.length === 0 && slots.length === 0
+        };
+
+        logPromptDebug({
+            tool: 'marketing',
+            step: 'validation',
+            data: {
+                modelName,
+                report: validationReport
+            }
+        });
 
-        return posts;
+        return { posts: allPosts, report: validationReport };
     } catch (error) {
         logPromptDebug({
             tool: 'marketing',
@@ -321,6 +461,63 @@ async function generateMarketingPlan(input, brandContext = null, modelName = 'ge
     }
 }
 
+/**
+ * Regenerate some posts of a marketing plan with AI, keeping the rest as context
+ * @param {Object} input - Original plan input
+ * @param {Object} slice - { slots, contextPosts, instruction } (see buildPlanSlicePrompt)
+ * @param {string|null} brandContext - Brand context from AI Settings
+ * @param {string} modelName - Gemini model name
+ * @returns {Promise<Array>} One replacement post per slot
+ */
+async function regenerateMarketingPlanSlice(input, slice, brandContext = null, modelName = 'gemini-2.0-flash') {
+    try {
+        const basePrompt = buildPlanSlicePrompt(input, slice);
+        const finalPrompt = injectBrandContextToPrompt(basePrompt, brandContext);
+
+        logPromptDebug({
+            tool: 'marketing',
+            step: 'prompt-built',
+            data: {
+                mode: 'plan-slice',
+                modelName,
+                promptPreview: finalPrompt,
+                slots: slice.slots
+            }
+        });
+
+        const { text: responseText } = await aiProvider.generateText({
+            prompt: finalPrompt,
+            modelName,
+            meta: { operation: 'marketing.planSlice', input, slots: slice.slots, instruction: slice.instruction }
+        });
+
+        logPromptDebug({
+            tool: 'marketing',
+            step: 'ai-response',
+            data: {
+                mode: 'plan-slice',
+                modelName,
+                responsePreview: responseText
+            }
+        });
+
+        return parsePlanSliceResponse(responseText, slice.slots, input.channels || []);
+    } catch (error) {
+        logPromptDebug({
+            tool: 'marketing',
+            step: 'ai-response-error',
+            data: {
+                mode: 'plan-slice',
+                modelName,
+                message: error?.message,
+                stack: error?.stack
+            }
+        });
+        console.error('Regenerate marketing plan slice error:', error);
+        throw error;
+    }
+}
+
 /**
  * Generate monthly strategy suggestion
  * @param {Object} input
@@ -344,9 +541,11 @@ async function generateMonthlyStrategy(input, brandContext = null, modelName = '
             }
         });
 
-        const model = getModel('TEXT', modelName);
-        const result = await model.generateContent(finalPrompt);
-        const responseText = result.response.text();
+        const { text: responseText } = await aiProvider.generateText({
+            prompt: finalPrompt,
+            modelName,
+            meta: { operation: 'marketing.strategy', input }
+        });
 
         logPromptDebug({
             tool: 'marketing',
@@ -376,10 +575,16 @@ async function generateMonthlyStrategy(input, brandContext = null, modelName = '
 }
 
 module.exports = {
+    VALID_CHANNELS,
+    VALID_PURPOSES,
+    VALID_POST_TYPES,
     generateMarketingPlan,
+    regenerateMarketingPlanSlice,
     generateMonthlyStrategy,
     buildMarketingPlanPrompt,
-    parseMarketingPlanResponse,
+    extractPostsArray,
+    buildPlanSlicePrompt,
+    parsePlanSliceResponse,
     buildMonthlyStrategyPrompt,
     parseMonthlyStrategyResponse
 };
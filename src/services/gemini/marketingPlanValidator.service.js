@@ -0,0 +1,347 @@
+/**
+ * Marketing Plan Validator
+ * Checks the posts returned by the AI against the campaign input (window, posts per week,
+ * post times, enums), repairs what it can and lists the slots that need new posts.
+ */
+
+const VALID_CHANNELS = ['facebook', 'instagram', 'tiktok', 'website', 'zalo'];
+const VALID_PURPOSES = ['engagement', 'sales', 'awareness', 'traffic', 'leads'];
+const VALID_POST_TYPES = ['image', 'video', 'story', 'blog', 'reel'];
+
+// Spellings the AI uses for channels
+const CHANNEL_ALIASES = {
+    fb: 'facebook',
+    ig: 'instagram',
+    blog: 'website',
+    'website/blog': 'website',
+    web: 'website',
+    'zalo oa': 'zalo'
+};
+
+// Post type used when the AI's one is invalid
+const DEFAULT_POST_TYPE_BY_CHANNEL = {
+    tiktok: 'video',
+    website: 'blog'
+};
+
+const MAX_HASHTAGS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calendar date of an AI date value ('YYYY-MM-DD' or an ISO date-time)
+ * @returns {string|null} 'YYYY-MM-DD', null when it is not a real date
+ */
+function parseDateKey(value) {
+    const match = /^(\d{4}-\d{2}-\d{2})/.exec(String(value ?? '').trim());
+    if (!match) return null;
+
+    const date = new Date(`${match[1]}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === match[1] ? match[1] : null;
+}
+
+/**
+ * 'H:mm' / 'HH:mm[:ss]' -> 'HH:mm'
+ * @returns {string|null}
+ */
+function normalizeTime(value) {
+    const match = /^(\d{1,2}):(\d{2})/.exec(String(value ?? '').trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Post time closest to a time
+ */
+function closestTime(time, postTimes) {
+    return postTimes.reduce((best, candidate) => (
+        Math.abs(toMinutes(candidate) - toMinutes(time)) < Math.abs(toMinutes(best) - toMinutes(time)) ? candidate : best
+    ));
+}
+
+function addDays(dateKey, days) {
+    return new Date(new Date(`${dateKey}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function diffDays(fromKey, toKey) {
+    return Math.round((new Date(`${toKey}T00:00:00Z`) - new Date(`${fromKey}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Campaign rules derived from the plan input
+ */
+function buildRules(input) {
+    const postTimes = (Array.isArray(input.postTimes) ? input.postTimes : []).map(normalizeTime).filter(Boolean);
+    const channels = (Array.isArray(input.channels) ? input.channels : []).filter((channel) => VALID_CHANNELS.includes(channel));
+    const goals = (Array.isArray(input.goals) ? input.goals : []).filter((goal) => VALID_PURPOSES.includes(goal));
+
+    return {
+        startKey: parseDateKey(input.startDate),
+        endKey: parseDateKey(input.endDate),
+        postsPerWeek: parseInt(input.postsPerWeek, 10) || 5,
+        postTimes: postTimes.length > 0 ? [...new Set(postTimes)] : ['18:00'],
+        channels: channels.length > 0 ? channels : ['facebook'],
+        goals
+    };
+}
+
+/**
+ * Campaign window split in 7-day chunks from the start date, with the posts each chunk should hold
+ * @returns {Array<{startKey: string, endKey: string, expected: number}>}
+ */
+function buildWeeks(rules) {
+    const weeks = [];
+    const totalDays = diffDays(rules.startKey, rules.endKey) + 1;
+
+    for (let offset = 0; offset < totalDays; offset += 7) {
+        const days = Math.min(7, totalDays - offset);
+        weeks.push({
+            startKey: addDays(rules.startKey, offset),
+            endKey: addDays(rules.startKey, offset + days - 1),
+            expected: Math.round((days / 7) * rules.postsPerWeek)
+        });
+    }
+
+    return weeks;
+}
+
+function normalizeHashtags(value) {
+    if (!Array.isArray(value)) return [];
+
+    const tags = value
+        .filter((tag) => typeof tag === 'string')
+        .map((tag) => tag.trim().replace(/\s+/g, ''))
+        .filter(Boolean)
+        .map((tag) => (tag.startsWith('#') ? tag : `#${tag}`));
+
+    return [...new Set(tags)].slice(0, MAX_HASHTAGS);
+}
+
+/**
+ * Check one AI post, repairing enums and times
+ * @returns {{post?: Object, slot?: Object, removed?: string}} A repaired post, a slot to refill, or why it was dropped
+ */
+function checkPost(raw, index, rules, channelUsage, repairs) {
+    if (!raw || typeof raw !== 'object') {
+        return { removed: 'not_an_object' };
+    }
+
+    const dateKey = parseDateKey(raw.date);
+    if (!dateKey) return { removed: 'invalid_date' };
+    if (dateKey < rules.startKey || dateKey > rules.endKey) return { removed: 'out_of_range' };
+
+    const repair = (field, from, to) => repairs.push({ index, field, from: from ?? null, to });
+
+    const rawTime = normalizeTime(raw.time);
+    let time = rawTime;
+    if (!time) {
+        time = rules.postTimes[index % rules.postTimes.length];
+        repair('time', raw.time, time);
+    } else if (!rules.postTimes.includes(time)) {
+        time = closestTime(time, rules.postTimes);
+        repair('time', raw.time, time);
+    }
+
+    const rawChannel = String(raw.channel ?? '').trim().toLowerCase();
+    let channel = CHANNEL_ALIASES[rawChannel] || rawChannel;
+    if (!rules.channels.includes(channel)) {
+        channel = [...rules.channels].sort((a, b) => channelUsage[a] - channelUsage[b])[0];
+        repair('channel', raw.channel, channel);
+    } else if (channel !== raw.channel) {
+        repair('channel', raw.channel, channel);
+    }
+    channelUsage[channel]++;
+
+    let purpose = String(raw.purpose ?? '').trim().toLowerCase();
+    if (!VALID_PURPOSES.includes(purpose)) {
+        purpose = rules.goals.length > 0 ? rules.goals[index % rules.goals.length] : 'engagement';
+        repair('purpose', raw.purpose, purpose);
+    }
+
+    let postType = String(raw.postType ?? '').trim().toLowerCase();
+    if (!VALID_POST_TYPES.includes(postType)) {
+        postType = DEFAULT_POST_TYPE_BY_CHANNEL[channel] || 'image';
+        repair('postType', raw.postType, postType);
+    }
+
+    const topic = typeof raw.topic === 'string' ? raw.topic.trim() : '';
+    if (!topic) {
+        return { slot: { date: dateKey, time, channel, topic: '(chưa có chủ đề)', reason: 'missing_topic' } };
+    }
+
+    return {
+        post: {
+            date: new Date(dateKey),
+            time,
+            topic,
+            channel,
+            status: 'scheduled',
+            contentIdea: typeof raw.contentIdea === 'string' ? raw.contentIdea.trim() : '',
+            purpose,
+            postType,
+            suggestedHashtags: normalizeHashtags(raw.suggestedHashtags)
+        }
+    };
+}
+
+const toDateKey = (post) => post.date.toISOString().slice(0, 10);
+
+/**
+ * Drop the posts of a week above its quota, from its most crowded days first
+ */
+function trimWeek(weekPosts, expected) {
+    const kept = [...weekPosts];
+    const dropped = [];
+
+    while (kept.length > expected) {
+        const perDay = {};
+        kept.forEach((post) => {
+            perDay[toDateKey(post)] = (perDay[toDateKey(post)] || 0) + 1;
+        });
+
+        let dropIndex = kept.length - 1;
+        for (let i = kept.length - 1; i >= 0; i--) {
+            if (perDay[toDateKey(kept[i])] > perDay[toDateKey(kept[dropIndex])]) dropIndex = i;
+        }
+        dropped.push(...kept.splice(dropIndex, 1));
+    }
+
+    return { kept, dropped };
+}
+
+/**
+ * Slots for the posts a week is missing, spread over its free days
+ */
+function buildMissingSlots(week, weekPosts, missing, rules, channelUsage) {
+    const usedDays = new Set(weekPosts.map(toDateKey));
+    const days = [];
+    for (let dayKey = week.startKey; dayKey <= week.endKey; dayKey = addDays(dayKey, 1)) {
+        days.push(dayKey);
+    }
+    const freeDays = days.filter((day) => !usedDays.has(day));
+    const candidates = freeDays.length >= missing ? freeDays : days;
+
+    return Array.from({ length: missing }, (_, k) => {
+        const channel = [...rules.channels].sort((a, b) => channelUsage[a] - channelUsage[b])[0];
+        channelUsage[channel]++;
+
+        return {
+            date: candidates[Math.floor(((k + 0.5) * candidates.length) / missing)],
+            time: rules.postTimes[k % rules.postTimes.length],
+            channel,
+            topic: '(còn trống)',
+            reason: 'missing_post'
+        };
+    });
+}
+
+/**
+ * Validate and repair the posts returned by the AI
+ * @param {Array} rawPosts - Parsed JSON array from the AI
+ * @param {Object} input - Plan input (startDate, endDate, postsPerWeek, postTimes, channels, goals)
+ * @returns {{posts: Array, slots: Array, report: Object}} Valid posts (sorted), slots to regenerate
+ *   ({ date: 'YYYY-MM-DD', time, channel, topic, reason }) and the validation report
+ */
+function validatePlanPosts(rawPosts, input) {
+    const rules = buildRules(input);
+    const repairs = [];
+    const removed = [];
+    const slots = [];
+    const channelUsage = Object.fromEntries(rules.channels.map((channel) => [channel, 0]));
+
+    if (!rules.startKey || !rules.endKey || rules.startKey > rules.endKey) {
+        throw new Error('Thời gian chiến dịch không hợp lệ');
+    }
+
+    const seen = new Set();
+    let posts = [];
+
+    (Array.isArray(rawPosts) ? rawPosts : []).forEach((raw, index) => {
+        const result = checkPost(raw, index, rules, channelUsage, repairs);
+
+        if (result.removed) {
+            removed.push({ index, reason: result.removed });
+            return;
+        }
+
+        const item = result.post || result.slot;
+        const key = `${result.post ? toDateKey(item) : item.date} ${item.time} ${item.channel}`;
+        if (seen.has(key)) {
+            removed.push({ index, reason: 'duplicate' });
+            return;
+        }
+        seen.add(key);
+
+        if (result.slot) {
+            slots.push(result.slot);
+        } else {
+            posts.push({ ...result.post, sourceIndex: index });
+        }
+    });
+
+    posts.sort((a, b) => a.date - b.date || a.time.localeCompare(b.time));
+
+    const weeks = buildWeeks(rules);
+    const keptPosts = [];
+
+    weeks.forEach((week) => {
+        const weekPosts = posts.filter((post) => toDateKey(post) >= week.startKey && toDateKey(post) <= week.endKey);
+        const weekSlots = slots.filter((slot) => slot.date >= week.startKey && slot.date <= week.endKey);
+
+        const { kept, dropped } = trimWeek(weekPosts, Math.max(0, week.expected - weekSlots.length));
+        dropped.forEach((post) => {
+            removed.push({ index: post.sourceIndex, reason: 'over_posts_per_week' });
+            channelUsage[post.channel]--;
+        });
+        keptPosts.push(...kept);
+
+        const missing = week.expected - kept.length - weekSlots.length;
+        if (missing > 0) {
+            slots.push(...buildMissingSlots(week, [...kept, ...weekSlots.map((slot) => ({ date: new Date(slot.date) }))], missing, rules, channelUsage));
+        }
+    });
+
+    posts = keptPosts.map(({ sourceIndex, ...post }) => post);
+    slots.sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time));
+
+    return {
+        posts,
+        slots,
+        report: {
+            expectedPosts: weeks.reduce((sum, week) => sum + week.expected, 0),
+            receivedPosts: Array.isArray(rawPosts) ? rawPosts.length : 0,
+            repairs,
+            removed: removed.sort((a, b) => a.index - b.index),
+            invalidSlots: slots.map(({ date, time, channel, reason }) => ({ date, time, channel, reason }))
+        }
+    };
+}
+
+/**
+ * Turn regenerated slot content into posts
+ * @param {Array} slots - Slots from validatePlanPosts
+ * @param {Array} replacements - One post content per slot ({ topic, channel, contentIdea, purpose, postType, suggestedHashtags })
+ * @returns {Array} Posts
+ */
+function buildSlotPosts(slots, replacements) {
+    return slots.map((slot, index) => ({
+        date: new Date(slot.date),
+        time: slot.time,
+        status: 'scheduled',
+        ...replacements[index],
+        channel: slot.channel,
+        suggestedHashtags: normalizeHashtags(replacements[index].suggestedHashtags)
+    }));
+}
+
+module.exports = {
+    VALID_CHANNELS,
+    VALID_PURPOSES,
+    VALID_POST_TYPES,
+    validatePlanPosts,
+    buildSlotPosts
+};
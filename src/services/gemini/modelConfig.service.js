@@ -85,6 +85,8 @@ const MODEL_RECOMMENDATIONS = {
             badgeIcon: '🔥',
             quality: 'High',
             tokensPerImage: '~1000',
+            inputCost: '$0.3/1M',
+            outputCost: '$30/1M',
             description: 'Tạo ảnh chất lượng cao, tốc độ nhanh'
         },
         {
@@ -94,6 +96,8 @@ const MODEL_RECOMMENDATIONS = {
             badgeIcon: '⭐',
             quality: 'Highest',
             tokensPerImage: '~1000',
+            inputCost: '$2/1M',
+            outputCost: '$120/1M',
             description: 'Mô hình preview chất lượng cao cho hình ảnh'
         },
         {
@@ -103,6 +107,8 @@ const MODEL_RECOMMENDATIONS = {
             badgeIcon: '✅',
             quality: 'Medium',
             tokensPerImage: '~1000',
+            inputCost: '$0.1/1M',
+            outputCost: '$30/1M',
             description: 'Tạo ảnh ổn định, experimental'
         }
     ]
@@ -116,18 +122,18 @@ const DEFAULT_MODELS = {
 };
 
 /**
- * Get model for specific task based on user settings
+ * Get model for specific task based on workspace settings
  * @param {string} taskType - 'text' | 'vision' | 'imageGen'
- * @param {string} userId - User's ObjectId
+ * @param {string} workspaceId - Workspace owning the AI settings
  * @returns {Promise<string>} Model name to use
  */
-async function getModelForTask(taskType, userId) {
+async function getModelForTask(taskType, workspaceId) {
     try {
-        if (!userId) {
+        if (!workspaceId) {
             return sanitizeModelForTask(taskType);
         }
 
-        const settings = await AISettings.findOne({ userId });
+        const settings = await AISettings.findOne({ workspaceId });
         
         if (!settings || !settings.aiModels) {
             return sanitizeModelForTask(taskType);
@@ -8,7 +8,8 @@ const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const sharp = require('sharp');
-const { genAI, getModel, MODELS, parseJsonResponse } = require('./gemini.config');
+const { MODELS, parseJsonResponse } = require('./gemini.config');
+const aiProvider = require('../ai');
 const { composePromptBlocks } = require('./prompt-modules/shared/composer');
 const { buildCreativeInputBlock, normalizeCreativeInputs } = require('./prompt-modules/image/creativeInput.module');
 const { buildFnbPhotorealGuardrails } = require('./prompt-modules/image/fnbPhotoreal.module');
@@ -86,17 +87,15 @@ function getMimeTypeFromPath(filePath) {
     return 'image/jpeg';
 }
 
-function toInlineDataPart(filePath) {
+function toImageInput(filePath) {
     if (!filePath || !fs.existsSync(filePath)) {
         return null;
     }
 
     const imageBuffer = fs.readFileSync(filePath);
     return {
-        inlineData: {
-            mimeType: getMimeTypeFromPath(filePath),
-            data: imageBuffer.toString('base64')
-        }
+        mimeType: getMimeTypeFromPath(filePath),
+        data: imageBuffer.toString('base64')
     };
 }
 
@@ -596,8 +595,6 @@ ${sanitizedBrandContext || '(none)'}`,
  * @returns {Promise<Object>} Product analysis result
  */
 async function analyzeProductImage(imagePath) {
-    const model = getModel('VISION');
-    
     // Read image file
     const imageBuffer = fs.readFileSync(imagePath);
     const base64Image = imageBuffer.toString('base64');
@@ -672,17 +669,12 @@ Be EXTREMELY detailed and specific. The summary should be comprehensive enough t
 Only return valid JSON.`;
 
     try {
-        const result = await model.generateContent([
+        const { text } = await aiProvider.generateVision({
             prompt,
-            {
-                inlineData: {
-                    mimeType,
-                    data: base64Image
-                }
-            }
-        ]);
-        
-        const text = result.response.text();
+            images: [{ data: base64Image, mimeType }],
+            meta: { operation: 'productImage.analysis' }
+        });
+
         const parsed = parseJsonResponse(text);
         
         if (parsed) {
@@ -869,16 +861,10 @@ async function generateSingleAngleImage(params) {
         photorealGuardrails,
         isAnchor = false,
         retryLevel = 0,
-        modelName
+        modelName,
+        onStep = null
     } = params;
 
-    const imageModel = genAI.getGenerativeModel({
-        model: modelName || MODELS.IMAGE_GEN,
-        generationConfig: {
-            responseModalities: ['TEXT', 'IMAGE']
-        }
-    });
-
     const prompt = buildConsistentAnglePrompt({
         identityAnchor,
         sceneBlueprint,
@@ -908,70 +894,67 @@ async function generateSingleAngleImage(params) {
         }
     });
 
-    const originalPart = toInlineDataPart(originalImagePath);
-    const canonicalPart = toInlineDataPart(canonicalImagePath);
-    const previousPart = toInlineDataPart(previousAngleImagePath);
-
-    const requestPayload = [
-        originalPart,
-        canonicalPart,
-        previousPart,
-        prompt
+    const referenceImages = [
+        toImageInput(originalImagePath),
+        toImageInput(canonicalImagePath),
+        toImageInput(previousAngleImagePath)
     ].filter(Boolean);
 
-    const result = await imageModel.generateContent(requestPayload);
-    const response = result.response;
-
-    // Check for image in response
-    if (response.candidates && response.candidates[0]?.content?.parts) {
-        for (const part of response.candidates[0].content.parts) {
-            if (part.inlineData && part.inlineData.mimeType?.startsWith('image/')) {
-                const imageData = part.inlineData.data;
-                const mimeType = part.inlineData.mimeType;
-
-                // Determine file extension
-                const ext = mimeType === 'image/png' ? 'png' :
-                    mimeType === 'image/webp' ? 'webp' : 'jpg';
-
-                // Save image to disk
-                const filename = `${uuidv4()}.${ext}`;
-                const filePath = path.join(PRODUCT_IMAGES_DIR, filename);
-
-                const imageBuffer = Buffer.from(imageData, 'base64');
-                fs.writeFileSync(filePath, imageBuffer);
-
-                let finalImageUrl = `/uploads/images/product-images/${filename}`;
-
-                // Step 4: Overlay logo if enabled
-                if (useLogo && logoUrl && logoPosition !== 'none') {
-                    const logoPath = await downloadLogo(logoUrl);
-                    if (logoPath) {
-                        finalImageUrl = await overlayLogo(filePath, logoPath, logoPosition, outputSize);
-
-                        // Clean up the non-logo version if a new file was created
-                        if (finalImageUrl !== `/uploads/images/product-images/${filename}`) {
-                            try {
-                                fs.unlinkSync(filePath);
-                            } catch (e) {
-                                // Ignore cleanup errors
-                            }
-                        }
-                    }
-                }
+    const { images } = await aiProvider.generateImage({
+        prompt,
+        images: referenceImages,
+        modelName: modelName || MODELS.IMAGE_GEN,
+        meta: { operation: 'productImage.angle', cameraAngle, retryLevel }
+    });
 
-                logPromptDebug({
-                    tool: 'image',
-                    step: 'ai-response',
-                    data: {
-                        mode: 'single-angle',
-                        cameraAngle,
-                        imageUrl: finalImageUrl
-                    }
-                });
+    const image = images[0];
+    if (image) {
+        const mimeType = image.mimeType;
+
+        // Determine file extension
+        const ext = mimeType === 'image/png' ? 'png' :
+            mimeType === 'image/webp' ? 'webp' : 'jpg';
+
+        // Save image to disk
+        const filename = `${uuidv4()}.${ext}`;
+        const filePath = path.join(PRODUCT_IMAGES_DIR, filename);
+
+        const imageBuffer = Buffer.from(image.data, 'base64');
+        fs.writeFileSync(filePath, imageBuffer);
 
-                return finalImageUrl;
+        let finalImageUrl = `/uploads/images/product-images/${filename}`;
+
+        // Step 4: Overlay logo if enabled
+        if (useLogo && logoUrl && logoPosition !== 'none') {
+            const logoPath = await downloadLogo(logoUrl);
+            if (logoPath) {
+                if (onStep) {
+                    await onStep('logo-overlay');
+                }
+                finalImageUrl = await overlayLogo(filePath, logoPath, logoPosition, outputSize);
+
+                // Clean up the non-logo version if a new file was created
+                if (finalImageUrl !== `/uploads/images/product-images/${filename}`) {
+                    try {
+                        fs.unlinkSync(filePath);
+                    } catch (e) {
+                        // Ignore cleanup errors
+                    }
+                }
             }
         }
+
+        logPromptDebug({
+            tool: 'image',
+            step: 'ai-response',
+            data: {
+                mode: 'single-angle',
+                cameraAngle,
+                imageUrl: finalImageUrl
+            }
+        });
+
+        return finalImageUrl;
     }
 
     throw new Error('No image generated in response');
@@ -980,6 +963,7 @@ async function generateSingleAngleImage(params) {
 /**
  * Generate product images with background and logo for multiple camera angles
  * @param {Object} params - Generation parameters
+ * @param {Function} params.onProgress - Optional async ({ percent, step, message, current, total, detail }) callback
  * @returns {Promise<Array<{angle: string, imageUrl: string, status: string, errorMessage: string}>>}
  */
 async function generateProductWithBackground(params) {
@@ -1001,9 +985,16 @@ async function generateProductWithBackground(params) {
         outputSize,
         additionalNotes,
         brandContext,
-        modelName
+        modelName,
+        onProgress = null
     } = params;
 
+    const reportProgress = async (progress) => {
+        if (typeof onProgress === 'function') {
+            await onProgress(progress);
+        }
+    };
+
     try {
         logPromptDebug({
             tool: 'image',
@@ -1026,6 +1017,8 @@ async function generateProductWithBackground(params) {
             }
         });
 
+        await reportProgress({ percent: 12, step: 'product-analysis', message: 'Đang phân tích ảnh sản phẩm' });
+
         const productAnalysis = await analyzeProductImage(originalImagePath);
 
         const intentSignals = buildIntentSignals({
@@ -1129,6 +1122,9 @@ async function generateProductWithBackground(params) {
         const generatedImages = [];
         let canonicalImagePath = null;
         let previousAngleImagePath = null;
+        const totalAngles = orderedAngles.length;
+        // Angles share the 20% -> 95% range of the overall progress
+        const percentAfter = (doneCount) => 20 + Math.round((75 * doneCount) / totalAngles);
 
         for (let i = 0; i < orderedAngles.length; i++) {
             const cameraAngle = orderedAngles[i];
@@ -1137,6 +1133,15 @@ async function generateProductWithBackground(params) {
             let errorMessage = '';
 
             for (let attempt = 0; attempt < 3; attempt++) {
+                await reportProgress({
+                    percent: percentAfter(i),
+                    step: 'angle-generating',
+                    message: `Đang tạo góc ${i + 1}/${totalAngles}`,
+                    current: i,
+                    total: totalAngles,
+                    detail: { angle: cameraAngle, attempt: attempt + 1 }
+                });
+
                 try {
                     const angleSpecificNotes = additionalNotes
                         ? `${additionalNotes}\n\nAngle requirement: ${cameraAngle} - ${CAMERA_ANGLE_PROMPTS[cameraAngle] || ''}`
@@ -1161,7 +1166,12 @@ async function generateProductWithBackground(params) {
                         photorealGuardrails,
                         isAnchor,
                         retryLevel: attempt,
-                        modelName
+                        modelName,
+                        onStep: (step) => reportProgress({
+                            step,
+                            message: `Đang chèn logo cho góc ${i + 1}/${totalAngles}`,
+                            detail: { angle: cameraAngle }
+                        })
                     });
 
                     errorMessage = '';
@@ -1197,6 +1207,18 @@ async function generateProductWithBackground(params) {
                     errorMessage
                 });
             }
+
+            const angleResult = generatedImages[generatedImages.length - 1];
+            await reportProgress({
+                percent: percentAfter(i + 1),
+                step: 'angle-completed',
+                message: angleResult.status === 'completed'
+                    ? `Đã xong góc ${i + 1}/${totalAngles}`
+                    : `Góc ${i + 1}/${totalAngles} thất bại`,
+                current: i + 1,
+                total: totalAngles,
+                detail: { ...angleResult }
+            });
         }
 
         const successCount = generatedImages.filter(item => item.status === 'completed' && item.imageUrl).length;
@@ -0,0 +1,58 @@
+/**
+ * Seasonal events prompt module
+ * Holidays, retail moments and custom events around the campaign window (input.seasonalEvents)
+ */
+
+const { getEventTypeLabel } = require('../../../calendar/holidayCalendar');
+
+// Keeps long campaigns (payday week every month...) from flooding the prompt
+const MAX_PROMPT_EVENTS = 30;
+
+function normalizeSeasonalEvents(value) {
+    if (!Array.isArray(value)) return [];
+
+    return value
+        .filter((event) => event && typeof event.name === 'string' && typeof event.date === 'string')
+        .slice(0, MAX_PROMPT_EVENTS);
+}
+
+function formatEventLine(event) {
+    const period = event.endDate && event.endDate !== event.date
+        ? `${event.date} đến ${event.endDate}`
+        : event.date;
+
+    const parts = [`- ${period}: ${event.name} (${getEventTypeLabel(event.type)})`];
+    if (!event.inWindow) parts.push('diễn ra ngay sau chiến dịch, chỉ cần nội dung khởi động');
+    if (event.hint) parts.push(`gợi ý: ${event.hint}`);
+
+    return parts.join(' — ');
+}
+
+/**
+ * Prompt block listing the seasonal events, empty when there is none
+ * @param {Object} input - Campaign input with seasonalEvents
+ * @returns {{events: Array, block: string}}
+ */
+function buildSeasonalEventsBlock(input = {}) {
+    const events = normalizeSeasonalEvents(input.seasonalEvents);
+    if (events.length === 0) return { events, block: '' };
+
+    return {
+        events,
+        block: [
+            '## NGÀY LỄ & SỰ KIỆN TRONG THỜI GIAN CHIẾN DỊCH',
+            ...events.map(formatEventLine),
+            '',
+            'Cách sử dụng:',
+            '1. Lồng ghép các dịp phù hợp với ngành hàng, chủ đề và mục tiêu; không bắt buộc dùng hết',
+            '2. Bài về một dịp nên đăng trong giai đoạn khởi động trước ngày đó hoặc đúng ngày, không đăng sau khi dịp đã qua',
+            '3. Giữ nguyên ngày của các dịp đã cho, không tự thêm ngày lễ khác ngoài danh sách'
+        ].join('\n')
+    };
+}
+
+module.exports = {
+    MAX_PROMPT_EVENTS,
+    normalizeSeasonalEvents,
+    buildSeasonalEventsBlock
+};
@@ -0,0 +1,483 @@
+/**
+ * SEO Article Service
+ * Long-form blog mode: an editable outline (H2/H3, target and secondary keywords) first,
+ * then one generation per section and a final pass for introduction, meta tags and FAQ answers.
+ */
+
+const { parseJsonResponse } = require('./gemini.config');
+const aiProvider = require('../ai');
+const { TOPIC_LABELS, PURPOSE_LABELS, PURPOSE_CONTEXT } = require('./articleText.service');
+const { truncateText } = require('./articleRepurpose.service');
+const { enforceWordCount, getWordCountTolerance } = require('./wordCount.service');
+const { countWords } = require('../../utils/wordCount');
+const { logPromptDebug } = require('../../utils/promptDebug');
+const { markdownToHtml } = require('../../utils/markdown');
+const { slugify, buildFaqSchema, buildKeywordReport, TARGET_DENSITY } = require('../../utils/seo');
+
+const MIN_WORDS = 800;
+const MAX_WORDS = 5000;
+const DEFAULT_WORDS = 1500;
+
+const MAX_SECTIONS = 10;
+const MAX_SUBHEADINGS = 5;
+const MAX_SECONDARY_KEYWORDS = 8;
+const MAX_FAQ = 6;
+
+const META_TITLE_LENGTH = 60;
+const META_DESCRIPTION_LENGTH = 160;
+
+// Share of the words kept for the introduction
+const INTRO_SHARE = 0.1;
+
+const FAQ_HEADING = 'Câu hỏi thường gặp';
+
+function cleanText(value, maxLength = 200) {
+    return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, maxLength) : '';
+}
+
+function cleanList(values, maxItems, maxLength = 200) {
+    if (!Array.isArray(values)) return [];
+
+    const seen = new Set();
+    const result = [];
+    for (const value of values) {
+        const text = cleanText(typeof value === 'string' ? value : value?.heading || value?.question, maxLength);
+        if (!text || seen.has(text.toLowerCase())) continue;
+        seen.add(text.toLowerCase());
+        result.push(text);
+    }
+    return result.slice(0, maxItems);
+}
+
+/**
+ * Total length of a long-form article, clamped to MIN_WORDS..MAX_WORDS
+ * @param {*} value
+ * @returns {number}
+ */
+function normalizeSeoWordCount(value) {
+    const count = parseInt(value, 10);
+    if (!Number.isFinite(count)) return DEFAULT_WORDS;
+    return Math.min(MAX_WORDS, Math.max(MIN_WORDS, count));
+}
+
+/**
+ * Secondary keywords: the requested ones, else the brand keywords (AISettings.language.keywords)
+ * @param {*} requested - Array or comma-separated list
+ * @param {string[]} brandKeywords
+ * @param {string} targetKeyword - Excluded from the list
+ * @returns {string[]}
+ */
+function resolveSecondaryKeywords(requested, brandKeywords = [], targetKeyword = '') {
+    const list = Array.isArray(requested)
+        ? requested
+        : typeof requested === 'string' && requested.trim()
+            ? requested.split(',')
+            : brandKeywords;
+
+    return cleanList(list, MAX_SECONDARY_KEYWORDS + 1, 80)
+        .filter((keyword) => keyword.toLowerCase() !== targetKeyword.toLowerCase())
+        .slice(0, MAX_SECONDARY_KEYWORDS);
+}
+
+/**
+ * Validate an outline (from the AI or edited by the user) and fill in the section lengths
+ * @param {Object} raw - { h1, targetKeyword, secondaryKeywords, sections: [{ heading, subheadings, keyPoints, wordCount }], faq }
+ * @param {Object} defaults
+ * @param {string} defaults.targetKeyword
+ * @param {string[]} defaults.secondaryKeywords
+ * @param {number} defaults.wordCount - Total words
+ * @returns {Object|null} Outline, null without a title, target keyword or section
+ */
+function normalizeSeoOutline(raw, { targetKeyword = '', secondaryKeywords = [], wordCount = DEFAULT_WORDS } = {}) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const keyword = cleanText(raw.targetKeyword, 80) || cleanText(targetKeyword, 80);
+    const h1 = cleanText(raw.h1 || raw.title, 200);
+
+    const sections = (Array.isArray(raw.sections) ? raw.sections : [])
+        .map((section) => ({
+            heading: cleanText(section?.heading, 200),
+            subheadings: cleanList(section?.subheadings, MAX_SUBHEADINGS),
+            keyPoints: cleanList(section?.keyPoints, 8, 300),
+            wordCount: parseInt(section?.wordCount, 10) || 0
+        }))
+        .filter((section) => section.heading)
+        .slice(0, MAX_SECTIONS);
+
+    if (!keyword || !h1 || sections.length === 0) return null;
+
+    // Sections keep their share of the body, a section without a length weighs as much as the average one
+    const total = normalizeSeoWordCount(raw.wordCount || wordCount);
+    const bodyWords = Math.round(total * (1 - INTRO_SHARE));
+    const given = sections.filter((section) => section.wordCount > 0);
+    const averageGiven = given.length > 0
+        ? given.reduce((sum, section) => sum + section.wordCount, 0) / given.length
+        : 1;
+    const weights = sections.map((section) => section.wordCount || averageGiven);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    sections.forEach((section, index) => {
+        section.wordCount = Math.max(80, Math.round((weights[index] / totalWeight) * bodyWords));
+    });
+
+    return {
+        h1,
+        targetKeyword: keyword,
+        secondaryKeywords: resolveSecondaryKeywords(raw.secondaryKeywords ?? secondaryKeywords, [], keyword),
+        wordCount: total,
+        sections,
+        faq: cleanList(raw.faq, MAX_FAQ, 300).map((question) => ({ question }))
+    };
+}
+
+function buildBriefBlock({ topic, purpose, description }) {
+    return `- **Chủ đề:** ${TOPIC_LABELS[topic] || topic}
+- **Mục đích:** ${PURPOSE_LABELS[purpose] || purpose} - ${PURPOSE_CONTEXT[purpose] || purpose}
+- **Mô tả từ người dùng:** ${description || 'Không có mô tả thêm, hãy suy luận hợp lý từ từ khóa.'}`;
+}
+
+function buildBrandBlock(brandContext) {
+    return brandContext ? `
+
+## THÔNG TIN THƯƠNG HIỆU (Bắt buộc tuân thủ)
+${brandContext}
+- Dùng đúng tên thương hiệu, tone giọng điệu và cách xưng hô đã định nghĩa` : '';
+}
+
+/**
+ * Build the outline prompt
+ * @returns {string}
+ */
+function buildSeoOutlinePrompt({ topic, purpose, description, targetKeyword, secondaryKeywords = [], wordCount, brandContext = null }) {
+    return `Bạn là SEO Content Strategist, chuyên lập dàn ý bài blog dài chuẩn SEO cho thị trường Việt Nam.
+
+## BRIEF
+${buildBriefBlock({ topic, purpose, description })}
+- **Từ khóa chính:** ${targetKeyword}
+- **Từ khóa phụ:** ${secondaryKeywords.length > 0 ? secondaryKeywords.join(', ') : '(tự đề xuất 3-5 từ khóa liên quan)'}
+- **Tổng độ dài bài:** khoảng ${wordCount} từ${buildBrandBlock(brandContext)}
+
+## YÊU CẦU DÀN Ý
+1. H1 hấp dẫn, chứa từ khóa chính, không emoji
+2. 4-${MAX_SECTIONS} mục H2 theo search intent của từ khóa, mục cuối là kết luận có CTA
+3. Mỗi H2 có 0-${MAX_SUBHEADINGS} H3 và 2-4 ý chính cần triển khai
+4. Từ khóa chính xuất hiện tự nhiên trong 1-2 heading H2, từ khóa phụ rải trong các heading khác
+5. wordCount của từng mục cộng lại khoảng ${Math.round(wordCount * (1 - INTRO_SHARE))} từ (phần mở bài viết riêng)
+6. 3-${MAX_FAQ} câu hỏi thường gặp người dùng hay tìm kiếm quanh từ khóa
+
+## FORMAT JSON TRẢ VỀ
+{
+    "h1": "Tiêu đề H1",
+    "secondaryKeywords": ["từ khóa phụ 1", "từ khóa phụ 2"],
+    "sections": [
+        { "heading": "Tiêu đề H2", "subheadings": ["H3 1", "H3 2"], "keyPoints": ["Ý chính 1", "Ý chính 2"], "wordCount": 250 }
+    ],
+    "faq": ["Câu hỏi 1?", "Câu hỏi 2?"]
+}
+
+Chỉ trả về JSON, không có text thêm.`;
+}
+
+/**
+ * Build the prompt writing one H2 section
+ * @returns {string}
+ */
+function buildSeoSectionPrompt(outline, index, { topic, purpose, description, brandContext = null }) {
+    const section = outline.sections[index];
+    const outlineLines = outline.sections
+        .map((item, position) => `${position === index ? '→' : ' '} ${position + 1}. ${item.heading}`)
+        .join('\n');
+
+    return `Bạn là SEO Copywriter viết bài blog dài, chuyên sâu và tự nhiên bằng tiếng Việt.
+
+## BRIEF
+${buildBriefBlock({ topic, purpose, description })}
+- **Tiêu đề bài (H1):** ${outline.h1}
+- **Từ khóa chính:** ${outline.targetKeyword}
+- **Từ khóa phụ:** ${outline.secondaryKeywords.join(', ') || '(không có)'}${buildBrandBlock(brandContext)}
+
+## DÀN Ý TOÀN BÀI (→ là mục cần viết)
+${outlineLines}
+
+## MỤC CẦN VIẾT: ${section.heading}
+${section.subheadings.length > 0 ? `- Các tiểu mục H3 (dùng "### ", đúng thứ tự): ${section.subheadings.join(' | ')}` : '- Không có tiểu mục H3'}
+${section.keyPoints.length > 0 ? `- Ý chính cần triển khai: ${section.keyPoints.join('; ')}` : ''}
+- Độ dài: khoảng ${section.wordCount} từ
+
+## QUY TẮC
+1. Chỉ viết nội dung của mục này, KHÔNG lặp lại heading H2, không viết mở bài/kết bài toàn bài (trừ khi đây là mục kết luận)
+2. Markdown: đoạn văn ngắn 2-4 câu, dùng danh sách gạch đầu dòng khi liệt kê, **in đậm** ý quan trọng
+3. Dùng từ khóa chính tự nhiên (mật độ ${TARGET_DENSITY.min}-${TARGET_DENSITY.max}%), không nhồi nhét
+4. Không emoji, không hashtag
+
+## FORMAT JSON TRẢ VỀ
+{
+    "content": "Nội dung Markdown của mục"
+}
+
+Chỉ trả về JSON, không có text thêm.`;
+}
+
+/**
+ * Build the final prompt: introduction, meta tags and FAQ answers
+ * @returns {string}
+ */
+function buildSeoMetaPrompt(outline, { topic, purpose, description, brandContext = null }) {
+    const faqLines = outline.faq.map((entry, index) => `${index + 1}. ${entry.question}`).join('\n');
+
+    return `Bạn là SEO Specialist hoàn thiện một bài blog dài.
+
+## BRIEF
+${buildBriefBlock({ topic, purpose, description })}
+- **Tiêu đề bài (H1):** ${outline.h1}
+- **Từ khóa chính:** ${outline.targetKeyword}
+- **Các mục H2:** ${outline.sections.map((section) => section.heading).join(' | ')}${buildBrandBlock(brandContext)}
+
+## YÊU CẦU
+1. introduction: mở bài 2 đoạn (khoảng ${Math.round(outline.wordCount * INTRO_SHARE)} từ), có từ khóa chính trong câu đầu tiên, nêu người đọc sẽ nhận được gì
+2. metaTitle: tối đa ${META_TITLE_LENGTH} ký tự, bắt đầu bằng hoặc chứa từ khóa chính
+3. metaDescription: 120-${META_DESCRIPTION_LENGTH} ký tự, chứa từ khóa chính, có lời mời click
+4. faq: trả lời ngắn gọn (2-4 câu) từng câu hỏi sau, giữ nguyên câu hỏi:
+${faqLines || '(không có câu hỏi, trả về mảng rỗng)'}
+
+## FORMAT JSON TRẢ VỀ
+{
+    "introduction": "Mở bài Markdown",
+    "metaTitle": "...",
+    "metaDescription": "...",
+    "faq": [{ "question": "...", "answer": "..." }]
+}
+
+Chỉ trả về JSON, không có text thêm.`;
+}
+
+async function generateJson({ prompt, modelName, meta, step }) {
+    logPromptDebug({
+        tool: 'article',
+        step: 'prompt-built',
+        data: { modelName, operation: meta.operation, step, promptPreview: prompt }
+    });
+
+    const { text } = await aiProvider.generateText({ prompt, modelName, meta });
+
+    const parsed = parseJsonResponse(text);
+    if (!parsed || typeof parsed !== 'object') {
+        throw new Error('Invalid response format from AI provider');
+    }
+    return parsed;
+}
+
+/**
+ * Generate the editable outline of a long-form article
+ * @param {Object} params
+ * @param {string} params.topic
+ * @param {string} params.purpose
+ * @param {string} params.description
+ * @param {string} params.targetKeyword
+ * @param {string[]} params.secondaryKeywords
+ * @param {number} params.wordCount
+ * @param {string|null} params.brandContext
+ * @param {string} params.modelName
+ * @returns {Promise<Object>} Normalized outline
+ */
+async function generateSeoOutline({ topic, purpose, description, targetKeyword, secondaryKeywords = [], wordCount = DEFAULT_WORDS, brandContext = null, modelName = null }) {
+    const total = normalizeSeoWordCount(wordCount);
+    const prompt = buildSeoOutlinePrompt({ topic, purpose, description, targetKeyword, secondaryKeywords, wordCount: total, brandContext });
+
+    const parsed = await generateJson({
+        prompt,
+        modelName,
+        step: 'seo-outline',
+        meta: { operation: 'article.seoOutline', topic, targetKeyword, wordCount: total }
+    });
+
+    // Keywords the user gave win over the AI's suggestions
+    const outline = normalizeSeoOutline(
+        { ...parsed, secondaryKeywords: secondaryKeywords.length > 0 ? secondaryKeywords : parsed.secondaryKeywords },
+        { targetKeyword, wordCount: total }
+    );
+    if (!outline) {
+        throw new Error('AI không trả về dàn ý hợp lệ');
+    }
+    return outline;
+}
+
+function stripRepeatedHeading(content, heading) {
+    const lines = String(content || '').trim().split('\n');
+    if (/^#{1,2}\s/.test(lines[0] || '') && lines[0].replace(/^#+\s*/, '').trim().toLowerCase() === heading.toLowerCase()) {
+        lines.shift();
+    }
+    return lines.join('\n').trim();
+}
+
+/**
+ * Assemble the Markdown article
+ * @returns {string}
+ */
+function assembleSeoMarkdown({ introduction, sections, faq }) {
+    const parts = [introduction.trim()];
+
+    sections.forEach((section) => {
+        parts.push(`## ${section.heading}\n\n${section.content}`);
+    });
+
+    if (faq.length > 0) {
+        parts.push(`## ${FAQ_HEADING}\n\n${faq.map((entry) => `### ${entry.question}\n\n${entry.answer}`).join('\n\n')}`);
+    }
+
+    return parts.filter(Boolean).join('\n\n');
+}
+
+/**
+ * Publishable package of a long-form article, computed from its current text
+ * @param {Object} article - { title, content, seo }
+ * @returns {{markdown: string, html: string, metaTitle: string, metaDescription: string, slug: string, faqSchema: Object|null, keywordReport: Object}}
+ */
+function buildSeoPackage(article) {
+    const seo = article.seo || {};
+
+    return {
+        markdown: article.content,
+        html: markdownToHtml(article.content),
+        metaTitle: seo.metaTitle || '',
+        metaDescription: seo.metaDescription || '',
+        slug: seo.slug || '',
+        faqSchema: buildFaqSchema(seo.faq),
+        keywordReport: buildKeywordReport({
+            content: article.content,
+            title: article.title,
+            metaTitle: seo.metaTitle,
+            metaDescription: seo.metaDescription,
+            slug: seo.slug,
+            targetKeyword: seo.targetKeyword,
+            secondaryKeywords: seo.secondaryKeywords || []
+        })
+    };
+}
+
+/**
+ * Write a long-form article from its outline, section by section
+ * @param {Object} params
+ * @param {Object} params.outline - Normalized outline
+ * @param {string} params.topic
+ * @param {string} params.purpose
+ * @param {string} params.description
+ * @param {string|null} params.brandContext
+ * @param {string} params.modelName
+ * @param {Function} params.onProgress - Optional ({ percent, step, message })
+ * @returns {Promise<{title: string, content: string, seo: Object, wordCountCheck: Object}>}
+ *          seo: { targetKeyword, secondaryKeywords, metaTitle, metaDescription, slug, outline, faq },
+ *          wordCountCheck: { target, actual, tolerance, passes, withinTolerance } of the article without its FAQ
+ */
+async function generateSeoArticle({ outline, topic, purpose, description, brandContext = null, modelName = null, onProgress = null }) {
+    const context = { topic, purpose, description, brandContext };
+
+    // One section at a time: each prompt sees the whole outline, providers rate-limit bursts
+    const sections = [];
+    for (const [index, section] of outline.sections.entries()) {
+        if (onProgress) {
+            await onProgress({
+                percent: 30 + Math.round((55 * index) / outline.sections.length),
+                step: 'ai-generating',
+                message: `AI đang viết mục ${index + 1}/${outline.sections.length}: ${section.heading}`
+            });
+        }
+
+        const parsed = await generateJson({
+            prompt: buildSeoSectionPrompt(outline, index, context),
+            modelName,
+            step: 'seo-section',
+            meta: {
+                operation: 'article.seoSection',
+                heading: section.heading,
+                subheadings: section.subheadings,
+                targetKeyword: outline.targetKeyword,
+                wordCount: section.wordCount
+            }
+        });
+
+        const content = stripRepeatedHeading(parsed.content, section.heading);
+        if (!content) {
+            throw new Error(`AI không trả về nội dung cho mục "${section.heading}"`);
+        }
+
+        // Each section is brought to its own length, so the article lands near the requested total
+        const checked = await enforceWordCount(
+            { title: section.heading, content },
+            { wordCount: section.wordCount, modelName, markdown: true }
+        );
+        sections.push({ heading: section.heading, content: checked.content, passes: checked.wordCountCheck?.passes || 0 });
+    }
+
+    if (onProgress) {
+        await onProgress({ percent: 85, step: 'seo-meta', message: 'Đang viết mở bài, meta và FAQ' });
+    }
+
+    const meta = await generateJson({
+        prompt: buildSeoMetaPrompt(outline, context),
+        modelName,
+        step: 'seo-meta',
+        meta: {
+            operation: 'article.seoMeta',
+            h1: outline.h1,
+            targetKeyword: outline.targetKeyword,
+            questions: outline.faq.map((entry) => entry.question)
+        }
+    });
+
+    // Answers are matched to the outline questions by position
+    const answers = Array.isArray(meta.faq) ? meta.faq : [];
+    const faq = outline.faq
+        .map((entry, index) => ({
+            question: entry.question,
+            answer: cleanText(typeof answers[index] === 'string' ? answers[index] : answers[index]?.answer, 1500)
+        }))
+        .filter((entry) => entry.answer);
+
+    const metaTitle = truncateText(cleanText(meta.metaTitle, 500) || outline.h1, META_TITLE_LENGTH);
+    const introduction = typeof meta.introduction === 'string' ? meta.introduction : '';
+
+    // Requested length covers the introduction and the sections, the FAQ comes on top
+    const target = outline.wordCount;
+    const actual = countWords(assembleSeoMarkdown({ introduction, sections, faq: [] }));
+    const tolerance = getWordCountTolerance(target);
+
+    return {
+        title: outline.h1,
+        content: assembleSeoMarkdown({ introduction, sections, faq }),
+        seo: {
+            targetKeyword: outline.targetKeyword,
+            secondaryKeywords: outline.secondaryKeywords,
+            metaTitle,
+            metaDescription: truncateText(cleanText(meta.metaDescription, 1000), META_DESCRIPTION_LENGTH),
+            slug: slugify(outline.targetKeyword),
+            outline,
+            faq
+        },
+        wordCountCheck: {
+            target,
+            actual,
+            tolerance,
+            passes: sections.reduce((sum, section) => sum + section.passes, 0),
+            withinTolerance: Math.abs(actual - target) <= tolerance
+        }
+    };
+}
+
+module.exports = {
+    MIN_WORDS,
+    MAX_WORDS,
+    DEFAULT_WORDS,
+    MAX_SECTIONS,
+    META_TITLE_LENGTH,
+    META_DESCRIPTION_LENGTH,
+    normalizeSeoWordCount,
+    resolveSecondaryKeywords,
+    normalizeSeoOutline,
+    buildSeoOutlinePrompt,
+    buildSeoSectionPrompt,
+    buildSeoMetaPrompt,
+    assembleSeoMarkdown,
+    buildSeoPackage,
+    generateSeoOutline,
+    generateSeoArticle
+};
@@ -3,7 +3,8 @@
  * Generates video scripts using Gemini AI
  */
 
-const { getModel, parseJsonResponse } = require('./gemini.config');
+const { parseJsonResponse } = require('./gemini.config');
+const aiProvider = require('../ai');
 const { injectBrandContextToPrompt } = require('./brandContext.service');
 const { logPromptDebug } = require('../../utils/promptDebug');
 
@@ -287,6 +288,84 @@ QUY TẮC:
 - Chỉ trả về JSON hợp lệ.`;
 }
 
+/**
+ * Pull the scene objects that are already complete out of a partially streamed JSON response
+ * @param {string} partialText - JSON text received so far
+ * @returns {Array<Object>} Parsed scenes in order
+ */
+function extractCompletedScenes(partialText) {
+    const keyIndex = partialText.indexOf('"scenes"');
+    if (keyIndex === -1) return [];
+
+    const arrayStart = partialText.indexOf('[', keyIndex);
+    if (arrayStart === -1) return [];
+
+    const scenes = [];
+    let depth = 0;
+    let objectStart = -1;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = arrayStart + 1; i < partialText.length; i++) {
+        const char = partialText[i];
+
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            if (depth === 0) objectStart = i;
+            depth++;
+        } else if (char === '}') {
+            depth--;
+            if (depth === 0 && objectStart !== -1) {
+                try {
+                    scenes.push(JSON.parse(partialText.slice(objectStart, i + 1)));
+                } catch (error) {
+                    // Incomplete or malformed scene, wait for the final parse
+                }
+                objectStart = -1;
+            }
+        } else if (char === ']' && depth === 0) {
+            break;
+        }
+    }
+
+    return scenes;
+}
+
+/**
+ * Stream the script response and report every scene as soon as it is complete
+ * @returns {Promise<string>} Full response text
+ */
+async function streamVideoScriptText({ prompt, modelName, meta, onScene }) {
+    let emittedCount = 0;
+
+    const { text } = await aiProvider.streamText({
+        prompt,
+        modelName,
+        meta,
+        onChunk: async (chunkText, receivedText) => {
+            const scenes = extractCompletedScenes(receivedText);
+            while (emittedCount < scenes.length) {
+                await onScene(scenes[emittedCount], emittedCount);
+                emittedCount++;
+            }
+        }
+    });
+
+    return text;
+}
+
 /**
  * Generate a complete video script
  * @param {Object} params - Generation parameters
@@ -294,10 +373,10 @@ QUY TẮC:
  * @param {number} params.input.sceneCount - Number of scenes (user configurable)
  * @param {string} params.input.duration - Video duration (user configurable, e.g. "3 phút")
  * @param {string|null} params.brandContext - Brand context from AI Settings
+ * @param {Function} params.onScene - Optional async (scene, index) callback; streams the response when set
  * @returns {Promise<Object>} Generated script with summary and scenes
  */
-async function generateVideoScript({ input, brandContext = null, modelName = null }) {
-    const model = getModel('TEXT', modelName);
+async function generateVideoScript({ input, brandContext = null, modelName = null, onScene = null }) {
     const normalizedInput = normalizeScriptInput(input);
 
     const basePrompt = buildVideoScriptBasePrompt(normalizedInput);
@@ -318,9 +397,14 @@ async function generateVideoScript({ input, brandContext = null, modelName = nul
     });
 
     try {
-        const result = await model.generateContent(finalPrompt);
-        const response = result.response;
-        const text = response.text();
+        const meta = {
+            operation: 'video.script',
+            title: normalizedInput.title,
+            sceneCount: normalizedInput.sceneCount
+        };
+        const text = typeof onScene === 'function'
+            ? await streamVideoScriptText({ prompt: finalPrompt, modelName, meta, onScene })
+            : (await aiProvider.generateText({ prompt: finalPrompt, modelName, meta })).text;
 
         logPromptDebug({
             tool: 'video',
@@ -337,7 +421,7 @@ async function generateVideoScript({ input, brandContext = null, modelName = nul
             return normalizeGeneratedScript(parsed, normalizedInput.sceneCount);
         }
         
-        throw new Error('Invalid response format from Gemini');
+        throw new Error('Invalid response format from AI provider');
     } catch (error) {
         logPromptDebug({
             tool: 'video',
@@ -378,7 +462,6 @@ async function generateRandomIdea({
     brandContext = null,
     modelName = null
 }) {
-    const model = getModel('TEXT', modelName);
     const normalizedSceneCount = normalizeNumber(sceneCount, 6, 2, 30);
 
     const basePrompt = buildIdeaBasePrompt({
@@ -415,9 +498,11 @@ async function generateRandomIdea({
     });
 
     try {
-        const result = await model.generateContent(finalPrompt);
-        const response = result.response;
-        const text = response.text();
+        const { text } = await aiProvider.generateText({
+            prompt: finalPrompt,
+            modelName,
+            meta: { operation: 'video.idea', title, sceneCount: normalizedSceneCount }
+        });
 
         logPromptDebug({
             tool: 'video',
@@ -434,7 +519,7 @@ async function generateRandomIdea({
             return normalizeGeneratedIdea(parsed);
         }
         
-        throw new Error('Invalid response format from Gemini');
+        throw new Error('Invalid response format from AI provider');
     } catch (error) {
         logPromptDebug({
             tool: 'video',
@@ -467,7 +552,6 @@ async function suggestVideoConcepts({
     brandContext = null,
     modelName = null
 }) {
-    const model = getModel('TEXT', modelName);
     const safeConceptCount = normalizeNumber(conceptCount, 5, 3, 5);
     const safeSceneCount = normalizeNumber(sceneCount, 6, 2, 30);
 
@@ -503,8 +587,11 @@ async function suggestVideoConcepts({
     });
 
     try {
-        const result = await model.generateContent(prompt);
-        const text = result.response.text();
+        const { text } = await aiProvider.generateText({
+            prompt,
+            modelName,
+            meta: { operation: 'video.concepts', title, conceptCount: safeConceptCount }
+        });
 
         logPromptDebug({
             tool: 'video',
@@ -554,6 +641,7 @@ module.exports = {
     generateVideoScript,
     generateRandomIdea,
     suggestVideoConcepts,
+    extractCompletedScenes,
     SIZE_LABELS,
     SHOT_TYPES
 };
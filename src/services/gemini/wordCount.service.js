@@ -0,0 +1,156 @@
+/**
+ * Word Count Service
+ * Prompts ask for an exact length but results drift: count the words of a generated article
+ * and run targeted expand/condense passes until it is within tolerance of the requested length.
+ */
+
+const { parseJsonResponse } = require('./gemini.config');
+const aiProvider = require('../ai');
+const { countWords } = require('../../utils/wordCount');
+const { logPromptDebug } = require('../../utils/promptDebug');
+
+// Accepted gap: 10% of the requested length, at least MIN_TOLERANCE_WORDS words
+const WORD_COUNT_TOLERANCE = 0.1;
+const MIN_TOLERANCE_WORDS = 10;
+
+const MAX_CORRECTION_PASSES = 2;
+
+/**
+ * Accepted gap between requested and actual word count
+ * @param {number} target
+ * @returns {number}
+ */
+function getWordCountTolerance(target) {
+    return Math.max(MIN_TOLERANCE_WORDS, Math.round(target * WORD_COUNT_TOLERANCE));
+}
+
+/**
+ * Markdown heading lines of a text, in order
+ * @param {string} content
+ * @returns {string[]}
+ */
+function getHeadingLines(content) {
+    return String(content || '').split('\n').map((line) => line.trim()).filter((line) => /^#{1,6}\s/.test(line));
+}
+
+/**
+ * Build the prompt expanding or condensing an article to the requested length
+ * @param {Object} params
+ * @param {string} params.title
+ * @param {string} params.content
+ * @param {number} params.actual - Current word count
+ * @param {number} params.target - Requested word count
+ * @param {boolean} params.markdown - Content is Markdown whose headings must be kept
+ * @returns {string}
+ */
+function buildWordCountPrompt({ title, content, actual, target, markdown = false }) {
+    const expand = actual < target;
+    const gap = Math.abs(target - actual);
+
+    const directions = expand
+        ? [
+            `Viết THÊM khoảng ${gap} từ`,
+            'Giữ nguyên các đoạn hiện có, bổ sung chi tiết cụ thể: ví dụ, lợi ích, cảm nhận, hướng dẫn sử dụng',
+            'Không bịa thêm giá, số liệu hay ưu đãi không có trong bài'
+        ]
+        : [
+            `Cắt BỚT khoảng ${gap} từ`,
+            'Bỏ ý lặp, câu rườm rà và từ đệm; gộp các câu cùng ý',
+            'Giữ thông điệp chính, dữ kiện quan trọng và lời kêu gọi hành động'
+        ];
+
+    return `Bạn là biên tập viên content marketing. Bài viết dưới đây có ${actual} từ nhưng yêu cầu là ${target} từ.
+
+## BÀI VIẾT
+Tiêu đề: ${title || '(không có)'}
+${content}
+
+## YÊU CẦU ${expand ? 'MỞ RỘNG' : 'RÚT GỌN'}
+${directions.map((line) => `- ${line}`).join('\n')}
+- Độ dài sau khi sửa: ${target} từ (mỗi tiếng cách nhau bởi khoảng trắng tính là 1 từ)
+- Giữ nguyên giọng văn, cách xưng hô, emoji và bố cục đoạn của bài
+${markdown ? '- Nội dung là Markdown: giữ nguyên từng dòng tiêu đề (###), danh sách và chữ in đậm\n' : ''}- Không đưa hashtag vào nội dung
+
+## FORMAT JSON TRẢ VỀ
+{
+    "content": "Nội dung bài viết sau khi sửa"
+}
+
+Chỉ trả về JSON, không có text thêm.`;
+}
+
+/**
+ * Count the words of a generated article and correct its length when outside tolerance
+ * @param {Object} article - Generated article ({ title, content, ... })
+ * @param {Object} options
+ * @param {number} options.wordCount - Requested word count
+ * @param {string} options.modelName
+ * @param {boolean} options.markdown - Markdown content: a pass that drops or changes a heading is discarded
+ * @returns {Promise<Object>} Article with corrected content and
+ *          wordCountCheck: { target, actual, tolerance, passes, withinTolerance }
+ */
+async function enforceWordCount(article, { wordCount, modelName = null, markdown = false } = {}) {
+    const target = parseInt(wordCount, 10);
+    if (!article || typeof article.content !== 'string' || !(target > 0)) return article;
+
+    const tolerance = getWordCountTolerance(target);
+    let best = { content: article.content, actual: countWords(article.content) };
+    let passes = 0;
+
+    while (Math.abs(best.actual - target) > tolerance && passes < MAX_CORRECTION_PASSES) {
+        passes++;
+
+        try {
+            const { text } = await aiProvider.generateText({
+                prompt: buildWordCountPrompt({ title: article.title, content: best.content, actual: best.actual, target, markdown }),
+                modelName,
+                meta: { operation: 'article.wordCount', wordCount: target, actualWordCount: best.actual }
+            });
+
+            const content = parseJsonResponse(text)?.content;
+            if (typeof content !== 'string' || !content.trim()) break;
+
+            // A Markdown pass must keep every heading as it was
+            if (markdown && getHeadingLines(content).join('\n') !== getHeadingLines(best.content).join('\n')) continue;
+
+            // A pass that drifts further keeps the previous text
+            const actual = countWords(content);
+            if (Math.abs(actual - target) < Math.abs(best.actual - target)) {
+                best = { content: content.trim(), actual };
+            }
+        } catch (error) {
+            // The article is still usable with the length it has
+            console.error('Word count correction error:', error.message);
+            break;
+        }
+    }
+
+    const wordCountCheck = {
+        target,
+        actual: best.actual,
+        tolerance,
+        passes,
+        withinTolerance: Math.abs(best.actual - target) <= tolerance
+    };
+
+    logPromptDebug({
+        tool: 'article',
+        step: 'word-count',
+        data: { modelName, ...wordCountCheck }
+    });
+
+    return {
+        ...article,
+        content: best.content,
+        wordCountCheck
+    };
+}
+
+module.exports = {
+    WORD_COUNT_TOLERANCE,
+    MIN_TOLERANCE_WORDS,
+    MAX_CORRECTION_PASSES,
+    getWordCountTolerance,
+    buildWordCountPrompt,
+    enforceWordCount
+};
@@ -0,0 +1,385 @@
+/**
+ * Article Job Handler
+ * Runs the AI generation behind POST /api/ai/generate-and-save, the in-place
+ * rewrite behind POST /api/articles/:id/regenerate (payload.regenerate) and the
+ * channel rewrites behind POST /api/articles/:id/repurpose (payload.operation 'repurpose')
+ * and the SEO long-form article behind POST /api/ai/seo-article (payload.operation 'seoArticle')
+ */
+
+const geminiService = require('../../gemini');
+const { getModelForTask } = require('../../gemini/modelConfig.service');
+const Article = require('../../../models/Article');
+const { recordRevision } = require('../../article');
+const { refundQuota } = require('../../quota');
+const { logPromptDebug } = require('../../../utils/promptDebug');
+
+/**
+ * Pick the article service matching the requested mode
+ * @param {Object} params - Article generation parameters from the job payload
+ * @returns {Promise<Object>} Generated article ({ title, content, hashtags, imageUrl, imageUrls, imagePrompt })
+ */
+async function generateArticleByMode(params) {
+    const { mode, normalizedImageUrls, onProgress, ...generationParams } = params;
+
+    if ((mode === 'manual' || mode === 'ai_image') && normalizedImageUrls.length > 0) {
+        const result = await geminiService.generateArticleWithImage({
+            ...generationParams,
+            imagePath: normalizedImageUrls[0]
+        });
+        // Keep the user's uploaded / pre-generated image
+        result.imageUrl = normalizedImageUrls[0];
+        result.imageUrls = normalizedImageUrls;
+        return result;
+    }
+
+    if (mode === 'ai_image') {
+        return geminiService.generateArticleWithAIImage({ ...generationParams, onProgress });
+    }
+
+    return geminiService.generateArticleContent(generationParams);
+}
+
+/**
+ * Save the rewrite for one channel as a child of the article. The draft child of that channel is
+ * replaced; a child that is published or being written is kept and a new child is created instead.
+ * @param {Object} parent - Source article
+ * @param {string} channel
+ * @param {Object} result - { title, content, hashtags, channelFields }
+ * @param {Object} job
+ * @returns {Promise<Object>} Child article
+ */
+async function saveChannelChild(parent, channel, result, job) {
+    const text = {
+        title: result.title,
+        content: result.content,
+        hashtags: result.hashtags,
+        channelFields: result.channelFields
+    };
+
+    const existing = await Article.findOneAndUpdate(
+        { parentArticleId: parent._id, channel, status: { $nin: ['processing', 'published'] } },
+        { $set: text },
+        { new: true, runValidators: true }
+    );
+    if (existing) return existing;
+
+    return Article.create({
+        ...text,
+        userId: job.userId,
+        workspaceId: parent.workspaceId,
+        brandProfileId: parent.brandProfileId || null,
+        topic: parent.topic,
+        purpose: parent.purpose,
+        status: 'draft',
+        parentArticleId: parent._id,
+        channel
+    });
+}
+
+async function runRepurpose(job, { reportProgress }) {
+    const { articleId, channels, instruction, useBrandSettings, brandProfileId = null } = job.payload;
+
+    const parent = await Article.findById(articleId);
+    if (!parent) {
+        throw new Error('Bài viết đã bị xóa trước khi chuyển thể');
+    }
+
+    await reportProgress({ percent: 10, step: 'brand-context', message: 'Đang chuẩn bị thông tin thương hiệu' });
+
+    const { brandContext } = useBrandSettings
+        ? await geminiService.resolveBrandSettings(job.workspaceId, brandProfileId)
+        : { brandContext: null };
+
+    const textModel = await getModelForTask('text', job.workspaceId);
+
+    // One channel at a time; a failed channel does not discard the others
+    const children = [];
+    const failed = [];
+    for (const [index, channel] of channels.entries()) {
+        await reportProgress({
+            percent: 20 + Math.round((70 * index) / channels.length),
+            step: 'ai-generating',
+            message: `AI đang chuyển thể cho kênh ${channel} (${index + 1}/${channels.length})`
+        });
+
+        try {
+            const result = await geminiService.repurposeArticle(parent, channel, {
+                brandContext,
+                instruction,
+                modelName: textModel
+            });
+
+            const child = await saveChannelChild(parent, channel, result, job);
+            await recordRevision(child, {
+                userId: job.userId,
+                source: 'ai',
+                instruction,
+                modelName: textModel
+            });
+
+            children.push({ channel, articleId: child._id, title: child.title });
+        } catch (error) {
+            console.error(`Repurpose article (${channel}) error:`, error.message);
+            failed.push({ channel, message: error.message });
+        }
+    }
+
+    if (children.length === 0) {
+        throw new Error(failed[0]?.message || 'Không thể chuyển thể bài viết');
+    }
+
+    // One unit was reserved per channel: give back the channels that failed
+    if (failed.length > 0 && job.quotaReservation) {
+        try {
+            await refundQuota({ ...job.quotaReservation, amount: failed.length });
+        } catch (error) {
+            console.error(`Job ${job._id} quota refund error:`, error.message);
+        }
+    }
+
+    return {
+        articleId: parent._id,
+        children,
+        failed
+    };
+}
+
+async function runSeoArticle(job, { reportProgress }) {
+    const { articleId, outline, topic, purpose, description, useBrandSettings, brandProfileId = null } = job.payload;
+
+    await reportProgress({ percent: 10, step: 'brand-context', message: 'Đang chuẩn bị thông tin thương hiệu' });
+
+    const { brandContext } = useBrandSettings
+        ? await geminiService.resolveBrandSettings(job.workspaceId, brandProfileId)
+        : { brandContext: null };
+
+    const textModel = await getModelForTask('text', job.workspaceId);
+
+    const result = await geminiService.generateSeoArticle({
+        outline,
+        topic,
+        purpose,
+        description,
+        brandContext,
+        modelName: textModel,
+        onProgress: reportProgress
+    });
+
+    await reportProgress({ percent: 95, step: 'saving', message: 'Đang lưu bài viết' });
+
+    const article = await Article.findByIdAndUpdate(articleId, {
+        title: result.title,
+        content: result.content,
+        seo: result.seo,
+        hashtags: [],
+        status: 'draft'
+    }, {
+        new: true,
+        runValidators: true
+    });
+
+    if (!article) {
+        throw new Error('Bài viết đã bị xóa trước khi tạo xong');
+    }
+
+    await recordRevision(article, {
+        userId: job.userId,
+        source: 'ai',
+        modelName: textModel
+    });
+
+    return {
+        articleId: article._id,
+        generated: {
+            title: article.title,
+            ...geminiService.buildSeoPackage(article),
+            wordCountCheck: result.wordCountCheck
+        }
+    };
+}
+
+async function run(job, { reportProgress }) {
+    if (job.payload.operation === 'repurpose') {
+        return runRepurpose(job, { reportProgress });
+    }
+
+    if (job.payload.operation === 'seoArticle') {
+        return runSeoArticle(job, { reportProgress });
+    }
+
+    const {
+        articleId,
+        mode,
+        topic,
+        purpose,
+        description,
+        wordCount = 250,
+        normalizedImageUrls = [],
+        useBrandSettings,
+        brandProfileId = null,
+        writingStyle,
+        storytellingDepth,
+        baseTitle,
+        baseContent,
+        regenerateInstruction,
+        regenerate = false
+    } = job.payload;
+
+    await reportProgress({ percent: 10, step: 'brand-context', message: 'Đang chuẩn bị thông tin thương hiệu' });
+
+    const { brandContext } = useBrandSettings
+        ? await geminiService.resolveBrandSettings(job.workspaceId, brandProfileId)
+        : { brandContext: null };
+
+    logPromptDebug({
+        tool: 'article',
+        step: 'brand-context',
+        data: {
+            jobId: job._id,
+            enabled: !!useBrandSettings,
+            brandProfileId,
+            available: !!brandContext,
+            preview: brandContext
+        }
+    });
+
+    const textModel = await getModelForTask('text', job.workspaceId);
+
+    await reportProgress({ percent: 30, step: 'ai-generating', message: 'AI đang viết bài' });
+
+    const result = await generateArticleByMode({
+        mode,
+        normalizedImageUrls,
+        topic,
+        purpose,
+        description,
+        wordCount,
+        brandContext,
+        writingStyle,
+        storytellingDepth,
+        baseTitle,
+        baseContent,
+        regenerateInstruction,
+        modelName: textModel,
+        onProgress: reportProgress
+    });
+
+    await reportProgress({ percent: 90, step: 'saving', message: 'Đang lưu bài viết' });
+
+    // Update placeholder with generated content; a rewrite only replaces the text
+    const update = regenerate
+        ? {
+            title: result.title,
+            content: result.content,
+            hashtags: result.hashtags || []
+        }
+        : {
+            title: result.title,
+            content: result.content,
+            topic,
+            purpose,
+            imageUrl: result.imageUrl || null,
+            imageUrls: result.imageUrls || (result.imageUrl ? [result.imageUrl] : []),
+            hashtags: result.hashtags || [],
+            status: 'draft'
+        };
+
+    const generated = {
+        title: result.title,
+        content: result.content,
+        hashtags: result.hashtags,
+        imageUrl: result.imageUrl,
+        imageUrls: result.imageUrls || (result.imageUrl ? [result.imageUrl] : []),
+        imagePrompt: result.imagePrompt,
+        wordCountCheck: result.wordCountCheck || null
+    };
+
+    // A rewrite is dropped when a later regenerate replaced it, or the text was edited,
+    // restored or published meanwhile: the result stays available on the job
+    const article = regenerate
+        ? await Article.findOneAndUpdate(
+            {
+                _id: articleId,
+                rewriteJobId: job._id,
+                title: baseTitle,
+                content: baseContent,
+                status: { $nin: ['processing', 'published'] }
+            },
+            { ...update, rewriteJobId: null },
+            { new: true, runValidators: true }
+        )
+        : await Article.findByIdAndUpdate(articleId, update, {
+            new: true,
+            runValidators: true
+        });
+
+    if (!article && regenerate) {
+        await Article.updateOne({ _id: articleId, rewriteJobId: job._id }, { rewriteJobId: null });
+
+        logPromptDebug({
+            tool: 'article',
+            step: 'rewrite-dropped',
+            data: { jobId: job._id, articleId }
+        });
+
+        return { articleId, applied: false, generated };
+    }
+
+    if (!article) {
+        throw new Error('Bài viết đã bị xóa trước khi tạo xong');
+    }
+
+    await recordRevision(article, {
+        userId: job.userId,
+        source: 'ai',
+        instruction: regenerateInstruction,
+        modelName: textModel
+    });
+
+    logPromptDebug({
+        tool: 'article',
+        step: 'ai-response',
+        data: {
+            ok: true,
+            jobId: job._id,
+            articleId: article._id,
+            title: result?.title,
+            hashtagsCount: Array.isArray(result?.hashtags) ? result.hashtags.length : 0,
+            imageUrl: result?.imageUrl || null
+        }
+    });
+
+    return {
+        articleId: article._id,
+        applied: true,
+        generated
+    };
+}
+
+async function onFailed(job, error) {
+    logPromptDebug({
+        tool: 'article',
+        step: 'ai-response-error',
+        data: {
+            jobId: job._id,
+            message: error?.message,
+            stack: error?.stack,
+            saveMode: true
+        }
+    });
+
+    // A failed rewrite or repurpose leaves the article as it was
+    if (job.payload.regenerate) {
+        await Article.updateOne({ _id: job.payload.articleId, rewriteJobId: job._id }, { rewriteJobId: null });
+        return;
+    }
+    if (job.payload.operation === 'repurpose') return;
+
+    await Article.findByIdAndUpdate(job.payload.articleId, { status: 'failed' });
+}
+
+module.exports = {
+    run,
+    onFailed,
+    generateArticleByMode
+};
@@ -0,0 +1,22 @@
+/**
+ * Job Handlers Index
+ * Maps job types to their handlers
+ */
+
+const articleHandler = require('./article.handler');
+const videoScriptHandler = require('./videoScript.handler');
+const productImageHandler = require('./productImage.handler');
+const marketingPlanHandler = require('./marketingPlan.handler');
+const publishHandler = require('./publish.handler');
+
+const JOB_HANDLERS = {
+    article: articleHandler,
+    video: videoScriptHandler,
+    image: productImageHandler,
+    marketing: marketingPlanHandler,
+    publish: publishHandler
+};
+
+module.exports = {
+    JOB_HANDLERS
+};
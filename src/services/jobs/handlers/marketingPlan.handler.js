@@ -0,0 +1,174 @@
+/**
+ * Marketing Plan Job Handler
+ * Runs the AI generation behind POST /api/marketing-plan/generate
+ * and the partial regeneration behind POST /api/marketing-plan/:id/regenerate-posts
+ */
+
+const geminiService = require('../../gemini');
+const { getModelForTask } = require('../../gemini/modelConfig.service');
+const { buildPlanInput, toPromptPost, isPostLocked, rewritePlanPost } = require('../../marketingPlan');
+const { MarketingPlan } = require('../../../models');
+const { logPromptDebug } = require('../../../utils/promptDebug');
+
+/**
+ * Regenerate the selected posts of a plan, the other posts are sent as context
+ */
+async function runRegenerateSlice(job, { reportProgress }) {
+    const { planId, postIds, instruction = '', useBrandSettings, brandProfileId = null } = job.payload;
+
+    const plan = await MarketingPlan.findById(planId);
+    if (!plan) {
+        throw new Error('Kế hoạch đã bị xóa trước khi tạo lại xong');
+    }
+
+    // Posts published (or deleted) since the request are left alone
+    const targetIds = new Set(postIds.map(String));
+    const slots = plan.posts.filter((post) => targetIds.has(String(post._id)) && !isPostLocked(post));
+    const contextPosts = plan.posts.filter((post) => !targetIds.has(String(post._id)));
+
+    if (slots.length === 0) {
+        return { planId: plan._id, replaced: 0, skipped: targetIds.size };
+    }
+
+    await reportProgress({ percent: 10, step: 'brand-context', message: 'Đang chuẩn bị thông tin thương hiệu' });
+
+    const { brandContext } = useBrandSettings
+        ? await geminiService.resolveBrandSettings(job.workspaceId, brandProfileId)
+        : { brandContext: null };
+
+    const textModel = await getModelForTask('text', job.workspaceId);
+
+    await reportProgress({
+        percent: 30,
+        step: 'ai-generating',
+        message: `AI đang làm lại ${slots.length} bài đăng`,
+        detail: { totalPosts: slots.length }
+    });
+
+    const replacements = await geminiService.regenerateMarketingPlanSlice(
+        buildPlanInput(plan),
+        {
+            slots: slots.map(toPromptPost),
+            contextPosts: contextPosts.map(toPromptPost),
+            instruction
+        },
+        brandContext,
+        textModel
+    );
+
+    await reportProgress({ percent: 90, step: 'saving', message: 'Đang lưu các bài đăng mới' });
+
+    let replaced = 0;
+    for (const [index, post] of slots.entries()) {
+        if (await rewritePlanPost(plan._id, post._id, replacements[index])) {
+            replaced++;
+        }
+    }
+
+    return {
+        planId: plan._id,
+        replaced,
+        skipped: targetIds.size - replaced
+    };
+}
+
+async function run(job, { reportProgress }) {
+    if (job.payload.operation === 'regenerateSlice') {
+        return runRegenerateSlice(job, { reportProgress });
+    }
+
+    const { planId, input, useBrandSettings, brandProfileId = null } = job.payload;
+
+    await reportProgress({ percent: 10, step: 'brand-context', message: 'Đang chuẩn bị thông tin thương hiệu' });
+
+    const { brandContext } = useBrandSettings
+        ? await geminiService.resolveBrandSettings(job.workspaceId, brandProfileId)
+        : { brandContext: null };
+
+    logPromptDebug({
+        tool: 'marketing',
+        step: 'brand-context',
+        data: {
+            jobId: job._id,
+            enabled: !!useBrandSettings,
+            brandProfileId,
+            available: !!brandContext,
+            preview: brandContext
+        }
+    });
+
+    // Get user's selected model for text generation
+    const textModel = await getModelForTask('text', job.workspaceId);
+
+    await reportProgress({ percent: 30, step: 'ai-generating', message: 'AI đang lên lịch nội dung' });
+
+    const { posts, report } = await geminiService.generateMarketingPlan(input, brandContext, textModel);
+
+    logPromptDebug({
+        tool: 'marketing',
+        step: 'ai-response',
+        data: {
+            jobId: job._id,
+            modelName: textModel,
+            totalPosts: posts?.length || 0,
+            validationReport: report
+        }
+    });
+
+    await reportProgress({
+        percent: 90,
+        step: 'saving',
+        message: `Đang lưu ${posts.length} bài đăng`,
+        detail: { totalPosts: posts.length }
+    });
+
+    // Update placeholder with generated output
+    const plan = await MarketingPlan.findByIdAndUpdate(planId, {
+        posts,
+        totalPosts: posts.length,
+        validationReport: report,
+        status: 'active'
+    }, {
+        new: true,
+        runValidators: true
+    });
+
+    if (!plan) {
+        throw new Error('Kế hoạch đã bị xóa trước khi tạo xong');
+    }
+
+    return {
+        planId: plan._id,
+        totalPosts: plan.totalPosts,
+        validation: {
+            valid: report.valid,
+            repaired: report.repairs.length,
+            removed: report.removed.length,
+            regeneratedSlots: report.regeneratedSlots,
+            unfilledSlots: report.unfilledSlots
+        }
+    };
+}
+
+async function onFailed(job, error) {
+    logPromptDebug({
+        tool: 'marketing',
+        step: 'ai-response-error',
+        data: {
+            jobId: job._id,
+            operation: job.payload.operation,
+            message: error?.message,
+            stack: error?.stack
+        }
+    });
+
+    // A failed partial regeneration leaves the plan as it was
+    if (job.payload.operation === 'regenerateSlice') return;
+
+    await MarketingPlan.findByIdAndUpdate(job.payload.planId, { status: 'failed' });
+}
+
+module.exports = {
+    run,
+    onFailed
+};
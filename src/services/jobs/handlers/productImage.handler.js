@@ -0,0 +1,136 @@
+/**
+ * Product Image Job Handler
+ * Runs the AI generation behind POST /api/product-images/generate and /:id/regenerate
+ */
+
+const geminiService = require('../../gemini');
+const { getModelForTask } = require('../../gemini/modelConfig.service');
+const ProductImage = require('../../../models/ProductImage');
+const { logPromptDebug } = require('../../../utils/promptDebug');
+
+function mapStatusFromGeneratedImages(generatedImages) {
+    const hasSuccess = generatedImages.some(item => item.status === 'completed' && item.imageUrl);
+    const hasFailure = generatedImages.some(item => item.status === 'failed');
+
+    if (!hasSuccess) return 'failed';
+    if (hasFailure) return 'failed';
+    return 'completed';
+}
+
+async function run(job, { reportProgress }) {
+    const { productImageId, operation = 'generateProductImage' } = job.payload;
+
+    const productImage = await ProductImage.findById(productImageId);
+    if (!productImage) {
+        throw new Error('Ảnh đã bị xóa trước khi tạo xong');
+    }
+
+    await reportProgress({ percent: 5, step: 'brand-context', message: 'Đang chuẩn bị thông tin thương hiệu' });
+
+    // Fetch brand context and logo if enabled
+    const { brandContext, logoUrl } = productImage.usedBrandSettings
+        ? await geminiService.resolveBrandSettings(job.workspaceId, productImage.brandProfileId)
+        : { brandContext: null, logoUrl: null };
+
+    logPromptDebug({
+        tool: 'image',
+        step: 'brand-context',
+        data: {
+            jobId: job._id,
+            operation,
+            enabled: !!productImage.usedBrandSettings,
+            brandProfileId: productImage.brandProfileId,
+            available: !!brandContext,
+            preview: brandContext,
+            hasLogoUrl: !!logoUrl
+        }
+    });
+
+    const imageGenModel = productImage.modelUsed || await getModelForTask('imageGen', job.workspaceId);
+    const originalImagePath = geminiService.productImageService.getFilePathFromUrl(productImage.originalImageUrl);
+
+    await reportProgress({
+        percent: 10,
+        step: 'ai-generating',
+        message: 'AI đang tạo ảnh',
+        current: 0,
+        total: productImage.cameraAngles.length
+    });
+
+    const generatedImages = await geminiService.productImageService.generateProductWithBackground({
+        originalImagePath,
+        backgroundType: productImage.backgroundType,
+        cameraAngles: productImage.cameraAngles,
+        customBackground: productImage.customBackground,
+        usagePurpose: productImage.usagePurpose,
+        displayInfo: productImage.displayInfo,
+        adIntensity: productImage.adIntensity,
+        typographyGuidance: productImage.typographyGuidance,
+        targetAudience: productImage.targetAudience,
+        visualStyle: productImage.visualStyle,
+        realismPriority: productImage.realismPriority,
+        useLogo: productImage.useLogo,
+        logoPosition: productImage.logoPosition,
+        logoUrl,
+        outputSize: productImage.outputSize,
+        additionalNotes: productImage.additionalNotes,
+        brandContext,
+        modelName: imageGenModel,
+        onProgress: reportProgress
+    });
+
+    logPromptDebug({
+        tool: 'image',
+        step: 'ai-response',
+        data: {
+            ok: true,
+            jobId: job._id,
+            operation,
+            total: generatedImages.length,
+            successCount: generatedImages.filter((item) => item.status === 'completed').length,
+            generatedImages
+        }
+    });
+
+    // Update record with result
+    productImage.modelUsed = imageGenModel;
+    productImage.generatedImages = generatedImages;
+    productImage.generatedImageUrl = generatedImages.find(item => item.status === 'completed' && item.imageUrl)?.imageUrl || '';
+    productImage.status = mapStatusFromGeneratedImages(generatedImages);
+    const firstError = generatedImages.find(item => item.status === 'failed' && item.errorMessage)?.errorMessage;
+    productImage.errorMessage = firstError || '';
+    await productImage.save();
+
+    return {
+        productImageId: productImage._id,
+        status: productImage.status,
+        generatedImageUrl: productImage.generatedImageUrl
+    };
+}
+
+async function onFailed(job, error) {
+    logPromptDebug({
+        tool: 'image',
+        step: 'ai-response-error',
+        data: {
+            jobId: job._id,
+            operation: job.payload.operation,
+            message: error?.message,
+            stack: error?.stack
+        }
+    });
+
+    await ProductImage.findByIdAndUpdate(job.payload.productImageId, {
+        status: 'failed',
+        errorMessage: error?.message || 'Lỗi khi tạo ảnh AI',
+        'generatedImages.$[item].status': 'failed'
+    }, {
+        arrayFilters: [{ 'item.status': 'processing' }]
+    });
+}
+
+module.exports = {
+    run,
+    onFailed,
+    mapStatusFromGeneratedImages
+};
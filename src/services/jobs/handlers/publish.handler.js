@@ -0,0 +1,184 @@
+/**
+ * Publish Job Handler
+ * Writes the article of a scheduled marketing plan post and publishes it (queued by the plan scheduler).
+ * Safe to re-run: an article already written for the post is reused, a published post is left alone.
+ * A post is only published while auto-publishing is on, the plan is active and the post is still claimed by the job.
+ */
+
+const geminiService = require('../../gemini');
+const { getModelForTask } = require('../../gemini/modelConfig.service');
+const { publishArticle } = require('../../publishing');
+const { buildPostArticleParams } = require('../../marketingPlan');
+const { refundQuota } = require('../../quota');
+const { MarketingPlan, Job } = require('../../../models');
+const Article = require('../../../models/Article');
+const { recordRevision } = require('../../article');
+const { logPromptDebug } = require('../../../utils/promptDebug');
+
+/**
+ * Set fields of the post of a job, only while the post is still claimed by the job
+ * @param {Object} job
+ * @param {Object} fields - Post fields, e.g. { status, 'publishing.state' }
+ * @returns {Promise<boolean>} Whether the post was updated
+ */
+async function updatePost(job, fields) {
+    const { planId, postId } = job.payload;
+    const update = {};
+    Object.entries(fields).forEach(([key, value]) => {
+        update[`posts.$.${key}`] = value;
+    });
+
+    const result = await MarketingPlan.updateOne(
+        { _id: planId, posts: { $elemMatch: { _id: postId, 'publishing.jobId': job._id } } },
+        { $set: update }
+    );
+    return result.modifiedCount > 0;
+}
+
+/**
+ * Skip a post that may no longer be published: drop the claim of the job and give its quota back
+ * @param {Object} job
+ */
+async function releasePost(job) {
+    await updatePost(job, {
+        'publishing.jobId': null,
+        'publishing.state': null,
+        'publishing.queuedAt': null,
+        'publishing.quotaReservation': null
+    });
+
+    // Taken off the job first, so a re-run or a later failure never refunds it twice
+    const released = await Job.updateOne(
+        { _id: job._id, quotaReservation: { $ne: null } },
+        { $set: { quotaReservation: null } }
+    );
+    if (released.modifiedCount > 0) {
+        await refundQuota(job.quotaReservation);
+    }
+}
+
+/**
+ * Generate and save the article of a plan post
+ * @param {Object} job
+ * @param {Object} plan
+ * @param {Object} post
+ * @returns {Promise<Object>} Article (draft)
+ */
+async function writePostArticle(job, plan, post) {
+    const { brandContext } = plan.useBrandSettings
+        ? await geminiService.resolveBrandSettings(job.workspaceId, plan.brandProfileId)
+        : { brandContext: null };
+
+    const textModel = await getModelForTask('text', job.workspaceId);
+    const params = buildPostArticleParams(post);
+
+    const result = await geminiService.generateArticleContent({
+        ...params,
+        brandContext,
+        modelName: textModel
+    });
+
+    // Keep the plan's hashtags first, then the generated ones
+    const hashtags = [...new Set([...(post.suggestedHashtags || []), ...(result.hashtags || [])])];
+
+    const article = await Article.create({
+        userId: plan.userId,
+        workspaceId: plan.workspaceId,
+        brandProfileId: plan.brandProfileId || null,
+        title: result.title,
+        content: result.content,
+        topic: post.topic.slice(0, 200),
+        purpose: params.purpose,
+        imageUrl: result.imageUrl || undefined,
+        imageUrls: result.imageUrls || (result.imageUrl ? [result.imageUrl] : []),
+        hashtags,
+        status: 'draft'
+    });
+
+    await recordRevision(article, { userId: plan.userId, source: 'ai', modelName: textModel });
+    return article;
+}
+
+async function run(job, { reportProgress }) {
+    const { planId, postId } = job.payload;
+
+    const plan = await MarketingPlan.findById(planId);
+    const post = plan?.posts.id(postId);
+
+    if (!post) {
+        throw new Error('Bài đăng đã bị xóa khỏi kế hoạch marketing');
+    }
+
+    if (post.status === 'published') {
+        return { planId, postId, articleId: post.articleId, skipped: true };
+    }
+
+    // Auto-publishing turned off, plan paused, or the post edited or re-claimed since it was queued
+    if (!plan.autoPublish || plan.status !== 'active' || String(post.publishing?.jobId) !== String(job._id)) {
+        await releasePost(job);
+        return { planId, postId, articleId: post.articleId || null, skipped: true };
+    }
+
+    await reportProgress({ percent: 10, step: 'ai-generating', message: 'AI đang viết bài cho lịch đăng' });
+
+    // Reuse the article written for the post (by an earlier attempt or on request), unless it failed
+    let article = post.articleId
+        ? await Article.findOne({ _id: post.articleId, status: { $ne: 'failed' } })
+        : null;
+    if (!article) {
+        article = await writePostArticle(job, plan, post);
+        await updatePost(job, { articleId: article._id });
+    }
+
+    logPromptDebug({
+        tool: 'publish',
+        step: 'article-ready',
+        data: { jobId: job._id, planId, postId, articleId: article._id, channel: post.channel }
+    });
+
+    await reportProgress({ percent: 70, step: 'publishing', message: `Đang đăng bài lên ${post.channel}` });
+
+    if (article.status !== 'published') {
+        article = await publishArticle(article, { channel: post.channel, pageId: plan.pageId });
+    }
+
+    await updatePost(job, {
+        status: 'published',
+        'publishing.state': 'published',
+        'publishing.publishedAt': article.publication.publishedAt,
+        'publishing.lastError': null
+    });
+
+    return {
+        planId,
+        postId,
+        articleId: article._id,
+        remotePostId: article.publication.postId,
+        permalink: article.publication.permalink
+    };
+}
+
+async function onFailed(job, error) {
+    logPromptDebug({
+        tool: 'publish',
+        step: 'publish-error',
+        data: {
+            jobId: job._id,
+            planId: job.payload.planId,
+            postId: job.payload.postId,
+            message: error?.message
+        }
+    });
+
+    await updatePost(job, {
+        'publishing.state': 'failed',
+        'publishing.lastError': error?.message || 'Lỗi không xác định'
+    });
+}
+
+module.exports = {
+    run,
+    onFailed,
+    usageTool: 'article',
+    writePostArticle
+};
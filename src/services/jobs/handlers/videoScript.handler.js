@@ -0,0 +1,102 @@
+/**
+ * Video Script Job Handler
+ * Runs the AI generation behind POST /api/video-scripts/generate
+ */
+
+const geminiService = require('../../gemini');
+const { getModelForTask } = require('../../gemini/modelConfig.service');
+const VideoScript = require('../../../models/VideoScript');
+const { logPromptDebug } = require('../../../utils/promptDebug');
+
+async function run(job, { reportProgress }) {
+    const { videoScriptId, input, useBrandSettings, brandProfileId = null } = job.payload;
+
+    await reportProgress({ percent: 10, step: 'brand-context', message: 'Đang chuẩn bị thông tin thương hiệu' });
+
+    const { brandContext } = useBrandSettings
+        ? await geminiService.resolveBrandSettings(job.workspaceId, brandProfileId)
+        : { brandContext: null };
+
+    logPromptDebug({
+        tool: 'video',
+        step: 'brand-context',
+        data: {
+            jobId: job._id,
+            enabled: !!useBrandSettings,
+            brandProfileId,
+            available: !!brandContext,
+            preview: brandContext
+        }
+    });
+
+    const textModel = await getModelForTask('text', job.workspaceId);
+
+    await reportProgress({ percent: 30, step: 'ai-generating', message: 'AI đang viết kịch bản' });
+
+    const totalScenes = parseInt(input.sceneCount, 10) || 6;
+    const result = await geminiService.generateVideoScript({
+        input,
+        brandContext,
+        modelName: textModel,
+        onScene: (scene, index) => reportProgress({
+            percent: 30 + Math.round((60 * Math.min(index + 1, totalScenes)) / totalScenes),
+            step: 'scene-generated',
+            message: `Đã viết cảnh ${index + 1}/${totalScenes}`,
+            current: index + 1,
+            total: totalScenes,
+            detail: { scene: { sceneNumber: index + 1, ...scene } }
+        })
+    });
+
+    await reportProgress({ percent: 95, step: 'saving', message: 'Đang lưu kịch bản' });
+
+    logPromptDebug({
+        tool: 'video',
+        step: 'ai-response',
+        data: {
+            jobId: job._id,
+            modelName: textModel,
+            summary: result?.summary,
+            sceneCount: Array.isArray(result?.scenes) ? result.scenes.length : 0
+        }
+    });
+
+    // Update placeholder with generated content
+    const videoScript = await VideoScript.findByIdAndUpdate(videoScriptId, {
+        summary: result.summary,
+        scenes: result.scenes,
+        status: 'completed'
+    }, {
+        new: true,
+        runValidators: true
+    });
+
+    if (!videoScript) {
+        throw new Error('Kịch bản đã bị xóa trước khi tạo xong');
+    }
+
+    return {
+        videoScriptId: videoScript._id,
+        sceneCount: videoScript.scenes.length
+    };
+}
+
+async function onFailed(job, error) {
+    logPromptDebug({
+        tool: 'video',
+        step: 'ai-response-error',
+        data: {
+            jobId: job._id,
+            message: error?.message,
+            stack: error?.stack,
+            operation: 'generateScript'
+        }
+    });
+
+    await VideoScript.findByIdAndUpdate(job.payload.videoScriptId, { status: 'failed' });
+}
+
+module.exports = {
+    run,
+    onFailed
+};
@@ -0,0 +1,26 @@
+/**
+ * Job Services Index
+ * Re-exports the job queue and worker, and registers the built-in handlers
+ */
+
+const jobQueueService = require('./jobQueue.service');
+const jobWorkerService = require('./jobWorker.service');
+const { JOB_HANDLERS } = require('./handlers');
+
+Object.entries(JOB_HANDLERS).forEach(([type, handler]) => {
+    jobWorkerService.registerJobHandler(type, handler);
+});
+
+module.exports = {
+    // Queue
+    enqueueJob: jobQueueService.enqueueJob,
+    updateJobProgress: jobQueueService.updateJobProgress,
+    serializeJob: jobQueueService.serializeJob,
+
+    // Worker
+    registerJobHandler: jobWorkerService.registerJobHandler,
+    runNextJob: jobWorkerService.runNextJob,
+    recoverStaleJobs: jobWorkerService.recoverStaleJobs,
+    startJobWorker: jobWorkerService.startJobWorker,
+    stopJobWorker: jobWorkerService.stopJobWorker
+};
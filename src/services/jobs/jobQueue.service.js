@@ -0,0 +1,255 @@
+/**
+ * Job Queue Service
+ * Mongo-backed queue: enqueue, claim, progress, completion and retry with backoff
+ */
+
+const { Job } = require('../../models');
+const { publishUserEvent } = require('../events');
+
+function readPositiveInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+const DEFAULT_MAX_ATTEMPTS = readPositiveInt(process.env.JOB_MAX_ATTEMPTS, 3);
+const RETRY_BASE_DELAY_MS = readPositiveInt(process.env.JOB_RETRY_BASE_DELAY_MS, 5000);
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// A running job whose lock has not been refreshed for this long is considered abandoned
+const LOCK_TIMEOUT_MS = readPositiveInt(process.env.JOB_LOCK_TIMEOUT_MS, 2 * 60 * 1000);
+
+/**
+ * Exponential backoff delay for the next attempt
+ * @param {number} attempts - Attempts already made
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+    const exponent = Math.max(0, attempts - 1);
+    return Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, exponent), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Add a job to the queue
+ * @param {Object} params
+ * @param {string} params.type - Job type ('article' | 'video' | 'image' | 'marketing')
+ * @param {string} params.userId - Owner
+ * @param {string} params.workspaceId - Workspace whose brand settings the handler uses
+ * @param {Object} params.payload - Handler input
+ * @param {string} params.refModel - Model name of the driven document
+ * @param {string} params.refId - Id of the driven document
+ * @param {Object} params.quotaReservation - Optional quota reservation refunded on final failure
+ * @param {number} params.maxAttempts - Optional override of JOB_MAX_ATTEMPTS
+ * @param {string} params.jobId - Optional preallocated id: enqueueing the same id twice returns the existing job
+ * @returns {Promise<Object>} Created job
+ */
+async function enqueueJob({ type, userId, workspaceId = null, payload = {}, refModel = '', refId = null, quotaReservation = null, maxAttempts, jobId }) {
+    if (jobId) {
+        const existing = await Job.findById(jobId);
+        if (existing) return existing;
+    }
+
+    let job;
+    try {
+        job = await Job.create({
+            ...(jobId ? { _id: jobId } : {}),
+            type,
+            userId,
+            workspaceId,
+            payload,
+            refModel,
+            refId,
+            quotaReservation,
+            maxAttempts: readPositiveInt(maxAttempts, DEFAULT_MAX_ATTEMPTS),
+            status: 'queued',
+            runAt: new Date(),
+            progress: { percent: 0, step: 'queued', message: 'Đang chờ xử lý' }
+        });
+    } catch (error) {
+        // Same preallocated id enqueued concurrently
+        if (jobId && error.code === 11000) {
+            return Job.findById(jobId);
+        }
+        throw error;
+    }
+
+    publishJobEvent('job.queued', job);
+    return job;
+}
+
+/**
+ * Atomically lock the next runnable job for a worker
+ * @param {string} workerId
+ * @returns {Promise<Object|null>} Locked job or null when queue is empty
+ */
+async function claimNextJob(workerId) {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+        { status: 'queued', runAt: { $lte: now } },
+        {
+            $set: {
+                status: 'running',
+                lockedAt: now,
+                lockedBy: workerId,
+                startedAt: now,
+                'progress.step': 'started',
+                'progress.message': 'Đang xử lý'
+            },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1, createdAt: 1 }, new: true }
+    );
+}
+
+/**
+ * Refresh the worker lock of a running job
+ */
+async function touchJob(jobId, workerId) {
+    await Job.updateOne(
+        { _id: jobId, status: 'running', lockedBy: workerId },
+        { $set: { lockedAt: new Date() } }
+    );
+}
+
+/**
+ * Merge progress fields into a running job
+ * @param {string} jobId
+ * @param {Object} progress - { percent, step, message, current, total }
+ */
+async function updateJobProgress(jobId, progress = {}) {
+    const update = {};
+    for (const key of ['percent', 'step', 'message', 'current', 'total']) {
+        if (progress[key] !== undefined) {
+            update[`progress.${key}`] = key === 'percent'
+                ? Math.max(0, Math.min(100, Math.round(progress[key])))
+                : progress[key];
+        }
+    }
+
+    if (Object.keys(update).length === 0) return;
+
+    await Job.updateOne({ _id: jobId, status: 'running' }, { $set: update });
+}
+
+/**
+ * Mark a job as completed
+ */
+async function completeJob(job, result = null) {
+    return Job.findOneAndUpdate(
+        { _id: job._id, status: 'running', lockedBy: job.lockedBy },
+        {
+            $set: {
+                status: 'completed',
+                result,
+                lastError: '',
+                lockedAt: null,
+                lockedBy: '',
+                finishedAt: new Date(),
+                progress: { percent: 100, step: 'completed', message: 'Hoàn thành' }
+            }
+        },
+        { new: true }
+    );
+}
+
+/**
+ * Record a failed attempt: requeue with backoff or mark as failed for good
+ * @returns {Promise<{job: Object|null, willRetry: boolean}>}
+ */
+async function failJob(job, error) {
+    const message = error?.message || String(error || 'Lỗi không xác định');
+    const willRetry = job.attempts < job.maxAttempts;
+
+    const update = willRetry
+        ? {
+            status: 'queued',
+            runAt: new Date(Date.now() + getRetryDelay(job.attempts)),
+            lastError: message,
+            lockedAt: null,
+            lockedBy: '',
+            'progress.step': 'retrying',
+            'progress.message': `Thử lại lần ${job.attempts + 1}/${job.maxAttempts}`
+        }
+        : {
+            status: 'failed',
+            lastError: message,
+            lockedAt: null,
+            lockedBy: '',
+            finishedAt: new Date(),
+            'progress.step': 'failed',
+            'progress.message': message
+        };
+
+    const updatedJob = await Job.findOneAndUpdate(
+        { _id: job._id, status: 'running', lockedBy: job.lockedBy },
+        { $set: update },
+        { new: true }
+    );
+
+    return { job: updatedJob, willRetry: !!updatedJob && willRetry };
+}
+
+/**
+ * Running jobs whose worker stopped refreshing the lock (crash/restart)
+ * @returns {Promise<Array>}
+ */
+async function findStaleJobs() {
+    return Job.find({
+        status: 'running',
+        lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) }
+    });
+}
+
+/**
+ * Public job shape for API responses
+ */
+function serializeJob(job) {
+    if (!job) return null;
+
+    return {
+        id: job._id,
+        type: job.type,
+        status: job.status,
+        progress: job.progress,
+        result: job.result,
+        error: job.status === 'failed' ? job.lastError : '',
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        refModel: job.refModel,
+        refId: job.refId,
+        workspaceId: job.workspaceId,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    };
+}
+
+/**
+ * Push a job lifecycle event to the owner's SSE streams
+ * @param {string} eventType - 'job.queued' | 'job.started' | 'job.progress' | 'job.retrying' | 'job.completed' | 'job.failed'
+ * @param {Object} job
+ * @param {Object} extra - Step details merged into the event (e.g. { detail: { angle } })
+ */
+function publishJobEvent(eventType, job, extra = {}) {
+    if (!job) return;
+
+    publishUserEvent(job.userId, eventType, {
+        jobId: job._id,
+        job: serializeJob(job),
+        ...extra
+    });
+}
+
+module.exports = {
+    enqueueJob,
+    claimNextJob,
+    touchJob,
+    updateJobProgress,
+    completeJob,
+    failJob,
+    findStaleJobs,
+    getRetryDelay,
+    serializeJob,
+    publishJobEvent,
+    LOCK_TIMEOUT_MS
+};
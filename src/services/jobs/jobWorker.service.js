@@ -0,0 +1,235 @@
+/**
+ * Job Worker Service
+ * Polls the job queue and runs registered handlers in-process
+ */
+
+const os = require('os');
+const {
+    claimNextJob,
+    touchJob,
+    updateJobProgress,
+    completeJob,
+    failJob,
+    findStaleJobs,
+    publishJobEvent,
+    LOCK_TIMEOUT_MS
+} = require('./jobQueue.service');
+const { runWithUsageContext } = require('../usage');
+const { refundQuota } = require('../quota');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const HEARTBEAT_INTERVAL_MS = Math.max(1000, Math.floor(LOCK_TIMEOUT_MS / 4));
+
+const handlers = new Map();
+
+let pollTimer = null;
+let staleTimer = null;
+let polling = false;
+let activeCount = 0;
+
+/**
+ * Register a handler for a job type
+ * @param {string} type - Job type
+ * @param {Object} handler
+ * @param {Function} handler.run - async (job, { reportProgress }) => result
+ * @param {Function} handler.onFailed - Optional async (job, error) called once retries are exhausted
+ * @param {string} handler.usageTool - Optional usage tool the AI calls are billed to (default: job type)
+ */
+function registerJobHandler(type, handler) {
+    if (!handler || typeof handler.run !== 'function') {
+        throw new Error(`Job handler for "${type}" must implement run()`);
+    }
+    handlers.set(type, handler);
+}
+
+/**
+ * Build the reportProgress callback handed to handlers.
+ * `detail` is streamed to the client only, the rest is persisted on the job.
+ */
+function createProgressReporter(job) {
+    return async ({ detail, ...progress } = {}) => {
+        try {
+            await updateJobProgress(job._id, progress);
+        } catch (error) {
+            console.error(`Job ${job._id} progress update error:`, error.message);
+        }
+
+        job.progress = { ...(job.progress?.toObject?.() || job.progress || {}), ...progress };
+        publishJobEvent('job.progress', job, detail === undefined ? {} : { detail });
+    };
+}
+
+function publishFailure(failedJob, willRetry) {
+    publishJobEvent(willRetry ? 'job.retrying' : 'job.failed', failedJob);
+}
+
+async function notifyFinalFailure(handler, job, error) {
+    try {
+        await refundQuota(job.quotaReservation);
+    } catch (refundError) {
+        console.error(`Job ${job._id} quota refund error:`, refundError.message);
+    }
+
+    if (!handler || typeof handler.onFailed !== 'function') return;
+
+    try {
+        await handler.onFailed(job, error);
+    } catch (hookError) {
+        console.error(`Job ${job._id} onFailed hook error:`, hookError);
+    }
+}
+
+/**
+ * Run one claimed job to completion (or failure)
+ * @param {Object} job - Job locked by this worker
+ */
+async function processJob(job) {
+    const handler = handlers.get(job.type);
+
+    if (!handler) {
+        const error = new Error(`Không có handler cho loại job: ${job.type}`);
+        job.attempts = job.maxAttempts;
+        const { job: failedJob } = await failJob(job, error);
+        publishFailure(failedJob, false);
+        if (failedJob) {
+            await notifyFinalFailure(null, failedJob, error);
+        }
+        return;
+    }
+
+    const heartbeat = setInterval(() => {
+        touchJob(job._id, WORKER_ID).catch((error) => {
+            console.error(`Job ${job._id} heartbeat error:`, error.message);
+        });
+    }, HEARTBEAT_INTERVAL_MS);
+
+    publishJobEvent('job.started', job);
+
+    try {
+        // AI usage of the handler is billed to the job owner and linked to the job
+        const result = await runWithUsageContext({
+            userId: job.userId,
+            tool: handler.usageTool || job.type,
+            jobId: job._id,
+            refModel: job.refModel,
+            refId: job.refId
+        }, () => handler.run(job, {
+            reportProgress: createProgressReporter(job)
+        }));
+        const completedJob = await completeJob(job, result === undefined ? null : result);
+        publishJobEvent('job.completed', completedJob);
+    } catch (error) {
+        console.error(`Job ${job._id} (${job.type}) attempt ${job.attempts}/${job.maxAttempts} failed:`, error.message);
+        const { job: failedJob, willRetry } = await failJob(job, error);
+        publishFailure(failedJob, willRetry);
+        if (failedJob && !willRetry) {
+            await notifyFinalFailure(handler, failedJob, error);
+        }
+    } finally {
+        clearInterval(heartbeat);
+    }
+}
+
+/**
+ * Claim and run a single job
+ * @returns {Promise<Object|null>} Processed job or null when queue is empty
+ */
+async function runNextJob() {
+    const job = await claimNextJob(WORKER_ID);
+    if (!job) return null;
+
+    await processJob(job);
+    return job;
+}
+
+/**
+ * Requeue or fail jobs abandoned by a crashed/restarted worker
+ * @returns {Promise<{requeued: number, failed: number}>}
+ */
+async function recoverStaleJobs() {
+    const staleJobs = await findStaleJobs();
+    const summary = { requeued: 0, failed: 0 };
+
+    for (const job of staleJobs) {
+        const error = new Error('Tiến trình xử lý bị gián đoạn (server khởi động lại)');
+        const { job: failedJob, willRetry } = await failJob(job, error);
+        if (!failedJob) continue;
+
+        publishFailure(failedJob, willRetry);
+
+        if (willRetry) {
+            summary.requeued++;
+        } else {
+            summary.failed++;
+            await notifyFinalFailure(handlers.get(job.type), failedJob, error);
+        }
+    }
+
+    if (staleJobs.length > 0) {
+        console.log(`Job worker recovered stale jobs: ${summary.requeued} requeued, ${summary.failed} failed`);
+    }
+
+    return summary;
+}
+
+async function poll() {
+    if (polling) return;
+    polling = true;
+
+    try {
+        while (activeCount < CONCURRENCY) {
+            const job = await claimNextJob(WORKER_ID);
+            if (!job) break;
+
+            activeCount++;
+            processJob(job)
+                .catch((error) => console.error(`Job ${job._id} processing error:`, error))
+                .finally(() => {
+                    activeCount--;
+                });
+        }
+    } catch (error) {
+        console.error('Job worker poll error:', error.message);
+    } finally {
+        polling = false;
+    }
+}
+
+/**
+ * Start polling the queue
+ */
+async function startJobWorker() {
+    if (pollTimer) return;
+
+    await recoverStaleJobs();
+
+    pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+    staleTimer = setInterval(() => {
+        recoverStaleJobs().catch((error) => console.error('Job worker stale recovery error:', error.message));
+    }, LOCK_TIMEOUT_MS);
+
+    console.log(`Job worker started (${WORKER_ID}, concurrency ${CONCURRENCY})`);
+    poll();
+}
+
+/**
+ * Stop polling (running jobs finish in background)
+ */
+function stopJobWorker() {
+    clearInterval(pollTimer);
+    clearInterval(staleTimer);
+    pollTimer = null;
+    staleTimer = null;
+}
+
+module.exports = {
+    registerJobHandler,
+    processJob,
+    runNextJob,
+    recoverStaleJobs,
+    startJobWorker,
+    stopJobWorker,
+    WORKER_ID
+};
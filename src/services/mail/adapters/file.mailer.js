@@ -0,0 +1,39 @@
+/**
+ * File Mailer
+ * Development/test adapter (MAIL_DRIVER=file): writes each mail as JSON to MAIL_OUTPUT_DIR (default tmp/mails).
+ * Only the recipient and subject are logged, the body carries live tokens.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function getOutputDir() {
+    return path.resolve(process.cwd(), process.env.MAIL_OUTPUT_DIR || path.join('tmp', 'mails'));
+}
+
+async function send(message) {
+    const outputDir = getOutputDir();
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const filePath = path.join(outputDir, `${messageId}.json`);
+
+    fs.writeFileSync(filePath, JSON.stringify({
+        messageId,
+        createdAt: new Date().toISOString(),
+        ...message
+    }, null, 2));
+
+    if (process.env.NODE_ENV !== 'test') {
+        console.log(`📧 [mail] ${message.to} | ${message.subject} → ${filePath}`);
+    }
+
+    return { messageId, filePath };
+}
+
+module.exports = {
+    name: 'file',
+    send,
+    getOutputDir
+};
@@ -0,0 +1,37 @@
+/**
+ * SMTP Mailer
+ * Sends mail through nodemailer using SMTP_* environment variables
+ */
+
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+function getTransporter() {
+    if (!transporter) {
+        if (!process.env.SMTP_HOST) {
+            console.warn('Warning: SMTP_HOST not found in environment variables');
+        }
+
+        const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: String(process.env.SMTP_SECURE).toLowerCase() === 'true' || port === 465,
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+    }
+    return transporter;
+}
+
+async function send({ from, to, subject, text, html }) {
+    const info = await getTransporter().sendMail({ from, to, subject, text, html });
+    return { messageId: info.messageId };
+}
+
+module.exports = {
+    name: 'smtp',
+    send
+};
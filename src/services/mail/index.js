@@ -0,0 +1,85 @@
+/**
+ * Mail Services Index
+ * Single entry point for sending email.
+ * The adapter is chosen by MAIL_DRIVER ('smtp' or 'file'); without it, SMTP is used when SMTP_HOST is set.
+ * Mails only go to files when MAIL_DRIVER=file is set explicitly, a missing SMTP config is an error.
+ */
+
+const { verifyEmailTemplate, resetPasswordTemplate, workspaceInvitationTemplate } = require('./templates');
+
+const ADAPTERS = {
+    smtp: () => require('./adapters/smtp.mailer'),
+    file: () => require('./adapters/file.mailer')
+};
+
+let activeMailer = null;
+
+/**
+ * Name of the configured adapter
+ * @returns {string} 'smtp' | 'file'
+ * @throws {Error} When MAIL_DRIVER is unknown, or neither MAIL_DRIVER nor SMTP_HOST is set
+ */
+function getMailerName() {
+    const name = String(process.env.MAIL_DRIVER || '').trim().toLowerCase();
+    if (ADAPTERS[name]) return name;
+
+    if (name) {
+        throw new Error(`Unknown MAIL_DRIVER: ${name} (use smtp or file)`);
+    }
+    if (process.env.SMTP_HOST) return 'smtp';
+
+    throw new Error('Mail is not configured: set SMTP_HOST, or MAIL_DRIVER=file to write mails to files');
+}
+
+/**
+ * Resolve the configured mailer (cached)
+ * @returns {Object} Adapter implementing send({ from, to, subject, text, html })
+ */
+function getMailer() {
+    if (!activeMailer) {
+        activeMailer = ADAPTERS[getMailerName()]();
+    }
+    return activeMailer;
+}
+
+/**
+ * Override the mailer (tests) or reset to the env-selected one when called without argument
+ * @param {Object|null} mailer
+ */
+function setMailer(mailer = null) {
+    activeMailer = mailer;
+}
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<{messageId: string}>}
+ */
+async function sendMail(message) {
+    return getMailer().send({
+        from: process.env.MAIL_FROM || 'AI Marketing <no-reply@localhost>',
+        ...message
+    });
+}
+
+/**
+ * Link into the frontend app (FRONTEND_URL) carrying a token
+ * @param {string} pathname - e.g. '/verify-email'
+ * @param {string} token
+ * @returns {string}
+ */
+function buildFrontendUrl(pathname, token) {
+    const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    return `${baseUrl}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+module.exports = {
+    getMailer,
+    getMailerName,
+    setMailer,
+    sendMail,
+    buildFrontendUrl,
+    verifyEmailTemplate,
+    resetPasswordTemplate,
+    workspaceInvitationTemplate
+};
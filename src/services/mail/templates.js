@@ -0,0 +1,86 @@
+/**
+ * Mail Templates
+ * Vietnamese account emails (plain text + simple HTML)
+ */
+
+function escapeHtml(value) {
+    return String(value || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderActionMail({ name, intro, actionLabel, actionUrl, outro }) {
+    const greeting = `Xin chào ${name || 'bạn'},`;
+
+    return {
+        text: [greeting, '', intro, '', `${actionLabel}: ${actionUrl}`, '', outro].join('\n'),
+        html: `<p>${escapeHtml(greeting)}</p>`
+            + `<p>${escapeHtml(intro)}</p>`
+            + `<p><a href="${escapeHtml(actionUrl)}">${escapeHtml(actionLabel)}</a></p>`
+            + `<p>${escapeHtml(outro)}</p>`
+    };
+}
+
+/**
+ * Email verification after register
+ * @param {Object} params - { name, url, expiresInHours }
+ */
+function verifyEmailTemplate({ name, url, expiresInHours }) {
+    return {
+        subject: 'Xác thực địa chỉ email của bạn',
+        ...renderActionMail({
+            name,
+            intro: 'Cảm ơn bạn đã đăng ký. Vui lòng xác thực địa chỉ email để hoàn tất tài khoản.',
+            actionLabel: 'Xác thực email',
+            actionUrl: url,
+            outro: `Liên kết có hiệu lực trong ${expiresInHours} giờ. Nếu bạn không đăng ký tài khoản, hãy bỏ qua email này.`
+        })
+    };
+}
+
+/**
+ * Password reset link
+ * @param {Object} params - { name, url, expiresInMinutes }
+ */
+function resetPasswordTemplate({ name, url, expiresInMinutes }) {
+    return {
+        subject: 'Đặt lại mật khẩu',
+        ...renderActionMail({
+            name,
+            intro: 'Chúng tôi nhận được yêu cầu đặt lại mật khẩu cho tài khoản của bạn.',
+            actionLabel: 'Đặt lại mật khẩu',
+            actionUrl: url,
+            outro: `Liên kết chỉ dùng được một lần và hết hạn sau ${expiresInMinutes} phút. Nếu bạn không yêu cầu, hãy bỏ qua email này, mật khẩu sẽ không thay đổi.`
+        })
+    };
+}
+
+const WORKSPACE_ROLE_LABELS = {
+    owner: 'chủ sở hữu',
+    editor: 'biên tập viên',
+    viewer: 'người xem'
+};
+
+/**
+ * Invitation into a workspace
+ * @param {Object} params - { inviterName, workspaceName, role, url, expiresInDays }
+ */
+function workspaceInvitationTemplate({ inviterName, workspaceName, role, url, expiresInDays }) {
+    return {
+        subject: `${inviterName} mời bạn tham gia workspace "${workspaceName}"`,
+        ...renderActionMail({
+            intro: `${inviterName} đã mời bạn tham gia workspace "${workspaceName}" với vai trò ${WORKSPACE_ROLE_LABELS[role] || role}. Thành viên dùng chung thiết lập thương hiệu và thư viện nội dung của workspace.`,
+            actionLabel: 'Chấp nhận lời mời',
+            actionUrl: url,
+            outro: `Lời mời hết hạn sau ${expiresInDays} ngày. Nếu chưa có tài khoản, hãy đăng ký bằng chính địa chỉ email này rồi mở lại liên kết.`
+        })
+    };
+}
+
+module.exports = {
+    verifyEmailTemplate,
+    resetPasswordTemplate,
+    workspaceInvitationTemplate
+};
@@ -0,0 +1,27 @@
+/**
+ * Marketing Plan Services Index
+ * Re-exports the plan post helpers
+ */
+
+const planPostService = require('./planPost.service');
+const planPostArticleService = require('./planPostArticle.service');
+const planSliceService = require('./planSlice.service');
+
+module.exports = {
+    normalizePostInput: planPostService.normalizePostInput,
+    isPostLocked: planPostService.isPostLocked,
+    addPlanPost: planPostService.addPlanPost,
+    updatePlanPost: planPostService.updatePlanPost,
+    rewritePlanPost: planPostService.rewritePlanPost,
+    deletePlanPost: planPostService.deletePlanPost,
+    POST_PURPOSE_MAP: planPostArticleService.POST_PURPOSE_MAP,
+    MAX_BULK_POSTS: planPostArticleService.MAX_BULK_POSTS,
+    buildPostArticleParams: planPostArticleService.buildPostArticleParams,
+    hasLinkedArticle: planPostArticleService.hasLinkedArticle,
+    hasProcessingArticle: planPostArticleService.hasProcessingArticle,
+    selectPostsForArticles: planPostArticleService.selectPostsForArticles,
+    queuePostArticle: planPostArticleService.queuePostArticle,
+    selectPostsForSlice: planSliceService.selectPostsForSlice,
+    buildPlanInput: planSliceService.buildPlanInput,
+    toPromptPost: planSliceService.toPromptPost
+};
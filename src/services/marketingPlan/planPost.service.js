@@ -0,0 +1,259 @@
+/**
+ * Plan Post Service
+ * Validates and applies manual edits to the posts of a marketing plan.
+ * Posts are changed with targeted updates so edits never overwrite a post the scheduler claims meanwhile.
+ */
+
+const { MarketingPlan } = require('../../models');
+const { VALID_CHANNELS, VALID_PURPOSES, VALID_POST_TYPES } = require('../gemini/marketingPlan.service');
+const { toDateKey } = require('../../utils/timezone');
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Statuses a user may set; 'published' is only set by publishing
+const EDITABLE_STATUSES = ['scheduled', 'draft'];
+
+const MAX_HASHTAGS = 10;
+
+// Cleared on every edit, so a failed or missed post is picked up again by the scheduler
+const RESET_PUBLISHING = {
+    jobId: null,
+    state: null,
+    queuedAt: null,
+    publishedAt: null,
+    lastError: null,
+    quotaReservation: null
+};
+
+/**
+ * Validate a post body against the plan
+ * @param {Object} plan - MarketingPlan document
+ * @param {Object} input - Request body
+ * @param {Object} options
+ * @param {boolean} options.partial - Only validate the fields present (edit), otherwise date/time/topic/channel are required
+ * @returns {{fields?: Object, error?: string}}
+ */
+function normalizePostInput(plan, input = {}, { partial = false } = {}) {
+    const fields = {};
+    const has = (key) => input[key] !== undefined;
+
+    if (!partial) {
+        const missing = ['date', 'time', 'topic', 'channel'].filter((key) => !has(key));
+        if (missing.length > 0) {
+            return { error: `Thiếu thông tin bài đăng: ${missing.join(', ')}` };
+        }
+    }
+
+    if (has('date')) {
+        const dateKey = String(input.date);
+        const date = new Date(dateKey);
+        if (!DATE_KEY_PATTERN.test(dateKey) || Number.isNaN(date.getTime()) || toDateKey(date) !== dateKey) {
+            return { error: 'Ngày đăng không hợp lệ (dùng định dạng YYYY-MM-DD)' };
+        }
+
+        const startKey = toDateKey(plan.startDate);
+        const endKey = toDateKey(plan.endDate);
+        if (dateKey < startKey || dateKey > endKey) {
+            return { error: `Ngày đăng phải nằm trong thời gian kế hoạch (${startKey} - ${endKey})` };
+        }
+        fields.date = date;
+    }
+
+    if (has('time')) {
+        if (!TIME_PATTERN.test(String(input.time))) {
+            return { error: 'Giờ đăng không hợp lệ (dùng định dạng HH:mm)' };
+        }
+        fields.time = input.time;
+    }
+
+    if (has('topic')) {
+        if (typeof input.topic !== 'string' || !input.topic.trim()) {
+            return { error: 'Chủ đề bài đăng không được để trống' };
+        }
+        fields.topic = input.topic.trim();
+    }
+
+    if (has('channel')) {
+        if (!VALID_CHANNELS.includes(input.channel)) {
+            return { error: `Kênh không hợp lệ (hỗ trợ: ${VALID_CHANNELS.join(', ')})` };
+        }
+        fields.channel = input.channel;
+    }
+
+    if (has('purpose')) {
+        if (!VALID_PURPOSES.includes(input.purpose)) {
+            return { error: `Mục đích không hợp lệ (hỗ trợ: ${VALID_PURPOSES.join(', ')})` };
+        }
+        fields.purpose = input.purpose;
+    }
+
+    if (has('postType')) {
+        if (!VALID_POST_TYPES.includes(input.postType)) {
+            return { error: `Loại bài đăng không hợp lệ (hỗ trợ: ${VALID_POST_TYPES.join(', ')})` };
+        }
+        fields.postType = input.postType;
+    }
+
+    if (has('status')) {
+        if (!EDITABLE_STATUSES.includes(input.status)) {
+            return { error: `Trạng thái bài đăng không hợp lệ (hỗ trợ: ${EDITABLE_STATUSES.join(', ')})` };
+        }
+        fields.status = input.status;
+    }
+
+    if (has('contentIdea')) {
+        if (typeof input.contentIdea !== 'string') {
+            return { error: 'Ý tưởng nội dung phải là chuỗi' };
+        }
+        fields.contentIdea = input.contentIdea.trim();
+    }
+
+    if (has('suggestedHashtags')) {
+        if (!Array.isArray(input.suggestedHashtags) || input.suggestedHashtags.some((tag) => typeof tag !== 'string')) {
+            return { error: 'Hashtag gợi ý phải là danh sách chuỗi' };
+        }
+        fields.suggestedHashtags = input.suggestedHashtags
+            .map((tag) => tag.trim())
+            .filter(Boolean)
+            .slice(0, MAX_HASHTAGS);
+    }
+
+    if (partial && Object.keys(fields).length === 0) {
+        return { error: 'Không có thông tin nào để cập nhật' };
+    }
+
+    return { fields };
+}
+
+/**
+ * Whether a post can no longer be edited: already published, or its publish job is running
+ * @param {Object} post
+ * @returns {boolean}
+ */
+function isPostLocked(post) {
+    return post.status === 'published' || post.publishing?.state === 'queued';
+}
+
+/**
+ * Keep posts in calendar order and totalPosts in line with them
+ * @param {string} planId
+ */
+async function syncPlanPosts(planId) {
+    await MarketingPlan.updateOne(
+        { _id: planId },
+        { $push: { posts: { $each: [], $sort: { date: 1, time: 1 } } } }
+    );
+    await MarketingPlan.updateOne(
+        { _id: planId },
+        [{ $set: { totalPosts: { $size: '$posts' } } }]
+    );
+}
+
+/**
+ * Add a manual post to a plan
+ * @param {Object} plan
+ * @param {Object} fields - Output of normalizePostInput
+ * @returns {Promise<{plan: Object, postId: string}>} Updated plan and the new post id
+ */
+async function addPlanPost(plan, fields) {
+    const post = plan.posts.create({ status: 'scheduled', ...fields });
+
+    await MarketingPlan.updateOne({ _id: plan._id }, { $push: { posts: post.toObject() } });
+    await syncPlanPosts(plan._id);
+
+    return { plan: await MarketingPlan.findById(plan._id), postId: post._id };
+}
+
+/**
+ * Set fields of a post and reset its publishing, unless it is published or being published
+ * @param {string} planId
+ * @param {string} postId
+ * @param {Object} fields - Post fields
+ * @returns {Promise<boolean>} Whether the post was still editable
+ */
+async function setEditablePostFields(planId, postId, fields) {
+    const update = {};
+    Object.entries(fields).forEach(([key, value]) => {
+        update[`posts.$.${key}`] = value;
+    });
+    Object.entries(RESET_PUBLISHING).forEach(([key, value]) => {
+        update[`posts.$.publishing.${key}`] = value;
+    });
+
+    const result = await MarketingPlan.updateOne(
+        {
+            _id: planId,
+            posts: {
+                $elemMatch: {
+                    _id: postId,
+                    status: { $ne: 'published' },
+                    'publishing.state': { $ne: 'queued' }
+                }
+            }
+        },
+        { $set: update }
+    );
+
+    return result.matchedCount > 0;
+}
+
+/**
+ * Edit (or move) a post, unless it got locked meanwhile
+ * @param {Object} plan
+ * @param {string} postId
+ * @param {Object} fields - Output of normalizePostInput({ partial: true })
+ * @returns {Promise<Object|null>} Updated plan, null when the post is locked or gone
+ */
+async function updatePlanPost(plan, postId, fields) {
+    if (!await setEditablePostFields(plan._id, postId, fields)) return null;
+
+    if (fields.date || fields.time) {
+        await syncPlanPosts(plan._id);
+    }
+
+    return MarketingPlan.findById(plan._id);
+}
+
+/**
+ * Replace the content of a post with regenerated content; its date and time stay,
+ * the article written for the old content is unlinked
+ * @param {string} planId
+ * @param {string} postId
+ * @param {Object} content - { topic, channel, contentIdea, purpose, postType, suggestedHashtags }
+ * @returns {Promise<boolean>} Whether the post was still editable
+ */
+function rewritePlanPost(planId, postId, content) {
+    return setEditablePostFields(planId, postId, {
+        ...content,
+        status: 'scheduled',
+        articleId: null
+    });
+}
+
+/**
+ * Remove a post, unless its publish job is running
+ * @param {Object} plan
+ * @param {string} postId
+ * @returns {Promise<Object|null>} Updated plan, null when the post is locked or gone
+ */
+async function deletePlanPost(plan, postId) {
+    const result = await MarketingPlan.updateOne(
+        { _id: plan._id, posts: { $elemMatch: { _id: postId, 'publishing.state': { $ne: 'queued' } } } },
+        { $pull: { posts: { _id: postId } } }
+    );
+    if (result.modifiedCount === 0) return null;
+
+    await syncPlanPosts(plan._id);
+
+    return MarketingPlan.findById(plan._id);
+}
+
+module.exports = {
+    normalizePostInput,
+    isPostLocked,
+    addPlanPost,
+    updatePlanPost,
+    rewritePlanPost,
+    deletePlanPost
+};
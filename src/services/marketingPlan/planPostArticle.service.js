@@ -0,0 +1,175 @@
+/**
+ * Plan Post Article Service
+ * Turns marketing plan posts into article generation jobs and links the articles back onto the posts
+ */
+
+const { MarketingPlan } = require('../../models');
+const Article = require('../../models/Article');
+// Queue module directly: the jobs index loads the publish handler, which uses this service
+const { enqueueJob } = require('../jobs/jobQueue.service');
+const { toDateKey } = require('../../utils/timezone');
+
+// Plan post purpose -> article purpose understood by generateArticleContent
+const POST_PURPOSE_MAP = {
+    engagement: 'share_knowledge',
+    sales: 'convert_sales',
+    awareness: 'brand_awareness',
+    traffic: 'introduce',
+    leads: 'attract_leads'
+};
+
+// Channel -> writing style and the format hint given to the AI
+const CHANNEL_GUIDANCE = {
+    facebook: { writingStyle: 'balanced', hint: 'Bài đăng Facebook: mở đầu thu hút, xuống dòng dễ đọc, có CTA cuối bài.' },
+    instagram: { writingStyle: 'lifestyle', hint: 'Caption Instagram: giàu hình ảnh, câu ngắn, emoji vừa phải.' },
+    tiktok: { writingStyle: 'sales', hint: 'Caption TikTok: thật ngắn, bắt trend, câu móc ở dòng đầu.' },
+    website: { writingStyle: 'technical', hint: 'Bài viết website: có cấu trúc rõ ràng, thông tin đầy đủ, chuẩn SEO.' },
+    zalo: { writingStyle: 'sales', hint: 'Tin nhắn Zalo OA: thân mật, ngắn gọn, ưu đãi và CTA rõ ràng.' }
+};
+
+// Post type -> length and storytelling depth
+const POST_TYPE_FORMAT = {
+    image: { wordCount: 200, storytellingDepth: 'medium' },
+    video: { wordCount: 150, storytellingDepth: 'low' },
+    story: { wordCount: 60, storytellingDepth: 'low' },
+    reel: { wordCount: 80, storytellingDepth: 'low' },
+    blog: { wordCount: 800, storytellingDepth: 'high' }
+};
+
+// Largest number of posts a bulk request may generate
+const MAX_BULK_POSTS = 50;
+
+/**
+ * generateArticleContent parameters for a plan post
+ * @param {Object} post - MarketingPostSchema entry
+ * @returns {{topic: string, purpose: string, description: string, wordCount: number, writingStyle: string, storytellingDepth: string}}
+ */
+function buildPostArticleParams(post) {
+    const channel = CHANNEL_GUIDANCE[post.channel] || CHANNEL_GUIDANCE.facebook;
+    const format = POST_TYPE_FORMAT[post.postType] || POST_TYPE_FORMAT.image;
+
+    const description = [
+        post.contentIdea || post.topic,
+        channel.hint,
+        post.suggestedHashtags?.length ? `Hashtag gợi ý: ${post.suggestedHashtags.join(' ')}` : ''
+    ].filter(Boolean).join('\n');
+
+    return {
+        topic: post.topic,
+        purpose: POST_PURPOSE_MAP[post.purpose] || 'share_knowledge',
+        description,
+        wordCount: format.wordCount,
+        writingStyle: channel.writingStyle,
+        storytellingDepth: format.storytellingDepth
+    };
+}
+
+/**
+ * Whether a post already has a usable article (failed generations can be retried)
+ * @param {Object} post
+ * @returns {Promise<boolean>}
+ */
+async function hasLinkedArticle(post) {
+    if (!post.articleId) return false;
+    return !!(await Article.exists({ _id: post.articleId, status: { $ne: 'failed' } }));
+}
+
+/**
+ * Whether the article of a post is still being generated
+ * @param {Object} post
+ * @returns {Promise<boolean>}
+ */
+async function hasProcessingArticle(post) {
+    if (!post.articleId) return false;
+    return !!(await Article.exists({ _id: post.articleId, status: 'processing' }));
+}
+
+/**
+ * Posts of a plan dated within [from, to] that still need an article
+ * @param {Object} plan
+ * @param {Object} range - { from, to } as 'YYYY-MM-DD' (inclusive, both optional)
+ * @param {boolean} regenerate - Also include posts that already have an article (unless it is still being generated)
+ * @returns {Promise<Array>} Posts
+ */
+async function selectPostsForArticles(plan, { from, to } = {}, regenerate = false) {
+    const posts = plan.posts.filter((post) => {
+        if (post.status === 'published') return false;
+        const dateKey = toDateKey(post.date);
+        return (!from || dateKey >= from) && (!to || dateKey <= to);
+    });
+
+    const linked = await Promise.all(posts.map(regenerate ? hasProcessingArticle : hasLinkedArticle));
+    return posts.filter((post, index) => !linked[index]);
+}
+
+/**
+ * Create the placeholder article of a post, link it onto the post and queue its generation
+ * @param {Object} params
+ * @param {Object} params.plan - MarketingPlan document
+ * @param {Object} params.post - Post of the plan
+ * @param {string} params.userId - Requesting user (article author, job owner)
+ * @param {Object} params.quotaReservation - Quota taken for this article
+ * @returns {Promise<{article: Object, job: Object}>}
+ */
+async function queuePostArticle({ plan, post, userId, quotaReservation = null }) {
+    const params = buildPostArticleParams(post);
+
+    const article = await Article.create({
+        userId,
+        workspaceId: plan.workspaceId,
+        brandProfileId: plan.brandProfileId || null,
+        title: `Đang tạo bài viết: ${post.topic}`.slice(0, 500),
+        content: 'Đang tạo nội dung bằng AI...',
+        topic: post.topic.slice(0, 200),
+        purpose: params.purpose,
+        imageUrls: [],
+        hashtags: [],
+        status: 'processing'
+    });
+
+    // An article whose job cannot be queued is marked failed, so the post can be retried
+    let job;
+    try {
+        await MarketingPlan.updateOne(
+            { _id: plan._id, 'posts._id': post._id },
+            { $set: { 'posts.$.articleId': article._id } }
+        );
+
+        job = await enqueueJob({
+            type: 'article',
+            userId,
+            workspaceId: plan.workspaceId,
+            refModel: 'Article',
+            refId: article._id,
+            quotaReservation,
+            payload: {
+                articleId: article._id,
+                ...params,
+                normalizedImageUrls: [],
+                useBrandSettings: !!plan.useBrandSettings,
+                brandProfileId: plan.brandProfileId || null,
+                planId: plan._id,
+                postId: post._id
+            }
+        });
+    } catch (error) {
+        try {
+            await Article.findByIdAndUpdate(article._id, { status: 'failed' });
+        } catch (updateError) {
+            console.error('Failed to update article status to failed:', updateError);
+        }
+        throw error;
+    }
+
+    return { article, job };
+}
+
+module.exports = {
+    POST_PURPOSE_MAP,
+    MAX_BULK_POSTS,
+    buildPostArticleParams,
+    hasLinkedArticle,
+    hasProcessingArticle,
+    selectPostsForArticles,
+    queuePostArticle
+};
@@ -0,0 +1,81 @@
+/**
+ * Plan Slice Service
+ * Picks the posts of a marketing plan to regenerate and prepares the AI input around them
+ */
+
+const { isPostLocked } = require('./planPost.service');
+const { toDateKey } = require('../../utils/timezone');
+
+/**
+ * Posts to regenerate, by id or by date range ('YYYY-MM-DD', inclusive)
+ * Published posts and posts being published are never regenerated: listed by id they are
+ * reported as locked, inside a range they are skipped.
+ * @param {Object} plan
+ * @param {Object} selection - { postIds } or { from, to }
+ * @returns {{posts: Array, missing: Array, locked: Array}}
+ */
+function selectPostsForSlice(plan, { postIds, from, to } = {}) {
+    if (Array.isArray(postIds) && postIds.length > 0) {
+        const ids = [...new Set(postIds.map(String))];
+        const found = ids.map((id) => plan.posts.find((post) => String(post._id) === id));
+
+        return {
+            posts: found.filter((post) => post && !isPostLocked(post)),
+            missing: ids.filter((id, index) => !found[index]),
+            locked: found.filter((post) => post && isPostLocked(post)).map((post) => post._id)
+        };
+    }
+
+    const posts = plan.posts.filter((post) => {
+        const dateKey = toDateKey(post.date);
+        return (!from || dateKey >= from) && (!to || dateKey <= to) && !isPostLocked(post);
+    });
+
+    return { posts, missing: [], locked: [] };
+}
+
+/**
+ * The campaign input the plan was generated from
+ * @param {Object} plan
+ * @returns {Object} Input for the marketing plan prompts
+ */
+function buildPlanInput(plan) {
+    return {
+        campaignName: plan.campaignName,
+        startDate: toDateKey(plan.startDate),
+        endDate: toDateKey(plan.endDate),
+        postsPerWeek: plan.postsPerWeek,
+        postTimes: plan.postTimes,
+        topics: plan.topics,
+        goals: plan.goals,
+        channels: plan.channels,
+        notes: plan.notes,
+        priorityProductService: plan.priorityProductService,
+        monthlyFocus: plan.monthlyFocus,
+        promotions: plan.promotions,
+        customerJourneyStage: plan.customerJourneyStage,
+        targetSegment: plan.targetSegment,
+        strategySuggestion: plan.strategySuggestion,
+        seasonalEvents: plan.seasonalEvents || []
+    };
+}
+
+/**
+ * Short form of a post for the prompt
+ * @param {Object} post
+ * @returns {{date: string, time: string, channel: string, topic: string}}
+ */
+function toPromptPost(post) {
+    return {
+        date: toDateKey(post.date),
+        time: post.time,
+        channel: post.channel,
+        topic: post.topic
+    };
+}
+
+module.exports = {
+    selectPostsForSlice,
+    buildPlanInput,
+    toPromptPost
+};
@@ -0,0 +1,134 @@
+/**
+ * Facebook Graph Publisher
+ * Posts to a Facebook Page through the Graph API.
+ * FACEBOOK_GRAPH_URL overrides the API base (e.g. a local stub server in tests).
+ */
+
+const DEFAULT_GRAPH_URL = 'https://graph.facebook.com/v19.0';
+
+function getGraphUrl() {
+    return (process.env.FACEBOOK_GRAPH_URL || DEFAULT_GRAPH_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Call the Graph API; GET params go in the query string, POST params as a form body
+ * @param {string} method
+ * @param {string} pathname - e.g. '123/feed'
+ * @param {Object} params
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function graphRequest(method, pathname, params = {}) {
+    const url = new URL(`${getGraphUrl()}/${pathname}`);
+    const options = { method };
+
+    if (method === 'GET') {
+        Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    } else {
+        options.headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+        options.body = new URLSearchParams(params).toString();
+    }
+
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok || body.error) {
+        const error = new Error(body.error?.message || `Facebook Graph API trả về lỗi HTTP ${response.status}`);
+        error.code = body.error?.code || response.status;
+        error.graphError = body.error || null;
+        throw error;
+    }
+
+    return body;
+}
+
+/**
+ * Pages the token can manage
+ * @param {string} accessToken - User access token
+ * @returns {Promise<Array<{id: string, name: string, category: string}>>}
+ */
+async function listPages(accessToken) {
+    const body = await graphRequest('GET', 'me/accounts', {
+        fields: 'id,name,category',
+        access_token: accessToken
+    });
+
+    return (body.data || []).map((page) => ({
+        id: page.id,
+        name: page.name,
+        category: page.category || ''
+    }));
+}
+
+/**
+ * Page access token for a page, falling back to the given token
+ * (already a page token, or the page is not listed for it)
+ */
+async function resolvePageToken(pageId, accessToken) {
+    try {
+        const page = await graphRequest('GET', pageId, {
+            fields: 'access_token',
+            access_token: accessToken
+        });
+        return page.access_token || accessToken;
+    } catch (error) {
+        return accessToken;
+    }
+}
+
+async function getPermalink(postId, accessToken) {
+    try {
+        const post = await graphRequest('GET', postId, {
+            fields: 'permalink_url',
+            access_token: accessToken
+        });
+        return post.permalink_url || `https://www.facebook.com/${postId}`;
+    } catch (error) {
+        return `https://www.facebook.com/${postId}`;
+    }
+}
+
+/**
+ * Publish a post on a page: text only, a single photo, or a multi-photo post
+ * @param {Object} params - { pageId, accessToken, message, imageUrls } (absolute image URLs)
+ * @returns {Promise<{postId: string, permalink: string}>}
+ */
+async function publishPost({ pageId, accessToken, message, imageUrls = [] }) {
+    const pageToken = await resolvePageToken(pageId, accessToken);
+    let postId;
+
+    if (imageUrls.length === 1) {
+        const photo = await graphRequest('POST', `${pageId}/photos`, {
+            url: imageUrls[0],
+            message,
+            access_token: pageToken
+        });
+        postId = photo.post_id || `${pageId}_${photo.id}`;
+    } else {
+        const params = { message, access_token: pageToken };
+
+        // Multiple photos are uploaded unpublished, then attached to one feed post
+        for (const [index, imageUrl] of imageUrls.entries()) {
+            const photo = await graphRequest('POST', `${pageId}/photos`, {
+                url: imageUrl,
+                published: 'false',
+                access_token: pageToken
+            });
+            params[`attached_media[${index}]`] = JSON.stringify({ media_fbid: photo.id });
+        }
+
+        const post = await graphRequest('POST', `${pageId}/feed`, params);
+        postId = post.id;
+    }
+
+    return {
+        postId,
+        permalink: await getPermalink(postId, pageToken)
+    };
+}
+
+module.exports = {
+    name: 'facebook',
+    listPages,
+    publishPost,
+    getGraphUrl
+};
@@ -0,0 +1,14 @@
+/**
+ * Publishing Services Index
+ * Re-exports the publishing service
+ */
+
+const publishingService = require('./publishing.service');
+
+module.exports = {
+    PUBLISH_CHANNELS: publishingService.PUBLISH_CHANNELS,
+    listFacebookPages: publishingService.listFacebookPages,
+    publishArticle: publishingService.publishArticle,
+    buildPostMessage: publishingService.buildPostMessage,
+    toPublicUrl: publishingService.toPublicUrl
+};
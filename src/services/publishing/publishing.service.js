@@ -0,0 +1,215 @@
+/**
+ * Publishing Service
+ * Publishes articles to social channels through channel adapters and records the outcome on the article
+ */
+
+const { AISettings, Article } = require('../../models');
+
+// Channel adapters, each implementing listPages(accessToken) and publishPost({ pageId, accessToken, message, imageUrls })
+const PUBLISHERS = {
+    facebook: () => require('./adapters/facebookGraph.publisher')
+};
+
+const PUBLISH_CHANNELS = Object.keys(PUBLISHERS);
+
+// A claim older than this belongs to an attempt that crashed, the article can be claimed again
+const IN_FLIGHT_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Attempts to record a remote post, doubling the delay after each failure
+const SAVE_ATTEMPTS = 5;
+const SAVE_RETRY_DELAY_MS = 500;
+
+function publishError(message, code, status) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+}
+
+function getPublisher(channel) {
+    if (!PUBLISHERS[channel]) {
+        throw publishError(`Kênh không hợp lệ. Chỉ nhận: ${PUBLISH_CHANNELS.join(', ')}`, 'INVALID_CHANNEL', 400);
+    }
+    return PUBLISHERS[channel]();
+}
+
+/**
+ * Absolute URL of a path served by this API (PUBLIC_BASE_URL), e.g. uploaded files the Graph API fetches itself
+ * @param {string} url - e.g. '/uploads/images/a.png' or 'https://...'
+ * @returns {string}
+ */
+function toPublicUrl(url) {
+    if (/^https?:\/\//i.test(url)) return url;
+    const baseUrl = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+    return `${baseUrl}/${String(url).replace(/^\/+/, '')}`;
+}
+
+/**
+ * Post text: content followed by the hashtags
+ * @param {Object} article
+ * @returns {string}
+ */
+function buildPostMessage(article) {
+    const hashtags = (article.hashtags || [])
+        .map((tag) => String(tag).trim())
+        .filter(Boolean)
+        .map((tag) => (tag.startsWith('#') ? tag : `#${tag}`));
+
+    return [article.content, hashtags.join(' ')].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Record a remote post on the article, retrying while the database is unavailable:
+ * the post is live, leaving the claim to expire would let a later attempt post it again
+ * @param {string} articleId
+ * @param {Object} published - Fields to set
+ * @returns {Promise<boolean>} Whether it was saved
+ */
+async function saveRemotePost(articleId, published) {
+    for (let attempt = 1; attempt <= SAVE_ATTEMPTS; attempt++) {
+        try {
+            await Article.updateOne({ _id: articleId }, { $set: published });
+            return true;
+        } catch (error) {
+            console.error(`Saving the remote post of article ${articleId} failed (attempt ${attempt}/${SAVE_ATTEMPTS}):`, error.message);
+            if (attempt < SAVE_ATTEMPTS) {
+                await new Promise((resolve) => setTimeout(resolve, SAVE_RETRY_DELAY_MS * 2 ** (attempt - 1)));
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Facebook connection of a workspace
+ * @param {string} workspaceId
+ * @returns {Promise<{accessToken: string, pageId: string}>}
+ */
+async function getFacebookConnection(workspaceId) {
+    const settings = await AISettings.findOne({ workspaceId }).select('facebook').lean();
+
+    const accessToken = settings?.facebook?.facebookToken || '';
+    if (!accessToken) {
+        throw publishError(
+            'Workspace chưa kết nối Facebook. Vui lòng nhập Facebook token trong Cài đặt AI.',
+            'NOT_CONNECTED',
+            400
+        );
+    }
+
+    return { accessToken, pageId: settings.facebook.pageId || '' };
+}
+
+/**
+ * Facebook Pages the workspace token can publish to
+ * @param {string} workspaceId
+ * @returns {Promise<Array>}
+ */
+async function listFacebookPages(workspaceId) {
+    const { accessToken } = await getFacebookConnection(workspaceId);
+    return getPublisher('facebook').listPages(accessToken);
+}
+
+/**
+ * Publish an article and record the remote post (or the failure) on it.
+ * The article is claimed atomically first, so concurrent attempts cannot post it twice.
+ * @param {Object} article - Article document
+ * @param {Object} options - { channel = 'facebook', pageId } (pageId defaults to the page saved in AI settings)
+ * @returns {Promise<Object>} Updated article
+ */
+async function publishArticle(article, { channel = 'facebook', pageId = '' } = {}) {
+    const publisher = getPublisher(channel);
+
+    if (article.status === 'published' && article.publication?.postId) {
+        throw publishError('Bài viết đã được đăng', 'ALREADY_PUBLISHED', 409);
+    }
+
+    if (article.status !== 'draft') {
+        throw publishError('Bài viết chưa sẵn sàng để đăng', 'NOT_PUBLISHABLE', 400);
+    }
+
+    // Repurposed children are written for their own channel
+    if (article.channel && article.channel !== channel) {
+        throw publishError(`Bài viết được viết cho kênh ${article.channel}, không thể đăng lên ${channel}`, 'CHANNEL_MISMATCH', 400);
+    }
+
+    const connection = await getFacebookConnection(article.workspaceId);
+    const targetPageId = String(pageId || connection.pageId || '').trim();
+
+    if (!targetPageId) {
+        throw publishError('Vui lòng chọn Facebook Page để đăng bài', 'PAGE_REQUIRED', 400);
+    }
+
+    const imageUrls = (article.imageUrls?.length ? article.imageUrls : [article.imageUrl])
+        .filter(Boolean)
+        .map(toPublicUrl);
+
+    const attemptedAt = new Date();
+    const claimed = await Article.findOneAndUpdate(
+        {
+            _id: article._id,
+            status: 'draft',
+            $or: [
+                { 'publication.inFlightAt': null },
+                { 'publication.inFlightAt': { $lt: new Date(attemptedAt.getTime() - IN_FLIGHT_TIMEOUT_MS) } }
+            ]
+        },
+        {
+            $set: {
+                'publication.channel': channel,
+                'publication.pageId': targetPageId,
+                'publication.lastAttemptAt': attemptedAt,
+                'publication.inFlightAt': attemptedAt
+            },
+            $inc: { 'publication.attempts': 1 }
+        },
+        { new: true }
+    );
+
+    if (!claimed) {
+        throw publishError('Bài viết đang được đăng hoặc đã được đăng', 'PUBLISH_IN_PROGRESS', 409);
+    }
+
+    let remotePost;
+    try {
+        remotePost = await publisher.publishPost({
+            pageId: targetPageId,
+            accessToken: connection.accessToken,
+            message: buildPostMessage(claimed),
+            imageUrls
+        });
+    } catch (error) {
+        await Article.updateOne(
+            { _id: claimed._id, 'publication.inFlightAt': attemptedAt },
+            { $set: { 'publication.lastError': error.message, 'publication.inFlightAt': null } }
+        );
+
+        console.error(`Publish article ${claimed._id} to ${channel} failed:`, error.message);
+        throw publishError(`Đăng bài lên ${channel} thất bại: ${error.message}`, 'PUBLISH_FAILED', 502);
+    }
+
+    const published = {
+        'publication.postId': remotePost.postId,
+        'publication.permalink': remotePost.permalink,
+        'publication.publishedAt': attemptedAt,
+        'publication.lastError': null,
+        'publication.inFlightAt': null,
+        status: 'published'
+    };
+
+    // The post is live: failing to store it must not be reported as a failed publish (a retry would post it again)
+    if (!await saveRemotePost(claimed._id, published)) {
+        console.error(`Article ${claimed._id} was posted to ${channel} as ${remotePost.postId} but saving it failed`);
+    }
+
+    claimed.set(published);
+    return claimed;
+}
+
+module.exports = {
+    PUBLISH_CHANNELS,
+    listFacebookPages,
+    publishArticle,
+    buildPostMessage,
+    toPublicUrl
+};
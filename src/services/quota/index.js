@@ -0,0 +1,22 @@
+/**
+ * Quota Services Index
+ * Re-exports plan tier quota helpers
+ */
+
+const {
+    getQuotaPeriod,
+    getUserPlan,
+    isModelAllowed,
+    reserveQuota,
+    refundQuota,
+    getQuotaStatus
+} = require('./quota.service');
+
+module.exports = {
+    getQuotaPeriod,
+    getUserPlan,
+    isModelAllowed,
+    reserveQuota,
+    refundQuota,
+    getQuotaStatus
+};
@@ -0,0 +1,177 @@
+/**
+ * Quota Service
+ * Monthly generation quotas per plan tier: reserve, refund and report remaining quota
+ */
+
+const { QuotaUsage } = require('../../models');
+const { PLAN_TIERS, DEFAULT_PLAN, QUOTA_TOOLS, PREMIUM_MODELS } = require('../../config/plans.config');
+
+const QUOTA_TIMEZONE = 'Asia/Ho_Chi_Minh';
+// Vietnam has no DST, month boundaries are always at UTC+7
+const QUOTA_UTC_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+/**
+ * Billing month of a date in Vietnam time
+ * @param {Date} date
+ * @returns {{period: string, resetAt: Date}} period as YYYY-MM, resetAt = start of next month
+ */
+function getQuotaPeriod(date = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+        timeZone: QUOTA_TIMEZONE,
+        year: 'numeric',
+        month: '2-digit'
+    }).formatToParts(date);
+
+    const year = parseInt(parts.find((part) => part.type === 'year').value, 10);
+    const month = parseInt(parts.find((part) => part.type === 'month').value, 10);
+
+    return {
+        period: `${year}-${String(month).padStart(2, '0')}`,
+        resetAt: new Date(Date.UTC(year, month, 1) - QUOTA_UTC_OFFSET_MS)
+    };
+}
+
+/**
+ * Plan key of a user (unknown/missing plans fall back to the default tier)
+ * @param {Object} user
+ * @returns {string}
+ */
+function getUserPlan(user) {
+    return PLAN_TIERS[user?.plan] ? user.plan : DEFAULT_PLAN;
+}
+
+/**
+ * Whether a plan may use a model
+ * @param {string} plan
+ * @param {string} modelName
+ * @returns {boolean}
+ */
+function isModelAllowed(plan, modelName) {
+    if (!PREMIUM_MODELS.includes(modelName)) return true;
+    return !!PLAN_TIERS[plan]?.premiumModels;
+}
+
+function buildQuotaStatus({ plan, tool, period, resetAt, used }) {
+    const limit = PLAN_TIERS[plan].quotas[tool] ?? null;
+
+    return {
+        plan,
+        tool,
+        period,
+        limit,
+        used,
+        remaining: limit === null ? null : Math.max(0, limit - used),
+        resetAt
+    };
+}
+
+async function ensureQuotaDocument(userId, period) {
+    try {
+        await QuotaUsage.updateOne(
+            { userId, period },
+            { $setOnInsert: { userId, period } },
+            { upsert: true }
+        );
+    } catch (error) {
+        // Concurrent first request of the month created it already
+        if (error.code !== 11000) throw error;
+    }
+}
+
+/**
+ * Atomically consume quota for a generation
+ * @param {Object} user - Authenticated user
+ * @param {string} tool - 'article' | 'video' | 'image' | 'marketing'
+ * @param {number} amount - Units requested (e.g. number of camera angles)
+ * @returns {Promise<{reserved: boolean, quota: Object, reservation: Object|null}>}
+ */
+async function reserveQuota(user, tool, amount = 1) {
+    if (!QUOTA_TOOLS.includes(tool)) {
+        throw new Error(`Unknown quota tool: ${tool}`);
+    }
+
+    const plan = getUserPlan(user);
+    const { period, resetAt } = getQuotaPeriod();
+    const limit = PLAN_TIERS[plan].quotas[tool] ?? null;
+    const counter = `counts.${tool}`;
+
+    await ensureQuotaDocument(user._id, period);
+
+    const filter = { userId: user._id, period };
+    if (limit !== null) {
+        filter[counter] = { $lte: limit - amount };
+    }
+
+    const updated = await QuotaUsage.findOneAndUpdate(
+        filter,
+        { $inc: { [counter]: amount } },
+        { new: true }
+    );
+
+    if (!updated) {
+        const current = await QuotaUsage.findOne({ userId: user._id, period });
+        return {
+            reserved: false,
+            quota: { ...buildQuotaStatus({ plan, tool, period, resetAt, used: current?.counts?.[tool] || 0 }), requested: amount },
+            reservation: null
+        };
+    }
+
+    return {
+        reserved: true,
+        quota: { ...buildQuotaStatus({ plan, tool, period, resetAt, used: updated.counts[tool] }), requested: amount },
+        reservation: { userId: user._id, tool, amount, period }
+    };
+}
+
+/**
+ * Give back quota of a generation that did not produce anything
+ * @param {Object} reservation - { userId, tool, amount, period } from reserveQuota
+ */
+async function refundQuota(reservation) {
+    if (!reservation || !reservation.amount) return;
+
+    await QuotaUsage.updateOne(
+        {
+            userId: reservation.userId,
+            period: reservation.period,
+            [`counts.${reservation.tool}`]: { $gte: reservation.amount }
+        },
+        { $inc: { [`counts.${reservation.tool}`]: -reservation.amount } }
+    );
+}
+
+/**
+ * Remaining quota of a user for every tool in the current month
+ * @param {Object} user
+ * @returns {Promise<Object>} { plan, displayName, period, resetAt, restrictedModels, tools: { [tool]: status } }
+ */
+async function getQuotaStatus(user) {
+    const plan = getUserPlan(user);
+    const { period, resetAt } = getQuotaPeriod();
+    const usage = await QuotaUsage.findOne({ userId: user._id, period });
+
+    const tools = QUOTA_TOOLS.reduce((result, tool) => ({
+        ...result,
+        [tool]: buildQuotaStatus({ plan, tool, period, resetAt, used: usage?.counts?.[tool] || 0 })
+    }), {});
+
+    return {
+        plan,
+        displayName: PLAN_TIERS[plan].displayName,
+        period,
+        resetAt,
+        // Models this plan cannot use
+        restrictedModels: PLAN_TIERS[plan].premiumModels ? [] : PREMIUM_MODELS,
+        tools
+    };
+}
+
+module.exports = {
+    getQuotaPeriod,
+    getUserPlan,
+    isModelAllowed,
+    reserveQuota,
+    refundQuota,
+    getQuotaStatus
+};
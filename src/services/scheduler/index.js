@@ -0,0 +1,13 @@
+/**
+ * Scheduler Services Index
+ * Re-exports the marketing plan auto-publishing scheduler
+ */
+
+const planSchedulerService = require('./planScheduler.service');
+
+module.exports = {
+    getPostDueAt: planSchedulerService.getPostDueAt,
+    runSchedulerTick: planSchedulerService.runSchedulerTick,
+    startPlanScheduler: planSchedulerService.startPlanScheduler,
+    stopPlanScheduler: planSchedulerService.stopPlanScheduler
+};
@@ -0,0 +1,318 @@
+/**
+ * Plan Scheduler Service
+ * Queues a publish job for every due post of auto-publishing marketing plans.
+ * A post is claimed atomically together with a preallocated job id, so restarts and
+ * several API instances never queue the same post twice.
+ */
+
+const mongoose = require('mongoose');
+const { MarketingPlan, User, Job } = require('../../models');
+const { enqueueJob } = require('../jobs');
+const { reserveQuota, refundQuota } = require('../quota');
+const { PUBLISH_CHANNELS } = require('../publishing');
+const { DEFAULT_TIMEZONE, isValidTimezone, zonedTimeToUtc, toDateKey } = require('../../utils/timezone');
+
+function readPositiveInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+const INTERVAL_MS = readPositiveInt(process.env.PLAN_SCHEDULER_INTERVAL_MS, 60 * 1000);
+
+// Posts due longer ago than this (e.g. auto-publish enabled on an old plan) are marked missed instead of published
+const MAX_LATENESS_MS = readPositiveInt(process.env.PLAN_SCHEDULER_MAX_LATENESS_MINUTES, 24 * 60) * 60 * 1000;
+
+// A claimed post whose job still does not exist after this long is re-queued (crash between claim and enqueue)
+const RECOVERY_GRACE_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Instant a post is due: its calendar date and 'HH:mm' time in the plan timezone
+ * @param {Object} post
+ * @param {string} timezone
+ * @returns {Date|null} null when the time is malformed
+ */
+function getPostDueAt(post, timezone = DEFAULT_TIMEZONE) {
+    return zonedTimeToUtc(
+        toDateKey(post.date),
+        post.time,
+        isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE
+    );
+}
+
+/**
+ * Update a post only while nobody has claimed it
+ * @returns {Promise<boolean>} Whether this call changed the post
+ */
+async function updateUnclaimedPost(planId, postId, fields) {
+    const update = {};
+    Object.entries(fields).forEach(([key, value]) => {
+        update[`posts.$.publishing.${key}`] = value;
+    });
+
+    const result = await MarketingPlan.updateOne(
+        {
+            _id: planId,
+            posts: {
+                $elemMatch: {
+                    _id: postId,
+                    status: 'scheduled',
+                    'publishing.jobId': null,
+                    'publishing.state': null
+                }
+            }
+        },
+        { $set: update }
+    );
+
+    return result.modifiedCount > 0;
+}
+
+async function markPostFailed(planId, postId, message) {
+    await MarketingPlan.updateOne(
+        { _id: planId, 'posts._id': postId },
+        { $set: { 'posts.$.publishing.state': 'failed', 'posts.$.publishing.lastError': message } }
+    );
+}
+
+function enqueuePublishJob(plan, post, jobId, quotaReservation = null) {
+    return enqueueJob({
+        jobId,
+        type: 'publish',
+        userId: plan.userId,
+        workspaceId: plan.workspaceId,
+        refModel: 'MarketingPlan',
+        refId: plan._id,
+        quotaReservation,
+        payload: {
+            planId: plan._id,
+            postId: post._id
+        }
+    });
+}
+
+/**
+ * Take one article unit from the plan owner for a claimed post and store it on the claim
+ * @returns {Promise<Object|null>} Reservation, null when the post was marked failed instead
+ */
+async function reservePostQuota(plan, post, jobId) {
+    const owner = await User.findById(plan.userId);
+    if (!owner || !owner.isActive) {
+        await markPostFailed(plan._id, post._id, 'Tài khoản tạo kế hoạch không còn hoạt động');
+        return null;
+    }
+
+    const { reserved, reservation } = await reserveQuota(owner, 'article', 1);
+    if (!reserved) {
+        await markPostFailed(plan._id, post._id, 'Đã hết hạn mức tạo bài viết của tháng này');
+        return null;
+    }
+
+    await MarketingPlan.updateOne(
+        { _id: plan._id, posts: { $elemMatch: { _id: post._id, 'publishing.jobId': jobId } } },
+        { $set: { 'posts.$.publishing.quotaReservation': reservation } }
+    );
+
+    return reservation;
+}
+
+/**
+ * Claim a due post and queue its publish job (the article generation uses the owner's article quota)
+ * @returns {Promise<string>} 'queued' | 'failed' | 'taken'
+ */
+async function queuePost(plan, post, now) {
+    if (!PUBLISH_CHANNELS.includes(post.channel)) {
+        const marked = await updateUnclaimedPost(plan._id, post._id, {
+            state: 'failed',
+            lastError: `Kênh ${post.channel} chưa hỗ trợ đăng tự động (hỗ trợ: ${PUBLISH_CHANNELS.join(', ')})`
+        });
+        return marked ? 'failed' : 'taken';
+    }
+
+    const jobId = new mongoose.Types.ObjectId();
+    const claimed = await updateUnclaimedPost(plan._id, post._id, {
+        jobId,
+        state: 'queued',
+        queuedAt: now,
+        lastError: null,
+        quotaReservation: null
+    });
+    if (!claimed) return 'taken';
+
+    const reservation = await reservePostQuota(plan, post, jobId);
+    if (!reservation) return 'failed';
+
+    await enqueuePublishJob(plan, post, jobId, reservation);
+    return 'queued';
+}
+
+/**
+ * Drop the claim of a post that may no longer be published automatically and give its quota back
+ */
+async function releaseClaim(plan, post) {
+    const { jobId, quotaReservation } = post.publishing;
+
+    const result = await MarketingPlan.updateOne(
+        { _id: plan._id, posts: { $elemMatch: { _id: post._id, 'publishing.jobId': jobId } } },
+        {
+            $set: {
+                'posts.$.publishing.jobId': null,
+                'posts.$.publishing.state': null,
+                'posts.$.publishing.queuedAt': null,
+                'posts.$.publishing.quotaReservation': null
+            }
+        }
+    );
+
+    if (result.modifiedCount > 0) {
+        await refundQuota(quotaReservation);
+    }
+}
+
+/**
+ * Re-queue claimed posts whose job was never created, with the quota taken for the claim.
+ * Claims of posts that no longer qualify (auto-publish turned off, plan not active,
+ * post no longer scheduled) are released instead.
+ * @param {Date} now
+ * @returns {Promise<number>} Posts re-queued
+ */
+async function recoverClaimedPosts(now) {
+    const cutoff = new Date(now.getTime() - RECOVERY_GRACE_MS);
+
+    const plans = await MarketingPlan.find({
+        posts: { $elemMatch: { 'publishing.state': 'queued', 'publishing.queuedAt': { $lt: cutoff } } }
+    }).select('userId workspaceId autoPublish status posts');
+
+    let recovered = 0;
+
+    for (const plan of plans) {
+        for (const post of plan.posts) {
+            const { jobId, state, queuedAt } = post.publishing || {};
+            if (state !== 'queued' || !jobId || !queuedAt || queuedAt >= cutoff) continue;
+            if (await Job.exists({ _id: jobId })) continue;
+
+            try {
+                // Same conditions as a fresh claim in runSchedulerTick
+                if (!plan.autoPublish || plan.status !== 'active' || post.status !== 'scheduled') {
+                    await releaseClaim(plan, post);
+                    continue;
+                }
+
+                // Crash before the quota was stored on the claim: take it now
+                const reservation = post.publishing.quotaReservation || await reservePostQuota(plan, post, jobId);
+                if (!reservation) continue;
+
+                await enqueuePublishJob(plan, post, jobId, reservation);
+                recovered++;
+            } catch (error) {
+                console.error(`Plan scheduler: recover post ${post._id} of plan ${plan._id} failed:`, error.message);
+            }
+        }
+    }
+
+    return recovered;
+}
+
+/**
+ * One scheduler pass
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {Promise<{queued: number, failed: number, missed: number, recovered: number}>}
+ */
+async function runSchedulerTick(now = new Date()) {
+    const summary = { queued: 0, failed: 0, missed: 0, recovered: 0 };
+
+    summary.recovered = await recoverClaimedPosts(now);
+
+    // Post dates are calendar days stored as UTC midnight: a day ahead covers every timezone offset.
+    // Overdue posts leave this query once they are queued, failed or missed.
+    const plans = await MarketingPlan.find({
+        autoPublish: true,
+        status: 'active',
+        posts: {
+            $elemMatch: {
+                status: 'scheduled',
+                'publishing.jobId': null,
+                'publishing.state': null,
+                date: { $lte: new Date(now.getTime() + DAY_MS) }
+            }
+        }
+    }).select('userId workspaceId timezone posts');
+
+    for (const plan of plans) {
+        for (const post of plan.posts) {
+            if (post.status !== 'scheduled' || post.publishing?.jobId || post.publishing?.state) continue;
+
+            const dueAt = getPostDueAt(post, plan.timezone);
+            if (!dueAt) {
+                if (await updateUnclaimedPost(plan._id, post._id, { state: 'failed', lastError: `Giờ đăng không hợp lệ: ${post.time}` })) {
+                    summary.failed++;
+                }
+                continue;
+            }
+
+            if (dueAt > now) continue;
+
+            if (now.getTime() - dueAt.getTime() > MAX_LATENESS_MS) {
+                if (await updateUnclaimedPost(plan._id, post._id, { state: 'missed' })) {
+                    summary.missed++;
+                }
+                continue;
+            }
+
+            try {
+                const outcome = await queuePost(plan, post, now);
+                if (outcome !== 'taken') summary[outcome]++;
+            } catch (error) {
+                console.error(`Plan scheduler: queue post ${post._id} of plan ${plan._id} failed:`, error.message);
+            }
+        }
+    }
+
+    return summary;
+}
+
+async function tick() {
+    if (ticking) return;
+    ticking = true;
+
+    try {
+        const summary = await runSchedulerTick();
+        if (summary.queued || summary.failed || summary.missed || summary.recovered) {
+            console.log(`Plan scheduler: ${summary.queued} queued, ${summary.failed} failed, ${summary.missed} missed, ${summary.recovered} recovered`);
+        }
+    } catch (error) {
+        console.error('Plan scheduler tick error:', error.message);
+    } finally {
+        ticking = false;
+    }
+}
+
+/**
+ * Start checking for due posts every PLAN_SCHEDULER_INTERVAL_MS
+ */
+function startPlanScheduler() {
+    if (timer) return;
+
+    timer = setInterval(tick, INTERVAL_MS);
+    console.log(`Plan scheduler started (every ${Math.round(INTERVAL_MS / 1000)}s)`);
+    tick();
+}
+
+/**
+ * Stop checking for due posts
+ */
+function stopPlanScheduler() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    getPostDueAt,
+    runSchedulerTick,
+    startPlanScheduler,
+    stopPlanScheduler
+};
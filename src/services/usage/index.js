@@ -0,0 +1,30 @@
+/**
+ * Usage Services Index
+ * Re-exports the usage context and token/cost ledger
+ */
+
+const { runWithUsageContext, getUsageContext } = require('./usageContext');
+const {
+    recordUsage,
+    getUsageSummary,
+    calculateCost,
+    getModelPricing,
+    PERIOD_FORMATS,
+    DEFAULT_RANGE_DAYS,
+    DEFAULT_TIMEZONE
+} = require('./usageLedger.service');
+
+module.exports = {
+    // Context
+    runWithUsageContext,
+    getUsageContext,
+
+    // Ledger
+    recordUsage,
+    getUsageSummary,
+    calculateCost,
+    getModelPricing,
+    PERIOD_FORMATS,
+    DEFAULT_RANGE_DAYS,
+    DEFAULT_TIMEZONE
+};
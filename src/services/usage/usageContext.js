@@ -0,0 +1,32 @@
+/**
+ * Usage Context
+ * Carries who/what triggered an AI call (user, tool, job) across async boundaries,
+ * so the AI provider layer can attribute usage without threading userId through every service.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn with a usage context; nested calls inherit and override the outer context
+ * @param {Object} context - { userId, tool, jobId, refModel, refId }
+ * @param {Function} fn
+ * @returns {*} Return value of fn
+ */
+function runWithUsageContext(context, fn) {
+    return storage.run({ ...(storage.getStore() || {}), ...context }, fn);
+}
+
+/**
+ * Get the current usage context
+ * @returns {Object} Context or an empty object outside of a tracked request/job
+ */
+function getUsageContext() {
+    return storage.getStore() || {};
+}
+
+module.exports = {
+    runWithUsageContext,
+    getUsageContext
+};
@@ -0,0 +1,216 @@
+/**
+ * Usage Ledger Service
+ * Records token usage of every AI call and aggregates it for billing
+ */
+
+const mongoose = require('mongoose');
+const { UsageRecord } = require('../../models');
+const { MODEL_RECOMMENDATIONS } = require('../gemini/modelConfig.service');
+const { getUsageContext } = require('./usageContext');
+const { DEFAULT_TIMEZONE } = require('../../utils/timezone');
+
+const PERIOD_FORMATS = {
+    day: '%Y-%m-%d',
+    month: '%Y-%m'
+};
+const DEFAULT_RANGE_DAYS = {
+    day: 30,
+    month: 365
+};
+
+// Operation prefix -> tool, used when the call is not inside a tracked request/job
+const OPERATION_TOOLS = {
+    article: 'article',
+    video: 'video',
+    image: 'image',
+    productImage: 'image',
+    marketing: 'marketing'
+};
+
+/**
+ * Parse a cost label like '$0.075/1M' into USD per 1M tokens
+ * @param {string} label
+ * @returns {number|null}
+ */
+function parseCostPerMillion(label) {
+    const match = typeof label === 'string' ? label.match(/\$\s*([\d.]+)\s*\/\s*1M/i) : null;
+    return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Look up prices for a model across all task types of MODEL_RECOMMENDATIONS
+ * (vision entries only list input cost, the text entry of the same model fills in the output cost)
+ * @param {string} modelName
+ * @returns {{inputPerMillion: number, outputPerMillion: number}|null}
+ */
+function getModelPricing(modelName) {
+    let inputPerMillion = null;
+    let outputPerMillion = null;
+
+    Object.values(MODEL_RECOMMENDATIONS).forEach((models) => {
+        models
+            .filter((model) => model.modelId === modelName)
+            .forEach((model) => {
+                if (inputPerMillion === null) inputPerMillion = parseCostPerMillion(model.inputCost);
+                if (outputPerMillion === null) outputPerMillion = parseCostPerMillion(model.outputCost);
+            });
+    });
+
+    if (inputPerMillion === null && outputPerMillion === null) {
+        return null;
+    }
+
+    return {
+        inputPerMillion: inputPerMillion || 0,
+        outputPerMillion: outputPerMillion || 0
+    };
+}
+
+/**
+ * Estimate USD cost of a call
+ * @param {string} modelName
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @returns {{inputCost: number, outputCost: number, totalCost: number, priced: boolean}}
+ */
+function calculateCost(modelName, usage = {}) {
+    const pricing = getModelPricing(modelName);
+    if (!pricing) {
+        return { inputCost: 0, outputCost: 0, totalCost: 0, priced: false };
+    }
+
+    const inputCost = ((usage.inputTokens || 0) * pricing.inputPerMillion) / 1e6;
+    const outputCost = ((usage.outputTokens || 0) * pricing.outputPerMillion) / 1e6;
+
+    return {
+        inputCost,
+        outputCost,
+        totalCost: inputCost + outputCost,
+        priced: true
+    };
+}
+
+function resolveTool(operation, context = {}) {
+    if (context.tool && UsageRecord.USAGE_TOOLS.includes(context.tool)) {
+        return context.tool;
+    }
+
+    const prefix = String(operation || '').split('.')[0];
+    return OPERATION_TOOLS[prefix] || 'other';
+}
+
+/**
+ * Persist usage of one provider call for the user in the current usage context.
+ * Calls made outside of a request/job (scripts, tests) have no user and are skipped.
+ * @param {Object} params
+ * @param {string} params.operation - meta.operation of the call
+ * @param {string} params.provider - Provider name
+ * @param {string} params.modelName - Model that served the call
+ * @param {Object} params.usage - { inputTokens, outputTokens, imageTokens, totalTokens }
+ * @returns {Promise<Object|null>} Created record
+ */
+async function recordUsage({ operation, provider, modelName, usage = {} }) {
+    const context = getUsageContext();
+    if (!context.userId) return null;
+
+    const inputTokens = usage.inputTokens || 0;
+    const outputTokens = usage.outputTokens || 0;
+
+    return UsageRecord.create({
+        userId: context.userId,
+        tool: resolveTool(operation, context),
+        operation: operation || '',
+        provider: provider || '',
+        modelName: modelName || 'unknown',
+        inputTokens,
+        outputTokens,
+        imageTokens: usage.imageTokens || 0,
+        totalTokens: usage.totalTokens || inputTokens + outputTokens,
+        ...calculateCost(modelName, usage),
+        jobId: context.jobId || null,
+        refModel: context.refModel || null,
+        refId: context.refId || null
+    });
+}
+
+const SUM_FIELDS = {
+    calls: { $sum: 1 },
+    inputTokens: { $sum: '$inputTokens' },
+    outputTokens: { $sum: '$outputTokens' },
+    imageTokens: { $sum: '$imageTokens' },
+    totalTokens: { $sum: '$totalTokens' },
+    inputCost: { $sum: '$inputCost' },
+    outputCost: { $sum: '$outputCost' },
+    totalCost: { $sum: '$totalCost' }
+};
+
+function emptyTotals() {
+    return Object.keys(SUM_FIELDS).reduce((totals, key) => ({ ...totals, [key]: 0 }), {});
+}
+
+function groupStage(key) {
+    return [
+        { $group: { _id: key, ...SUM_FIELDS } },
+        { $sort: { _id: 1 } }
+    ];
+}
+
+function renameId(rows, field) {
+    return rows.map(({ _id, ...row }) => ({ [field]: _id, ...row }));
+}
+
+/**
+ * Aggregate usage of a user over a date range
+ * @param {string} userId
+ * @param {Object} options
+ * @param {Date} options.from - Inclusive start
+ * @param {Date} options.to - Inclusive end
+ * @param {string} options.groupBy - 'day' | 'month'
+ * @param {string} options.timezone - IANA timezone used to bucket periods
+ * @param {string} options.tool - Optional tool filter
+ * @param {string} options.modelName - Optional model filter
+ * @returns {Promise<Object>} { range, totals, byPeriod, byTool, byModel }
+ */
+async function getUsageSummary(userId, { from, to, groupBy = 'day', timezone = DEFAULT_TIMEZONE, tool, modelName } = {}) {
+    const match = {
+        userId: new mongoose.Types.ObjectId(String(userId)),
+        createdAt: { $gte: from, $lte: to }
+    };
+    if (tool) match.tool = tool;
+    if (modelName) match.modelName = modelName;
+
+    const [result] = await UsageRecord.aggregate([
+        { $match: match },
+        {
+            $facet: {
+                totals: [{ $group: { _id: null, ...SUM_FIELDS } }],
+                byPeriod: groupStage({
+                    $dateToString: { format: PERIOD_FORMATS[groupBy], date: '$createdAt', timezone }
+                }),
+                byTool: groupStage('$tool'),
+                byModel: groupStage('$modelName')
+            }
+        }
+    ]);
+
+    const { _id, ...totals } = result.totals[0] || { _id: null, ...emptyTotals() };
+
+    return {
+        range: { from, to, groupBy, timezone },
+        currency: 'USD',
+        totals,
+        byPeriod: renameId(result.byPeriod, 'period'),
+        byTool: renameId(result.byTool, 'tool'),
+        byModel: renameId(result.byModel, 'modelName')
+    };
+}
+
+module.exports = {
+    recordUsage,
+    getUsageSummary,
+    calculateCost,
+    getModelPricing,
+    parseCostPerMillion,
+    PERIOD_FORMATS,
+    DEFAULT_RANGE_DAYS,
+    DEFAULT_TIMEZONE
+};
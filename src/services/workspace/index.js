@@ -0,0 +1,31 @@
+/**
+ * Workspace Services Index
+ * Re-exports workspace membership and invitation helpers
+ */
+
+const {
+    ensurePersonalWorkspace,
+    findMemberWorkspace,
+    listUserWorkspaces,
+    createWorkspace,
+    countOwners,
+    inviteToWorkspace,
+    findPendingInvitation,
+    acceptInvitation,
+    INVITATION_TTL_DAYS
+} = require('./workspace.service');
+
+module.exports = {
+    // Workspaces
+    ensurePersonalWorkspace,
+    findMemberWorkspace,
+    listUserWorkspaces,
+    createWorkspace,
+    countOwners,
+
+    // Invitations
+    inviteToWorkspace,
+    findPendingInvitation,
+    acceptInvitation,
+    INVITATION_TTL_DAYS
+};
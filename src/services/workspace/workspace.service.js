@@ -0,0 +1,195 @@
+/**
+ * Workspace Service
+ * Personal/team workspaces, membership and email invitations
+ */
+
+const crypto = require('crypto');
+const {
+    Workspace,
+    WorkspaceInvitation,
+    AISettings,
+    Article,
+    MarketingPlan,
+    ProductImage,
+    Job
+} = require('../../models');
+const VideoScript = require('../../models/VideoScript');
+const { sendMail, buildFrontendUrl, workspaceInvitationTemplate } = require('../mail');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.WORKSPACE_INVITATION_TTL_DAYS, 10) || 7;
+
+// Documents created before workspaces existed are keyed by userId only
+const LEGACY_MODELS = [AISettings, Article, VideoScript, ProductImage, MarketingPlan, Job];
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Move a user's documents without workspace into their personal workspace
+ * @param {string} userId
+ * @param {string} workspaceId
+ */
+async function adoptLegacyContent(userId, workspaceId) {
+    await Promise.all(LEGACY_MODELS.map((Model) => Model.updateMany(
+        { userId, workspaceId: null },
+        { $set: { workspaceId } }
+    )));
+}
+
+/**
+ * Get (or create on first use) the personal workspace of a user
+ * @param {Object} user
+ * @returns {Promise<Object>} Workspace
+ */
+async function ensurePersonalWorkspace(user) {
+    const existing = await Workspace.findOne({ ownerId: user._id, isPersonal: true });
+    if (existing) return existing;
+
+    let workspace;
+    try {
+        workspace = await Workspace.create({
+            name: `Workspace của ${user.name}`.slice(0, 100),
+            ownerId: user._id,
+            isPersonal: true,
+            members: [{ userId: user._id, role: 'owner' }]
+        });
+    } catch (error) {
+        // Created by a concurrent request
+        if (error.code === 11000) {
+            return Workspace.findOne({ ownerId: user._id, isPersonal: true });
+        }
+        throw error;
+    }
+
+    await adoptLegacyContent(user._id, workspace._id);
+    return workspace;
+}
+
+/**
+ * Workspace by id, only when the user is a member
+ * @param {string} userId
+ * @param {string} workspaceId
+ * @returns {Promise<Object|null>}
+ */
+async function findMemberWorkspace(userId, workspaceId) {
+    return Workspace.findOne({ _id: workspaceId, 'members.userId': userId });
+}
+
+/**
+ * All workspaces a user belongs to, personal first
+ * @param {string} userId
+ * @returns {Promise<Array>}
+ */
+async function listUserWorkspaces(userId) {
+    return Workspace.find({ 'members.userId': userId }).sort({ isPersonal: -1, createdAt: 1 });
+}
+
+/**
+ * Create a team workspace owned by the user
+ * @param {Object} user
+ * @param {string} name
+ * @returns {Promise<Object>}
+ */
+async function createWorkspace(user, name) {
+    return Workspace.create({
+        name,
+        ownerId: user._id,
+        members: [{ userId: user._id, role: 'owner' }]
+    });
+}
+
+/**
+ * Number of owners left in a workspace
+ * @param {Object} workspace
+ * @returns {number}
+ */
+function countOwners(workspace) {
+    return workspace.members.filter((member) => member.role === 'owner').length;
+}
+
+/**
+ * Invite an email address and send the invitation link.
+ * A previous pending invitation of the same address stops working.
+ * @param {Object} workspace
+ * @param {Object} params - { email, role }
+ * @param {Object} inviter - User sending the invitation
+ * @returns {Promise<Object>} Invitation
+ */
+async function inviteToWorkspace(workspace, { email, role }, inviter) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await WorkspaceInvitation.deleteMany({ workspaceId: workspace._id, email, acceptedAt: null });
+
+    const invitation = await WorkspaceInvitation.create({
+        workspaceId: workspace._id,
+        email,
+        role,
+        tokenHash: hashToken(token),
+        invitedBy: inviter._id,
+        expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    await sendMail({
+        to: email,
+        ...workspaceInvitationTemplate({
+            inviterName: inviter.name,
+            workspaceName: workspace.name,
+            role,
+            url: buildFrontendUrl('/workspace-invitations/accept', token),
+            expiresInDays: INVITATION_TTL_DAYS
+        })
+    });
+
+    return invitation;
+}
+
+/**
+ * Pending invitation for an emailed token
+ * @param {string} token
+ * @returns {Promise<Object|null>} null when unknown, used or expired
+ */
+async function findPendingInvitation(token) {
+    if (typeof token !== 'string' || !token) return null;
+
+    return WorkspaceInvitation.findOne({
+        tokenHash: hashToken(token),
+        acceptedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+}
+
+/**
+ * Use up an invitation and add the user to its workspace
+ * (an existing member keeps their current role)
+ * @param {Object} invitation
+ * @param {Object} user
+ * @returns {Promise<Object|null>} Workspace, null when the invitation was already used
+ */
+async function acceptInvitation(invitation, user) {
+    const claimed = await WorkspaceInvitation.findOneAndUpdate(
+        { _id: invitation._id, acceptedAt: null },
+        { $set: { acceptedAt: new Date(), acceptedBy: user._id } }
+    );
+    if (!claimed) return null;
+
+    const joined = await Workspace.findOneAndUpdate(
+        { _id: invitation.workspaceId, 'members.userId': { $ne: user._id } },
+        { $push: { members: { userId: user._id, role: invitation.role } } },
+        { new: true }
+    );
+
+    return joined || Workspace.findById(invitation.workspaceId);
+}
+
+module.exports = {
+    ensurePersonalWorkspace,
+    findMemberWorkspace,
+    listUserWorkspaces,
+    createWorkspace,
+    countOwners,
+    inviteToWorkspace,
+    findPendingInvitation,
+    acceptInvitation,
+    INVITATION_TTL_DAYS
+};
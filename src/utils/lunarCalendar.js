@@ -0,0 +1,189 @@
+/**
+ * Vietnamese lunar calendar helpers (Ho Ngoc Duc's astronomical algorithm, no extra dependency).
+ * Dates are computed for a UTC offset in hours; the Vietnamese calendar uses +7.
+ */
+
+const VIETNAM_UTC_OFFSET = 7;
+
+const INT = Math.floor;
+
+/**
+ * Julian day number of a Gregorian date
+ * @param {number} day
+ * @param {number} month - 1-12
+ * @param {number} year
+ * @returns {number}
+ */
+function jdFromDate(day, month, year) {
+    const a = INT((14 - month) / 12);
+    const y = year + 4800 - a;
+    const m = month + 12 * a - 3;
+    return day + INT((153 * m + 2) / 5) + 365 * y + INT(y / 4) - INT(y / 100) + INT(y / 400) - 32045;
+}
+
+/**
+ * Gregorian date of a Julian day number
+ * @param {number} jd
+ * @returns {{day: number, month: number, year: number}}
+ */
+function jdToDate(jd) {
+    const a = jd + 32044;
+    const b = INT((4 * a + 3) / 146097);
+    const c = a - INT((b * 146097) / 4);
+    const d = INT((4 * c + 3) / 1461);
+    const e = c - INT((1461 * d) / 4);
+    const m = INT((5 * e + 2) / 153);
+
+    return {
+        day: e - INT((153 * m + 2) / 5) + 1,
+        month: m + 3 - 12 * INT(m / 10),
+        year: b * 100 + d - 4800 + INT(m / 10)
+    };
+}
+
+/**
+ * Julian day (fractional) of the k-th new moon after 1900-01-01
+ * @param {number} k
+ * @returns {number}
+ */
+function newMoon(k) {
+    const T = k / 1236.85;
+    const T2 = T * T;
+    const T3 = T2 * T;
+    const dr = Math.PI / 180;
+
+    let jd1 = 2415020.75933 + 29.53058868 * k + 0.0001178 * T2 - 0.000000155 * T3;
+    jd1 += 0.00033 * Math.sin((166.56 + 132.87 * T - 0.009173 * T2) * dr);
+
+    const M = 359.2242 + 29.10535608 * k - 0.0000333 * T2 - 0.00000347 * T3;
+    const Mpr = 306.0253 + 385.81691806 * k + 0.0107306 * T2 + 0.00001236 * T3;
+    const F = 21.2964 + 390.67050646 * k - 0.0016528 * T2 - 0.00000239 * T3;
+
+    let C1 = (0.1734 - 0.000393 * T) * Math.sin(M * dr) + 0.0021 * Math.sin(2 * dr * M);
+    C1 -= 0.4068 * Math.sin(Mpr * dr) - 0.0161 * Math.sin(dr * 2 * Mpr);
+    C1 -= 0.0004 * Math.sin(dr * 3 * Mpr);
+    C1 += 0.0104 * Math.sin(dr * 2 * F) - 0.0051 * Math.sin(dr * (M + Mpr));
+    C1 -= 0.0074 * Math.sin(dr * (M - Mpr)) + 0.0004 * Math.sin(dr * (2 * F + M));
+    C1 -= 0.0004 * Math.sin(dr * (2 * F - M)) - 0.0006 * Math.sin(dr * (2 * F + Mpr));
+    C1 += 0.0010 * Math.sin(dr * (2 * F - Mpr)) + 0.0005 * Math.sin(dr * (2 * Mpr + M));
+
+    const deltaT = T < -11
+        ? 0.001 + 0.000839 * T + 0.0002261 * T2 - 0.00000845 * T3 - 0.000000081 * T * T3
+        : -0.000278 + 0.000265 * T + 0.000262 * T2;
+
+    return jd1 + C1 - deltaT;
+}
+
+function getNewMoonDay(k, utcOffset) {
+    return INT(newMoon(k) + 0.5 + utcOffset / 24);
+}
+
+/**
+ * Sun longitude sector (0-11, 30° each) at the start of a day
+ * @param {number} dayNumber - Julian day number
+ * @param {number} utcOffset
+ * @returns {number}
+ */
+function getSunLongitude(dayNumber, utcOffset) {
+    const T = (dayNumber - 0.5 - utcOffset / 24 - 2451545.0) / 36525;
+    const T2 = T * T;
+    const dr = Math.PI / 180;
+
+    const M = 357.52910 + 35999.05030 * T - 0.0001559 * T2 - 0.00000048 * T * T2;
+    const L0 = 280.46645 + 36000.76983 * T + 0.0003032 * T2;
+    let DL = (1.914600 - 0.004817 * T - 0.000014 * T2) * Math.sin(dr * M);
+    DL += (0.019993 - 0.000101 * T) * Math.sin(dr * 2 * M) + 0.000290 * Math.sin(dr * 3 * M);
+
+    let L = (L0 + DL) * dr;
+    L -= Math.PI * 2 * INT(L / (Math.PI * 2));
+
+    return INT((L / Math.PI) * 6);
+}
+
+/**
+ * Julian day the 11th lunar month (the one holding the winter solstice) of a year starts
+ * @param {number} year
+ * @param {number} utcOffset
+ * @returns {number}
+ */
+function getLunarMonth11(year, utcOffset) {
+    const off = jdFromDate(31, 12, year) - 2415021;
+    const k = INT(off / 29.530588853);
+    const nm = getNewMoonDay(k, utcOffset);
+
+    return getSunLongitude(nm, utcOffset) >= 9 ? getNewMoonDay(k - 1, utcOffset) : nm;
+}
+
+/**
+ * Offset (in months after month 11) of the leap month of a leap lunar year
+ * @param {number} a11 - Start of month 11 of the previous year
+ * @param {number} utcOffset
+ * @returns {number}
+ */
+function getLeapMonthOffset(a11, utcOffset) {
+    const k = INT((a11 - 2415021.076998695) / 29.530588853 + 0.5);
+    let i = 1;
+    let arc = getSunLongitude(getNewMoonDay(k + i, utcOffset), utcOffset);
+    let last;
+
+    do {
+        last = arc;
+        i++;
+        arc = getSunLongitude(getNewMoonDay(k + i, utcOffset), utcOffset);
+    } while (arc !== last && i < 14);
+
+    return i - 1;
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+/**
+ * Gregorian date of a lunar date
+ * @param {number} lunarDay - 1-30
+ * @param {number} lunarMonth - 1-12
+ * @param {number} lunarYear
+ * @param {Object} options
+ * @param {boolean} options.leap - The date is in the leap (nhuận) month
+ * @param {number} options.utcOffset - Hours, defaults to Vietnam (+7)
+ * @returns {string|null} 'YYYY-MM-DD', null when the year has no such leap month
+ */
+function lunarToSolar(lunarDay, lunarMonth, lunarYear, { leap = false, utcOffset = VIETNAM_UTC_OFFSET } = {}) {
+    let a11;
+    let b11;
+    if (lunarMonth < 11) {
+        a11 = getLunarMonth11(lunarYear - 1, utcOffset);
+        b11 = getLunarMonth11(lunarYear, utcOffset);
+    } else {
+        a11 = getLunarMonth11(lunarYear, utcOffset);
+        b11 = getLunarMonth11(lunarYear + 1, utcOffset);
+    }
+
+    const k = INT(0.5 + (a11 - 2415021.076998695) / 29.530588853);
+    let off = lunarMonth - 11;
+    if (off < 0) off += 12;
+
+    if (b11 - a11 > 365) {
+        const leapOff = getLeapMonthOffset(a11, utcOffset);
+        let leapMonth = leapOff - 2;
+        if (leapMonth < 0) leapMonth += 12;
+
+        if (leap && lunarMonth !== leapMonth) return null;
+        if (leap || off >= leapOff) off += 1;
+    } else if (leap) {
+        return null;
+    }
+
+    const monthStart = getNewMoonDay(k + off, utcOffset);
+    const { day, month, year } = jdToDate(monthStart + lunarDay - 1);
+
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+module.exports = {
+    VIETNAM_UTC_OFFSET,
+    jdFromDate,
+    jdToDate,
+    lunarToSolar
+};
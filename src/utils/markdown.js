@@ -0,0 +1,94 @@
+/**
+ * Minimal Markdown to HTML conversion for generated articles
+ * Supports headings, paragraphs, bullet/numbered lists, bold, italic and http(s) links.
+ * Everything else is escaped, so the output is safe to embed.
+ */
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Inline formatting of one line (escaped first)
+ * @param {string} text
+ * @returns {string}
+ */
+function renderInline(text) {
+    return escapeHtml(text)
+        .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2">$1</a>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>');
+}
+
+/**
+ * Convert Markdown to HTML
+ * @param {string} markdown
+ * @returns {string}
+ */
+function markdownToHtml(markdown) {
+    if (typeof markdown !== 'string' || !markdown.trim()) return '';
+
+    const html = [];
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    };
+    const flushList = () => {
+        if (list) {
+            html.push(`<${list.tag}>${list.items.map((item) => `<li>${renderInline(item)}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        }
+    };
+
+    for (const rawLine of markdown.replace(/\r\n?/g, '\n').split('\n')) {
+        const line = rawLine.trim();
+
+        if (!line) {
+            flushParagraph();
+            flushList();
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+        if (heading) {
+            flushParagraph();
+            flushList();
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            continue;
+        }
+
+        const item = line.match(/^(?:([-*+])|(\d+)[.)])\s+(.+)$/);
+        if (item) {
+            flushParagraph();
+            const tag = item[1] ? 'ul' : 'ol';
+            if (list && list.tag !== tag) flushList();
+            if (!list) list = { tag, items: [] };
+            list.items.push(item[3]);
+            continue;
+        }
+
+        flushList();
+        paragraph.push(line);
+    }
+
+    flushParagraph();
+    flushList();
+
+    return html.join('\n');
+}
+
+module.exports = {
+    escapeHtml,
+    markdownToHtml
+};
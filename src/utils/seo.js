@@ -0,0 +1,146 @@
+/**
+ * SEO helpers for long-form articles: slug, FAQ structured data and keyword density report
+ */
+
+const { tokenizeWords } = require('./wordCount');
+
+// Target keyword density range (% of words) considered natural
+const TARGET_DENSITY = { min: 0.5, max: 2.5 };
+
+const MAX_SLUG_LENGTH = 80;
+
+/**
+ * URL slug without Vietnamese diacritics
+ * @param {string} text
+ * @returns {string} e.g. "cà phê muối Huế" -> "ca-phe-muoi-hue"
+ */
+function slugify(text) {
+    const slug = String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[đĐ]/g, 'd')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+
+    if (slug.length <= MAX_SLUG_LENGTH) return slug;
+
+    const cut = slug.slice(0, MAX_SLUG_LENGTH + 1);
+    return cut.slice(0, cut.lastIndexOf('-') > 0 ? cut.lastIndexOf('-') : MAX_SLUG_LENGTH);
+}
+
+/**
+ * schema.org FAQPage JSON-LD
+ * @param {Array} faq - { question, answer }
+ * @returns {Object|null} null when there is no answered question
+ */
+function buildFaqSchema(faq) {
+    const entries = (Array.isArray(faq) ? faq : []).filter((entry) => entry?.question && entry?.answer);
+    if (entries.length === 0) return null;
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'FAQPage',
+        mainEntity: entries.map((entry) => ({
+            '@type': 'Question',
+            name: entry.question,
+            acceptedAnswer: {
+                '@type': 'Answer',
+                text: entry.answer
+            }
+        }))
+    };
+}
+
+/**
+ * Lowercase words of a text (letters and digits, Markdown symbols ignored)
+ * @param {string} text
+ * @returns {string[]}
+ */
+function toWords(text) {
+    return tokenizeWords(String(text || '').toLowerCase());
+}
+
+/**
+ * Occurrences of a keyword (word sequence) in a list of words
+ */
+function countPhrase(words, phrase) {
+    if (phrase.length === 0) return 0;
+
+    let count = 0;
+    for (let i = 0; i + phrase.length <= words.length; i++) {
+        if (phrase.every((word, offset) => words[i + offset] === word)) count++;
+    }
+    return count;
+}
+
+function containsPhrase(text, keyword) {
+    return countPhrase(toWords(text), toWords(keyword)) > 0;
+}
+
+function densityStatus(density, count, isTarget) {
+    if (count === 0) return 'missing';
+    if (density > TARGET_DENSITY.max) return 'high';
+    if (isTarget && density < TARGET_DENSITY.min) return 'low';
+    return 'ok';
+}
+
+/**
+ * Keyword density and placement report of a Markdown article
+ * @param {Object} params
+ * @param {string} params.content - Markdown content
+ * @param {string} params.title - H1
+ * @param {string} params.metaTitle
+ * @param {string} params.metaDescription
+ * @param {string} params.slug
+ * @param {string} params.targetKeyword
+ * @param {string[]} params.secondaryKeywords
+ * @returns {{totalWords: number, keywords: Array, placement: Object|null}}
+ */
+function buildKeywordReport({ content, title = '', metaTitle = '', metaDescription = '', slug = '', targetKeyword = '', secondaryKeywords = [] }) {
+    const words = toWords(content);
+    const totalWords = words.length;
+
+    const keywords = [
+        ...(targetKeyword ? [{ keyword: targetKeyword, type: 'target' }] : []),
+        ...secondaryKeywords.map((keyword) => ({ keyword, type: 'secondary' }))
+    ].map(({ keyword, type }) => {
+        const phrase = toWords(keyword);
+        const count = countPhrase(words, phrase);
+        const density = totalWords > 0 ? Math.round((count * phrase.length * 10000) / totalWords) / 100 : 0;
+
+        return {
+            keyword,
+            type,
+            count,
+            density,
+            status: densityStatus(density, count, type === 'target')
+        };
+    });
+
+    let placement = null;
+    if (targetKeyword) {
+        const lines = String(content || '').split('\n');
+        const headings = lines.filter((line) => /^#{2,3}\s/.test(line.trim()));
+        const firstParagraph = lines.find((line) => line.trim() && !/^#/.test(line.trim())) || '';
+
+        placement = {
+            inTitle: containsPhrase(title, targetKeyword),
+            inMetaTitle: containsPhrase(metaTitle, targetKeyword),
+            inMetaDescription: containsPhrase(metaDescription, targetKeyword),
+            inFirstParagraph: containsPhrase(firstParagraph, targetKeyword),
+            inSlug: !!slug && `-${slug}-`.includes(`-${slugify(targetKeyword)}-`),
+            headingsWithKeyword: headings.filter((heading) => containsPhrase(heading, targetKeyword)).length,
+            totalHeadings: headings.length
+        };
+    }
+
+    return { totalWords, keywords, placement };
+}
+
+module.exports = {
+    TARGET_DENSITY,
+    slugify,
+    buildFaqSchema,
+    buildKeywordReport
+};
@@ -0,0 +1,84 @@
+/**
+ * Timezone helpers (IANA names through Intl, no extra dependency)
+ */
+
+const DEFAULT_TIMEZONE = 'Asia/Ho_Chi_Minh';
+
+/**
+ * Whether Intl knows the timezone
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') return false;
+    try {
+        Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in minutes (e.g. +420 for Asia/Ho_Chi_Minh)
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {number}
+ */
+function getTimezoneOffset(date, timezone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).map((part) => [part.type, part.value]));
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Instant of a wall-clock date and time in a timezone
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:mm'
+ * @param {string} timezone
+ * @returns {Date|null} null when the date or time is malformed
+ */
+function zonedTimeToUtc(dateKey, time, timezone = DEFAULT_TIMEZONE) {
+    const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateKey || ''));
+    const timeMatch = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+    if (!dateMatch || !timeMatch) return null;
+
+    const [, year, month, day] = dateMatch.map(Number);
+    const [, hour, minute] = timeMatch.map(Number);
+    if (hour > 23 || minute > 59) return null;
+
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Two passes settle the offset around DST transitions
+    let instant = wallClock - getTimezoneOffset(new Date(wallClock), timezone) * 60000;
+    instant = wallClock - getTimezoneOffset(new Date(instant), timezone) * 60000;
+
+    return new Date(instant);
+}
+
+/**
+ * Calendar date of a stored date-only value ('YYYY-MM-DD' parsed as UTC midnight)
+ * @param {Date} date
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function toDateKey(date) {
+    return new Date(date).toISOString().slice(0, 10);
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    getTimezoneOffset,
+    zonedTimeToUtc,
+    toDateKey
+};
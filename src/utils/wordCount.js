@@ -0,0 +1,32 @@
+/**
+ * Word counting for generated text (Vietnamese-aware)
+ * Each Vietnamese syllable separated by spaces is a word, as in word processors.
+ * Emoji, hashtag signs and Markdown symbols are not words; numbers like "30.000đ" or "20%" count once.
+ */
+
+// Letters (any script, with tone marks), digits, joined by . , ' ’ - / inside a token
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+(?:[.,'’\-/][\p{L}\p{M}\p{N}]+)*/gu;
+
+/**
+ * Words of a text
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenizeWords(text) {
+    if (typeof text !== 'string' || !text) return [];
+    return text.normalize('NFC').match(WORD_PATTERN) || [];
+}
+
+/**
+ * Number of words of a text
+ * @param {string} text
+ * @returns {number}
+ */
+function countWords(text) {
+    return tokenizeWords(text).length;
+}
+
+module.exports = {
+    tokenizeWords,
+    countWords
+};
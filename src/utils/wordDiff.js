@@ -0,0 +1,122 @@
+/**
+ * Word-level text diff (longest common subsequence over word and whitespace tokens)
+ */
+
+// Largest LCS table (tokens of old text x tokens of new text) computed exactly;
+// bigger rewrites are reported as the whole changed middle removed and re-added
+const MAX_DIFF_CELLS = 4 * 1000 * 1000;
+
+/**
+ * Split text into word and whitespace tokens (joining them gives the text back)
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    if (typeof text !== 'string' || !text) return [];
+    return text.match(/\s+|[^\s]+/g);
+}
+
+function isWord(token) {
+    return /\S/.test(token);
+}
+
+/**
+ * Edit operations turning tokens `a` into tokens `b`
+ * @returns {Array<[string, string]>} [type, token] with type 'equal' | 'delete' | 'insert'
+ */
+function diffTokens(a, b) {
+    const n = a.length;
+    const m = b.length;
+
+    if (n * m > MAX_DIFF_CELLS) {
+        return [
+            ...a.map((token) => ['delete', token]),
+            ...b.map((token) => ['insert', token])
+        ];
+    }
+
+    // lengths[i * (m + 1) + j] = LCS length of a[i..] and b[j..]
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lengths[i * width + j] = a[i] === b[j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (a[i] === b[j]) {
+            ops.push(['equal', a[i]]);
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+            ops.push(['delete', a[i++]]);
+        } else {
+            ops.push(['insert', b[j++]]);
+        }
+    }
+    while (i < n) ops.push(['delete', a[i++]]);
+    while (j < m) ops.push(['insert', b[j++]]);
+
+    return ops;
+}
+
+/**
+ * Word-level diff of two texts
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {{segments: Array<{type: string, text: string}>, wordsAdded: number, wordsRemoved: number}}
+ *          Consecutive tokens of the same type are merged into one segment
+ */
+function diffWords(oldText, newText) {
+    const a = tokenize(oldText);
+    const b = tokenize(newText);
+
+    // Unchanged head and tail need no table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = [
+        ...a.slice(0, start).map((token) => ['equal', token]),
+        ...diffTokens(a.slice(start, endA), b.slice(start, endB)),
+        ...a.slice(endA).map((token) => ['equal', token])
+    ];
+
+    const segments = [];
+    let wordsAdded = 0;
+    let wordsRemoved = 0;
+
+    for (const [type, token] of ops) {
+        if (isWord(token)) {
+            if (type === 'insert') wordsAdded++;
+            if (type === 'delete') wordsRemoved++;
+        }
+
+        const last = segments[segments.length - 1];
+        if (last && last.type === type) {
+            last.text += token;
+        } else {
+            segments.push({ type, text: token });
+        }
+    }
+
+    return { segments, wordsAdded, wordsRemoved };
+}
+
+module.exports = {
+    MAX_DIFF_CELLS,
+    tokenize,
+    diffWords
+};
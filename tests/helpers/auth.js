@@ -0,0 +1,42 @@
+/**
+ * Test auth helper
+ */
+
+const request = require('supertest');
+
+let counter = 0;
+
+/**
+ * Register a fresh user through the API
+ * @returns {Promise<{token: string, refreshToken: string, user: Object, credentials: Object}>}
+ */
+async function registerUser(app, overrides = {}) {
+    counter++;
+    const credentials = {
+        name: `Test User ${counter}`,
+        email: `user${counter}.${Date.now()}@example.com`,
+        password: 'Test123456',
+        ...overrides
+    };
+
+    const res = await request(app).post('/api/auth/register').send(credentials);
+    if (res.status !== 201) {
+        throw new Error(`registerUser failed (${res.status}): ${JSON.stringify(res.body)}`);
+    }
+
+    return {
+        token: res.body.data.token,
+        refreshToken: res.body.data.refreshToken,
+        user: res.body.data.user,
+        credentials
+    };
+}
+
+function authHeader(token) {
+    return { Authorization: `Bearer ${token}` };
+}
+
+module.exports = {
+    registerUser,
+    authHeader
+};
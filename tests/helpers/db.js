@@ -0,0 +1,49 @@
+/**
+ * Test database helper
+ * Uses MONGODB_TEST_URI when set (local/CI MongoDB), otherwise an in-memory server
+ */
+
+const mongoose = require('mongoose');
+
+let memoryServer = null;
+
+async function connectTestDB() {
+    let uri = process.env.MONGODB_TEST_URI;
+
+    if (!uri) {
+        const { MongoMemoryServer } = require('mongodb-memory-server');
+        memoryServer = await MongoMemoryServer.create();
+        uri = memoryServer.getUri();
+    }
+
+    // One database per test file so files never see each other's data
+    await mongoose.connect(uri, {
+        dbName: `ai_marketing_test_${process.pid}_${Date.now()}`
+    });
+
+    // Build unique indexes up front (e.g. duplicate email checks)
+    await Promise.all(mongoose.modelNames().map((name) => mongoose.model(name).init()));
+}
+
+async function clearTestDB() {
+    const collections = Object.values(mongoose.connection.collections);
+    await Promise.all(collections.map((collection) => collection.deleteMany({})));
+}
+
+async function disconnectTestDB() {
+    if (mongoose.connection.readyState !== 0) {
+        await mongoose.connection.dropDatabase();
+        await mongoose.disconnect();
+    }
+
+    if (memoryServer) {
+        await memoryServer.stop();
+        memoryServer = null;
+    }
+}
+
+module.exports = {
+    connectTestDB,
+    clearTestDB,
+    disconnectTestDB
+};
@@ -0,0 +1,81 @@
+/**
+ * Stub Facebook Graph API server
+ * Local HTTP server implementing the endpoints used by the Facebook publisher.
+ * The token 'bad-token' is rejected like an expired OAuth token.
+ */
+
+const http = require('http');
+
+const PAGES = [
+    { id: '1001', name: 'Tiệm bánh Hoa Mai', category: 'Bakery', access_token: 'page-token-1001' }
+];
+
+function readBody(req) {
+    return new Promise((resolve) => {
+        let data = '';
+        req.on('data', (chunk) => { data += chunk; });
+        req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(data))));
+    });
+}
+
+/**
+ * Start the stub on a random port
+ * @returns {Promise<{url: string, requests: Array, close: Function}>}
+ */
+async function startGraphStub() {
+    const requests = [];
+    let nextId = 1;
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const params = req.method === 'POST' ? await readBody(req) : Object.fromEntries(url.searchParams);
+        const segments = url.pathname.split('/').filter(Boolean);
+        requests.push({ method: req.method, path: url.pathname, params });
+
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (params.access_token === 'bad-token') {
+            return send(400, {
+                error: { message: 'Error validating access token: Session has expired', type: 'OAuthException', code: 190 }
+            });
+        }
+
+        if (req.method === 'GET' && url.pathname === '/me/accounts') {
+            return send(200, { data: PAGES });
+        }
+
+        if (req.method === 'GET' && segments.length === 1) {
+            const page = PAGES.find((item) => item.id === segments[0]);
+            if (page) return send(200, { id: page.id, access_token: page.access_token });
+            return send(200, { id: segments[0], permalink_url: `https://www.facebook.com/${segments[0].replace('_', '/posts/')}` });
+        }
+
+        if (req.method === 'POST' && segments[1] === 'photos') {
+            const photoId = `photo${nextId++}`;
+            if (params.published === 'false') return send(200, { id: photoId });
+            return send(200, { id: photoId, post_id: `${segments[0]}_${nextId++}` });
+        }
+
+        if (req.method === 'POST' && segments[1] === 'feed') {
+            return send(200, { id: `${segments[0]}_${nextId++}` });
+        }
+
+        send(404, { error: { message: 'Unknown path', code: 803 } });
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((resolve) => server.close(resolve))
+    };
+}
+
+module.exports = {
+    startGraphStub,
+    PAGES
+};
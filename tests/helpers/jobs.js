@@ -0,0 +1,27 @@
+/**
+ * Test job helper
+ * Runs queued jobs inline instead of starting the polling worker
+ */
+
+const { runNextJob } = require('../../src/services/jobs');
+
+/**
+ * Process queued jobs until the queue is empty
+ * @param {number} maxJobs - Safety cap
+ * @returns {Promise<number>} Number of processed jobs
+ */
+async function drainJobs(maxJobs = 50) {
+    let processed = 0;
+
+    while (processed < maxJobs) {
+        const job = await runNextJob();
+        if (!job) break;
+        processed++;
+    }
+
+    return processed;
+}
+
+module.exports = {
+    drainJobs
+};
@@ -0,0 +1,41 @@
+/**
+ * Test mail helper
+ * Reads the mails written by the file mailer (MAIL_DRIVER=file)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getOutputDir } = require('../../src/services/mail/adapters/file.mailer');
+
+/**
+ * Mails sent to an address, oldest first
+ * @param {string} to
+ * @returns {Array<Object>}
+ */
+function getMailsTo(to) {
+    const outputDir = getOutputDir();
+    if (!fs.existsSync(outputDir)) return [];
+
+    return fs.readdirSync(outputDir)
+        .filter((file) => file.endsWith('.json'))
+        .sort()
+        .map((file) => JSON.parse(fs.readFileSync(path.join(outputDir, file), 'utf8')))
+        .filter((mail) => mail.to === to);
+}
+
+/**
+ * Token from the link in the latest mail sent to an address
+ * @param {string} to
+ * @returns {string|null}
+ */
+function getLatestToken(to) {
+    const mails = getMailsTo(to);
+    const latest = mails[mails.length - 1];
+    const match = latest && latest.text.match(/[?&]token=([^\s&]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+module.exports = {
+    getMailsTo,
+    getLatestToken
+};
@@ -0,0 +1,10 @@
+/**
+ * uuid shim for Jest
+ * uuid@13 ships ESM only, which Jest cannot require() on Node < 24.9; the app only uses v4
+ */
+
+const crypto = require('crypto');
+
+module.exports = {
+    v4: () => crypto.randomUUID()
+};
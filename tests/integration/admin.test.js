@@ -0,0 +1,121 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { Job } = require('../../src/models');
+const { promoteToAdmin } = require('../../create-admin');
+const { connectTestDB, disconnectTestDB } = require('../helpers/db');
+const { registerUser, authHeader } = require('../helpers/auth');
+
+beforeAll(connectTestDB);
+afterAll(disconnectTestDB);
+
+describe('Admin API', () => {
+    let adminToken;
+    let admin;
+    let member;
+    let memberToken;
+
+    beforeAll(async () => {
+        const adminAccount = await registerUser(app);
+        ({ token: adminToken, user: admin } = adminAccount);
+        await promoteToAdmin({ email: adminAccount.credentials.email });
+
+        ({ token: memberToken, user: member } = await registerUser(app, { name: 'Nguyễn Văn Thành Viên' }));
+
+        await request(app)
+            .post('/api/articles')
+            .set(authHeader(memberToken))
+            .send({ title: 'Bài 1', content: 'Nội dung', topic: 'Cà phê', purpose: 'sell' })
+            .expect(201);
+
+        await Job.create({
+            type: 'image',
+            userId: member.id,
+            status: 'failed',
+            lastError: 'Gemini quá tải',
+            finishedAt: new Date()
+        });
+    });
+
+    it('is restricted to admins', async () => {
+        const res = await request(app).get('/api/admin/users').set(authHeader(memberToken));
+        expect(res.status).toBe(403);
+    });
+
+    it('searches users and returns their content counts', async () => {
+        const res = await request(app)
+            .get('/api/admin/users')
+            .query({ search: 'thành viên' })
+            .set(authHeader(adminToken));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toHaveLength(1);
+        expect(res.body.data[0].counts).toEqual({
+            articles: 1,
+            videoScripts: 0,
+            productImages: 0,
+            marketingPlans: 0
+        });
+
+        const detail = await request(app).get(`/api/admin/users/${member.id}`).set(authHeader(adminToken));
+        expect(detail.body.data.counts.articles).toBe(1);
+        expect(detail.body.data.jobs).toEqual({ failed: 1 });
+        expect(detail.body.data.quota.plan).toBe('free');
+    });
+
+    it('deactivates and reactivates accounts', async () => {
+        const off = await request(app)
+            .patch(`/api/admin/users/${member.id}/status`)
+            .set(authHeader(adminToken))
+            .send({ isActive: false });
+        expect(off.body.data.isActive).toBe(false);
+
+        const blocked = await request(app).get('/api/auth/me').set(authHeader(memberToken));
+        expect(blocked.status).toBe(401);
+
+        await request(app)
+            .patch(`/api/admin/users/${member.id}/status`)
+            .set(authHeader(adminToken))
+            .send({ isActive: true })
+            .expect(200);
+
+        const self = await request(app)
+            .patch(`/api/admin/users/${admin.id}/status`)
+            .set(authHeader(adminToken))
+            .send({ isActive: false });
+        expect(self.status).toBe(400);
+    });
+
+    it('changes roles and plans', async () => {
+        const role = await request(app)
+            .patch(`/api/admin/users/${member.id}/role`)
+            .set(authHeader(adminToken))
+            .send({ role: 'admin' });
+        expect(role.body.data.role).toBe('admin');
+
+        const invalidRole = await request(app)
+            .patch(`/api/admin/users/${member.id}/role`)
+            .set(authHeader(adminToken))
+            .send({ role: 'owner' });
+        expect(invalidRole.status).toBe(400);
+
+        const plan = await request(app)
+            .patch(`/api/admin/users/${member.id}/plan`)
+            .set(authHeader(adminToken))
+            .send({ plan: 'agency' });
+        expect(plan.body.data.plan).toBe('agency');
+    });
+
+    it('lists failed generations across users', async () => {
+        const res = await request(app).get('/api/admin/jobs/failed').set(authHeader(adminToken));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toHaveLength(1);
+        expect(res.body.data[0]).toMatchObject({ type: 'image', error: 'Gemini quá tải' });
+        expect(res.body.data[0].user.email).toBeTruthy();
+    });
+
+    it('returns 404 for unknown users', async () => {
+        const res = await request(app).get('/api/admin/users/000000000000000000000000').set(authHeader(adminToken));
+        expect(res.status).toBe(404);
+    });
+});
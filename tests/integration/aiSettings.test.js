@@ -0,0 +1,50 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { connectTestDB, disconnectTestDB } = require('../helpers/db');
+const { registerUser, authHeader } = require('../helpers/auth');
+
+beforeAll(connectTestDB);
+afterAll(disconnectTestDB);
+
+describe('AI Settings API', () => {
+    let token;
+
+    beforeAll(async () => {
+        ({ token } = await registerUser(app));
+    });
+
+    it('returns defaults before anything is saved', async () => {
+        const res = await request(app).get('/api/ai-settings').set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.logo).toMatchObject({ brandName: '', logoUrl: '' });
+    });
+
+    it('creates settings with PUT and updates a single section with PATCH', async () => {
+        const put = await request(app)
+            .put('/api/ai-settings')
+            .set(authHeader(token))
+            .send({ logo: { brandName: 'Cà Phê Mộc', logoUrl: '/uploads/images/general/logo.png' } });
+
+        expect(put.status).toBe(200);
+        expect(put.body.data.logo.brandName).toBe('Cà Phê Mộc');
+
+        const patch = await request(app)
+            .patch('/api/ai-settings/colors')
+            .set(authHeader(token))
+            .send({ primaryColor: '#000000', backgroundColor: '#FFFFFF' });
+
+        expect(patch.status).toBe(200);
+        expect(patch.body.data.colors.primaryColor).toBe('#000000');
+        expect(patch.body.data.logo.brandName).toBe('Cà Phê Mộc');
+    });
+
+    it('rejects unknown sections', async () => {
+        const res = await request(app)
+            .patch('/api/ai-settings/unknown')
+            .set(authHeader(token))
+            .send({});
+
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,559 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { Article, Job } = require('../../src/models');
+const { connectTestDB, disconnectTestDB } = require('../helpers/db');
+const { registerUser, authHeader } = require('../helpers/auth');
+const { drainJobs } = require('../helpers/jobs');
+const geminiService = require('../../src/services/gemini');
+
+beforeAll(connectTestDB);
+afterAll(disconnectTestDB);
+
+describe('Articles API', () => {
+    let token;
+    let otherToken;
+
+    beforeAll(async () => {
+        ({ token } = await registerUser(app));
+        ({ token: otherToken } = await registerUser(app));
+    });
+
+    it('supports create, list, read, update and delete', async () => {
+        const created = await request(app)
+            .post('/api/articles')
+            .set(authHeader(token))
+            .send({ title: 'Bài viết 1', content: 'Nội dung', topic: 'Cà phê', purpose: 'sell', hashtags: ['#cafe'] });
+
+        expect(created.status).toBe(201);
+        const id = created.body.data._id;
+
+        const list = await request(app).get('/api/articles').set(authHeader(token));
+        expect(list.status).toBe(200);
+        expect(list.body.data.articles).toHaveLength(1);
+
+        const updated = await request(app)
+            .put(`/api/articles/${id}`)
+            .set(authHeader(token))
+            .send({ title: 'Bài viết đã sửa', status: 'published' });
+        expect(updated.status).toBe(200);
+        expect(updated.body.data).toMatchObject({ title: 'Bài viết đã sửa', status: 'published' });
+
+        const foreign = await request(app).get(`/api/articles/${id}`).set(authHeader(otherToken));
+        expect(foreign.status).toBe(404);
+
+        const removed = await request(app).delete(`/api/articles/${id}`).set(authHeader(token));
+        expect(removed.status).toBe(200);
+
+        const missing = await request(app).get(`/api/articles/${id}`).set(authHeader(token));
+        expect(missing.status).toBe(404);
+    });
+
+    it('validates article payloads', async () => {
+        const res = await request(app)
+            .post('/api/articles')
+            .set(authHeader(token))
+            .send({ title: 'Thiếu nội dung' });
+
+        expect(res.status).toBe(400);
+    });
+
+    it('previews an AI article synchronously', async () => {
+        const res = await request(app)
+            .post('/api/ai/generate-article')
+            .set(authHeader(token))
+            .send({ topic: 'Trà sữa', purpose: 'introduce', description: 'Ra mắt vị mới', wordCount: 40 });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.title).toContain('Trà sữa');
+        expect(res.body.data.hashtags.length).toBeGreaterThan(0);
+        expect(res.body.data.wordCountCheck).toMatchObject({ target: 40, actual: 40, passes: 0, withinTolerance: true });
+    });
+
+    it('generates and saves an article through a background job', async () => {
+        const res = await request(app)
+            .post('/api/ai/generate-and-save')
+            .set(authHeader(token))
+            .send({ topic: 'Bánh mì', purpose: 'sell', description: 'Khuyến mãi cuối tuần', wordCount: 60 });
+
+        expect(res.status).toBe(202);
+        expect(res.body.data.article.status).toBe('processing');
+        const { jobId } = res.body.data;
+
+        await drainJobs();
+
+        const job = await request(app).get(`/api/jobs/${jobId}`).set(authHeader(token));
+        expect(job.status).toBe(200);
+        expect(job.body.data).toMatchObject({ status: 'completed', type: 'article' });
+
+        const article = await request(app)
+            .get(`/api/articles/${res.body.data.article._id}`)
+            .set(authHeader(token));
+        expect(article.body.data.status).toBe('draft');
+        expect(article.body.data.title).toContain('Bánh mì');
+    });
+
+    it('marks the placeholder failed when the job cannot be queued', async () => {
+        const createJob = jest.spyOn(Job, 'create').mockRejectedValueOnce(new Error('queue down'));
+
+        const res = await request(app)
+            .post('/api/ai/generate-and-save')
+            .set(authHeader(token))
+            .send({ topic: 'Bánh bao', purpose: 'sell', description: 'Khuyến mãi cuối tuần', wordCount: 60 });
+        createJob.mockRestore();
+
+        expect(res.status).toBe(500);
+        const placeholder = await Article.findOne({ topic: 'Bánh bao' });
+        expect(placeholder.status).toBe('failed');
+    });
+
+    it('requires topic, purpose and description', async () => {
+        const res = await request(app)
+            .post('/api/ai/generate-and-save')
+            .set(authHeader(token))
+            .send({ topic: 'Bánh mì' });
+
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('A/B article variants', () => {
+    let token;
+
+    beforeAll(async () => {
+        ({ token } = await registerUser(app));
+    });
+
+    it('generates scored variants ranked best first, one article quota each', async () => {
+        const res = await request(app)
+            .post('/api/ai/generate-article')
+            .set(authHeader(token))
+            .send({ topic: 'Cà phê muối', purpose: 'sell', description: 'Ra mắt size lớn', wordCount: 40, variants: 3 });
+
+        expect(res.status).toBe(200);
+        expect(res.headers['x-quota-remaining']).toBe('27');
+        expect(res.body.data.scored).toBe(true);
+
+        const { variants } = res.body.data;
+        expect(variants.map((variant) => variant.rank)).toEqual([1, 2, 3]);
+        expect(variants.map((variant) => variant.angle)).toEqual(['question', 'story', 'benefit']);
+        expect(variants[0].score.overall).toBeGreaterThan(variants[2].score.overall);
+        expect(Object.keys(variants[0].score.criteria)).toEqual(['hookStrength', 'brandVoiceFit', 'ctaClarity', 'readability']);
+        expect(new Set(variants.map((variant) => variant.writingStyle)).size).toBe(3);
+    });
+
+    it('saves the chosen variant with the others as alternates and swaps them', async () => {
+        const preview = await request(app)
+            .post('/api/ai/generate-article')
+            .set(authHeader(token))
+            .send({ topic: 'Bánh flan', purpose: 'introduce', description: 'Món mới', wordCount: 30, variants: 2 });
+        const [best, other] = preview.body.data.variants;
+
+        const created = await request(app)
+            .post('/api/articles')
+            .set(authHeader(token))
+            .send({
+                title: best.title,
+                content: best.content,
+                hashtags: best.hashtags,
+                topic: 'Bánh flan',
+                purpose: 'introduce',
+                variant: best,
+                alternates: [other]
+            });
+
+        expect(created.status).toBe(201);
+        expect(created.body.data.variant).toMatchObject({ angle: best.angle, rank: 1 });
+        expect(created.body.data.alternates).toHaveLength(1);
+        expect(created.body.data.alternates[0]).toMatchObject({ angle: other.angle, title: other.title, rank: 2 });
+
+        const list = await request(app).get('/api/articles').set(authHeader(token));
+        expect(list.body.data.articles[0].alternates).toBeUndefined();
+
+        const articleId = created.body.data._id;
+        const alternateId = created.body.data.alternates[0]._id;
+        const swapped = await request(app)
+            .post(`/api/articles/${articleId}/alternates/${alternateId}/select`)
+            .set(authHeader(token));
+
+        expect(swapped.status).toBe(200);
+        expect(swapped.body.data.title).toBe(other.title);
+        expect(swapped.body.data.variant).toMatchObject({ angle: other.angle, rank: 2 });
+        expect(swapped.body.data.alternates.map((alternate) => alternate.title)).toEqual([best.title]);
+
+        await request(app)
+            .post(`/api/articles/${articleId}/alternates/${alternateId}/select`)
+            .set(authHeader(token))
+            .expect(404);
+    });
+
+    it('does not generate AI images in variants mode', async () => {
+        const res = await request(app)
+            .post('/api/ai/generate-article')
+            .set(authHeader(token))
+            .send({ mode: 'ai_image', topic: 'Trà đào', purpose: 'sell', description: 'Mùa hè', variants: 2 });
+
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('Article revisions', () => {
+    let token;
+    let articleId;
+
+    beforeAll(async () => {
+        ({ token } = await registerUser(app));
+
+        const created = await request(app)
+            .post('/api/articles')
+            .set(authHeader(token))
+            .send({ title: 'Cà phê sữa', content: 'Cà phê sữa đá ngon tuyệt', topic: 'Cà phê', purpose: 'sell', hashtags: ['#caphe'] });
+        articleId = created.body.data._id;
+    });
+
+    it('records every save that changes the text', async () => {
+        await request(app)
+            .put(`/api/articles/${articleId}`)
+            .set(authHeader(token))
+            .send({ content: 'Cà phê muối ngon tuyệt vời', hashtags: ['#caphe', '#caphemuoi'] })
+            .expect(200);
+
+        // Status only: no new revision
+        await request(app)
+            .put(`/api/articles/${articleId}`)
+            .set(authHeader(token))
+            .send({ status: 'draft' })
+            .expect(200);
+
+        const res = await request(app).get(`/api/articles/${articleId}/revisions`).set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.map((revision) => [revision.number, revision.source])).toEqual([[2, 'manual'], [1, 'manual']]);
+        expect(res.body.data[0].content).toBeUndefined();
+        expect(res.body.data[0].userId.email).toBeTruthy();
+    });
+
+    it('diffs two revisions word by word', async () => {
+        const res = await request(app)
+            .get(`/api/articles/${articleId}/revisions/diff?from=1&to=2`)
+            .set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.content.segments).toEqual([
+            { type: 'equal', text: 'Cà phê ' },
+            { type: 'delete', text: 'sữa đá' },
+            { type: 'insert', text: 'muối' },
+            { type: 'equal', text: ' ngon tuyệt' },
+            { type: 'insert', text: ' vời' }
+        ]);
+        expect(res.body.data.hashtags).toEqual({ added: ['#caphemuoi'], removed: [] });
+
+        await request(app)
+            .get(`/api/articles/${articleId}/revisions/diff?from=1&to=9`)
+            .set(authHeader(token))
+            .expect(404);
+    });
+
+    it('records AI rewrites with the instruction and model', async () => {
+        const res = await request(app)
+            .post(`/api/articles/${articleId}/regenerate`)
+            .set(authHeader(token))
+            .send({ regenerateInstruction: 'Ngắn gọn hơn', wordCount: 20 });
+
+        expect(res.status).toBe(202);
+        await drainJobs();
+
+        const revision = await request(app).get(`/api/articles/${articleId}/revisions/3`).set(authHeader(token));
+        expect(revision.body.data).toMatchObject({ source: 'ai', instruction: 'Ngắn gọn hơn' });
+        expect(revision.body.data.modelName).toBeTruthy();
+
+        const article = await request(app).get(`/api/articles/${articleId}`).set(authHeader(token));
+        expect(article.body.data.content).toBe(revision.body.data.content);
+        expect(article.body.data.status).toBe('draft');
+    });
+
+    it('restores an older revision as a new revision', async () => {
+        const res = await request(app)
+            .post(`/api/articles/${articleId}/revisions/1/restore`)
+            .set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.article).toMatchObject({ content: 'Cà phê sữa đá ngon tuyệt', hashtags: ['#caphe'] });
+        expect(res.body.data.revision).toMatchObject({ number: 4, source: 'manual', restoredFrom: 1 });
+
+        await request(app)
+            .post(`/api/articles/${articleId}/revisions/42/restore`)
+            .set(authHeader(token))
+            .expect(404);
+    });
+
+    it('keeps the text of articles written before the history as a baseline', async () => {
+        const existing = await Article.findById(articleId);
+        const legacy = await Article.create({
+            userId: existing.userId,
+            workspaceId: existing.workspaceId,
+            title: 'Bài cũ',
+            content: 'Nội dung cũ',
+            topic: 'Cũ',
+            purpose: 'introduce'
+        });
+
+        await request(app)
+            .put(`/api/articles/${legacy._id}`)
+            .set(authHeader(token))
+            .send({ content: 'Nội dung mới' })
+            .expect(200);
+
+        const res = await request(app).get(`/api/articles/${legacy._id}/revisions/1`).set(authHeader(token));
+        expect(res.body.data.content).toBe('Nội dung cũ');
+    });
+
+    it('drops a rewrite when the text was edited before it finished', async () => {
+        const created = await request(app)
+            .post('/api/articles')
+            .set(authHeader(token))
+            .send({ title: 'Trà đào', content: 'Trà đào cam sả mát lạnh', topic: 'Trà', purpose: 'sell' });
+        const id = created.body.data._id;
+
+        const res = await request(app)
+            .post(`/api/articles/${id}/regenerate`)
+            .set(authHeader(token))
+            .send({ regenerateInstruction: 'Vui tươi hơn' });
+        expect(res.status).toBe(202);
+        expect(res.body.data.article.rewriteJobId).toBe(res.body.data.jobId);
+
+        await request(app)
+            .put(`/api/articles/${id}`)
+            .set(authHeader(token))
+            .send({ content: 'Trà đào tự tay tôi viết' })
+            .expect(200);
+
+        await drainJobs();
+
+        const job = await request(app).get(`/api/jobs/${res.body.data.jobId}`).set(authHeader(token));
+        expect(job.body.data).toMatchObject({ status: 'completed', result: { applied: false } });
+
+        const article = await Article.findById(id);
+        expect(article.content).toBe('Trà đào tự tay tôi viết');
+        expect(article.rewriteJobId).toBeNull();
+    });
+
+    it('does not rewrite or restore a published article', async () => {
+        const created = await request(app)
+            .post('/api/articles')
+            .set(authHeader(token))
+            .send({ title: 'Đã đăng', content: 'Bài đã lên trang', topic: 'Trà', purpose: 'sell' });
+
+        await Article.updateOne({ _id: created.body.data._id }, { status: 'published' });
+
+        const res = await request(app)
+            .post(`/api/articles/${created.body.data._id}/regenerate`)
+            .set(authHeader(token))
+            .send({});
+        expect(res.status).toBe(409);
+
+        const restore = await request(app)
+            .post(`/api/articles/${created.body.data._id}/revisions/1/restore`)
+            .set(authHeader(token));
+        expect(restore.status).toBe(409);
+    });
+});
+
+describe('Article channel repurpose', () => {
+    let token;
+    let articleId;
+
+    beforeAll(async () => {
+        ({ token } = await registerUser(app));
+
+        const created = await request(app)
+            .post('/api/articles')
+            .set(authHeader(token))
+            .send({ title: 'Cà phê muối', content: 'Cà phê muối thơm béo, giảm 20% tuần này', topic: 'Cà phê', purpose: 'sell' });
+        articleId = created.body.data._id;
+    });
+
+    it('rejects unknown channels', async () => {
+        const res = await request(app)
+            .post(`/api/articles/${articleId}/repurpose`)
+            .set(authHeader(token))
+            .send({ channels: ['instagram', 'myspace'] });
+
+        expect(res.status).toBe(400);
+    });
+
+    it('saves one child per channel within its limits', async () => {
+        const res = await request(app)
+            .post(`/api/articles/${articleId}/repurpose`)
+            .set(authHeader(token))
+            .send({ channels: ['instagram', 'tiktok', 'blog', 'email'] });
+
+        expect(res.status).toBe(202);
+        expect(res.body.data.channels).toEqual(['instagram', 'tiktok', 'blog', 'email']);
+        await drainJobs();
+
+        const children = await request(app).get(`/api/articles/${articleId}/children`).set(authHeader(token));
+        expect(children.status).toBe(200);
+
+        const byChannel = Object.fromEntries(children.body.data.map((child) => [child.channel, child]));
+        expect(Object.keys(byChannel)).toEqual(['instagram', 'tiktok', 'blog', 'email']);
+        expect(byChannel.instagram.hashtags).toHaveLength(30);
+        expect(byChannel.tiktok.hashtags).toHaveLength(5);
+        expect(byChannel.blog.hashtags).toEqual([]);
+        expect(byChannel.blog.channelFields.metaDescription.length).toBeLessThanOrEqual(160);
+        expect(byChannel.email.channelFields.subject).toBeTruthy();
+        expect(byChannel.email.parentArticleId).toBe(articleId);
+        expect(byChannel.email.revisionCount).toBe(1);
+
+        // Children stay out of the article list unless asked for
+        const list = await request(app).get('/api/articles').set(authHeader(token));
+        expect(list.body.data.articles.map((article) => article._id)).toEqual([articleId]);
+
+        const all = await request(app).get('/api/articles?includeChildren=true').set(authHeader(token));
+        expect(all.body.data.pagination.total).toBe(5);
+    });
+
+    it('replaces the child of a channel on a second run', async () => {
+        await request(app)
+            .post(`/api/articles/${articleId}/repurpose`)
+            .set(authHeader(token))
+            .send({ channels: 'tiktok' })
+            .expect(202);
+        await drainJobs();
+
+        const tiktok = await Article.find({ parentArticleId: articleId, channel: 'tiktok' });
+        expect(tiktok).toHaveLength(1);
+        expect(tiktok[0].revisionCount).toBe(2);
+
+        // A child cannot be repurposed itself
+        await request(app)
+            .post(`/api/articles/${tiktok[0]._id}/repurpose`)
+            .set(authHeader(token))
+            .send({})
+            .expect(400);
+    });
+
+    it('keeps published children and refunds the channels that failed', async () => {
+        const { token: ownToken } = await registerUser(app);
+        const created = await request(app)
+            .post('/api/articles')
+            .set(authHeader(ownToken))
+            .send({ title: 'Trà sữa', content: 'Trà sữa trân châu đường đen', topic: 'Trà', purpose: 'sell' });
+        const parentId = created.body.data._id;
+
+        await request(app)
+            .post(`/api/articles/${parentId}/repurpose`)
+            .set(authHeader(ownToken))
+            .send({ channels: 'tiktok' })
+            .expect(202);
+        await drainJobs();
+        const published = await Article.findOneAndUpdate(
+            { parentArticleId: parentId, channel: 'tiktok' },
+            { status: 'published' },
+            { new: true }
+        );
+
+        const original = geminiService.repurposeArticle;
+        const repurpose = jest.spyOn(geminiService, 'repurposeArticle').mockImplementation((parent, channel, options) => (
+            channel === 'instagram' ? Promise.reject(new Error('AI lỗi')) : original(parent, channel, options)
+        ));
+
+        const before = await request(app).get('/api/usage/quota').set(authHeader(ownToken));
+        await request(app)
+            .post(`/api/articles/${parentId}/repurpose`)
+            .set(authHeader(ownToken))
+            .send({ channels: ['tiktok', 'instagram'] })
+            .expect(202);
+        await drainJobs();
+        repurpose.mockRestore();
+
+        const after = await request(app).get('/api/usage/quota').set(authHeader(ownToken));
+        expect(after.body.data.tools.article.used).toBe(before.body.data.tools.article.used + 1);
+
+        const tiktok = await Article.find({ parentArticleId: parentId, channel: 'tiktok' }).sort({ createdAt: 1 });
+        expect(tiktok).toHaveLength(2);
+        expect(tiktok[0]).toMatchObject({ status: 'published', content: published.content });
+        expect(tiktok[1].status).toBe('draft');
+    });
+
+    it('keeps the children as standalone articles when the parent is deleted', async () => {
+        await request(app).delete(`/api/articles/${articleId}`).set(authHeader(token)).expect(200);
+
+        const list = await request(app).get('/api/articles').set(authHeader(token));
+        expect(list.body.data.pagination.total).toBe(4);
+    });
+});
+
+describe('SEO long-form articles', () => {
+    let token;
+    let outline;
+
+    beforeAll(async () => {
+        ({ token } = await registerUser(app));
+
+        await request(app)
+            .put('/api/ai-settings')
+            .set(authHeader(token))
+            .send({ language: { keywords: ['cà phê Huế', 'kem muối'] } })
+            .expect(200);
+    });
+
+    it('requires a target keyword for the outline', async () => {
+        const res = await request(app)
+            .post('/api/ai/seo-outline')
+            .set(authHeader(token))
+            .send({ topic: 'seo_sem' });
+
+        expect(res.status).toBe(400);
+    });
+
+    it('previews an outline with the brand keywords as secondary keywords', async () => {
+        const res = await request(app)
+            .post('/api/ai/seo-outline')
+            .set(authHeader(token))
+            .send({ topic: 'seo_sem', purpose: 'share_knowledge', targetKeyword: 'cà phê muối', wordCount: 1200 });
+
+        expect(res.status).toBe(200);
+        expect(res.headers['x-quota-remaining']).toBeDefined();
+        ({ outline } = res.body.data);
+        expect(outline.targetKeyword).toBe('cà phê muối');
+        expect(outline.secondaryKeywords).toEqual(['cà phê Huế', 'kem muối']);
+        expect(outline.sections.length).toBeGreaterThan(0);
+        expect(outline.faq.length).toBeGreaterThan(0);
+    });
+
+    it('writes the edited outline section by section', async () => {
+        const edited = { ...outline, sections: [...outline.sections.slice(0, 2), { heading: 'Pha cà phê muối tại nhà', subheadings: ['Nguyên liệu'] }] };
+
+        const res = await request(app)
+            .post('/api/ai/seo-article')
+            .set(authHeader(token))
+            .send({ topic: 'seo_sem', purpose: 'share_knowledge', outline: edited });
+
+        expect(res.status).toBe(202);
+        const articleId = res.body.data.article._id;
+        await drainJobs();
+
+        const job = await request(app).get(`/api/jobs/${res.body.data.jobId}`).set(authHeader(token));
+        expect(job.body.data.result.generated.wordCountCheck).toMatchObject({ target: 1200, withinTolerance: true });
+
+        const seo = await request(app).get(`/api/articles/${articleId}/seo`).set(authHeader(token));
+        expect(seo.status).toBe(200);
+        expect(seo.body.data.markdown).toContain('## Pha cà phê muối tại nhà');
+        expect(seo.body.data.markdown).toContain('### Nguyên liệu');
+        expect(seo.body.data.html).toContain('<h2>Pha cà phê muối tại nhà</h2>');
+        expect(seo.body.data.metaTitle.length).toBeLessThanOrEqual(60);
+        expect(seo.body.data.metaDescription.length).toBeLessThanOrEqual(160);
+        expect(seo.body.data.slug).toBe('ca-phe-muoi');
+        expect(seo.body.data.faqSchema['@type']).toBe('FAQPage');
+        expect(seo.body.data.keywordReport.keywords[0]).toMatchObject({ keyword: 'cà phê muối', type: 'target' });
+        expect(seo.body.data.keywordReport.keywords[0].count).toBeGreaterThan(0);
+    });
+
+    it('rejects an outline without sections', async () => {
+        await request(app)
+            .post('/api/ai/seo-article')
+            .set(authHeader(token))
+            .send({ outline: { ...outline, sections: [] } })
+            .expect(400);
+    });
+});
@@ -0,0 +1,257 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { connectTestDB, disconnectTestDB } = require('../helpers/db');
+const { registerUser, authHeader } = require('../helpers/auth');
+const { getMailsTo, getLatestToken } = require('../helpers/mail');
+const { setMailer } = require('../../src/services/mail');
+
+beforeAll(connectTestDB);
+afterAll(disconnectTestDB);
+
+describe('Auth API', () => {
+    it('registers a user and returns a token', async () => {
+        const res = await request(app)
+            .post('/api/auth/register')
+            .send({ name: 'Nguyễn Văn A', email: 'a@example.com', password: 'Test123456' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.success).toBe(true);
+        expect(res.body.data.token).toEqual(expect.any(String));
+        expect(res.body.data.user).toMatchObject({ email: 'a@example.com', role: 'user' });
+    });
+
+    it('rejects a duplicate email', async () => {
+        const { credentials } = await registerUser(app);
+
+        const res = await request(app).post('/api/auth/register').send(credentials);
+
+        expect(res.status).toBe(400);
+        expect(res.body.success).toBe(false);
+    });
+
+    it('logs in with valid credentials only', async () => {
+        const { credentials } = await registerUser(app);
+
+        const ok = await request(app)
+            .post('/api/auth/login')
+            .send({ email: credentials.email, password: credentials.password });
+        expect(ok.status).toBe(200);
+        expect(ok.body.data.token).toEqual(expect.any(String));
+
+        const wrong = await request(app)
+            .post('/api/auth/login')
+            .send({ email: credentials.email, password: 'wrong-password' });
+        expect(wrong.status).toBe(401);
+
+        const missing = await request(app).post('/api/auth/login').send({ email: credentials.email });
+        expect(missing.status).toBe(400);
+    });
+
+    it('protects /me', async () => {
+        const { token, user } = await registerUser(app);
+
+        const anonymous = await request(app).get('/api/auth/me');
+        expect(anonymous.status).toBe(401);
+
+        const invalid = await request(app).get('/api/auth/me').set(authHeader('not-a-token'));
+        expect(invalid.status).toBe(401);
+
+        const res = await request(app).get('/api/auth/me').set(authHeader(token));
+        expect(res.status).toBe(200);
+        expect(res.body.data.email).toBe(user.email);
+    });
+
+    describe('sessions', () => {
+        async function login(credentials) {
+            const res = await request(app)
+                .post('/api/auth/login')
+                .send({ email: credentials.email, password: credentials.password });
+            return res.body.data;
+        }
+
+        it('rotates refresh tokens and rejects reuse of an old one', async () => {
+            const { token, refreshToken } = await registerUser(app);
+            expect(refreshToken).toEqual(expect.any(String));
+
+            const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken });
+            expect(refreshed.status).toBe(200);
+            expect(refreshed.body.data.refreshToken).not.toBe(refreshToken);
+
+            const me = await request(app).get('/api/auth/me').set(authHeader(refreshed.body.data.token));
+            expect(me.status).toBe(200);
+
+            // Replaying the rotated token revokes the session
+            const replay = await request(app).post('/api/auth/refresh').send({ refreshToken });
+            expect(replay.status).toBe(401);
+
+            const revoked = await request(app).get('/api/auth/me').set(authHeader(token));
+            expect(revoked.status).toBe(401);
+
+            const next = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: refreshed.body.data.refreshToken });
+            expect(next.status).toBe(401);
+        });
+
+        it('revokes the current session on logout', async () => {
+            const { token, refreshToken } = await registerUser(app);
+
+            await request(app).post('/api/auth/logout').set(authHeader(token)).expect(200);
+
+            expect((await request(app).get('/api/auth/me').set(authHeader(token))).status).toBe(401);
+            expect((await request(app).post('/api/auth/refresh').send({ refreshToken })).status).toBe(401);
+        });
+
+        it('logs out all devices', async () => {
+            const { credentials, token: laptop } = await registerUser(app);
+            const phone = await login(credentials);
+
+            await request(app).post('/api/auth/logout-all').set(authHeader(phone.token)).expect(200);
+
+            expect((await request(app).get('/api/auth/me').set(authHeader(laptop))).status).toBe(401);
+            expect((await request(app).get('/api/auth/me').set(authHeader(phone.token))).status).toBe(401);
+            expect((await request(app).post('/api/auth/refresh').send({ refreshToken: phone.refreshToken })).status).toBe(401);
+        });
+
+        it('revokes other sessions when the password changes', async () => {
+            const { credentials, token: laptop } = await registerUser(app);
+            const phone = await login(credentials);
+
+            const res = await request(app)
+                .put('/api/users/change-password')
+                .set(authHeader(phone.token))
+                .send({ currentPassword: credentials.password, newPassword: 'NewPass123' });
+            expect(res.status).toBe(200);
+
+            expect((await request(app).get('/api/auth/me').set(authHeader(laptop))).status).toBe(401);
+            expect((await request(app).get('/api/auth/me').set(authHeader(res.body.data.token))).status).toBe(200);
+
+            const relogin = await login({ ...credentials, password: 'NewPass123' });
+            expect(relogin.token).toEqual(expect.any(String));
+        });
+
+        it('can send the refresh token as an httpOnly cookie', async () => {
+            process.env.AUTH_REFRESH_COOKIE = 'true';
+            try {
+                const { credentials } = await registerUser(app);
+                const res = await request(app)
+                    .post('/api/auth/login')
+                    .send({ email: credentials.email, password: credentials.password });
+
+                expect(res.body.data.refreshToken).toBeUndefined();
+                const cookie = res.headers['set-cookie'].find((value) => value.startsWith('refreshToken='));
+                expect(cookie).toContain('HttpOnly');
+
+                const refreshed = await request(app)
+                    .post('/api/auth/refresh')
+                    .set('Cookie', cookie.split(';')[0]);
+                expect(refreshed.status).toBe(200);
+            } finally {
+                delete process.env.AUTH_REFRESH_COOKIE;
+            }
+        });
+    });
+
+    describe('account recovery', () => {
+        it('sends a verification email on register and verifies the address', async () => {
+            const { token, user, credentials } = await registerUser(app);
+            expect(user.isEmailVerified).toBe(false);
+
+            const verificationToken = getLatestToken(credentials.email);
+            expect(verificationToken).toEqual(expect.any(String));
+
+            const res = await request(app).post('/api/auth/verify-email').send({ token: verificationToken });
+            expect(res.status).toBe(200);
+            expect(res.body.data.isEmailVerified).toBe(true);
+
+            const reused = await request(app).post('/api/auth/verify-email').send({ token: verificationToken });
+            expect(reused.status).toBe(400);
+
+            const resend = await request(app).post('/api/auth/resend-verification').set(authHeader(token));
+            expect(resend.status).toBe(400);
+        });
+
+        it('resends the verification email with a new link', async () => {
+            const { token, credentials } = await registerUser(app);
+            const first = getLatestToken(credentials.email);
+
+            await request(app).post('/api/auth/resend-verification').set(authHeader(token)).expect(200);
+
+            const second = getLatestToken(credentials.email);
+            expect(second).not.toBe(first);
+            expect((await request(app).post('/api/auth/verify-email').send({ token: first })).status).toBe(400);
+            expect((await request(app).post('/api/auth/verify-email').send({ token: second })).status).toBe(200);
+        });
+
+        it('answers forgot-password the same way for unknown emails', async () => {
+            const res = await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: 'nobody@example.com' });
+
+            expect(res.status).toBe(200);
+            expect(getMailsTo('nobody@example.com')).toHaveLength(0);
+
+            const missing = await request(app).post('/api/auth/forgot-password').send({});
+            expect(missing.status).toBe(400);
+        });
+
+        it('answers forgot-password the same way when the mail cannot be sent', async () => {
+            const { credentials } = await registerUser(app);
+
+            setMailer({ send: async () => { throw new Error('SMTP unavailable'); } });
+            let res;
+            try {
+                res = await request(app)
+                    .post('/api/auth/forgot-password')
+                    .send({ email: credentials.email });
+            } finally {
+                setMailer();
+            }
+
+            expect(res.status).toBe(200);
+        });
+
+        it('resets the password once and signs out every device', async () => {
+            const { token, refreshToken, credentials } = await registerUser(app);
+
+            await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: credentials.email })
+                .expect(200);
+
+            const resetToken = getLatestToken(credentials.email);
+
+            // A verification token cannot be used to reset the password
+            const verifyToken = getMailsTo(credentials.email)[0].text.match(/token=(\S+)/)[1];
+            expect((await request(app).post('/api/auth/reset-password').send({ token: verifyToken, password: 'NewPass123' })).status).toBe(400);
+
+            const short = await request(app).post('/api/auth/reset-password').send({ token: resetToken, password: '123' });
+            expect(short.status).toBe(400);
+
+            for (const password of [[1, 2, 3, 4, 5, 6], 123456, { length: 8 }]) {
+                const invalid = await request(app).post('/api/auth/reset-password').send({ token: resetToken, password });
+                expect(invalid.status).toBe(400);
+            }
+
+            const res = await request(app).post('/api/auth/reset-password').send({ token: resetToken, password: 'NewPass123' });
+            expect(res.status).toBe(200);
+
+            const reused = await request(app).post('/api/auth/reset-password').send({ token: resetToken, password: 'Other123' });
+            expect(reused.status).toBe(400);
+
+            expect((await request(app).get('/api/auth/me').set(authHeader(token))).status).toBe(401);
+            expect((await request(app).post('/api/auth/refresh').send({ refreshToken })).status).toBe(401);
+
+            const oldLogin = await request(app)
+                .post('/api/auth/login')
+                .send({ email: credentials.email, password: credentials.password });
+            expect(oldLogin.status).toBe(401);
+
+            const newLogin = await request(app)
+                .post('/api/auth/login')
+                .send({ email: credentials.email, password: 'NewPass123' });
+            expect(newLogin.status).toBe(200);
+            expect(newLogin.body.data.user.isEmailVerified).toBe(true);
+        });
+    });
+});
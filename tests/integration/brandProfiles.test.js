@@ -0,0 +1,154 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { connectTestDB, disconnectTestDB } = require('../helpers/db');
+const { registerUser, authHeader } = require('../helpers/auth');
+const { getLatestToken } = require('../helpers/mail');
+const { drainJobs } = require('../helpers/jobs');
+
+beforeAll(connectTestDB);
+afterAll(disconnectTestDB);
+
+describe('Brand profiles API', () => {
+    let owner;
+    let other;
+    let profileId;
+
+    beforeAll(async () => {
+        owner = await registerUser(app);
+        other = await registerUser(app);
+
+        const res = await request(app)
+            .post('/api/brand-profiles')
+            .set(authHeader(owner.token))
+            .send({
+                name: 'Tiệm bánh Hoa Mai',
+                tone: { overallTone: ['Thân thiện'] },
+                product: { productGroups: ['Bánh mì'] }
+            });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data).toMatchObject({ name: 'Tiệm bánh Hoa Mai', archivedAt: null });
+        profileId = res.body.data._id;
+    });
+
+    it('requires a name', async () => {
+        const res = await request(app)
+            .post('/api/brand-profiles')
+            .set(authHeader(owner.token))
+            .send({ name: '  ' });
+
+        expect(res.status).toBe(400);
+    });
+
+    it('clones, archives and restores profiles', async () => {
+        const clone = await request(app)
+            .post(`/api/brand-profiles/${profileId}/clone`)
+            .set(authHeader(owner.token))
+            .send({});
+
+        expect(clone.status).toBe(201);
+        expect(clone.body.data.name).toBe('Tiệm bánh Hoa Mai (bản sao)');
+        expect(clone.body.data.product.productGroups).toEqual(['Bánh mì']);
+        expect(clone.body.data._id).not.toBe(profileId);
+
+        await request(app)
+            .post(`/api/brand-profiles/${clone.body.data._id}/archive`)
+            .set(authHeader(owner.token))
+            .expect(200);
+
+        const active = await request(app).get('/api/brand-profiles').set(authHeader(owner.token));
+        expect(active.body.data.map((profile) => profile._id)).toEqual([profileId]);
+
+        const all = await request(app).get('/api/brand-profiles?includeArchived=true').set(authHeader(owner.token));
+        expect(all.body.data).toHaveLength(2);
+
+        const restored = await request(app)
+            .post(`/api/brand-profiles/${clone.body.data._id}/restore`)
+            .set(authHeader(owner.token));
+        expect(restored.status).toBe(200);
+        expect(restored.body.data.archivedAt).toBeNull();
+    });
+
+    it('records the profile on generated articles', async () => {
+        const res = await request(app)
+            .post('/api/ai/generate-and-save')
+            .set(authHeader(owner.token))
+            .send({ topic: 'Bánh mì', purpose: 'sell', description: 'Cuối tuần', wordCount: 40, brandProfileId: profileId });
+
+        expect(res.status).toBe(202);
+        expect(res.body.data.article.brandProfileId).toBe(profileId);
+
+        await drainJobs();
+
+        const article = await request(app)
+            .get(`/api/articles/${res.body.data.article._id}`)
+            .set(authHeader(owner.token));
+        expect(article.body.data).toMatchObject({ status: 'draft', brandProfileId: profileId });
+    });
+
+    it('rejects invalid, archived and foreign profiles', async () => {
+        const body = { topic: 'Bánh mì', purpose: 'sell', description: 'Cuối tuần', wordCount: 40 };
+
+        const invalid = await request(app)
+            .post('/api/ai/generate-and-save')
+            .set(authHeader(owner.token))
+            .send({ ...body, brandProfileId: 'abc' });
+        expect(invalid.status).toBe(400);
+
+        const foreign = await request(app)
+            .post('/api/ai/generate-and-save')
+            .set(authHeader(other.token))
+            .send({ ...body, brandProfileId: profileId });
+        expect(foreign.status).toBe(404);
+
+        const hidden = await request(app).get(`/api/brand-profiles/${profileId}`).set(authHeader(other.token));
+        expect(hidden.status).toBe(404);
+
+        const archived = await request(app)
+            .post('/api/brand-profiles')
+            .set(authHeader(owner.token))
+            .send({ name: 'Khách cũ' });
+        await request(app)
+            .post(`/api/brand-profiles/${archived.body.data._id}/archive`)
+            .set(authHeader(owner.token))
+            .expect(200);
+
+        const res = await request(app)
+            .post('/api/ai/generate-and-save')
+            .set(authHeader(owner.token))
+            .send({ ...body, brandProfileId: archived.body.data._id });
+        expect(res.status).toBe(404);
+    });
+
+    it('lets only owners manage profiles of a team workspace', async () => {
+        const workspace = await request(app)
+            .post('/api/workspaces')
+            .set(authHeader(owner.token))
+            .send({ name: 'Agency' })
+            .expect(201);
+        const workspaceId = workspace.body.data.id;
+
+        await request(app)
+            .post(`/api/workspaces/${workspaceId}/invitations`)
+            .set(authHeader(owner.token))
+            .send({ email: other.credentials.email, role: 'editor' })
+            .expect(201);
+        await request(app)
+            .post('/api/workspaces/invitations/accept')
+            .set(authHeader(other.token))
+            .send({ token: getLatestToken(other.credentials.email) })
+            .expect(200);
+
+        const headers = { ...authHeader(other.token), 'X-Workspace-Id': workspaceId };
+
+        const created = await request(app)
+            .post('/api/brand-profiles')
+            .set(headers)
+            .send({ name: 'Khách hàng A' });
+        expect(created.status).toBe(403);
+
+        const list = await request(app).get('/api/brand-profiles').set(headers);
+        expect(list.status).toBe(200);
+        expect(list.body.data).toEqual([]);
+    });
+});
@@ -0,0 +1,123 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { HOLIDAY_CALENDAR_VERSION } = require('../../src/services/calendar');
+const { connectTestDB, disconnectTestDB } = require('../helpers/db');
+const { registerUser, authHeader } = require('../helpers/auth');
+const { drainJobs } = require('../helpers/jobs');
+
+beforeAll(connectTestDB);
+afterAll(disconnectTestDB);
+
+describe('Marketing events API', () => {
+    let owner;
+    let other;
+    let eventId;
+
+    beforeAll(async () => {
+        owner = await registerUser(app);
+        other = await registerUser(app);
+
+        const res = await request(app)
+            .post('/api/marketing-events')
+            .set(authHeader(owner.token))
+            .send({ name: 'Sinh nhật quán', description: 'Giảm 20% toàn menu', month: 3, day: 5, durationDays: 2, leadDays: 3 });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data).toMatchObject({ name: 'Sinh nhật quán', calendar: 'solar', year: null, isActive: true });
+        eventId = res.body.data._id;
+    });
+
+    it('validates custom events', async () => {
+        const missingName = await request(app)
+            .post('/api/marketing-events')
+            .set(authHeader(owner.token))
+            .send({ month: 3, day: 5 });
+        expect(missingName.status).toBe(400);
+
+        const badDay = await request(app)
+            .post('/api/marketing-events')
+            .set(authHeader(owner.token))
+            .send({ name: 'Ngày không có', month: 2, day: 31 });
+        expect(badDay.status).toBe(400);
+    });
+
+    it('keeps custom events inside the workspace', async () => {
+        const list = await request(app).get('/api/marketing-events').set(authHeader(other.token));
+        expect(list.body.data).toEqual([]);
+
+        await request(app)
+            .put(`/api/marketing-events/${eventId}`)
+            .set(authHeader(other.token))
+            .send({ name: 'Đổi tên' })
+            .expect(404);
+    });
+
+    it('shows built-in holidays and custom events for a date range', async () => {
+        const res = await request(app)
+            .get('/api/marketing-events/calendar?from=2026-02-01&to=2026-03-10')
+            .set(authHeader(owner.token));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.version).toBe(HOLIDAY_CALENDAR_VERSION);
+
+        const keys = res.body.data.events.map((event) => event.key);
+        expect(keys).toEqual(expect.arrayContaining(['tet_nguyen_dan', 'valentine', 'quoc_te_phu_nu', `custom:${eventId}`]));
+        expect(res.body.data.events.find((event) => event.key === 'tet_nguyen_dan').date).toBe('2026-02-17');
+
+        const customOnly = await request(app)
+            .get('/api/marketing-events/calendar?from=2026-02-01&to=2026-03-10&includeHolidays=false')
+            .set(authHeader(owner.token));
+        expect(customOnly.body.data.events.map((event) => event.key)).toEqual([`custom:${eventId}`]);
+
+        await request(app)
+            .get('/api/marketing-events/calendar?from=2026-01-01&to=2027-06-01')
+            .set(authHeader(owner.token))
+            .expect(400);
+    });
+
+    it('gives the events of the campaign window to the plan', async () => {
+        const res = await request(app)
+            .post('/api/marketing-plan/generate')
+            .set(authHeader(owner.token))
+            .send({
+                campaignName: 'Tháng 3 cho phái đẹp',
+                startDate: '2026-03-01',
+                endDate: '2026-03-14',
+                postsPerWeek: 3,
+                topics: ['Trà sữa'],
+                channels: ['facebook']
+            });
+
+        expect(res.status).toBe(202);
+        const keys = res.body.data.seasonalEvents.map((event) => event.key);
+        expect(keys).toEqual(expect.arrayContaining(['quoc_te_phu_nu', `custom:${eventId}`]));
+
+        await drainJobs();
+
+        const plan = await request(app).get(`/api/marketing-plan/${res.body.data.id}`).set(authHeader(owner.token));
+        expect(plan.body.data.status).toBe('active');
+        expect(plan.body.data.holidayCalendarVersion).toBe(HOLIDAY_CALENDAR_VERSION);
+        expect(plan.body.data.seasonalEvents).toHaveLength(res.body.data.seasonalEvents.length);
+    });
+
+    it('leaves out the built-in calendar on request and skips inactive custom events', async () => {
+        await request(app)
+            .put(`/api/marketing-events/${eventId}`)
+            .set(authHeader(owner.token))
+            .send({ isActive: false })
+            .expect(200);
+
+        const res = await request(app)
+            .post('/api/marketing-plan/suggest-strategy')
+            .set(authHeader(owner.token))
+            .send({ campaignName: 'Tháng 3', startDate: '2026-03-01', endDate: '2026-03-31', useHolidayCalendar: false });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.seasonalEvents).toEqual([]);
+
+        await request(app)
+            .delete(`/api/marketing-events/${eventId}`)
+            .set(authHeader(owner.token))
+            .expect(200);
+    });
+});
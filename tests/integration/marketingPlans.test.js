@@ -0,0 +1,652 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const ExcelJS = require('exceljs');
+const app = require('../../src/app');
+const { MarketingPlan, Article, Job } = require('../../src/models');
+const { connectTestDB, disconnectTestDB } = require('../helpers/db');
+const { registerUser, authHeader } = require('../helpers/auth');
+const { drainJobs } = require('../helpers/jobs');
+
+beforeAll(connectTestDB);
+afterAll(disconnectTestDB);
+
+function binaryParser(res, callback) {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('Marketing Plan API', () => {
+    let token;
+
+    beforeAll(async () => {
+        ({ token } = await registerUser(app));
+    });
+
+    it('generates a plan in the background and manages it', async () => {
+        const res = await request(app)
+            .post('/api/marketing-plan/generate')
+            .set(authHeader(token))
+            .send({
+                campaignName: 'Chiến dịch tháng 3',
+                startDate: '2026-03-01',
+                endDate: '2026-03-14',
+                postsPerWeek: 3,
+                topics: ['Cà phê muối'],
+                channels: ['facebook']
+            });
+
+        expect(res.status).toBe(202);
+        expect(res.body.data.status).toBe('processing');
+        const { id, jobId } = res.body.data;
+
+        await drainJobs();
+
+        const job = await request(app).get(`/api/jobs/${jobId}`).set(authHeader(token));
+        expect(job.body.data.status).toBe('completed');
+
+        const plan = await request(app).get(`/api/marketing-plan/${id}`).set(authHeader(token));
+        expect(plan.status).toBe(200);
+        expect(plan.body.data.status).toBe('active');
+        expect(plan.body.data.posts.length).toBeGreaterThan(0);
+        expect(plan.body.data.totalPosts).toBe(plan.body.data.posts.length);
+
+        const list = await request(app).get('/api/marketing-plan').set(authHeader(token));
+        expect(list.body.data.plans).toHaveLength(1);
+        expect(list.body.data.plans[0].posts).toBeUndefined();
+
+        const status = await request(app)
+            .patch(`/api/marketing-plan/${id}/status`)
+            .set(authHeader(token))
+            .send({ status: 'completed' });
+        expect(status.body.data.status).toBe('completed');
+
+        const removed = await request(app).delete(`/api/marketing-plan/${id}`).set(authHeader(token));
+        expect(removed.status).toBe(200);
+    });
+
+    it('validates required fields', async () => {
+        const res = await request(app)
+            .post('/api/marketing-plan/generate')
+            .set(authHeader(token))
+            .send({ campaignName: 'Thiếu ngày' });
+
+        expect(res.status).toBe(400);
+    });
+
+    it('suggests a monthly strategy', async () => {
+        const res = await request(app)
+            .post('/api/marketing-plan/suggest-strategy')
+            .set(authHeader(token))
+            .send({ campaignName: 'Chiến dịch hè', topics: ['Trà đào'] });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toBeTruthy();
+    });
+});
+
+describe('Articles from marketing plan posts', () => {
+    let token;
+    let plan;
+
+    beforeAll(async () => {
+        ({ token } = await registerUser(app));
+
+        const res = await request(app)
+            .post('/api/marketing-plan/generate')
+            .set(authHeader(token))
+            .send({
+                campaignName: 'Chiến dịch bánh mì',
+                startDate: '2026-03-01',
+                endDate: '2026-03-14',
+                postsPerWeek: 3,
+                topics: ['Bánh mì'],
+                channels: ['facebook', 'instagram']
+            })
+            .expect(202);
+
+        await drainJobs();
+
+        const stored = await request(app).get(`/api/marketing-plan/${res.body.data.id}`).set(authHeader(token));
+        plan = stored.body.data;
+    });
+
+    it('generates an article for one post and links it back', async () => {
+        const post = plan.posts[0];
+
+        const res = await request(app)
+            .post(`/api/marketing-plan/${plan._id}/posts/${post._id}/generate-article`)
+            .set(authHeader(token))
+            .send({});
+
+        expect(res.status).toBe(202);
+        expect(res.body.data.article.status).toBe('processing');
+
+        await drainJobs();
+
+        const article = await request(app)
+            .get(`/api/articles/${res.body.data.article._id}`)
+            .set(authHeader(token));
+        expect(article.body.data.status).toBe('draft');
+        expect(article.body.data.topic).toBe(post.topic);
+
+        const stored = await request(app).get(`/api/marketing-plan/${plan._id}`).set(authHeader(token));
+        expect(stored.body.data.posts[0].articleId).toBe(res.body.data.article._id);
+
+        const again = await request(app)
+            .post(`/api/marketing-plan/${plan._id}/posts/${post._id}/generate-article`)
+            .set(authHeader(token))
+            .send({});
+        expect(again.status).toBe(409);
+
+        const regenerated = await request(app)
+            .post(`/api/marketing-plan/${plan._id}/posts/${post._id}/generate-article`)
+            .set(authHeader(token))
+            .send({ regenerate: true });
+        expect(regenerated.status).toBe(202);
+
+        // The new article is still being written
+        const duplicate = await request(app)
+            .post(`/api/marketing-plan/${plan._id}/posts/${post._id}/generate-article`)
+            .set(authHeader(token))
+            .send({ regenerate: true });
+        expect(duplicate.status).toBe(409);
+        expect(duplicate.body.data.articleId).toBe(regenerated.body.data.article._id);
+
+        await drainJobs();
+    });
+
+    it('generates articles for every post in a date range', async () => {
+        const expected = plan.posts
+            .slice(1)
+            .filter((post) => post.date.slice(0, 10) <= '2026-03-07');
+
+        const res = await request(app)
+            .post(`/api/marketing-plan/${plan._id}/posts/generate-articles`)
+            .set(authHeader(token))
+            .send({ from: '2026-03-01', to: '2026-03-07' });
+
+        expect(res.status).toBe(202);
+        expect(res.body.data.items.map((item) => item.postId)).toEqual(expected.map((post) => post._id));
+
+        await drainJobs();
+
+        const stored = await request(app).get(`/api/marketing-plan/${plan._id}`).set(authHeader(token));
+        const linked = stored.body.data.posts.filter((post) => post.articleId);
+        expect(linked).toHaveLength(expected.length + 1);
+
+        // Nothing left to generate in that range
+        const empty = await request(app)
+            .post(`/api/marketing-plan/${plan._id}/posts/generate-articles`)
+            .set(authHeader(token))
+            .send({ from: '2026-03-01', to: '2026-03-07' });
+        expect(empty.status).toBe(400);
+    });
+
+    it('refunds only the posts it could not queue', async () => {
+        const expected = plan.posts.filter((post) => post.date.slice(0, 10) >= '2026-03-08');
+        expect(expected.length).toBeGreaterThan(1);
+
+        const before = await request(app).get('/api/usage/quota').set(authHeader(token));
+
+        const createJob = jest.spyOn(Job, 'create')
+            .mockImplementationOnce(Job.create.bind(Job))
+            .mockRejectedValueOnce(new Error('queue down'));
+
+        const res = await request(app)
+            .post(`/api/marketing-plan/${plan._id}/posts/generate-articles`)
+            .set(authHeader(token))
+            .send({ from: '2026-03-08', to: '2026-03-14' });
+        createJob.mockRestore();
+
+        expect(res.status).toBe(207);
+        expect(res.body.data.items.map((item) => item.postId)).toEqual([expected[0]._id]);
+        expect(res.body.data.failedPostIds).toEqual(expected.slice(1).map((post) => post._id));
+
+        const after = await request(app).get('/api/usage/quota').set(authHeader(token));
+        expect(after.body.data.tools.article.used).toBe(before.body.data.tools.article.used + 1);
+
+        const stored = await MarketingPlan.findById(plan._id);
+        const failedArticle = await Article.findById(stored.posts.id(expected[1]._id).articleId);
+        expect(failedArticle.status).toBe('failed');
+
+        await drainJobs();
+    });
+
+    it('rejects malformed ranges and unknown posts', async () => {
+        const range = await request(app)
+            .post(`/api/marketing-plan/${plan._id}/posts/generate-articles`)
+            .set(authHeader(token))
+            .send({ from: '07/03/2026' });
+        expect(range.status).toBe(400);
+
+        const unknown = await request(app)
+            .post(`/api/marketing-plan/${plan._id}/posts/000000000000000000000000/generate-article`)
+            .set(authHeader(token))
+            .send({});
+        expect(unknown.status).toBe(404);
+    });
+});
+
+describe('Editing plan posts', () => {
+    let token;
+    let planId;
+
+    beforeAll(async () => {
+        ({ token } = await registerUser(app));
+
+        const res = await request(app)
+            .post('/api/marketing-plan/generate')
+            .set(authHeader(token))
+            .send({
+                campaignName: 'Chiến dịch cà phê',
+                startDate: '2026-04-01',
+                endDate: '2026-04-14',
+                postsPerWeek: 3,
+                topics: ['Cà phê'],
+                channels: ['facebook']
+            })
+            .expect(202);
+
+        await drainJobs();
+        planId = res.body.data.id;
+    });
+
+    async function getPlan() {
+        const res = await request(app).get(`/api/marketing-plan/${planId}`).set(authHeader(token));
+        return res.body.data;
+    }
+
+    it('adds a manual post in calendar order and recounts the posts', async () => {
+        const before = await getPlan();
+
+        const res = await request(app)
+            .post(`/api/marketing-plan/${planId}/posts`)
+            .set(authHeader(token))
+            .send({ date: '2026-04-01', time: '07:00', topic: 'Khai trương', channel: 'zalo', postType: 'story' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.plan.totalPosts).toBe(before.posts.length + 1);
+        expect(res.body.data.plan.posts[0]._id).toBe(res.body.data.postId);
+        expect(res.body.data.plan.posts[0]).toMatchObject({ topic: 'Khai trương', channel: 'zalo', status: 'scheduled' });
+    });
+
+    it('moves a post to another day and edits its fields', async () => {
+        const plan = await getPlan();
+        const post = plan.posts[0];
+
+        const res = await request(app)
+            .patch(`/api/marketing-plan/${planId}/posts/${post._id}`)
+            .set(authHeader(token))
+            .send({ date: '2026-04-14', time: '20:30', topic: 'Tổng kết tuần' });
+
+        expect(res.status).toBe(200);
+        const moved = res.body.data.posts[res.body.data.posts.length - 1];
+        expect(moved._id).toBe(post._id);
+        expect(moved.date.slice(0, 10)).toBe('2026-04-14');
+        expect(moved).toMatchObject({ time: '20:30', topic: 'Tổng kết tuần', channel: 'zalo' });
+    });
+
+    it('rejects dates outside the plan and unknown channels', async () => {
+        const plan = await getPlan();
+        const post = plan.posts[0];
+
+        const outside = await request(app)
+            .patch(`/api/marketing-plan/${planId}/posts/${post._id}`)
+            .set(authHeader(token))
+            .send({ date: '2026-05-01' });
+        expect(outside.status).toBe(400);
+
+        const channel = await request(app)
+            .post(`/api/marketing-plan/${planId}/posts`)
+            .set(authHeader(token))
+            .send({ date: '2026-04-02', time: '09:00', topic: 'Test', channel: 'myspace' });
+        expect(channel.status).toBe(400);
+
+        const time = await request(app)
+            .patch(`/api/marketing-plan/${planId}/posts/${post._id}`)
+            .set(authHeader(token))
+            .send({ time: '25:00' });
+        expect(time.status).toBe(400);
+    });
+
+    it('does not edit published posts', async () => {
+        const plan = await getPlan();
+        const post = plan.posts[1];
+        await MarketingPlan.updateOne(
+            { _id: planId, 'posts._id': post._id },
+            { $set: { 'posts.$.status': 'published' } }
+        );
+
+        const res = await request(app)
+            .patch(`/api/marketing-plan/${planId}/posts/${post._id}`)
+            .set(authHeader(token))
+            .send({ topic: 'Đổi chủ đề' });
+
+        expect(res.status).toBe(409);
+    });
+
+    it('deletes a post and recounts the posts', async () => {
+        const plan = await getPlan();
+
+        const res = await request(app)
+            .delete(`/api/marketing-plan/${planId}/posts/${plan.posts[0]._id}`)
+            .set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.posts).toHaveLength(plan.posts.length - 1);
+        expect(res.body.data.totalPosts).toBe(plan.posts.length - 1);
+
+        const missing = await request(app)
+            .delete(`/api/marketing-plan/${planId}/posts/${plan.posts[0]._id}`)
+            .set(authHeader(token));
+        expect(missing.status).toBe(404);
+    });
+});
+
+describe('Regenerating part of a plan', () => {
+    let token;
+    let planId;
+
+    beforeAll(async () => {
+        ({ token } = await registerUser(app));
+
+        const res = await request(app)
+            .post('/api/marketing-plan/generate')
+            .set(authHeader(token))
+            .send({
+                campaignName: 'Chiến dịch trà sữa',
+                startDate: '2026-05-01',
+                endDate: '2026-05-21',
+                postsPerWeek: 2,
+                topics: ['Trà sữa'],
+                channels: ['facebook']
+            })
+            .expect(202);
+
+        await drainJobs();
+        planId = res.body.data.id;
+    });
+
+    async function getPlan() {
+        const res = await request(app).get(`/api/marketing-plan/${planId}`).set(authHeader(token));
+        return res.body.data;
+    }
+
+    it('replaces only the selected posts, keeping their slots', async () => {
+        const before = await getPlan();
+        const target = before.posts[1];
+
+        const res = await request(app)
+            .post(`/api/marketing-plan/${planId}/regenerate-posts`)
+            .set(authHeader(token))
+            .send({ postIds: [target._id], instruction: 'Nhấn mạnh khuyến mãi' });
+
+        expect(res.status).toBe(202);
+        expect(res.body.data.postIds).toEqual([target._id]);
+
+        await drainJobs();
+
+        const after = await getPlan();
+        expect(after.posts).toHaveLength(before.posts.length);
+
+        const replaced = after.posts.find((post) => post._id === target._id);
+        expect(replaced.topic).toBe('Chủ đề làm lại 1');
+        expect(replaced.contentIdea).toContain('Nhấn mạnh khuyến mãi');
+        expect(replaced).toMatchObject({ date: target.date, time: target.time });
+
+        const untouched = after.posts.filter((post) => post._id !== target._id);
+        expect(untouched.map((post) => post.topic)).toEqual(
+            before.posts.filter((post) => post._id !== target._id).map((post) => post.topic)
+        );
+    });
+
+    it('refuses published posts and malformed selections', async () => {
+        const plan = await getPlan();
+        const post = plan.posts[0];
+        await MarketingPlan.updateOne(
+            { _id: planId, 'posts._id': post._id },
+            { $set: { 'posts.$.status': 'published' } }
+        );
+
+        const locked = await request(app)
+            .post(`/api/marketing-plan/${planId}/regenerate-posts`)
+            .set(authHeader(token))
+            .send({ postIds: [post._id] });
+        expect(locked.status).toBe(409);
+
+        const empty = await request(app)
+            .post(`/api/marketing-plan/${planId}/regenerate-posts`)
+            .set(authHeader(token))
+            .send({ instruction: 'Làm lại' });
+        expect(empty.status).toBe(400);
+
+        const range = await request(app)
+            .post(`/api/marketing-plan/${planId}/regenerate-posts`)
+            .set(authHeader(token))
+            .send({ from: '05/01/2026' });
+        expect(range.status).toBe(400);
+    });
+});
+
+describe('Exporting a plan', () => {
+    let token;
+    let plan;
+
+    beforeAll(async () => {
+        ({ token } = await registerUser(app));
+
+        const res = await request(app)
+            .post('/api/marketing-plan/generate')
+            .set(authHeader(token))
+            .send({
+                campaignName: 'Chiến dịch tháng 6',
+                startDate: '2026-06-01',
+                endDate: '2026-06-14',
+                postsPerWeek: 3,
+                topics: ['Bánh ngọt'],
+                channels: ['facebook', 'instagram']
+            })
+            .expect(202);
+
+        await drainJobs();
+
+        const stored = await request(app).get(`/api/marketing-plan/${res.body.data.id}`).set(authHeader(token));
+        plan = stored.body.data;
+    });
+
+    it('exports an iCalendar file with one event per post', async () => {
+        const res = await request(app)
+            .get(`/api/marketing-plan/${plan._id}/export?format=ics`)
+            .set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toContain('text/calendar');
+        expect(res.headers['content-disposition']).toContain('.ics');
+        expect(res.text.match(/BEGIN:VEVENT/g)).toHaveLength(plan.posts.length);
+    });
+
+    it('exports a CSV with one row per post', async () => {
+        const res = await request(app)
+            .get(`/api/marketing-plan/${plan._id}/export?format=csv`)
+            .set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toContain('text/csv');
+        expect(res.text.trim().split('\r\n')).toHaveLength(plan.posts.length + 1);
+    });
+
+    it('exports an Excel workbook', async () => {
+        const res = await request(app)
+            .get(`/api/marketing-plan/${plan._id}/export?format=xlsx`)
+            .set(authHeader(token))
+            .buffer(true)
+            .parse(binaryParser);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toContain('spreadsheetml');
+
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(res.body);
+        expect(workbook.worksheets.map((sheet) => sheet.name)).toEqual(['Lịch đăng', 'Theo kênh']);
+    });
+
+    it('rejects unknown formats', async () => {
+        const res = await request(app)
+            .get(`/api/marketing-plan/${plan._id}/export?format=pdf`)
+            .set(authHeader(token));
+
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('Calendar feed', () => {
+    let token;
+    let plan;
+
+    beforeAll(async () => {
+        ({ token } = await registerUser(app));
+
+        const res = await request(app)
+            .post('/api/marketing-plan/generate')
+            .set(authHeader(token))
+            .send({
+                campaignName: 'Chiến dịch tháng 7',
+                startDate: '2026-07-01',
+                endDate: '2026-07-14',
+                postsPerWeek: 3,
+                topics: ['Kem'],
+                channels: ['facebook']
+            })
+            .expect(202);
+
+        await drainJobs();
+
+        const stored = await request(app).get(`/api/marketing-plan/${res.body.data.id}`).set(authHeader(token));
+        plan = stored.body.data;
+    });
+
+    function feedPath(url) {
+        return new URL(url).pathname;
+    }
+
+    it('serves the current posts without authentication and supports conditional requests', async () => {
+        const created = await request(app)
+            .post(`/api/marketing-plan/${plan._id}/calendar-feed`)
+            .set(authHeader(token));
+
+        expect(created.status).toBe(201);
+        expect(created.body.data.url).toMatch(/\/api\/calendar-feeds\/[\w-]+\.ics$/);
+
+        const path = feedPath(created.body.data.url);
+        const feed = await request(app).get(path);
+
+        expect(feed.status).toBe(200);
+        expect(feed.headers['content-type']).toContain('text/calendar');
+        expect(feed.text.match(/BEGIN:VEVENT/g)).toHaveLength(plan.posts.length);
+        expect(feed.headers.etag).toBeDefined();
+        expect(feed.headers['last-modified']).toBeDefined();
+
+        const notModified = await request(app)
+            .get(path)
+            .set('If-None-Match', feed.headers.etag);
+        expect(notModified.status).toBe(304);
+
+        // Edits show up in the feed
+        await request(app)
+            .patch(`/api/marketing-plan/${plan._id}/posts/${plan.posts[0]._id}`)
+            .set(authHeader(token))
+            .send({ topic: 'Kem dừa mát lạnh' })
+            .expect(200);
+
+        const changed = await request(app)
+            .get(path)
+            .set('If-None-Match', feed.headers.etag);
+        expect(changed.status).toBe(200);
+        expect(changed.text).toContain('Kem dừa mát lạnh');
+    });
+
+    it('stops serving a rotated or revoked feed', async () => {
+        const first = await request(app)
+            .post(`/api/marketing-plan/${plan._id}/calendar-feed`)
+            .set(authHeader(token));
+        const second = await request(app)
+            .post(`/api/marketing-plan/${plan._id}/calendar-feed`)
+            .set(authHeader(token));
+
+        expect((await request(app).get(feedPath(first.body.data.url))).status).toBe(404);
+        expect((await request(app).get(feedPath(second.body.data.url))).status).toBe(200);
+
+        await request(app)
+            .delete(`/api/marketing-plan/${plan._id}/calendar-feed`)
+            .set(authHeader(token))
+            .expect(200);
+
+        expect((await request(app).get(feedPath(second.body.data.url))).status).toBe(404);
+    });
+});
+
+describe('Validating generated plans', () => {
+    let token;
+    let fixturesDir;
+
+    beforeAll(async () => {
+        ({ token } = await registerUser(app));
+
+        // The AI answers with posts outside the campaign, bad enums and too few posts
+        fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plan-fixtures-'));
+        fs.writeFileSync(path.join(fixturesDir, 'marketing.plan.json'), JSON.stringify([
+            { date: '2026-08-04', time: '18:00', topic: 'Bánh trung thu', channel: 'Facebook', purpose: 'viral', postType: 'image' },
+            { date: '2026-09-30', time: '18:00', topic: 'Ngoài chiến dịch', channel: 'facebook', purpose: 'sales', postType: 'image' },
+            { date: '2026-08-11', time: '7:00', topic: '', channel: 'facebook', purpose: 'sales', postType: 'carousel' }
+        ]));
+        process.env.AI_MOCK_FIXTURES_DIR = fixturesDir;
+    });
+
+    afterAll(() => {
+        delete process.env.AI_MOCK_FIXTURES_DIR;
+        fs.rmSync(fixturesDir, { recursive: true, force: true });
+    });
+
+    it('repairs the posts, asks again for the missing ones and stores the report', async () => {
+        const res = await request(app)
+            .post('/api/marketing-plan/generate')
+            .set(authHeader(token))
+            .send({
+                campaignName: 'Trung thu',
+                startDate: '2026-08-03',
+                endDate: '2026-08-16',
+                postsPerWeek: 2,
+                postTimes: ['18:00'],
+                topics: ['Bánh trung thu'],
+                channels: ['facebook']
+            })
+            .expect(202);
+
+        await drainJobs();
+
+        const plan = await request(app).get(`/api/marketing-plan/${res.body.data.id}`).set(authHeader(token));
+        const { posts, validationReport } = plan.body.data;
+
+        expect(plan.body.data.status).toBe('active');
+        expect(posts).toHaveLength(4);
+        posts.forEach((post) => {
+            expect(post.date.slice(0, 10) >= '2026-08-03' && post.date.slice(0, 10) <= '2026-08-16').toBe(true);
+            expect(post.time).toBe('18:00');
+        });
+        expect(posts[0]).toMatchObject({ topic: 'Bánh trung thu', channel: 'facebook', purpose: 'engagement' });
+
+        expect(validationReport).toMatchObject({
+            valid: false,
+            expectedPosts: 4,
+            receivedPosts: 3,
+            regeneratedSlots: 3,
+            unfilledSlots: 0,
+            savedPosts: 4
+        });
+        expect(validationReport.removed).toEqual([{ index: 1, reason: 'out_of_range' }]);
+        expect(validationReport.invalidSlots.map((slot) => slot.reason).sort()).toEqual(['missing_post', 'missing_post', 'missing_topic']);
+    });
+});
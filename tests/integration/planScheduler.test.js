@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../../src/app');
+const { MarketingPlan, Job, QuotaUsage, User } = require('../../src/models');
+const Article = require('../../src/models/Article');
+const { runSchedulerTick } = require('../../src/services/scheduler');
+const { getQuotaPeriod } = require('../../src/services/quota');
+const { connectTestDB, disconnectTestDB } = require('../helpers/db');
+const { registerUser, authHeader } = require('../helpers/auth');
+const { drainJobs } = require('../helpers/jobs');
+const { startGraphStub } = require('../helpers/graphStub');
+
+let graph;
+
+beforeAll(async () => {
+    await connectTestDB();
+    graph = await startGraphStub();
+    process.env.FACEBOOK_GRAPH_URL = graph.url;
+});
+
+afterAll(async () => {
+    delete process.env.FACEBOOK_GRAPH_URL;
+    await graph.close();
+    await disconnectTestDB();
+});
+
+// 2026-03-10 09:00 in Asia/Ho_Chi_Minh
+const DUE_AT = new Date('2026-03-10T02:00:00Z');
+
+function buildPost(overrides = {}) {
+    return {
+        date: new Date('2026-03-10'),
+        time: '09:00',
+        topic: 'Bánh mì nóng giòn buổi sáng',
+        channel: 'facebook',
+        contentIdea: 'Giới thiệu mẻ bánh đầu tiên trong ngày',
+        purpose: 'sales',
+        suggestedHashtags: ['#banhmi'],
+        ...overrides
+    };
+}
+
+describe('Plan auto-publishing scheduler', () => {
+    let owner;
+    let workspaceId;
+
+    async function createPlan(posts, overrides = {}) {
+        return MarketingPlan.create({
+            userId: owner.user.id,
+            workspaceId,
+            campaignName: 'Tháng 3',
+            startDate: new Date('2026-03-01'),
+            endDate: new Date('2026-03-31'),
+            topics: ['Bánh mì'],
+            channels: ['facebook'],
+            autoPublish: true,
+            posts,
+            totalPosts: posts.length,
+            status: 'active',
+            ...overrides
+        });
+    }
+
+    beforeAll(async () => {
+        owner = await registerUser(app);
+
+        const workspaces = await request(app).get('/api/workspaces').set(authHeader(owner.token));
+        workspaceId = workspaces.body.data[0].id;
+
+        await request(app)
+            .put('/api/ai-settings')
+            .set(authHeader(owner.token))
+            .send({ facebook: { facebookToken: 'user-token', pageId: '1001' } })
+            .expect(200);
+    });
+
+    it('writes and publishes a post once it is due in the plan timezone', async () => {
+        const plan = await createPlan([buildPost()]);
+
+        const early = await runSchedulerTick(new Date(DUE_AT.getTime() - 60 * 1000));
+        expect(early.queued).toBe(0);
+
+        const due = await runSchedulerTick(DUE_AT);
+        expect(due.queued).toBe(1);
+
+        // A second pass (or a second instance) does not queue it again
+        const again = await runSchedulerTick(new Date(DUE_AT.getTime() + 60 * 1000));
+        expect(again.queued).toBe(0);
+        expect(await Job.countDocuments({ type: 'publish', refId: plan._id })).toBe(1);
+
+        await drainJobs();
+
+        const stored = await MarketingPlan.findById(plan._id);
+        const post = stored.posts[0];
+        expect(post.status).toBe('published');
+        expect(post.publishing.state).toBe('published');
+
+        const article = await Article.findById(post.articleId);
+        expect(article.status).toBe('published');
+        expect(article.hashtags[0]).toBe('#banhmi');
+        expect(article.publication.postId).toMatch(/^1001_/);
+    });
+
+    it('re-queues a claimed post whose job was lost in a restart', async () => {
+        const jobId = new mongoose.Types.ObjectId();
+        const plan = await createPlan([buildPost({
+            status: 'scheduled',
+            publishing: { jobId, state: 'queued', queuedAt: new Date(DUE_AT.getTime() - 10 * 60 * 1000) }
+        })]);
+
+        const summary = await runSchedulerTick(DUE_AT);
+
+        expect(summary.recovered).toBe(1);
+        const job = await Job.findOne({ _id: jobId, refId: plan._id });
+        expect(job.quotaReservation).toMatchObject({ tool: 'article', amount: 1 });
+
+        await drainJobs();
+        const stored = await MarketingPlan.findById(plan._id);
+        expect(stored.posts[0].status).toBe('published');
+    });
+
+    it('takes new quota when recovering a post edited after an earlier claim', async () => {
+        const staleReservation = { userId: owner.user.id, tool: 'article', amount: 1, period: '2000-01' };
+        const plan = await createPlan([buildPost({
+            publishing: { jobId: new mongoose.Types.ObjectId(), state: 'failed', quotaReservation: staleReservation }
+        })]);
+        const postId = plan.posts[0]._id;
+
+        await request(app)
+            .patch(`/api/marketing-plans/${plan._id}/posts/${postId}`)
+            .set(authHeader(owner.token))
+            .send({ topic: 'Bánh mì thịt nướng' })
+            .expect(200);
+
+        const edited = await MarketingPlan.findById(plan._id);
+        expect(edited.posts[0].publishing.quotaReservation).toBeNull();
+
+        // Crash between the claim and the quota reservation
+        const findUser = jest.spyOn(User, 'findById').mockRejectedValueOnce(new Error('connection lost'));
+        try {
+            await runSchedulerTick(DUE_AT);
+        } finally {
+            findUser.mockRestore();
+        }
+
+        const claimed = await MarketingPlan.findById(plan._id);
+        expect(claimed.posts[0].publishing).toMatchObject({ state: 'queued', quotaReservation: null });
+
+        const summary = await runSchedulerTick(new Date(DUE_AT.getTime() + 2 * 60 * 1000));
+
+        expect(summary.recovered).toBe(1);
+        const job = await Job.findById(claimed.posts[0].publishing.jobId);
+        expect(job.quotaReservation).toMatchObject({ tool: 'article', amount: 1, period: getQuotaPeriod().period });
+    });
+
+    it('releases a lost claim once auto-publishing is turned off', async () => {
+        const jobId = new mongoose.Types.ObjectId();
+        const plan = await createPlan([buildPost({
+            status: 'scheduled',
+            publishing: { jobId, state: 'queued', queuedAt: new Date(DUE_AT.getTime() - 10 * 60 * 1000) }
+        })], { autoPublish: false });
+
+        const summary = await runSchedulerTick(DUE_AT);
+
+        expect(summary.recovered).toBe(0);
+        expect(await Job.exists({ _id: jobId })).toBeNull();
+
+        const stored = await MarketingPlan.findById(plan._id);
+        expect(stored.posts[0].publishing).toMatchObject({ jobId: null, state: null, quotaReservation: null });
+    });
+
+    it('skips a queued post once auto-publishing is turned off and refunds its quota', async () => {
+        const plan = await createPlan([buildPost()]);
+        await runSchedulerTick(DUE_AT);
+
+        const usage = await QuotaUsage.findOne({ userId: owner.user.id });
+        const used = usage.counts.article;
+
+        await request(app)
+            .patch(`/api/marketing-plans/${plan._id}/auto-publish`)
+            .set(authHeader(owner.token))
+            .send({ enabled: false })
+            .expect(200);
+        await drainJobs();
+
+        const job = await Job.findOne({ refId: plan._id });
+        expect(job.status).toBe('completed');
+        expect(job.result).toMatchObject({ skipped: true });
+
+        const stored = await MarketingPlan.findById(plan._id);
+        expect(stored.posts[0].status).toBe('scheduled');
+        expect(stored.posts[0].articleId).toBeFalsy();
+        expect(stored.posts[0].publishing).toMatchObject({ jobId: null, state: null, quotaReservation: null });
+
+        const refunded = await QuotaUsage.findOne({ userId: owner.user.id });
+        expect(refunded.counts.article).toBe(used - 1);
+    });
+
+    it('marks long overdue posts as missed and skips unsupported channels', async () => {
+        const plan = await createPlan([
+            buildPost({ date: new Date('2026-03-05') }),
+            buildPost({ channel: 'tiktok' })
+        ]);
+
+        const summary = await runSchedulerTick(DUE_AT);
+
+        expect(summary).toMatchObject({ queued: 0, missed: 1, failed: 1 });
+
+        const stored = await MarketingPlan.findById(plan._id);
+        expect(stored.posts.map((post) => post.publishing.state)).toEqual(['missed', 'failed']);
+        expect(stored.posts[1].publishing.lastError).toContain('tiktok');
+    });
+
+    it('ignores plans without auto-publishing', async () => {
+        const plan = await createPlan([buildPost()], { autoPublish: false });
+
+        await runSchedulerTick(DUE_AT);
+
+        expect(await Job.countDocuments({ refId: plan._id })).toBe(0);
+    });
+
+    it('records the failure once publishing gives up', async () => {
+        await request(app)
+            .put('/api/ai-settings')
+            .set(authHeader(owner.token))
+            .send({ facebook: { facebookToken: 'bad-token', pageId: '1001' } })
+            .expect(200);
+
+        const plan = await createPlan([buildPost()]);
+        await runSchedulerTick(DUE_AT);
+
+        // Run every retry immediately
+        for (let attempt = 0; attempt < 5; attempt++) {
+            await Job.updateMany({ refId: plan._id, status: 'queued' }, { runAt: new Date(0) });
+            await drainJobs();
+        }
+
+        const job = await Job.findOne({ refId: plan._id });
+        expect(job.status).toBe('failed');
+
+        const stored = await MarketingPlan.findById(plan._id);
+        expect(stored.posts[0].status).toBe('scheduled');
+        expect(stored.posts[0].publishing.state).toBe('failed');
+        expect(stored.posts[0].publishing.lastError).toContain('Session has expired');
+
+        // The article written on the first attempt is reused by the retries
+        expect(await Article.countDocuments({ _id: stored.posts[0].articleId })).toBe(1);
+    });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const request = require('supertest');
+const app = require('../../src/app');
+const { connectTestDB, disconnectTestDB } = require('../helpers/db');
+const { registerUser, authHeader } = require('../helpers/auth');
+const { drainJobs } = require('../helpers/jobs');
+
+beforeAll(connectTestDB);
+afterAll(disconnectTestDB);
+
+async function writeUpload(filename, color, size = 256) {
+    const dir = path.join(process.cwd(), 'uploads', 'images', 'general');
+    fs.mkdirSync(dir, { recursive: true });
+
+    await sharp({
+        create: { width: size, height: size, channels: 3, background: color }
+    }).png().toFile(path.join(dir, filename));
+
+    return `/uploads/images/general/${filename}`;
+}
+
+async function readPixel(urlPath, x, y) {
+    const { data, info } = await sharp(path.join(process.cwd(), urlPath))
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const offset = (y * info.width + x) * info.channels;
+    return Array.from(data.subarray(offset, offset + 3));
+}
+
+describe('Product Images API', () => {
+    let token;
+    let productUrl;
+
+    beforeAll(async () => {
+        ({ token } = await registerUser(app));
+        productUrl = await writeUpload('product.png', { r: 200, g: 40, b: 40 });
+        const logoUrl = await writeUpload('logo.png', { r: 255, g: 255, b: 255 }, 64);
+
+        await request(app)
+            .put('/api/ai-settings')
+            .set(authHeader(token))
+            .send({ logo: { logoUrl, brandName: 'Quán Test' } })
+            .expect(200);
+    });
+
+    it('generates angles in the background and overlays the brand logo', async () => {
+        const res = await request(app)
+            .post('/api/product-images/generate')
+            .set(authHeader(token))
+            .send({
+                originalImageUrl: productUrl,
+                cameraAngles: ['wide', 'closeup'],
+                useBrandSettings: true,
+                useLogo: true,
+                logoPosition: 'bottom-right'
+            });
+
+        expect(res.status).toBe(202);
+        expect(res.body.data.productImage.status).toBe('processing');
+        const id = res.body.data.productImage._id;
+
+        await drainJobs();
+
+        const image = await request(app).get(`/api/product-images/${id}`).set(authHeader(token));
+        expect(image.body.data.status).toBe('completed');
+        expect(image.body.data.generatedImages).toHaveLength(2);
+
+        for (const generated of image.body.data.generatedImages) {
+            expect(generated.status).toBe('completed');
+            expect(fs.existsSync(path.join(process.cwd(), generated.imageUrl))).toBe(true);
+        }
+
+        // Mock images are 512px; a 15% logo with 30px padding covers (444, 444)
+        const logoPixel = await readPixel(image.body.data.generatedImageUrl, 444, 444);
+        expect(logoPixel).toEqual([255, 255, 255]);
+    });
+
+    it('regenerates an existing record', async () => {
+        const created = await request(app)
+            .post('/api/product-images/generate')
+            .set(authHeader(token))
+            .send({ originalImageUrl: productUrl, cameraAngles: ['medium'] });
+        await drainJobs();
+
+        const id = created.body.data.productImage._id;
+        const res = await request(app)
+            .post(`/api/product-images/${id}/regenerate`)
+            .set(authHeader(token));
+
+        expect(res.status).toBe(202);
+        expect(res.body.data.productImage.status).toBe('processing');
+
+        await drainJobs();
+
+        const image = await request(app).get(`/api/product-images/${id}`).set(authHeader(token));
+        expect(image.body.data.status).toBe('completed');
+    });
+
+    it('rejects non-local source images', async () => {
+        const res = await request(app)
+            .post('/api/product-images/generate')
+            .set(authHeader(token))
+            .send({ originalImageUrl: 'https://example.com/a.png' });
+
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,176 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { Article } = require('../../src/models');
+const { connectTestDB, disconnectTestDB } = require('../helpers/db');
+const { registerUser, authHeader } = require('../helpers/auth');
+const { startGraphStub } = require('../helpers/graphStub');
+
+let graph;
+
+beforeAll(async () => {
+    await connectTestDB();
+    graph = await startGraphStub();
+    process.env.FACEBOOK_GRAPH_URL = graph.url;
+});
+
+afterAll(async () => {
+    delete process.env.FACEBOOK_GRAPH_URL;
+    await graph.close();
+    await disconnectTestDB();
+});
+
+async function createArticle(token, body = {}) {
+    const res = await request(app)
+        .post('/api/articles')
+        .set(authHeader(token))
+        .send({
+            title: 'Bánh mì cuối tuần',
+            content: 'Giảm giá 20% tất cả bánh mì',
+            topic: 'Bánh mì',
+            purpose: 'sell',
+            hashtags: ['banhmi'],
+            imageUrls: ['/uploads/images/banh-mi.png'],
+            ...body
+        })
+        .expect(201);
+    return res.body.data;
+}
+
+function setFacebookToken(token, facebookToken, pageId = '') {
+    return request(app)
+        .put('/api/ai-settings')
+        .set(authHeader(token))
+        .send({ facebook: { facebookToken, pageId } })
+        .expect(200);
+}
+
+describe('Publishing API', () => {
+    let token;
+
+    beforeAll(async () => {
+        ({ token } = await registerUser(app));
+    });
+
+    it('requires a connected Facebook token', async () => {
+        const article = await createArticle(token);
+
+        const res = await request(app)
+            .post(`/api/publishing/articles/${article._id}`)
+            .set(authHeader(token))
+            .send({ pageId: '1001' });
+
+        expect(res.status).toBe(400);
+    });
+
+    it('lists the pages of the workspace token', async () => {
+        await setFacebookToken(token, 'user-token');
+
+        const res = await request(app).get('/api/publishing/facebook/pages').set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toEqual([{ id: '1001', name: 'Tiệm bánh Hoa Mai', category: 'Bakery' }]);
+    });
+
+    it('publishes an article and stores the remote post', async () => {
+        await setFacebookToken(token, 'user-token', '1001');
+        const article = await createArticle(token);
+
+        const res = await request(app)
+            .post(`/api/publishing/articles/${article._id}`)
+            .set(authHeader(token))
+            .send({});
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.status).toBe('published');
+        expect(res.body.data.publication).toMatchObject({
+            channel: 'facebook',
+            pageId: '1001',
+            postId: expect.stringMatching(/^1001_/),
+            permalink: expect.stringContaining('facebook.com'),
+            lastError: null,
+            attempts: 1
+        });
+
+        const photo = graph.requests.find((item) => item.path === '/1001/photos');
+        expect(photo.params.message).toBe('Giảm giá 20% tất cả bánh mì\n\n#banhmi');
+        expect(photo.params.url).toMatch(/^http.*\/uploads\/images\/banh-mi\.png$/);
+
+        const again = await request(app)
+            .post(`/api/publishing/articles/${article._id}`)
+            .set(authHeader(token))
+            .send({});
+        expect(again.status).toBe(409);
+    });
+
+    it('posts only once when two publish requests race', async () => {
+        await setFacebookToken(token, 'user-token', '1001');
+        const article = await createArticle(token, { content: 'Bánh mì bơ tỏi mới ra lò' });
+
+        const responses = await Promise.all([1, 2].map(() => request(app)
+            .post(`/api/publishing/articles/${article._id}`)
+            .set(authHeader(token))
+            .send({})));
+
+        expect(responses.map((res) => res.status).sort()).toEqual([200, 409]);
+        const posts = graph.requests.filter((item) => item.params.message?.startsWith('Bánh mì bơ tỏi'));
+        expect(posts).toHaveLength(1);
+
+        const stored = await request(app).get(`/api/articles/${article._id}`).set(authHeader(token));
+        expect(stored.body.data.publication).toMatchObject({ attempts: 1, inFlightAt: null });
+    });
+
+    it('refuses articles repurposed for another channel', async () => {
+        await setFacebookToken(token, 'user-token', '1001');
+        const article = await createArticle(token, { content: 'Bánh mì cho Instagram' });
+        await Article.updateOne({ _id: article._id }, { channel: 'instagram' });
+
+        const res = await request(app)
+            .post(`/api/publishing/articles/${article._id}`)
+            .set(authHeader(token))
+            .send({});
+
+        expect(res.status).toBe(400);
+        expect(graph.requests.some((item) => item.params.message === 'Bánh mì cho Instagram')).toBe(false);
+    });
+
+    it('retries saving a remote post the database failed to store', async () => {
+        await setFacebookToken(token, 'user-token', '1001');
+        const article = await createArticle(token, { content: 'Bánh mì chà bông' });
+
+        const updateOne = jest.spyOn(Article, 'updateOne').mockRejectedValueOnce(new Error('connection lost'));
+        let res;
+        try {
+            res = await request(app)
+                .post(`/api/publishing/articles/${article._id}`)
+                .set(authHeader(token))
+                .send({});
+        } finally {
+            updateOne.mockRestore();
+        }
+
+        expect(res.status).toBe(200);
+        const stored = await Article.findById(article._id);
+        expect(stored.status).toBe('published');
+        expect(stored.publication).toMatchObject({ postId: expect.stringMatching(/^1001_/), inFlightAt: null });
+    });
+
+    it('records failed attempts on the article', async () => {
+        await setFacebookToken(token, 'bad-token', '1001');
+        const article = await createArticle(token);
+
+        const res = await request(app)
+            .post(`/api/publishing/articles/${article._id}`)
+            .set(authHeader(token))
+            .send({});
+
+        expect(res.status).toBe(502);
+
+        const stored = await request(app).get(`/api/articles/${article._id}`).set(authHeader(token));
+        expect(stored.body.data.status).toBe('draft');
+        expect(stored.body.data.publication).toMatchObject({
+            postId: null,
+            attempts: 1,
+            lastError: expect.stringContaining('Session has expired')
+        });
+    });
+});
@@ -0,0 +1,98 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { User, QuotaUsage } = require('../../src/models');
+const { getQuotaPeriod } = require('../../src/services/quota');
+const { connectTestDB, disconnectTestDB } = require('../helpers/db');
+const { registerUser, authHeader } = require('../helpers/auth');
+
+beforeAll(connectTestDB);
+afterAll(disconnectTestDB);
+
+const articleInput = { topic: 'Cà phê', purpose: 'sell', description: 'Khuyến mãi', wordCount: 30 };
+
+async function setUsed(userId, tool, used) {
+    await QuotaUsage.updateOne(
+        { userId, period: getQuotaPeriod().period },
+        { $set: { [`counts.${tool}`]: used } },
+        { upsert: true }
+    );
+}
+
+describe('Plan quotas', () => {
+    let token;
+    let user;
+
+    beforeEach(async () => {
+        ({ token, user } = await registerUser(app));
+    });
+
+    it('reports the plan and remaining quota', async () => {
+        const res = await request(app).get('/api/usage/quota').set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.plan).toBe('free');
+        expect(res.body.data.restrictedModels).toContain('gemini-2.5-pro');
+        expect(res.body.data.tools.article).toMatchObject({ used: 0, remaining: res.body.data.tools.article.limit });
+    });
+
+    it('counts generations and exposes the remaining quota in headers', async () => {
+        const res = await request(app)
+            .post('/api/ai/generate-article')
+            .set(authHeader(token))
+            .send(articleInput);
+
+        expect(res.status).toBe(200);
+        expect(Number(res.headers['x-quota-remaining'])).toBe(Number(res.headers['x-quota-limit']) - 1);
+        expect(res.headers['x-quota-reset']).toBeTruthy();
+    });
+
+    it('rejects requests over the monthly quota with the remaining payload', async () => {
+        const { body } = await request(app).get('/api/usage/quota').set(authHeader(token));
+        const imageLimit = body.data.tools.image.limit;
+        await setUsed(user.id, 'image', imageLimit - 1);
+
+        const res = await request(app)
+            .post('/api/product-images/generate')
+            .set(authHeader(token))
+            .send({ originalImageUrl: '/uploads/images/general/x.png', cameraAngles: ['wide', 'closeup'] });
+
+        expect(res.status).toBe(429);
+        expect(res.body.data.quota).toMatchObject({ tool: 'image', limit: imageLimit, remaining: 1, requested: 2 });
+    });
+
+    it('gives quota back when the request fails validation', async () => {
+        const res = await request(app)
+            .post('/api/ai/generate-article')
+            .set(authHeader(token))
+            .send({ topic: 'Thiếu mục đích' });
+
+        expect(res.status).toBe(400);
+        await new Promise((resolve) => setTimeout(resolve, 100));
+
+        const quota = await request(app).get('/api/usage/quota').set(authHeader(token));
+        expect(quota.body.data.tools.article.used).toBe(0);
+    });
+
+    it('reserves premium models for paid tiers', async () => {
+        await request(app)
+            .patch('/api/ai-settings/aiModels')
+            .set(authHeader(token))
+            .send({ textModel: 'gemini-2.5-pro' })
+            .expect(200);
+
+        const denied = await request(app)
+            .post('/api/ai/generate-article')
+            .set(authHeader(token))
+            .send(articleInput);
+        expect(denied.status).toBe(403);
+        expect(denied.body.data).toMatchObject({ plan: 'free', modelName: 'gemini-2.5-pro' });
+
+        await User.updateOne({ _id: user.id }, { plan: 'pro' });
+
+        const allowed = await request(app)
+            .post('/api/ai/generate-article')
+            .set(authHeader(token))
+            .send(articleInput);
+        expect(allowed.status).toBe(200);
+    });
+});
@@ -0,0 +1,76 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { connectTestDB, disconnectTestDB } = require('../helpers/db');
+const { registerUser, authHeader } = require('../helpers/auth');
+const { drainJobs } = require('../helpers/jobs');
+
+beforeAll(connectTestDB);
+afterAll(disconnectTestDB);
+
+describe('Usage API', () => {
+    let token;
+    let otherToken;
+    let articleId;
+
+    beforeAll(async () => {
+        ({ token } = await registerUser(app));
+        ({ token: otherToken } = await registerUser(app));
+
+        await request(app)
+            .post('/api/ai/generate-article')
+            .set(authHeader(token))
+            .send({ topic: 'Trà sữa', purpose: 'introduce', description: 'Vị mới', wordCount: 40 })
+            .expect(200);
+
+        const res = await request(app)
+            .post('/api/ai/generate-and-save')
+            .set(authHeader(token))
+            .send({ topic: 'Bánh mì', purpose: 'sell', description: 'Cuối tuần', wordCount: 40 })
+            .expect(202);
+        articleId = res.body.data.article._id;
+
+        await drainJobs();
+    });
+
+    it('aggregates tokens per period, tool and model', async () => {
+        const res = await request(app).get('/api/usage').set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.currency).toBe('USD');
+        expect(res.body.data.totals.calls).toBe(2);
+        expect(res.body.data.totals.totalTokens).toBeGreaterThan(0);
+        expect(res.body.data.byPeriod).toHaveLength(1);
+        expect(res.body.data.byPeriod[0].period).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+        expect(res.body.data.byTool).toEqual([expect.objectContaining({ tool: 'article', calls: 2 })]);
+        expect(res.body.data.byModel).toEqual([expect.objectContaining({ modelName: 'mock-model' })]);
+
+        const monthly = await request(app).get('/api/usage?groupBy=month').set(authHeader(token));
+        expect(monthly.body.data.byPeriod[0].period).toMatch(/^\d{4}-\d{2}$/);
+    });
+
+    it('links background generations to their document', async () => {
+        const res = await request(app)
+            .get(`/api/usage/records?refId=${articleId}`)
+            .set(authHeader(token));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toHaveLength(1);
+        expect(res.body.data[0]).toMatchObject({ operation: 'article.text', refModel: 'Article', priced: false });
+        expect(res.body.data[0].jobId).toBeTruthy();
+    });
+
+    it('keeps usage private per user', async () => {
+        const res = await request(app).get('/api/usage').set(authHeader(otherToken));
+
+        expect(res.body.data.totals.calls).toBe(0);
+        expect(res.body.data.byPeriod).toEqual([]);
+    });
+
+    it('validates query parameters', async () => {
+        const badGroup = await request(app).get('/api/usage?groupBy=week').set(authHeader(token));
+        expect(badGroup.status).toBe(400);
+
+        const badDate = await request(app).get('/api/usage?from=not-a-date').set(authHeader(token));
+        expect(badDate.status).toBe(400);
+    });
+});
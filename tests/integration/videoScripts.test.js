@@ -0,0 +1,88 @@
+const request = require('supertest');
+const ExcelJS = require('exceljs');
+const app = require('../../src/app');
+const { connectTestDB, disconnectTestDB } = require('../helpers/db');
+const { registerUser, authHeader } = require('../helpers/auth');
+const { drainJobs } = require('../helpers/jobs');
+
+beforeAll(connectTestDB);
+afterAll(disconnectTestDB);
+
+function binaryParser(res, callback) {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('Video Scripts API', () => {
+    let token;
+    let scriptId;
+
+    beforeAll(async () => {
+        ({ token } = await registerUser(app));
+    });
+
+    it('generates a script in the background', async () => {
+        const res = await request(app)
+            .post('/api/video-scripts/generate')
+            .set(authHeader(token))
+            .send({ title: 'Giới thiệu quán cà phê', duration: '1 phút', sceneCount: 4, size: 'vertical' });
+
+        expect(res.status).toBe(202);
+        expect(res.body.data.videoScript.status).toBe('processing');
+        scriptId = res.body.data.videoScript._id;
+
+        await drainJobs();
+
+        const script = await request(app).get(`/api/video-scripts/${scriptId}`).set(authHeader(token));
+        expect(script.status).toBe(200);
+        expect(script.body.data.status).toBe('completed');
+        expect(script.body.data.scenes).toHaveLength(4);
+        expect(script.body.data.scenes.map((scene) => scene.sceneNumber)).toEqual([1, 2, 3, 4]);
+    });
+
+    it('exports the script to Excel', async () => {
+        const res = await request(app)
+            .get(`/api/video-scripts/${scriptId}/export-excel`)
+            .set(authHeader(token))
+            .buffer(true)
+            .parse(binaryParser);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toContain('spreadsheetml');
+
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(res.body);
+        expect(workbook.worksheets.length).toBeGreaterThan(0);
+    });
+
+    it('suggests concepts and requires brand settings for ideas', async () => {
+        const concepts = await request(app)
+            .post('/api/video-scripts/suggest-concepts')
+            .set(authHeader(token))
+            .send({
+                title: 'Cà phê muối',
+                videoGoal: 'Tăng nhận diện',
+                targetAudience: 'Nhân viên văn phòng',
+                featuredProductService: 'Cà phê muối',
+                conceptCount: 3
+            });
+        expect(concepts.status).toBe(200);
+        expect(concepts.body.data.concepts).toHaveLength(3);
+
+        const idea = await request(app)
+            .post('/api/video-scripts/generate-idea')
+            .set(authHeader(token))
+            .send({ title: 'Cà phê muối' });
+        expect(idea.status).toBe(400);
+    });
+
+    it('requires a title', async () => {
+        const res = await request(app)
+            .post('/api/video-scripts/generate')
+            .set(authHeader(token))
+            .send({});
+
+        expect(res.status).toBe(400);
+    });
+});
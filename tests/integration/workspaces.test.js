@@ -0,0 +1,239 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { Article } = require('../../src/models');
+const { connectTestDB, disconnectTestDB } = require('../helpers/db');
+const { registerUser, authHeader } = require('../helpers/auth');
+const { getLatestToken } = require('../helpers/mail');
+const { drainJobs } = require('../helpers/jobs');
+
+beforeAll(connectTestDB);
+afterAll(disconnectTestDB);
+
+function inWorkspace(token, workspaceId) {
+    return { ...authHeader(token), 'X-Workspace-Id': String(workspaceId) };
+}
+
+async function invite(ownerToken, workspaceId, email, role) {
+    await request(app)
+        .post(`/api/workspaces/${workspaceId}/invitations`)
+        .set(authHeader(ownerToken))
+        .send({ email, role })
+        .expect(201);
+    return getLatestToken(email);
+}
+
+describe('Workspaces API', () => {
+    let owner;
+    let editor;
+    let viewer;
+    let outsider;
+    let workspaceId;
+
+    beforeAll(async () => {
+        owner = await registerUser(app, { name: 'Trưởng nhóm' });
+        editor = await registerUser(app, { name: 'Biên tập viên' });
+        viewer = await registerUser(app, { name: 'Người xem' });
+        outsider = await registerUser(app);
+
+        const created = await request(app)
+            .post('/api/workspaces')
+            .set(authHeader(owner.token))
+            .send({ name: 'Team Content' });
+        expect(created.status).toBe(201);
+        expect(created.body.data).toMatchObject({ name: 'Team Content', role: 'owner', isPersonal: false });
+        workspaceId = created.body.data.id;
+
+        for (const [member, role] of [[editor, 'editor'], [viewer, 'viewer']]) {
+            const token = await invite(owner.token, workspaceId, member.credentials.email, role);
+            await request(app)
+                .post('/api/workspaces/invitations/accept')
+                .set(authHeader(member.token))
+                .send({ token })
+                .expect(200);
+        }
+    });
+
+    it('gives every user a personal workspace', async () => {
+        const res = await request(app).get('/api/workspaces').set(authHeader(outsider.token));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toEqual([expect.objectContaining({ isPersonal: true, role: 'owner' })]);
+    });
+
+    it('lists members with their roles', async () => {
+        const res = await request(app).get(`/api/workspaces/${workspaceId}`).set(authHeader(viewer.token));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.members.map((member) => [member.email, member.role])).toEqual([
+            [owner.credentials.email, 'owner'],
+            [editor.credentials.email, 'editor'],
+            [viewer.credentials.email, 'viewer']
+        ]);
+
+        const foreign = await request(app).get(`/api/workspaces/${workspaceId}`).set(authHeader(outsider.token));
+        expect(foreign.status).toBe(404);
+    });
+
+    it('shares brand settings, editable by owners only', async () => {
+        await request(app)
+            .put('/api/ai-settings')
+            .set(inWorkspace(owner.token, workspaceId))
+            .send({ logo: { brandName: 'Cà Phê Mộc' } })
+            .expect(200);
+
+        const shared = await request(app).get('/api/ai-settings').set(inWorkspace(editor.token, workspaceId));
+        expect(shared.body.data.logo.brandName).toBe('Cà Phê Mộc');
+
+        // The editor's personal workspace keeps its own settings
+        const personal = await request(app).get('/api/ai-settings').set(authHeader(editor.token));
+        expect(personal.body.data.logo.brandName).toBe('');
+
+        const denied = await request(app)
+            .patch('/api/ai-settings/colors')
+            .set(inWorkspace(editor.token, workspaceId))
+            .send({ primaryColor: '#000000' });
+        expect(denied.status).toBe(403);
+    });
+
+    it('scopes content to the workspace', async () => {
+        const created = await request(app)
+            .post('/api/articles')
+            .set(inWorkspace(editor.token, workspaceId))
+            .send({ title: 'Bài của team', content: 'Nội dung', topic: 'Cà phê', purpose: 'sell' });
+        expect(created.status).toBe(201);
+
+        const teamList = await request(app).get('/api/articles').set(inWorkspace(viewer.token, workspaceId));
+        expect(teamList.body.data.articles.map((article) => article.title)).toEqual(['Bài của team']);
+
+        const ownerRead = await request(app)
+            .get(`/api/articles/${created.body.data._id}`)
+            .set(inWorkspace(owner.token, workspaceId));
+        expect(ownerRead.status).toBe(200);
+
+        const personalList = await request(app).get('/api/articles').set(authHeader(editor.token));
+        expect(personalList.body.data.articles).toHaveLength(0);
+
+        const foreign = await request(app).get('/api/articles').set(inWorkspace(outsider.token, workspaceId));
+        expect(foreign.status).toBe(404);
+    });
+
+    it('generates with the workspace brand settings', async () => {
+        const res = await request(app)
+            .post('/api/ai/generate-and-save')
+            .set(inWorkspace(editor.token, workspaceId))
+            .send({ topic: 'Cà phê', purpose: 'sell', description: 'Giới thiệu menu mới', useBrandSettings: true });
+        expect(res.status).toBe(202);
+        expect(String(res.body.data.job.workspaceId)).toBe(String(workspaceId));
+
+        await drainJobs();
+
+        const article = await request(app)
+            .get(`/api/articles/${res.body.data.article._id}`)
+            .set(inWorkspace(owner.token, workspaceId));
+        expect(article.body.data.status).toBe('draft');
+    });
+
+    it('keeps viewers read-only', async () => {
+        const create = await request(app)
+            .post('/api/articles')
+            .set(inWorkspace(viewer.token, workspaceId))
+            .send({ title: 'Không được', content: 'Nội dung', topic: 'Cà phê', purpose: 'sell' });
+        expect(create.status).toBe(403);
+
+        const generate = await request(app)
+            .post('/api/video-scripts/generate')
+            .set(inWorkspace(viewer.token, workspaceId))
+            .send({ title: 'Video' });
+        expect(generate.status).toBe(403);
+    });
+
+    it('only lets the invited email accept an invitation, once', async () => {
+        const newcomer = await registerUser(app);
+        const token = await invite(owner.token, workspaceId, newcomer.credentials.email, 'viewer');
+
+        const wrongUser = await request(app)
+            .post('/api/workspaces/invitations/accept')
+            .set(authHeader(outsider.token))
+            .send({ token });
+        expect(wrongUser.status).toBe(403);
+
+        const accepted = await request(app)
+            .post('/api/workspaces/invitations/accept')
+            .set(authHeader(newcomer.token))
+            .send({ token });
+        expect(accepted.status).toBe(200);
+        expect(accepted.body.data).toMatchObject({ role: 'viewer' });
+
+        const reused = await request(app)
+            .post('/api/workspaces/invitations/accept')
+            .set(authHeader(newcomer.token))
+            .send({ token });
+        expect(reused.status).toBe(400);
+
+        const duplicate = await request(app)
+            .post(`/api/workspaces/${workspaceId}/invitations`)
+            .set(authHeader(owner.token))
+            .send({ email: newcomer.credentials.email });
+        expect(duplicate.status).toBe(400);
+    });
+
+    it('restricts invitations and member management to owners', async () => {
+        const res = await request(app)
+            .post(`/api/workspaces/${workspaceId}/invitations`)
+            .set(authHeader(editor.token))
+            .send({ email: 'someone@example.com' });
+        expect(res.status).toBe(403);
+
+        const promote = await request(app)
+            .patch(`/api/workspaces/${workspaceId}/members/${viewer.user.id}`)
+            .set(authHeader(editor.token))
+            .send({ role: 'editor' });
+        expect(promote.status).toBe(403);
+    });
+
+    it('always keeps an owner', async () => {
+        const demote = await request(app)
+            .patch(`/api/workspaces/${workspaceId}/members/${owner.user.id}`)
+            .set(authHeader(owner.token))
+            .send({ role: 'editor' });
+        expect(demote.status).toBe(400);
+
+        const leave = await request(app)
+            .delete(`/api/workspaces/${workspaceId}/members/${owner.user.id}`)
+            .set(authHeader(owner.token));
+        expect(leave.status).toBe(400);
+    });
+
+    it('removes members and their access', async () => {
+        const member = await registerUser(app);
+        const token = await invite(owner.token, workspaceId, member.credentials.email, 'editor');
+        await request(app)
+            .post('/api/workspaces/invitations/accept')
+            .set(authHeader(member.token))
+            .send({ token })
+            .expect(200);
+
+        await request(app)
+            .delete(`/api/workspaces/${workspaceId}/members/${member.user.id}`)
+            .set(authHeader(owner.token))
+            .expect(200);
+
+        const res = await request(app).get('/api/articles').set(inWorkspace(member.token, workspaceId));
+        expect(res.status).toBe(404);
+    });
+
+    it('moves content created before workspaces into the personal workspace', async () => {
+        const legacy = await registerUser(app);
+        await Article.create({
+            userId: legacy.user.id,
+            title: 'Bài cũ',
+            content: 'Nội dung',
+            topic: 'Cà phê',
+            purpose: 'sell'
+        });
+
+        const res = await request(app).get('/api/articles').set(authHeader(legacy.token));
+
+        expect(res.body.data.articles.map((article) => article.title)).toEqual(['Bài cũ']);
+    });
+});
@@ -0,0 +1,27 @@
+/**
+ * Jest setup (runs before every test file)
+ * Offline AI provider, file mailer, test secrets, and an isolated working directory for uploads/mails
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.AI_PROVIDER = 'mock';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_ACCESS_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '1h';
+process.env.DEBUG_PROMT = 'false';
+process.env.DEBUG_API = 'false';
+process.env.MAIL_DRIVER = 'file';
+
+// Uploads and mails are resolved from process.cwd(): keep generated files out of the repo
+const originalDir = process.cwd();
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-marketing-api-test-'));
+process.chdir(workDir);
+
+afterAll(() => {
+    // Leave the directory before removing it, the next test file of this worker starts from here
+    process.chdir(originalDir);
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
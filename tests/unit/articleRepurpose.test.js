@@ -0,0 +1,68 @@
+const {
+    CHANNEL_KEYS,
+    normalizeRepurposeChannels,
+    truncateText,
+    normalizeHashtags,
+    buildRepurposePrompt,
+    normalizeRepurposeResult
+} = require('../../src/services/gemini/articleRepurpose.service');
+
+const article = { title: 'Cà phê muối', content: 'Cà phê muối thơm béo', hashtags: ['#caphe'] };
+
+describe('Article repurpose', () => {
+    it('reads the requested channels', () => {
+        expect(normalizeRepurposeChannels(undefined)).toEqual(CHANNEL_KEYS);
+        expect(normalizeRepurposeChannels('blog, Email,blog')).toEqual(['blog', 'email']);
+        expect(normalizeRepurposeChannels(['tiktok'])).toEqual(['tiktok']);
+        expect(normalizeRepurposeChannels(['tiktok', 'myspace'])).toBeNull();
+        expect(normalizeRepurposeChannels([])).toBeNull();
+    });
+
+    it('truncates on a word boundary', () => {
+        expect(truncateText('  ngắn gọn  ', 20)).toBe('ngắn gọn');
+        expect(truncateText('một hai ba bốn năm sáu', 12)).toBe('một hai ba…');
+        expect(truncateText('một hai ba bốn năm sáu', 12).length).toBeLessThanOrEqual(12);
+        expect(truncateText(null, 10)).toBe('');
+    });
+
+    it('cleans hashtags within the channel limit', () => {
+        expect(normalizeHashtags(['caphe', '##CaPhe', '#ca phe', 42, '#', '#muoi'], 30)).toEqual(['#caphe', '#muoi']);
+        expect(normalizeHashtags(['#a', '#b', '#c'], 2)).toEqual(['#a', '#b']);
+        expect(normalizeHashtags(['#a'], 0)).toEqual([]);
+    });
+
+    it('enforces the limits of each channel on the AI output', () => {
+        const hashtags = Array.from({ length: 40 }, (_, index) => `#tag${index}`);
+        const longText = 'chữ '.repeat(800);
+
+        const instagram = normalizeRepurposeResult({ title: 'IG', content: longText, hashtags }, 'instagram', article);
+        expect(instagram.content.length).toBeLessThanOrEqual(2200);
+        expect(instagram.hashtags).toHaveLength(30);
+
+        const tiktok = normalizeRepurposeResult({ title: 'TT', content: 'Ngắn', hashtags }, 'tiktok', article);
+        expect(tiktok.hashtags).toHaveLength(5);
+
+        const zalo = normalizeRepurposeResult({ title: 'Zalo', content: 'Chào bạn', hashtags }, 'zalo', article);
+        expect(zalo.hashtags).toEqual([]);
+        expect(zalo.channelFields).toEqual({});
+
+        const blog = normalizeRepurposeResult({ title: 'Blog', content: '## Mở bài', metaDescription: longText }, 'blog', article);
+        expect(blog.channelFields.metaDescription.length).toBeLessThanOrEqual(160);
+
+        const email = normalizeRepurposeResult({ content: 'Xin chào', subject: 'Ưu đãi tháng 10', preheader: 'Giảm 20%' }, 'email', article);
+        expect(email).toMatchObject({ title: 'Ưu đãi tháng 10', channelFields: { subject: 'Ưu đãi tháng 10', preheader: 'Giảm 20%' } });
+
+        expect(() => normalizeRepurposeResult({ title: 'Trống' }, 'zalo', article)).toThrow();
+    });
+
+    it('asks for the fields and limits of the channel', () => {
+        const blogPrompt = buildRepurposePrompt(article, 'blog', { instruction: 'Nhắm từ khóa cà phê muối' });
+        expect(blogPrompt).toContain('"metaDescription"');
+        expect(blogPrompt).toContain('Nhắm từ khóa cà phê muối');
+        expect(blogPrompt).not.toContain('THÔNG TIN THƯƠNG HIỆU');
+
+        const tiktokPrompt = buildRepurposePrompt(article, 'tiktok', { brandContext: 'Tone: trẻ trung' });
+        expect(tiktokPrompt).toContain('tối đa 5');
+        expect(tiktokPrompt).toContain('Tone: trẻ trung');
+    });
+});
@@ -0,0 +1,80 @@
+const {
+    normalizeVariantCount,
+    parseVariantScoreResponse,
+    rankArticleVariants,
+    buildVariantScorePrompt,
+    generateArticleVariants
+} = require('../../src/services/gemini/articleVariants.service');
+const aiProvider = require('../../src/services/ai');
+
+describe('Article variants', () => {
+    it('reads the requested variant count', () => {
+        expect(normalizeVariantCount(undefined)).toBeNull();
+        expect(normalizeVariantCount(1)).toBeNull();
+        expect(normalizeVariantCount('3')).toBe(3);
+        expect(normalizeVariantCount(12)).toBe(5);
+    });
+
+    it('parses rubric scores into weighted overall scores', () => {
+        const response = JSON.stringify({
+            scores: [
+                { index: 2, hookStrength: 10, brandVoiceFit: 10, ctaClarity: 10, readability: 10, feedback: ' Rất tốt ' },
+                { index: 1, hookStrength: 8, brandVoiceFit: 6, ctaClarity: 4, readability: 15 },
+                { index: 3, hookStrength: 'cao' }
+            ]
+        });
+
+        const [first, second, third] = parseVariantScoreResponse(response, 3);
+
+        expect(second).toEqual({
+            criteria: { hookStrength: 10, brandVoiceFit: 10, ctaClarity: 10, readability: 10 },
+            overall: 10,
+            feedback: 'Rất tốt'
+        });
+        // 8*0.3 + 6*0.25 + 4*0.25 + 10*0.2 (readability clamped to 10)
+        expect(first.overall).toBe(6.9);
+        expect(third).toBeNull();
+        expect(() => parseVariantScoreResponse('không phải JSON', 2)).toThrow();
+    });
+
+    it('ranks scored variants first, keeping generation order on ties', () => {
+        const ranked = rankArticleVariants([
+            { angle: 'a', score: null },
+            { angle: 'b', score: { overall: 6 } },
+            { angle: 'c', score: { overall: 8 } },
+            { angle: 'd', score: { overall: 6 } }
+        ]);
+
+        expect(ranked.map((variant) => `${variant.rank}:${variant.angle}`)).toEqual(['1:c', '2:b', '3:d', '4:a']);
+    });
+
+    it('scores against the brand voice when there is one', () => {
+        const prompt = buildVariantScorePrompt([{ title: 'T1', content: 'C1' }, { title: 'T2', content: 'C2' }], {
+            brandContext: 'Tên thương hiệu: Mộc Quán'
+        });
+
+        expect(prompt).toContain('Tên thương hiệu: Mộc Quán');
+        expect(prompt).toContain('### PHIÊN BẢN 2\nTiêu đề: T2');
+        expect(prompt).toContain('brandVoiceFit');
+    });
+
+    it('returns unranked variants when scoring fails', async () => {
+        const generateText = aiProvider.generateText;
+        const spy = jest.spyOn(aiProvider, 'generateText').mockImplementation((params) => (
+            params.meta.operation === 'article.variantScore'
+                ? Promise.reject(new Error('quota exceeded'))
+                : generateText(params)
+        ));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        try {
+            const { variants, scored } = await generateArticleVariants({ topic: 'Cà phê', purpose: 'sell', description: 'Mới', wordCount: 20 }, 2);
+
+            expect(scored).toBe(false);
+            expect(variants.map((variant) => [variant.rank, variant.angle, variant.score])).toEqual([[1, 'benefit', null], [2, 'story', null]]);
+        } finally {
+            spy.mockRestore();
+            console.error.mockRestore();
+        }
+    });
+});
@@ -0,0 +1,95 @@
+const facebookPublisher = require('../../src/services/publishing/adapters/facebookGraph.publisher');
+const { buildPostMessage, toPublicUrl } = require('../../src/services/publishing');
+const { startGraphStub } = require('../helpers/graphStub');
+
+describe('Facebook Graph publisher', () => {
+    let graph;
+
+    beforeAll(async () => {
+        graph = await startGraphStub();
+        process.env.FACEBOOK_GRAPH_URL = graph.url;
+    });
+
+    afterAll(async () => {
+        delete process.env.FACEBOOK_GRAPH_URL;
+        await graph.close();
+    });
+
+    beforeEach(() => {
+        graph.requests.length = 0;
+    });
+
+    it('lists pages without their access tokens', async () => {
+        const pages = await facebookPublisher.listPages('user-token');
+
+        expect(pages).toEqual([{ id: '1001', name: 'Tiệm bánh Hoa Mai', category: 'Bakery' }]);
+    });
+
+    it('posts text to the feed with the page token', async () => {
+        const result = await facebookPublisher.publishPost({
+            pageId: '1001',
+            accessToken: 'user-token',
+            message: 'Xin chào',
+            imageUrls: []
+        });
+
+        expect(result.postId).toMatch(/^1001_/);
+        expect(result.permalink).toContain('/1001/posts/');
+
+        const feed = graph.requests.find((request) => request.path === '/1001/feed');
+        expect(feed.params).toMatchObject({ message: 'Xin chào', access_token: 'page-token-1001' });
+    });
+
+    it('posts a single image as a photo', async () => {
+        const result = await facebookPublisher.publishPost({
+            pageId: '1001',
+            accessToken: 'user-token',
+            message: 'Ảnh mới',
+            imageUrls: ['https://cdn.example.com/a.png']
+        });
+
+        expect(result.postId).toMatch(/^1001_/);
+        expect(graph.requests.filter((request) => request.path === '/1001/photos')).toHaveLength(1);
+        expect(graph.requests.some((request) => request.path === '/1001/feed')).toBe(false);
+    });
+
+    it('attaches multiple images to one feed post', async () => {
+        await facebookPublisher.publishPost({
+            pageId: '1001',
+            accessToken: 'user-token',
+            message: 'Album',
+            imageUrls: ['https://cdn.example.com/a.png', 'https://cdn.example.com/b.png']
+        });
+
+        const photos = graph.requests.filter((request) => request.path === '/1001/photos');
+        expect(photos.map((request) => request.params.published)).toEqual(['false', 'false']);
+
+        const feed = graph.requests.find((request) => request.path === '/1001/feed');
+        expect(JSON.parse(feed.params['attached_media[0]'])).toEqual({ media_fbid: expect.any(String) });
+        expect(JSON.parse(feed.params['attached_media[1]'])).toEqual({ media_fbid: expect.any(String) });
+    });
+
+    it('surfaces Graph API errors', async () => {
+        await expect(facebookPublisher.publishPost({
+            pageId: '1001',
+            accessToken: 'bad-token',
+            message: 'Xin chào'
+        })).rejects.toMatchObject({ code: 190, message: expect.stringContaining('Session has expired') });
+    });
+});
+
+describe('Publishing helpers', () => {
+    it('appends hashtags to the content', () => {
+        expect(buildPostMessage({ content: 'Bánh mì nóng', hashtags: ['banhmi', '#sale', ' '] }))
+            .toBe('Bánh mì nóng\n\n#banhmi #sale');
+    });
+
+    it('makes upload paths absolute', () => {
+        process.env.PUBLIC_BASE_URL = 'https://api.example.com/';
+
+        expect(toPublicUrl('/uploads/images/a.png')).toBe('https://api.example.com/uploads/images/a.png');
+        expect(toPublicUrl('https://cdn.example.com/a.png')).toBe('https://cdn.example.com/a.png');
+
+        delete process.env.PUBLIC_BASE_URL;
+    });
+});
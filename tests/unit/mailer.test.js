@@ -0,0 +1,55 @@
+const fs = require('fs');
+const { sendMail, setMailer, getMailerName, verifyEmailTemplate } = require('../../src/services/mail');
+
+describe('Mailer', () => {
+    afterEach(() => setMailer());
+
+    it('uses the file mailer in tests', () => {
+        expect(getMailerName()).toBe('file');
+    });
+
+    it('does not fall back to files without an explicit driver', () => {
+        const { MAIL_DRIVER, SMTP_HOST } = process.env;
+        delete process.env.MAIL_DRIVER;
+        delete process.env.SMTP_HOST;
+
+        try {
+            expect(() => getMailerName()).toThrow('Mail is not configured');
+
+            process.env.SMTP_HOST = 'smtp.example.com';
+            expect(getMailerName()).toBe('smtp');
+
+            process.env.MAIL_DRIVER = 'carrier-pigeon';
+            expect(() => getMailerName()).toThrow('Unknown MAIL_DRIVER');
+        } finally {
+            process.env.MAIL_DRIVER = MAIL_DRIVER;
+            if (SMTP_HOST === undefined) delete process.env.SMTP_HOST;
+            else process.env.SMTP_HOST = SMTP_HOST;
+        }
+    });
+
+    it('writes mails as JSON files', async () => {
+        const template = verifyEmailTemplate({
+            name: 'Linh',
+            url: 'http://localhost:3000/verify-email?token=abc',
+            expiresInHours: 48
+        });
+
+        const { filePath } = await sendMail({ to: 'linh@example.com', ...template });
+        const mail = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+        expect(mail).toMatchObject({ to: 'linh@example.com', subject: template.subject });
+        expect(mail.from).toEqual(expect.any(String));
+        expect(mail.text).toContain('token=abc');
+        expect(mail.html).toContain('token=abc');
+    });
+
+    it('can be replaced', async () => {
+        const sent = [];
+        setMailer({ name: 'memory', send: async (message) => sent.push(message) });
+
+        await sendMail({ to: 'a@example.com', subject: 'Hi', text: 'Hello' });
+
+        expect(sent).toEqual([expect.objectContaining({ to: 'a@example.com', subject: 'Hi' })]);
+    });
+});
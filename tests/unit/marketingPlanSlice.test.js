@@ -0,0 +1,54 @@
+const { buildPlanSlicePrompt, parsePlanSliceResponse } = require('../../src/services/gemini/marketingPlan.service');
+
+const slots = [
+    { date: '2026-05-08', time: '18:00', channel: 'facebook', topic: 'Trà sữa mùa hè' },
+    { date: '2026-05-11', time: '09:00', channel: 'zalo', topic: 'Ưu đãi thứ hai' }
+];
+
+describe('Marketing plan slice regeneration', () => {
+    it('lists kept posts as context and the instruction in the prompt', () => {
+        const prompt = buildPlanSlicePrompt(
+            { campaignName: 'Trà sữa', startDate: '2026-05-01', endDate: '2026-05-21', topics: ['Trà sữa'] },
+            {
+                slots,
+                contextPosts: [{ date: '2026-05-01', time: '18:00', channel: 'facebook', topic: 'Khai trương' }],
+                instruction: 'Nhấn mạnh khuyến mãi'
+            }
+        );
+
+        expect(prompt).toContain('2026-05-01 18:00 - Facebook: Khai trương');
+        expect(prompt).toContain('2026-05-11 09:00 - Zalo: Ưu đãi thứ hai');
+        expect(prompt).toContain('Nhấn mạnh khuyến mãi');
+        expect(prompt).toContain('đúng 2 bài đăng');
+    });
+
+    it('maps replacements onto the slots in order', () => {
+        const response = JSON.stringify([
+            { date: '2026-06-01', time: '07:00', topic: 'Mới 1', channel: 'myspace', purpose: 'sales', postType: 'reel' },
+            { topic: 'Mới 2', channel: 'instagram' }
+        ]);
+
+        const posts = parsePlanSliceResponse(response, slots, ['facebook', 'zalo', 'instagram']);
+
+        expect(posts).toHaveLength(2);
+        expect(posts[0]).toMatchObject({ topic: 'Mới 1', channel: 'facebook', purpose: 'sales', postType: 'reel' });
+        expect(posts[0].date).toBeUndefined();
+        expect(posts[1]).toMatchObject({ topic: 'Mới 2', channel: 'instagram', purpose: 'engagement' });
+    });
+
+    it('keeps the slot channel when the AI picks a channel outside the plan', () => {
+        const response = JSON.stringify([
+            { topic: 'Mới 1', channel: 'tiktok' },
+            { topic: 'Mới 2', channel: 'facebook' }
+        ]);
+
+        const posts = parsePlanSliceResponse(response, slots, ['facebook', 'zalo']);
+
+        expect(posts.map((post) => post.channel)).toEqual(['facebook', 'facebook']);
+        expect(parsePlanSliceResponse(response, slots).map((post) => post.channel)).toEqual(['facebook', 'zalo']);
+    });
+
+    it('fails when the AI returns fewer posts than requested', () => {
+        expect(() => parsePlanSliceResponse(JSON.stringify([{ topic: 'Mới 1' }]), slots)).toThrow('1/2');
+    });
+});
@@ -0,0 +1,111 @@
+const { validatePlanPosts, buildSlotPosts } = require('../../src/services/gemini/marketingPlanValidator.service');
+
+// Two full weeks: 2026-03-02 (Mon) to 2026-03-15 (Sun)
+const input = {
+    startDate: '2026-03-02',
+    endDate: '2026-03-15',
+    postsPerWeek: 2,
+    postTimes: ['09:00', '18:00'],
+    channels: ['facebook', 'instagram'],
+    goals: ['sales']
+};
+
+function buildPost(overrides = {}) {
+    return {
+        date: '2026-03-03',
+        time: '09:00',
+        topic: 'Bánh mì',
+        channel: 'facebook',
+        contentIdea: 'Ý tưởng',
+        purpose: 'sales',
+        postType: 'image',
+        suggestedHashtags: ['#banhmi'],
+        ...overrides
+    };
+}
+
+describe('Marketing plan validator', () => {
+    it('accepts a plan that follows the campaign', () => {
+        const { posts, slots, report } = validatePlanPosts([
+            buildPost(),
+            buildPost({ date: '2026-03-05', time: '18:00', channel: 'instagram' }),
+            buildPost({ date: '2026-03-10' }),
+            buildPost({ date: '2026-03-12', time: '18:00', channel: 'instagram' })
+        ], input);
+
+        expect(posts).toHaveLength(4);
+        expect(slots).toHaveLength(0);
+        expect(report).toMatchObject({ expectedPosts: 4, receivedPosts: 4, repairs: [], removed: [] });
+        expect(posts[0].date).toEqual(new Date('2026-03-03'));
+    });
+
+    it('repairs times, channels, purposes, post types and hashtags', () => {
+        const { posts, report } = validatePlanPosts([
+            buildPost({ time: '9:10', channel: 'Facebook', purpose: 'viral', postType: 'carousel', suggestedHashtags: ['banhmi', '#banhmi'] }),
+            buildPost({ date: '2026-03-05T10:00:00Z', time: '20:00', channel: 'myspace' }),
+            buildPost({ date: '2026-03-10' }),
+            buildPost({ date: '2026-03-12', time: 'tối' })
+        ], input);
+
+        expect(posts[0]).toMatchObject({
+            time: '09:00',
+            channel: 'facebook',
+            purpose: 'sales',
+            postType: 'image',
+            suggestedHashtags: ['#banhmi']
+        });
+        expect(posts[1]).toMatchObject({ time: '18:00', channel: 'instagram' });
+        expect(posts[3].time).toBe('18:00');
+        expect(report.repairs.map((repair) => `${repair.index}:${repair.field}`)).toEqual([
+            '0:time', '0:channel', '0:purpose', '0:postType', '1:time', '1:channel', '3:time'
+        ]);
+    });
+
+    it('removes posts outside the window, duplicates and posts above the weekly count', () => {
+        const { posts, report } = validatePlanPosts([
+            buildPost({ date: '2026-02-28' }),
+            buildPost({ date: 'ngày mai' }),
+            buildPost(),
+            buildPost(),
+            buildPost({ date: '2026-03-04' }),
+            buildPost({ date: '2026-03-04', time: '18:00' }),
+            buildPost({ date: '2026-03-10' }),
+            buildPost({ date: '2026-03-11' })
+        ], input);
+
+        expect(posts).toHaveLength(4);
+        expect(report.removed).toEqual([
+            { index: 0, reason: 'out_of_range' },
+            { index: 1, reason: 'invalid_date' },
+            { index: 3, reason: 'duplicate' },
+            { index: 5, reason: 'over_posts_per_week' }
+        ]);
+    });
+
+    it('lists slots for missing posts and posts without a topic', () => {
+        const { posts, slots, report } = validatePlanPosts([
+            buildPost(),
+            buildPost({ date: '2026-03-10', topic: '' })
+        ], input);
+
+        expect(posts).toHaveLength(1);
+        expect(slots).toHaveLength(3);
+        expect(slots.map((slot) => slot.reason).sort()).toEqual(['missing_post', 'missing_post', 'missing_topic']);
+        slots.forEach((slot) => {
+            expect(slot.date >= '2026-03-02' && slot.date <= '2026-03-15').toBe(true);
+            expect(input.postTimes).toContain(slot.time);
+        });
+        expect(report.invalidSlots).toHaveLength(3);
+
+        const filled = buildSlotPosts(slots, slots.map((_, index) => ({
+            topic: `Mới ${index}`,
+            channel: 'tiktok',
+            contentIdea: '',
+            purpose: 'sales',
+            postType: 'image',
+            suggestedHashtags: ['moi']
+        })));
+        expect(filled[0]).toMatchObject({ time: slots[0].time, channel: slots[0].channel, suggestedHashtags: ['#moi'] });
+        expect(filled[0].date).toEqual(new Date(slots[0].date));
+    });
+});
@@ -0,0 +1,58 @@
+const sharp = require('sharp');
+const { getProviderName, generateText, streamText, generateImage } = require('../../src/services/ai');
+const { extractCompletedScenes } = require('../../src/services/gemini/videoScript.service');
+
+describe('mock AI provider', () => {
+    it('is selected by AI_PROVIDER', () => {
+        expect(getProviderName()).toBe('mock');
+    });
+
+    it('returns article text with the requested word count', async () => {
+        const { text, usage } = await generateText({
+            prompt: 'Viết bài',
+            meta: { operation: 'article.text', topic: 'Cà phê', wordCount: 50 }
+        });
+
+        const article = JSON.parse(text);
+        expect(article.title).toContain('Cà phê');
+        expect(article.content.trim().split(/\s+/)).toHaveLength(50);
+        expect(usage.totalTokens).toBe(usage.inputTokens + usage.outputTokens);
+    });
+
+    it('streams the same text it would return in one call', async () => {
+        const chunks = [];
+        const meta = { operation: 'video.script', sceneCount: 3 };
+        const streamed = await streamText({ prompt: 'Kịch bản', meta, onChunk: (chunk) => chunks.push(chunk) });
+        const direct = await generateText({ prompt: 'Kịch bản', meta });
+
+        expect(chunks.join('')).toBe(streamed.text);
+        expect(streamed.text).toBe(direct.text);
+    });
+
+    it('returns a deterministic PNG for image operations', async () => {
+        const params = { prompt: 'Ảnh sản phẩm', meta: { operation: 'image.generate' } };
+        const first = await generateImage(params);
+        const second = await generateImage(params);
+
+        expect(first.images[0].mimeType).toBe('image/png');
+        expect(first.images[0].data).toBe(second.images[0].data);
+
+        const metadata = await sharp(Buffer.from(first.images[0].data, 'base64')).metadata();
+        expect(metadata).toMatchObject({ width: 512, height: 512, format: 'png' });
+    });
+});
+
+describe('extractCompletedScenes', () => {
+    it('returns only scenes whose JSON object is closed', () => {
+        const partial = '{"summary":"x","scenes":[{"description":"a {b}","note":"c\\"d"},{"description":"e","extra":{"f":1}},{"description":"unfin';
+
+        expect(extractCompletedScenes(partial)).toEqual([
+            { description: 'a {b}', note: 'c"d' },
+            { description: 'e', extra: { f: 1 } }
+        ]);
+    });
+
+    it('returns nothing before the scenes array starts', () => {
+        expect(extractCompletedScenes('{"summary":"đang viết')).toEqual([]);
+    });
+});
@@ -0,0 +1,96 @@
+const ExcelJS = require('exceljs');
+const { buildPlanIcs, buildPlanCsv } = require('../../src/services/calendar');
+const { foldLine } = require('../../src/services/calendar/ics.service');
+const { exportMarketingPlanToExcel } = require('../../src/services/excel');
+
+const plan = {
+    campaignName: 'Bánh mì, tháng 3',
+    startDate: new Date('2026-03-01'),
+    endDate: new Date('2026-03-14'),
+    timezone: 'Asia/Ho_Chi_Minh',
+    channels: ['facebook', 'zalo'],
+    updatedAt: new Date('2026-02-20T08:00:00Z'),
+    posts: [
+        {
+            _id: 'post1',
+            date: new Date('2026-03-10'),
+            time: '09:00',
+            topic: 'Bánh mì nóng; giòn',
+            channel: 'facebook',
+            contentIdea: 'Mẻ bánh đầu tiên, lúc 5 giờ sáng',
+            purpose: 'sales',
+            postType: 'image',
+            suggestedHashtags: ['#banhmi', '#sangsom'],
+            status: 'scheduled'
+        },
+        {
+            _id: 'post2',
+            date: new Date('2026-03-12'),
+            time: 'tối',
+            topic: '=HYPERLINK("x")',
+            channel: 'zalo',
+            contentIdea: 'Ưu đãi "mua 2 tặng 1"',
+            purpose: 'leads',
+            postType: 'story',
+            suggestedHashtags: [],
+            status: 'draft'
+        }
+    ]
+};
+
+describe('Marketing plan exports', () => {
+    it('builds one VEVENT per post in UTC with escaped text', () => {
+        const ics = buildPlanIcs(plan);
+        const unfolded = ics.replace(/\r\n /g, '');
+
+        expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+        expect(unfolded.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+        expect(unfolded).toContain('UID:post1@ai-marketing-api');
+        expect(unfolded).toContain('DTSTART:20260310T020000Z');
+        expect(unfolded).toContain('SUMMARY:[Facebook] Bánh mì nóng\\; giòn');
+        expect(unfolded).toContain('Mục đích: Bán hàng\\nLoại bài: Hình ảnh');
+        expect(unfolded).toContain('Hashtag: #banhmi #sangsom');
+        // A malformed time becomes an all-day event
+        expect(unfolded).toContain('DTSTART;VALUE=DATE:20260312');
+        expect(unfolded).toContain('STATUS:TENTATIVE');
+    });
+
+    it('folds long lines at 75 octets without splitting characters', () => {
+        const line = `DESCRIPTION:${'ạ'.repeat(60)}`;
+        const parts = foldLine(line).split('\r\n');
+
+        expect(parts.length).toBeGreaterThan(1);
+        parts.forEach((part) => expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75));
+        expect(parts.map((part, index) => (index === 0 ? part : part.slice(1))).join('')).toBe(line);
+    });
+
+    it('builds a CSV with quoted fields and neutralised formulas', () => {
+        const csv = buildPlanCsv(plan);
+        const lines = csv.replace(/^\uFEFF/, '').trim().split('\r\n');
+
+        expect(lines[0]).toBe('Ngày,Giờ,Kênh,Chủ đề,Ý tưởng nội dung,Mục đích,Loại bài,Hashtag,Trạng thái');
+        expect(lines[1]).toBe('2026-03-10,09:00,Facebook,Bánh mì nóng; giòn,"Mẻ bánh đầu tiên, lúc 5 giờ sáng",Bán hàng,Hình ảnh,#banhmi #sangsom,Đã lên lịch');
+        expect(lines[2]).toContain('"\'=HYPERLINK(""x"")"');
+        expect(lines[2]).toContain('"Ưu đãi ""mua 2 tặng 1"""');
+    });
+
+    it('builds a workbook with a calendar grid and a per-channel sheet', async () => {
+        const buffer = await exportMarketingPlanToExcel(plan);
+
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(buffer);
+
+        expect(workbook.worksheets.map((sheet) => sheet.name)).toEqual(['Lịch đăng', 'Theo kênh']);
+
+        const grid = workbook.getWorksheet('Lịch đăng');
+        const cells = [];
+        grid.eachRow((row) => row.eachCell((cell) => cells.push(String(cell.value))));
+        // 2026-03-10 is a Tuesday
+        expect(cells.find((value) => value.startsWith('10/03'))).toContain('09:00 · Facebook\nBánh mì nóng; giòn');
+
+        const byChannel = workbook.getWorksheet('Theo kênh');
+        const titles = [];
+        byChannel.eachRow((row) => titles.push(String(row.getCell(1).value)));
+        expect(titles).toEqual(expect.arrayContaining(['FACEBOOK (1 bài)', 'ZALO (1 bài)']));
+    });
+});
@@ -0,0 +1,100 @@
+const { lunarToSolar } = require('../../src/utils/lunarCalendar');
+const { getSeasonalEvents, expandEventDefinition, HOLIDAY_CALENDAR_VERSION } = require('../../src/services/calendar');
+const { buildMarketingPlanPrompt, buildMonthlyStrategyPrompt } = require('../../src/services/gemini/marketingPlan.service');
+
+describe('Lunar calendar', () => {
+    it('converts lunar dates to Vietnamese solar dates', () => {
+        expect(lunarToSolar(1, 1, 2025)).toBe('2025-01-29');
+        expect(lunarToSolar(1, 1, 2026)).toBe('2026-02-17');
+        expect(lunarToSolar(1, 1, 2027)).toBe('2027-02-06');
+        expect(lunarToSolar(15, 8, 2025)).toBe('2025-10-06');
+        expect(lunarToSolar(15, 8, 2026)).toBe('2026-09-25');
+        expect(lunarToSolar(10, 3, 2026)).toBe('2026-04-26');
+        expect(lunarToSolar(23, 12, 2025)).toBe('2026-02-10');
+    });
+
+    it('handles leap months', () => {
+        // 2023 has a leap 2nd month, months after it shift by one
+        expect(lunarToSolar(15, 2, 2023, { leap: true })).toBe('2023-04-05');
+        expect(lunarToSolar(15, 8, 2023)).toBe('2023-09-29');
+        expect(lunarToSolar(1, 6, 2025, { leap: true })).toBe('2025-07-25');
+        expect(lunarToSolar(1, 3, 2026, { leap: true })).toBeNull();
+    });
+});
+
+describe('Seasonal events', () => {
+    const keysOf = (events) => events.map((event) => event.key);
+
+    it('lists holidays inside the campaign window with lunar and rule-based dates', () => {
+        const events = getSeasonalEvents('2026-09-01', '2026-11-30');
+        const byKey = Object.fromEntries(events.map((event) => [event.key, event]));
+
+        expect(byKey.trung_thu).toMatchObject({ date: '2026-09-25', inWindow: true, source: 'builtin' });
+        expect(byKey.phu_nu_viet_nam.date).toBe('2026-10-20');
+        expect(byKey.black_friday).toMatchObject({ date: '2026-11-27', endDate: '2026-11-30' });
+        expect(events.filter((event) => event.key === 'tuan_nhan_luong').map((event) => event.date))
+            .toEqual(['2026-09-25', '2026-10-25', '2026-11-25']);
+        expect(keysOf(events)).not.toContain('tet_nguyen_dan');
+        expect(events.map((event) => event.date)).toEqual([...events.map((event) => event.date)].sort());
+    });
+
+    it('includes events right after the window whose lead-up overlaps it', () => {
+        const events = getSeasonalEvents('2026-01-20', '2026-01-31');
+        const tet = events.find((event) => event.key === 'tet_nguyen_dan');
+
+        expect(tet).toMatchObject({ date: '2026-02-17', inWindow: false, leadStartDate: '2026-01-18' });
+        expect(keysOf(events)).not.toContain('valentine');
+    });
+
+    it('expands custom events, yearly or for one year only', () => {
+        const customEvents = [
+            { _id: 'a', name: 'Sinh nhật quán', description: 'Giảm 20%', calendar: 'solar', month: 3, day: 5, year: null, durationDays: 3, leadDays: 0 },
+            { _id: 'b', name: 'Khai trương chi nhánh', calendar: 'solar', month: 3, day: 10, year: 2027, durationDays: 1, leadDays: 0 },
+            { _id: 'c', name: 'Cúng rằm tháng Hai', calendar: 'lunar', month: 2, day: 15, year: null, durationDays: 1, leadDays: 0 }
+        ];
+
+        const events = getSeasonalEvents('2026-03-01', '2026-04-10', { customEvents, includeHolidays: false });
+
+        expect(events).toEqual([
+            expect.objectContaining({ key: 'custom:a', source: 'custom', type: 'custom', date: '2026-03-05', endDate: '2026-03-07', hint: 'Giảm 20%' }),
+            expect.objectContaining({ key: 'custom:c', date: '2026-04-02' })
+        ]);
+    });
+
+    it('skips dates that do not exist in a year', () => {
+        const leapDay = { key: 'leap', name: 'Ngày nhuận', type: 'custom', calendar: 'solar', month: 2, day: 29, leadDays: 0 };
+
+        expect(expandEventDefinition(leapDay, '2026-01-01', '2026-12-31')).toEqual([]);
+        expect(expandEventDefinition(leapDay, '2028-01-01', '2028-12-31')).toHaveLength(1);
+    });
+
+    it('ignores invalid windows', () => {
+        expect(getSeasonalEvents('2026-03-10', '2026-03-01')).toEqual([]);
+        expect(getSeasonalEvents('10/03/2026', '2026-03-20')).toEqual([]);
+        expect(HOLIDAY_CALENDAR_VERSION).toMatch(/^\d{4}\.\d+$/);
+    });
+});
+
+describe('Seasonal events in prompts', () => {
+    const input = {
+        campaignName: 'Trung Thu',
+        startDate: '2026-09-01',
+        endDate: '2026-09-30',
+        postsPerWeek: 3,
+        topics: ['Bánh trung thu'],
+        channels: ['facebook'],
+        seasonalEvents: getSeasonalEvents('2026-09-01', '2026-09-30')
+    };
+
+    it('injects the events into the plan and strategy prompts', () => {
+        for (const prompt of [buildMarketingPlanPrompt(input), buildMonthlyStrategyPrompt(input)]) {
+            expect(prompt).toContain('## NGÀY LỄ & SỰ KIỆN TRONG THỜI GIAN CHIẾN DỊCH');
+            expect(prompt).toContain('- 2026-09-25: Tết Trung Thu (Văn hóa)');
+            expect(prompt).toContain('- 2026-09-02: Quốc khánh 2/9 (Nghỉ lễ)');
+        }
+    });
+
+    it('leaves the block out without events', () => {
+        expect(buildMarketingPlanPrompt({ ...input, seasonalEvents: [] })).not.toContain('NGÀY LỄ & SỰ KIỆN');
+    });
+});
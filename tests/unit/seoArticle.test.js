@@ -0,0 +1,118 @@
+const { slugify, buildFaqSchema, buildKeywordReport } = require('../../src/utils/seo');
+const { markdownToHtml } = require('../../src/utils/markdown');
+const {
+    normalizeSeoOutline,
+    resolveSecondaryKeywords,
+    normalizeSeoWordCount,
+    assembleSeoMarkdown
+} = require('../../src/services/gemini/seoArticle.service');
+
+describe('SEO long-form helpers', () => {
+    it('slugifies Vietnamese text', () => {
+        expect(slugify('Cà phê muối Huế — Đà Nẵng!')).toBe('ca-phe-muoi-hue-da-nang');
+        expect(slugify('a '.repeat(100)).length).toBeLessThanOrEqual(80);
+    });
+
+    it('builds FAQ structured data from answered questions only', () => {
+        expect(buildFaqSchema([{ question: 'Giá?' }])).toBeNull();
+        expect(buildFaqSchema([{ question: 'Giá?', answer: '30k' }])).toEqual({
+            '@context': 'https://schema.org',
+            '@type': 'FAQPage',
+            mainEntity: [{ '@type': 'Question', name: 'Giá?', acceptedAnswer: { '@type': 'Answer', text: '30k' } }]
+        });
+    });
+
+    it('reports keyword density and placement', () => {
+        const content = [
+            'Cà phê muối là món uống nổi tiếng của Huế, vị mặn ngọt hài hòa.',
+            '',
+            '## Cà phê muối là gì',
+            'Lớp kem muối béo nhẹ phủ trên ly cà phê phin đậm đà, uống là nhớ mãi.',
+            '',
+            '## Cách pha tại nhà',
+            'Chuẩn bị cà phê, sữa đặc, kem tươi và một nhúm muối nhỏ.'
+        ].join('\n');
+
+        const report = buildKeywordReport({
+            content,
+            title: 'Cà phê muối Huế',
+            metaTitle: 'Cà phê muối: cách pha chuẩn vị Huế',
+            metaDescription: 'Công thức đơn giản',
+            slug: 'ca-phe-muoi',
+            targetKeyword: 'cà phê muối',
+            secondaryKeywords: ['kem muối', 'trà sữa']
+        });
+
+        expect(report.totalWords).toBe(54);
+        expect(report.keywords).toEqual([
+            { keyword: 'cà phê muối', type: 'target', count: 2, density: 11.11, status: 'high' },
+            { keyword: 'kem muối', type: 'secondary', count: 1, density: 3.7, status: 'high' },
+            { keyword: 'trà sữa', type: 'secondary', count: 0, density: 0, status: 'missing' }
+        ]);
+        expect(report.placement).toEqual({
+            inTitle: true,
+            inMetaTitle: true,
+            inMetaDescription: false,
+            inFirstParagraph: true,
+            inSlug: true,
+            headingsWithKeyword: 1,
+            totalHeadings: 2
+        });
+    });
+
+    it('converts Markdown to escaped HTML', () => {
+        expect(markdownToHtml('## Tiêu đề\nĐoạn **đậm** <script>\n\n- một\n- hai\n\n1. ba')).toBe([
+            '<h2>Tiêu đề</h2>',
+            '<p>Đoạn <strong>đậm</strong> &lt;script&gt;</p>',
+            '<ul><li>một</li><li>hai</li></ul>',
+            '<ol><li>ba</li></ol>'
+        ].join('\n'));
+        expect(markdownToHtml('[x](javascript:alert(1))')).not.toContain('<a');
+    });
+
+    it('defaults secondary keywords to the brand keywords', () => {
+        expect(resolveSecondaryKeywords(undefined, ['Cà phê', 'cà phê', 'Huế'], 'huế')).toEqual(['Cà phê']);
+        expect(resolveSecondaryKeywords('kem muối, pha phin', ['Huế'])).toEqual(['kem muối', 'pha phin']);
+        expect(normalizeSeoWordCount('99999')).toBe(5000);
+        expect(normalizeSeoWordCount(undefined)).toBe(1500);
+    });
+
+    it('validates an edited outline and splits the words between sections', () => {
+        expect(normalizeSeoOutline({ h1: 'Bài', sections: [] }, { targetKeyword: 'x' })).toBeNull();
+        expect(normalizeSeoOutline({ h1: 'Bài', sections: [{ heading: 'A' }] })).toBeNull();
+
+        const outline = normalizeSeoOutline({
+            h1: '  Cà phê muối  ',
+            targetKeyword: 'cà phê muối',
+            wordCount: 1000,
+            sections: [{ heading: 'A', subheadings: ['A1', 'A1', ''] }, { heading: '' }, { heading: 'B' }],
+            faq: ['Giá?', { question: 'Mua ở đâu?' }]
+        });
+
+        expect(outline).toMatchObject({ h1: 'Cà phê muối', targetKeyword: 'cà phê muối', wordCount: 1000 });
+        expect(outline.sections).toEqual([
+            { heading: 'A', subheadings: ['A1'], keyPoints: [], wordCount: 450 },
+            { heading: 'B', subheadings: [], keyPoints: [], wordCount: 450 }
+        ]);
+        expect(outline.faq).toEqual([{ question: 'Giá?' }, { question: 'Mua ở đâu?' }]);
+
+        // A section added without a length does not push the body over the total
+        const edited = normalizeSeoOutline({
+            h1: 'Bài',
+            targetKeyword: 'x',
+            wordCount: 1000,
+            sections: [{ heading: 'A', wordCount: 300 }, { heading: 'B', wordCount: 300 }, { heading: 'C' }]
+        });
+        expect(edited.sections.map((section) => section.wordCount)).toEqual([300, 300, 300]);
+    });
+
+    it('assembles introduction, H2 sections and the FAQ', () => {
+        const markdown = assembleSeoMarkdown({
+            introduction: 'Mở bài',
+            sections: [{ heading: 'A', content: 'Nội dung A' }],
+            faq: [{ question: 'Giá?', answer: '30k' }]
+        });
+
+        expect(markdown).toBe('Mở bài\n\n## A\n\nNội dung A\n\n## Câu hỏi thường gặp\n\n### Giá?\n\n30k');
+    });
+});
@@ -0,0 +1,40 @@
+const { zonedTimeToUtc, isValidTimezone, toDateKey } = require('../../src/utils/timezone');
+const { getPostDueAt } = require('../../src/services/scheduler');
+
+describe('Timezone helpers', () => {
+    it('converts wall-clock time to UTC', () => {
+        expect(zonedTimeToUtc('2026-03-10', '09:00', 'Asia/Ho_Chi_Minh').toISOString()).toBe('2026-03-10T02:00:00.000Z');
+        expect(zonedTimeToUtc('2026-03-10', '06:30', 'Asia/Ho_Chi_Minh').toISOString()).toBe('2026-03-09T23:30:00.000Z');
+        expect(zonedTimeToUtc('2026-07-01', '12:00', 'America/New_York').toISOString()).toBe('2026-07-01T16:00:00.000Z');
+        expect(zonedTimeToUtc('2026-01-15', '12:00', 'America/New_York').toISOString()).toBe('2026-01-15T17:00:00.000Z');
+    });
+
+    it('rejects malformed dates and times', () => {
+        expect(zonedTimeToUtc('10/03/2026', '09:00')).toBeNull();
+        expect(zonedTimeToUtc('2026-03-10', '25:00')).toBeNull();
+        expect(zonedTimeToUtc('2026-03-10', 'tối')).toBeNull();
+    });
+
+    it('validates IANA names', () => {
+        expect(isValidTimezone('Asia/Ho_Chi_Minh')).toBe(true);
+        expect(isValidTimezone('Mars/Olympus')).toBe(false);
+        expect(isValidTimezone('')).toBe(false);
+    });
+
+    it('reads stored post dates as calendar days', () => {
+        expect(toDateKey(new Date('2026-03-10'))).toBe('2026-03-10');
+    });
+});
+
+describe('Plan post due time', () => {
+    const post = { date: new Date('2026-03-10'), time: '18:00' };
+
+    it('defaults to Asia/Ho_Chi_Minh', () => {
+        expect(getPostDueAt(post).toISOString()).toBe('2026-03-10T11:00:00.000Z');
+        expect(getPostDueAt(post, 'Invalid/Zone').toISOString()).toBe('2026-03-10T11:00:00.000Z');
+    });
+
+    it('follows the plan timezone', () => {
+        expect(getPostDueAt(post, 'Europe/London').toISOString()).toBe('2026-03-10T18:00:00.000Z');
+    });
+});
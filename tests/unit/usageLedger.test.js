@@ -0,0 +1,24 @@
+const { calculateCost, getModelPricing, recordUsage } = require('../../src/services/usage');
+
+describe('usage ledger pricing', () => {
+    it('prices tokens from the model recommendation table', () => {
+        expect(calculateCost('gemini-2.5-pro', { inputTokens: 2e6, outputTokens: 1e6 })).toEqual({
+            inputCost: 2.5,
+            outputCost: 5,
+            totalCost: 7.5,
+            priced: true
+        });
+    });
+
+    it('fills in output cost of vision models from their text entry', () => {
+        expect(getModelPricing('gemini-2.0-flash')).toEqual({ inputPerMillion: 0.075, outputPerMillion: 0.3 });
+    });
+
+    it('marks unknown models as unpriced', () => {
+        expect(calculateCost('mock-model', { inputTokens: 100 })).toMatchObject({ totalCost: 0, priced: false });
+    });
+
+    it('skips calls made outside of a user context', async () => {
+        await expect(recordUsage({ operation: 'article.text', modelName: 'mock-model', usage: {} })).resolves.toBeNull();
+    });
+});
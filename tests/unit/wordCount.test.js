@@ -0,0 +1,86 @@
+const { countWords } = require('../../src/utils/wordCount');
+const { enforceWordCount, getWordCountTolerance } = require('../../src/services/gemini/wordCount.service');
+const aiProvider = require('../../src/services/ai');
+
+const words = (count) => Array.from({ length: count }, () => 'từ').join(' ');
+
+describe('Word count enforcement', () => {
+    it('counts Vietnamese syllables, ignoring emoji and symbols', () => {
+        expect(countWords('Cà phê muối ☕ thơm béo!')).toBe(5);
+        expect(countWords('Giảm 20% chỉ còn 30.000đ - #uudai')).toBe(6);
+        expect(countWords('## Tiêu đề\n\n- **một** ý')).toBe(4);
+        // Decomposed tone marks count like composed ones
+        expect(countWords('Cà phê'.normalize('NFD'))).toBe(2);
+        expect(countWords(null)).toBe(0);
+    });
+
+    it('accepts 10% off the requested length, at least 10 words', () => {
+        expect(getWordCountTolerance(250)).toBe(25);
+        expect(getWordCountTolerance(40)).toBe(10);
+    });
+
+    it('leaves an article within tolerance untouched', async () => {
+        const spy = jest.spyOn(aiProvider, 'generateText');
+        try {
+            const result = await enforceWordCount({ title: 'T', content: words(95) }, { wordCount: 100 });
+
+            expect(spy).not.toHaveBeenCalled();
+            expect(result.wordCountCheck).toEqual({ target: 100, actual: 95, tolerance: 10, passes: 0, withinTolerance: true });
+        } finally {
+            spy.mockRestore();
+        }
+    });
+
+    it('runs an expand pass when the article is too short', async () => {
+        const result = await enforceWordCount({ title: 'T', content: words(20), hashtags: ['#a'] }, { wordCount: 100 });
+
+        expect(countWords(result.content)).toBe(100);
+        expect(result.hashtags).toEqual(['#a']);
+        expect(result.wordCountCheck).toMatchObject({ actual: 100, passes: 1, withinTolerance: true });
+    });
+
+    it('stops after the maximum passes and keeps the closest text', async () => {
+        const spy = jest.spyOn(aiProvider, 'generateText')
+            .mockResolvedValueOnce({ text: JSON.stringify({ content: words(300) }) })
+            .mockResolvedValueOnce({ text: JSON.stringify({ content: words(600) }) });
+        try {
+            const result = await enforceWordCount({ title: 'T', content: words(500) }, { wordCount: 100 });
+
+            expect(spy).toHaveBeenCalledTimes(2);
+            expect(spy.mock.calls[0][0].prompt).toContain('RÚT GỌN');
+            expect(result.wordCountCheck).toMatchObject({ actual: 300, passes: 2, withinTolerance: false });
+        } finally {
+            spy.mockRestore();
+        }
+    });
+
+    it('discards a Markdown pass that drops a heading', async () => {
+        const content = `${words(20)}\n\n### Nguồn gốc\n\n${words(20)}`;
+        const spy = jest.spyOn(aiProvider, 'generateText')
+            .mockResolvedValueOnce({ text: JSON.stringify({ content: words(100) }) })
+            .mockResolvedValueOnce({ text: JSON.stringify({ content: `${words(50)}\n\n### Nguồn gốc\n\n${words(48)}` }) });
+        try {
+            const result = await enforceWordCount({ title: 'T', content }, { wordCount: 100, markdown: true });
+
+            expect(spy.mock.calls[0][0].prompt).toContain('giữ nguyên từng dòng tiêu đề');
+            expect(result.content).toContain('### Nguồn gốc');
+            expect(result.wordCountCheck).toMatchObject({ actual: 100, passes: 2, withinTolerance: true });
+        } finally {
+            spy.mockRestore();
+        }
+    });
+
+    it('keeps the generated article when a correction pass fails', async () => {
+        const spy = jest.spyOn(aiProvider, 'generateText').mockRejectedValue(new Error('quota'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        try {
+            const result = await enforceWordCount({ title: 'T', content: words(20) }, { wordCount: 100 });
+
+            expect(result.content).toBe(words(20));
+            expect(result.wordCountCheck).toMatchObject({ actual: 20, passes: 1, withinTolerance: false });
+        } finally {
+            spy.mockRestore();
+            console.error.mockRestore();
+        }
+    });
+});
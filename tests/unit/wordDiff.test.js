@@ -0,0 +1,47 @@
+const { diffWords, tokenize, MAX_DIFF_CELLS } = require('../../src/utils/wordDiff');
+
+describe('Word diff', () => {
+    const rebuild = (segments, keep) => segments
+        .filter((segment) => keep.includes(segment.type))
+        .map((segment) => segment.text)
+        .join('');
+
+    it('marks removed and added words between unchanged text', () => {
+        const diff = diffWords('Cà phê sữa đá ngon tuyệt', 'Cà phê muối ngon tuyệt vời');
+
+        expect(diff.segments).toEqual([
+            { type: 'equal', text: 'Cà phê ' },
+            { type: 'delete', text: 'sữa đá' },
+            { type: 'insert', text: 'muối' },
+            { type: 'equal', text: ' ngon tuyệt' },
+            { type: 'insert', text: ' vời' }
+        ]);
+        expect(diff).toMatchObject({ wordsAdded: 2, wordsRemoved: 2 });
+    });
+
+    it('rebuilds both texts from the segments', () => {
+        const oldText = 'Ưu đãi cuối tuần:\nGiảm 20% cho đơn từ 2 ly.\n\nĐặt ngay!';
+        const newText = 'Ưu đãi tháng 3:\nGiảm 30% cho mọi đơn.\n\nGhé quán hoặc đặt ngay!';
+        const { segments } = diffWords(oldText, newText);
+
+        expect(rebuild(segments, ['equal', 'delete'])).toBe(oldText);
+        expect(rebuild(segments, ['equal', 'insert'])).toBe(newText);
+    });
+
+    it('handles empty and identical texts', () => {
+        expect(diffWords('', 'Xin chào')).toEqual({ segments: [{ type: 'insert', text: 'Xin chào' }], wordsAdded: 2, wordsRemoved: 0 });
+        expect(diffWords('Xin chào', 'Xin chào').segments).toEqual([{ type: 'equal', text: 'Xin chào' }]);
+        expect(diffWords(null, undefined).segments).toEqual([]);
+        expect(tokenize('a  b\n')).toEqual(['a', '  ', 'b', '\n']);
+    });
+
+    it('falls back to replacing the changed middle of very large rewrites', () => {
+        const size = Math.ceil(Math.sqrt(MAX_DIFF_CELLS)) + 10;
+        const oldText = `Mở đầu ${Array.from({ length: size }, (_, i) => `a${i}`).join(' ')} kết`;
+        const newText = `Mở đầu ${Array.from({ length: size }, (_, i) => `b${i}`).join(' ')} kết`;
+        const { segments } = diffWords(oldText, newText);
+
+        expect(segments.map((segment) => segment.type)).toEqual(['equal', 'delete', 'insert', 'equal']);
+        expect(rebuild(segments, ['equal', 'insert'])).toBe(newText);
+    });
+});